@@ -0,0 +1,91 @@
+// src/api/app.js
+const express = require('express');
+const createPeopleRouter = require('./routes/people');
+const createHealthRouter = require('./routes/health');
+const resolveTenant = require('./middleware/tenant');
+const piiAccess = require('./middleware/piiAccess');
+const actorContext = require('./middleware/actor');
+const authenticate = require('./middleware/authenticate');
+const { requireCredentialTenant } = require('./middleware/authenticate');
+const { grantsPiiAccess } = require('../utils/pii');
+const { permissionsOf } = require('../utils/policy');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+
+/**
+ * PII access of a request when createApp() is given none:
+ * API_PII_ACCESS=all for everyone, else `pii:read` holders when requests
+ * are authenticated, else nobody
+ */
+function defaultPiiAccess(authenticated) {
+  if (process.env.API_PII_ACCESS === 'all') return true;
+  return authenticated ? req => grantsPiiAccess(permissionsOf(req.actor)) : false;
+}
+
+/**
+ * Builds the Express application
+ * Kept separate from server.js so the app can be mounted or tested
+ * without opening a port or a database connection
+ * @param {Object} [options]
+ * @param {Object} [options.personService] - Service backing /people
+ * @param {Object} [options.database] - DatabaseConnection behind /readyz
+ * @param {Boolean|Object} [options.multiTenant] - Resolve a per-tenant
+ *   service from the X-Tenant-ID header (options for resolveTenant();
+ *   default: MULTI_TENANT=true in the environment)
+ * @param {Boolean|Object} [options.authentication] - Require an API key
+ *   or JWT on /people (options for authenticate(); default: API_AUTH=required
+ *   in the environment)
+ * @param {Function} [options.actor] - req => actor: who a request acts
+ *   for, restricting it to the actor's permissions (utils/policy); the
+ *   actor is `req.actor` by the time `piiAccess` is resolved (default:
+ *   the authenticated principal's actor). Without either, requests are
+ *   not restricted.
+ * @param {Boolean|Function} [options.piiAccess] - Whether requests see
+ *   names and emails unmasked: for all, or req => Boolean (default:
+ *   API_PII_ACCESS=all in the environment, else the actor's `pii:read`
+ *   when requests are authenticated)
+ * @returns {express.Application}
+ */
+function createApp({
+  personService,
+  database,
+  multiTenant = process.env.MULTI_TENANT === 'true',
+  authentication = process.env.API_AUTH === 'required',
+  actor: resolveActor = authentication ? req => req.principal.actor : undefined,
+  piiAccess: grantPiiAccess = defaultPiiAccess(Boolean(authentication))
+} = {}) {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.use(express.json({ limit: '1mb' }));
+
+  // Probes come first: they never need a tenant
+  app.use(createHealthRouter(database));
+
+  // Before the tenant: anonymous requests never open a tenant database
+  if (authentication) {
+    app.use(authenticate(authentication === true ? {} : authentication));
+  }
+
+  if (multiTenant) {
+    app.use(resolveTenant(multiTenant === true ? {} : multiTenant));
+  }
+
+  // Credentials may be limited to one tenant
+  if (authentication) {
+    app.use(requireCredentialTenant());
+  }
+
+  if (resolveActor) {
+    app.use(actorContext(resolveActor));
+  }
+
+  app.use(piiAccess(grantPiiAccess));
+  app.use('/people', createPeopleRouter(personService));
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = createApp;
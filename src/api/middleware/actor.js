@@ -0,0 +1,33 @@
+// src/api/middleware/actor.js
+const { permissionsOf, runAs } = require('../../utils/policy');
+
+/**
+ * Actor of requests nobody could be resolved for: holds no permission
+ */
+const ANONYMOUS = Object.freeze({ id: 'anonymous', roles: [] });
+
+/**
+ * Resolves who a request acts for and runs the rest of its handling for
+ * them (utils/policy): the people routes then only allow what the actor's
+ * permissions allow, field rules apply to responses and the audit trail
+ * records the actor. The actor is attached as `req.actor`; requests
+ * nobody is resolved for act as ANONYMOUS and are refused everything.
+ *
+ * @param {Function} resolveActor - req => actor ({ id, roles, permissions })
+ *   or null
+ * @returns {Function} Express middleware
+ */
+function actorContext(resolveActor) {
+  return (req, res, next) => {
+    try {
+      req.actor = resolveActor(req) || ANONYMOUS;
+      permissionsOf(req.actor); // Unknown roles fail here
+    } catch (error) {
+      return next(error);
+    }
+    return runAs(req.actor, () => next());
+  };
+}
+
+module.exports = actorContext;
+module.exports.ANONYMOUS = ANONYMOUS;
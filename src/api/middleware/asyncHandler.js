@@ -0,0 +1,15 @@
+// src/api/middleware/asyncHandler.js
+
+/**
+ * Wraps an async route handler so rejected promises reach the
+ * Express error middleware (Express 4 does not do this on its own)
+ * @param {Function} handler - async (req, res, next) => {}
+ * @returns {Function} Express middleware
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = asyncHandler;
@@ -0,0 +1,103 @@
+// src/api/middleware/authenticate.js
+const defaultApiKeyService = require('../../services/apiKeyService');
+const { jwtVerifierFromEnv } = require('../../utils/jwt');
+const { parseApiKey } = require('../../models/ApiKey');
+const { permissionsOf } = require('../../utils/policy');
+const { AuthenticationError, ForbiddenError } = require('../../utils/errors');
+
+/**
+ * Principal of a verified JWT: `sub` names the actor, `roles` and the
+ * space separated `scope` (RFC 8693) grant its permissions, `tenant`
+ * limits it to a tenant
+ */
+function principalFromClaims(claims) {
+  if (typeof claims.sub !== 'string' || claims.sub === '') {
+    throw new AuthenticationError('Token has no subject (sub)', { code: 'INVALID_TOKEN' });
+  }
+  const actor = {
+    id: claims.sub,
+    roles: [].concat(claims.roles || []),
+    permissions: typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : []
+  };
+  try {
+    permissionsOf(actor);
+  } catch (error) {
+    throw new AuthenticationError(error.message, { code: 'INVALID_TOKEN' });
+  }
+  return { type: 'jwt', id: claims.sub, tenantId: claims.tenant || null, actor, claims };
+}
+
+/**
+ * Principal of an API key: its scopes are its permissions
+ */
+function principalFromApiKey(apiKey) {
+  return {
+    type: 'apiKey',
+    id: apiKey.keyId,
+    tenantId: apiKey.tenantId,
+    actor: { id: `api-key:${apiKey.keyId}`, permissions: [...apiKey.scopes] }
+  };
+}
+
+/**
+ * Authenticates requests with an API key or a JWT and attaches who made
+ * them as `req.principal` ({ type, id, tenantId, actor }); its `actor`
+ * is what the request acts for (middleware/actor.js). Requests without
+ * valid credentials are rejected with 401. Runs before the tenant is
+ * resolved (middleware/tenant.js), so anonymous requests never reach a
+ * tenant database; requireCredentialTenant() then checks the two agree.
+ *
+ *   Authorization: Bearer pk_<keyId>_<secret>     API key
+ *   X-API-Key: pk_<keyId>_<secret>                API key
+ *   Authorization: Bearer <header>.<claims>.<sig>  JWT (HS256 / RS256)
+ *
+ * @param {Object} [options]
+ * @param {ApiKeyService} [options.apiKeys] - Checks API keys
+ * @param {JwtVerifier} [options.jwt] - Checks JWTs (default: one built
+ *   from JWT_KEYS_FILE, JWT_ISSUER and JWT_AUDIENCE when the middleware is
+ *   created, see utils/jwt)
+ * @returns {Function} Express middleware
+ * @throws {AppError} JWT_KEYS_INVALID when the configured key file is
+ *   unusable
+ */
+function authenticate({ apiKeys = defaultApiKeyService, jwt = jwtVerifierFromEnv() } = {}) {
+  const principalOf = async req => {
+    const authorization = req.get('Authorization') || '';
+    const [scheme, bearer] = authorization.split(/\s+/);
+    const token = /^bearer$/i.test(scheme) ? bearer : req.get('X-API-Key');
+    if (!token) {
+      throw new AuthenticationError('Authentication required: send an API key or a bearer token');
+    }
+    if (parseApiKey(token)) {
+      return principalFromApiKey(await apiKeys.authenticate(token));
+    }
+    if (!jwt.enabled) {
+      throw new AuthenticationError('Invalid API key', { code: 'INVALID_API_KEY' });
+    }
+    return principalFromClaims(jwt.verify(token));
+  };
+
+  return (req, res, next) => {
+    principalOf(req).then(principal => {
+      req.principal = principal;
+    }).then(() => next(), next);
+  };
+}
+
+/**
+ * Rejects with 403 requests whose credentials are limited to another
+ * tenant than the request's; runs after authenticate() and resolveTenant()
+ * @returns {Function} Express middleware
+ */
+function requireCredentialTenant() {
+  return (req, res, next) => {
+    const { tenantId } = req.principal;
+    if (tenantId && tenantId !== req.tenantId) {
+      return next(new ForbiddenError('These credentials are limited to another tenant'));
+    }
+    return next();
+  };
+}
+
+module.exports = authenticate;
+module.exports.requireCredentialTenant = requireCredentialTenant;
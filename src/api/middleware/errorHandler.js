@@ -0,0 +1,61 @@
+// src/api/middleware/errorHandler.js
+const { AppError, translateMongooseError } = require('../../utils/errors');
+const { sendError } = require('../response');
+const logger = require('../../utils/logger');
+
+const log = logger.child({ module: 'api' });
+
+/**
+ * Catch-all for unknown routes
+ */
+function notFoundHandler(req, res) {
+  sendError(res, 404, 'ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.originalUrl}`);
+}
+
+/**
+ * Maps errors to JSON error envelopes
+ *   ValidationError / InvalidIdError -> 400
+ *   AuthenticationError              -> 401
+ *   ForbiddenError                   -> 403
+ *   NotFoundError                    -> 404
+ *   DuplicateKeyError (E11000)       -> 409
+ *   ConflictError (stale version)    -> 409
+ *   anything else                    -> 500
+ *
+ * Express only treats middleware declaring all four arguments as an
+ * error handler, so `next` stays even though it is unused
+ */
+function errorHandler(err, req, res, next) {
+  // Failed mid-stream (e.g. an export): too late for an envelope, so cut
+  // the connection and the client sees a truncated response
+  if (res.headersSent) {
+    log.error('Response failed after headers were sent', { err, method: req.method, path: req.originalUrl });
+    return res.destroy();
+  }
+
+  // Malformed JSON body from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  const error = err instanceof AppError ? err : translateMongooseError(err);
+
+  if (error.status >= 500) {
+    log.error('Unhandled API error', { err, method: req.method, path: req.originalUrl });
+    return sendError(res, error.status, error.code, 'Internal server error');
+  }
+
+  // Tells clients how to authenticate (RFC 6750)
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
+  // Conflicts carry the latest stored document so clients can retry
+  const details = error.current ? { current: error.current } : error.details;
+  return sendError(res, error.status, error.code, error.message, details);
+}
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,26 @@
+// src/api/middleware/piiAccess.js
+const { withPiiAccess } = require('../../utils/pii');
+
+/**
+ * Decides whether a request may read personal data unmasked and runs the
+ * rest of its handling with that access (utils/pii). Without access,
+ * names and emails are masked in responses and exports.
+ *
+ * @param {Boolean|Function} [grant=false] - Access for every request, or
+ *   req => Boolean
+ * @returns {Function} Express middleware
+ */
+function piiAccess(grant = false) {
+  const resolve = typeof grant === 'function' ? grant : () => grant;
+  return (req, res, next) => {
+    let granted;
+    try {
+      granted = Boolean(resolve(req));
+    } catch (error) {
+      return next(error);
+    }
+    return withPiiAccess(() => next(), granted);
+  };
+}
+
+module.exports = piiAccess;
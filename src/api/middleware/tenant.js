@@ -0,0 +1,43 @@
+// src/api/middleware/tenant.js
+const { PersonService } = require('../../services/personService');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Resolves the tenant of a request from a header and attaches the
+ * tenant's PersonService as `req.personService`
+ *
+ * Requests without the header keep using the default service unless
+ * `required` is set, in which case they are rejected with 400.
+ * An invalid tenant ID is rejected with 400 (INVALID_TENANT), a tenant
+ * the registry does not know with 404 (UNKNOWN_TENANT).
+ *
+ * @param {Object} [options]
+ * @param {String} [options.header='X-Tenant-ID'] - Header carrying the tenant ID
+ * @param {Boolean} [options.required=false] - Reject requests without a tenant
+ * @param {Function} [options.resolveService] - tenantId => PersonService
+ * @returns {Function} Express middleware
+ */
+function resolveTenant({
+  header = 'X-Tenant-ID',
+  required = false,
+  resolveService = tenantId => PersonService.forTenant(tenantId)
+} = {}) {
+  return (req, res, next) => {
+    const tenantId = req.get(header);
+    if (!tenantId) {
+      return next(required
+        ? new ValidationError(`${header} header is required`, { code: 'TENANT_REQUIRED' })
+        : undefined);
+    }
+
+    try {
+      req.tenantId = tenantId;
+      req.personService = resolveService(tenantId);
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+module.exports = resolveTenant;
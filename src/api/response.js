@@ -0,0 +1,41 @@
+// src/api/response.js
+
+/**
+ * JSON Response Envelopes
+ * Every API response has the shape
+ *   { success: true,  data, meta? }
+ *   { success: false, error: { code, message, details? } }
+ */
+
+/**
+ * Sends a success envelope
+ * @param {express.Response} res - Express response
+ * @param {*} data - Payload
+ * @param {Object} [options]
+ * @param {Number} [options.status=200] - HTTP status code
+ * @param {Object} [options.meta] - Extra information (counts, paging, ...)
+ */
+function sendSuccess(res, data, { status = 200, meta } = {}) {
+  const body = { success: true, data };
+  if (meta !== undefined) body.meta = meta;
+  res.status(status).json(body);
+}
+
+/**
+ * Sends an error envelope
+ * @param {express.Response} res - Express response
+ * @param {Number} status - HTTP status code
+ * @param {String} code - Machine readable error code
+ * @param {String} message - Human readable message
+ * @param {*} [details] - Extra information about the failure
+ */
+function sendError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details !== undefined) error.details = details;
+  res.status(status).json({ success: false, error });
+}
+
+module.exports = {
+  sendSuccess,
+  sendError
+};
@@ -0,0 +1,57 @@
+// src/api/routes/health.js
+const express = require('express');
+const defaultDatabase = require('../../database/connection');
+const asyncHandler = require('../middleware/asyncHandler');
+const { sendSuccess, sendError } = require('../response');
+
+/**
+ * Keeps a probe answer out of caches. Set per route: the router is mounted
+ * at the app root, so router-level middleware would run for every request
+ */
+function noStore(req, res, next) {
+  res.set('Cache-Control', 'no-store');
+  next();
+}
+
+/**
+ * Health Routes
+ * Probes for process managers and orchestrators
+ *
+ *   GET /healthz   liveness: the process is up and serving requests.
+ *                  Never depends on MongoDB, so a database outage does not
+ *                  get the process restarted
+ *   GET /readyz    readiness: MongoDB answers a ping. 503 (NOT_READY)
+ *                  otherwise, so traffic is routed elsewhere
+ *
+ * Both are uncached and public, so /readyz only answers `status` and the
+ * connection `state`: pool, topology and error details stay with
+ * `people health` (cli/commands/health.js).
+ *
+ * @param {Object} [database] - DatabaseConnection to check
+ * @param {Object} [options]
+ * @param {Number} [options.timeoutMs] - Ping timeout for /readyz
+ * @returns {express.Router}
+ */
+function createHealthRouter(database = defaultDatabase, { timeoutMs } = {}) {
+  const router = express.Router();
+
+  router.get('/healthz', noStore, (req, res) => {
+    sendSuccess(res, {
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime())
+    });
+  });
+
+  router.get('/readyz', noStore, asyncHandler(async (req, res) => {
+    const { ok, state } = await database.healthCheck({ timeoutMs });
+    if (!ok) {
+      sendError(res, 503, 'NOT_READY', 'MongoDB is not available', { status: 'unavailable', state });
+      return;
+    }
+    sendSuccess(res, { status: 'ok', state });
+  }));
+
+  return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,354 @@
+// src/api/routes/people.js
+const express = require('express');
+const defaultPersonService = require('../../services/personService');
+const asyncHandler = require('../middleware/asyncHandler');
+const { sendSuccess } = require('../response');
+const { ValidationError, NotFoundError } = require('../../utils/errors');
+
+/**
+ * Converts a query-string value to a number, leaving undefined alone
+ */
+function toNumber(value, field) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new ValidationError(`${field} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Converts a query-string value to a boolean, leaving undefined alone
+ */
+function toBoolean(value, field) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new ValidationError(`${field} must be true or false`);
+}
+
+/**
+ * Converts a comma separated query-string value to numbers, leaving
+ * undefined alone
+ */
+function toNumberList(value, field) {
+  if (value === undefined || value === '') return undefined;
+  return String(value).split(',').map(item => toNumber(item.trim(), field));
+}
+
+/**
+ * Maps GET /people query parameters to listPeople() options
+ *   ?namePrefix=Ma&minAge=20&foods=pizza,tacos&foodsMatch=all
+ *   &sort=-age,name&fields=name,age&limit=10&cursor=...
+ */
+function parseListQuery(query) {
+  return {
+    name: query.name,
+    namePrefix: query.namePrefix,
+    minAge: toNumber(query.minAge, 'minAge'),
+    maxAge: toNumber(query.maxAge, 'maxAge'),
+    foods: query.foods ? String(query.foods).split(',') : undefined,
+    foodsMatch: query.foodsMatch,
+    isActive: toBoolean(query.isActive, 'isActive'),
+    createdAfter: query.createdAfter,
+    createdBefore: query.createdBefore,
+    sort: query.sort,
+    fields: query.fields,
+    limit: toNumber(query.limit, 'limit'),
+    cursor: query.cursor,
+    page: toNumber(query.page, 'page'),
+    includeTotal: toBoolean(query.includeTotal, 'includeTotal'),
+    withDeleted: toBoolean(query.withDeleted, 'withDeleted'),
+    onlyDeleted: toBoolean(query.onlyDeleted, 'onlyDeleted')
+  };
+}
+
+/**
+ * Reads optimistic concurrency preconditions from request headers
+ *   If-Match: "3"                   -> expectedVersion 3
+ *   If-Unmodified-Since: <date>     -> expectedUpdatedAt
+ */
+function parsePreconditions(req) {
+  const preconditions = {};
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch !== '*') {
+    const version = Number(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(version)) {
+      throw new ValidationError('If-Match must be a version number, e.g. "3"');
+    }
+    preconditions.expectedVersion = version;
+  }
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  if (ifUnmodifiedSince) {
+    preconditions.expectedUpdatedAt = ifUnmodifiedSince;
+  }
+  return preconditions;
+}
+
+/**
+ * Content types of the import / export formats
+ */
+const TRANSFER_CONTENT_TYPES = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+/**
+ * Picks the import / export format from ?format=, else the Content-Type
+ * (import) or Accept header (export), defaulting to NDJSON
+ */
+function resolveTransferFormat(req, header) {
+  if (req.query.format) return String(req.query.format);
+  const value = req.get(header) || '';
+  return value.includes(TRANSFER_CONTENT_TYPES.csv) ? 'csv' : 'ndjson';
+}
+
+/**
+ * Sets the ETag header to the person's version
+ */
+function setVersionHeader(res, person) {
+  res.set('ETag', `"${person.__v || 0}"`);
+}
+
+/**
+ * People Routes
+ * REST endpoints backed by PersonService
+ *
+ *   GET    /people        list people (filters, sort, pagination)
+ *   POST   /people        create a person
+ *   POST   /people/bulk   create many people (?atomic=true for all or
+ *                          nothing, ?ordered=false to skip failures)
+ *   GET    /people/search search by ?q= (prefix, diacritic and typo tolerant)
+ *   POST   /people/bulk-delete  soft delete by { filter, match, dryRun,
+ *                                maxAffected, confirm }
+ *   POST   /people/import  stream NDJSON or CSV in (body sent as-is)
+ *   GET    /people/export  stream NDJSON or CSV out (listing filters apply)
+ *   GET    /people/:id    fetch one person
+ *   PATCH  /people/:id    partial update (honours If-Match)
+ *   PUT    /people/:id    full replacement (honours If-Match)
+ *   POST   /people/:id/favorite-foods        add { foods } atomically
+ *   DELETE /people/:id/favorite-foods/:food  remove a food atomically
+ *   DELETE /people/:id    soft delete a person
+ *   POST   /people/:id/restore  restore a soft-deleted person
+ *   DELETE /people/:id/purge    permanently remove a soft-deleted person
+ *   GET    /people/:id/history  audit trail, newest first
+ *   POST   /people/:id/revert   revert to { historyEntryId }
+ *
+ * Requests carrying `req.personService` (see middleware/tenant.js) use
+ * that service instead of the one passed in, and requests carrying
+ * `req.actor` (middleware/actor.js) use it as that actor (see
+ * PersonService#as()): calls the actor may not make answer 403.
+ *
+ * @param {Object} [personService] - Service instance to use
+ * @returns {express.Router}
+ */
+function createPeopleRouter(personService = defaultPersonService) {
+  const router = express.Router();
+  // Tenant-aware: resolveTenant() may attach a per-tenant service, and
+  // actorContext() an actor to restrict it to
+  const service = req => {
+    const tenantService = req.personService || personService;
+    return req.actor ? tenantService.as(req.actor) : tenantService;
+  };
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { items, pageInfo } = await service(req).listPeople(parseListQuery(req.query));
+    sendSuccess(res, items, { meta: { count: items.length, ...pageInfo } });
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const person = await service(req).createAndSavePerson(req.body);
+    sendSuccess(res, person, { status: 201 });
+  }));
+
+  // Registered before '/:id' so "bulk" is not treated as an id
+  router.post('/bulk', asyncHandler(async (req, res) => {
+    const people = Array.isArray(req.body) ? req.body : req.body && req.body.people;
+    if (!Array.isArray(people)) {
+      throw new ValidationError('Body must be an array of people or { "people": [...] }');
+    }
+    const atomic = toBoolean(req.query.atomic, 'atomic') || false;
+    const ordered = toBoolean(req.query.ordered, 'ordered') !== false;
+    const result = await service(req).createManyPeople(people, { atomic, ordered });
+    if (ordered) {
+      sendSuccess(res, result, { status: 201, meta: { count: result.length } });
+      return;
+    }
+    // 207: some people may have been created, others not
+    sendSuccess(res, result.created, {
+      status: result.failed.length > 0 ? 207 : 201,
+      meta: { count: result.created.length, failed: result.failed }
+    });
+  }));
+
+  router.post('/bulk-delete', asyncHandler(async (req, res) => {
+    const { filter, match, dryRun, maxAffected, confirm } = req.body || {};
+    const result = await service(req).bulkDelete(filter, { match, dryRun, maxAffected, confirm });
+    sendSuccess(res, result);
+  }));
+
+  router.post('/import', asyncHandler(async (req, res) => {
+    if (req.is('application/json')) {
+      throw new ValidationError(`Send the file as ${TRANSFER_CONTENT_TYPES.ndjson} or ${TRANSFER_CONTENT_TYPES.csv}`);
+    }
+    const report = await service(req).importPeople(req, {
+      format: resolveTransferFormat(req, 'Content-Type'),
+      upsert: toBoolean(req.query.upsert, 'upsert')
+    });
+    sendSuccess(res, report);
+  }));
+
+  router.get('/export', asyncHandler(async (req, res) => {
+    const format = resolveTransferFormat(req, 'Accept');
+    const { withDeleted, ...filter } = parseListQuery(req.query);
+    if (!TRANSFER_CONTENT_TYPES[format]) {
+      throw new ValidationError('format must be one of: ndjson, csv');
+    }
+    res.set('Content-Type', `${TRANSFER_CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="people.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+    await service(req).exportPeople(res, { format, filter, withDeleted });
+  }));
+
+  router.get('/search', asyncHandler(async (req, res) => {
+    const { items, total, terms } = await service(req).searchPeople(req.query.q, {
+      limit: toNumber(req.query.limit, 'limit'),
+      prefix: toBoolean(req.query.prefix, 'prefix'),
+      fuzzy: toBoolean(req.query.fuzzy, 'fuzzy'),
+      withDeleted: toBoolean(req.query.withDeleted, 'withDeleted')
+    });
+    sendSuccess(res, items, { meta: { count: items.length, total, terms } });
+  }));
+
+  router.get('/analytics', asyncHandler(async (req, res) => {
+    const { ageBuckets } = req.query;
+    const analytics = await service(req).getAnalytics({
+      ...parseListQuery(req.query),
+      // "10" is a bucket width, "0,18,65,121" bucket boundaries
+      ageBuckets: ageBuckets !== undefined && String(ageBuckets).includes(',')
+        ? toNumberList(ageBuckets, 'ageBuckets')
+        : toNumber(ageBuckets, 'ageBuckets'),
+      percentiles: toNumberList(req.query.percentiles, 'percentiles'),
+      topFoods: toNumber(req.query.topFoods, 'topFoods'),
+      signupsBy: req.query.signupsBy,
+      timezone: req.query.timezone
+    });
+    sendSuccess(res, analytics);
+  }));
+
+  router.get('/foods/top', asyncHandler(async (req, res) => {
+    const foods = await service(req).getTopFoods({
+      limit: toNumber(req.query.limit, 'limit'),
+      category: req.query.category,
+      withDeleted: toBoolean(req.query.withDeleted, 'withDeleted')
+    });
+    sendSuccess(res, foods, { meta: { count: foods.length } });
+  }));
+
+  router.get('/foods/categories', asyncHandler(async (req, res) => {
+    const categories = await service(req).getFoodsByCategory({
+      withDeleted: toBoolean(req.query.withDeleted, 'withDeleted')
+    });
+    sendSuccess(res, categories, { meta: { count: categories.length } });
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const person = await service(req).findPersonById(req.params.id);
+    if (!person) {
+      throw new NotFoundError(`Person with ID "${req.params.id}" not found`);
+    }
+    setVersionHeader(res, person);
+    sendSuccess(res, person);
+  }));
+
+  router.patch('/:id', asyncHandler(async (req, res) => {
+    const person = await service(req).updatePersonClassic(
+      req.params.id,
+      req.body || {},
+      parsePreconditions(req)
+    );
+    setVersionHeader(res, person);
+    sendSuccess(res, person);
+  }));
+
+  router.put('/:id', asyncHandler(async (req, res) => {
+    const person = await service(req).replacePerson(req.params.id, req.body, parsePreconditions(req));
+    setVersionHeader(res, person);
+    sendSuccess(res, person);
+  }));
+
+  router.post('/:id/favorite-foods', asyncHandler(async (req, res) => {
+    const foods = req.body && [].concat(req.body.foods || req.body.food || []);
+    const person = await service(req).addFavoriteFoods(req.params.id, foods);
+    setVersionHeader(res, person);
+    sendSuccess(res, person);
+  }));
+
+  router.delete('/:id/favorite-foods/:food', asyncHandler(async (req, res) => {
+    const person = await service(req).removeFavoriteFoods(req.params.id, [req.params.food]);
+    setVersionHeader(res, person);
+    sendSuccess(res, person);
+  }));
+
+  router.delete('/:id', asyncHandler(async (req, res) => {
+    const person = await service(req).deletePersonById(req.params.id);
+    if (!person) {
+      throw new NotFoundError(`Person with ID "${req.params.id}" not found`);
+    }
+    sendSuccess(res, person);
+  }));
+
+  router.post('/:id/restore', asyncHandler(async (req, res) => {
+    const person = await service(req).restore(req.params.id);
+    if (!person) {
+      throw new NotFoundError(`No deleted person with ID "${req.params.id}"`);
+    }
+    sendSuccess(res, person);
+  }));
+
+  router.delete('/:id/purge', asyncHandler(async (req, res) => {
+    const person = await service(req).purge(req.params.id);
+    if (!person) {
+      throw new NotFoundError(`No deleted person with ID "${req.params.id}"`);
+    }
+    sendSuccess(res, person);
+  }));
+
+  router.get('/:id/history', asyncHandler(async (req, res) => {
+    const history = await service(req).getPersonHistory(req.params.id, {
+      limit: toNumber(req.query.limit, 'limit')
+    });
+    sendSuccess(res, history, { meta: { count: history.length } });
+  }));
+
+  // GDPR subject access: `id` may also be an email address
+  router.get('/:id/personal-data', asyncHandler(async (req, res) => {
+    const bundle = await service(req).exportPersonData(req.params.id);
+    res.set('Content-Disposition', `attachment; filename="person-${bundle.personId}.json"`);
+    res.json(bundle);
+  }));
+
+  // GDPR erasure: `id` may also be an email address
+  router.post('/:id/erase', asyncHandler(async (req, res) => {
+    const tombstone = await service(req).erasePerson(req.params.id, {
+      reason: req.body && req.body.reason
+    });
+    sendSuccess(res, tombstone);
+  }));
+
+  router.get('/:id/shared-foods', asyncHandler(async (req, res) => {
+    const { foods, items } = await service(req).findPeopleSharingFoods(req.params.id, {
+      limit: toNumber(req.query.limit, 'limit'),
+      minShared: toNumber(req.query.minShared, 'minShared')
+    });
+    sendSuccess(res, items, { meta: { count: items.length, foods } });
+  }));
+
+  router.post('/:id/revert', asyncHandler(async (req, res) => {
+    const person = await service(req).revertPersonTo(req.params.id, req.body && req.body.historyEntryId);
+    sendSuccess(res, person);
+  }));
+
+  return router;
+}
+
+module.exports = createPeopleRouter;
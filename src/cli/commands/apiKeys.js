@@ -0,0 +1,81 @@
+// src/cli/commands/apiKeys.js
+const apiKeyService = require('../../services/apiKeyService');
+const { ValidationError } = require('../../utils/errors');
+const { PERMISSIONS } = require('../../utils/policy');
+
+/**
+ * API Key Commands
+ * Keys for programs calling the REST API (see services/apiKeyService.js).
+ * They live in the default database; --tenant limits a new key to that
+ * tenant.
+ */
+
+// Columns shown in table mode
+const API_KEY_COLUMNS = ['keyId', 'name', 'scopes', 'tenantId', 'expiresAt', 'lastUsedAt', 'revokedAt'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const commands = {
+  'api-keys:create': {
+    summary: 'Create an API key (the key is shown once)',
+    usage: 'api-keys:create <name...> --scope PERMISSION... [--expires-in DAYS]\n'
+      + `     scopes: ${Object.values(PERMISSIONS).join(', ')}`,
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      scope: { type: 'string', multiple: true },
+      'expires-in': { type: 'string' }
+    },
+    async run({ positionals, values, output, actor }) {
+      if (positionals.length === 0) {
+        throw new ValidationError('Expected a name for the key');
+      }
+      let expiresAt = null;
+      if (values['expires-in'] !== undefined) {
+        const days = Number(values['expires-in']);
+        if (!Number.isInteger(days) || days < 1) {
+          throw new ValidationError('--expires-in must be a positive number of days');
+        }
+        expiresAt = new Date(Date.now() + days * DAY_MS);
+      }
+
+      const { apiKey, token } = await apiKeyService.createApiKey({
+        name: positionals.join(' '),
+        scopes: values.scope || [],
+        tenantId: values.tenant || null,
+        expiresAt
+      }, { actor });
+      output.record({ ...apiKey.toJSON(), token });
+      output.note('Store the key now: it cannot be shown again');
+    }
+  },
+
+  'api-keys:list': {
+    summary: 'List API keys (not the keys themselves)',
+    usage: 'api-keys:list [--all]\n'
+      + '     --all includes revoked keys',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      all: { type: 'boolean' }
+    },
+    async run({ values, output }) {
+      const apiKeys = await apiKeyService.listApiKeys({ includeRevoked: Boolean(values.all) });
+      output.table(apiKeys, API_KEY_COLUMNS);
+    }
+  },
+
+  'api-keys:revoke': {
+    summary: 'Revoke an API key',
+    usage: 'api-keys:revoke <keyId>',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {},
+    async run({ positionals, output, actor }) {
+      if (positionals.length !== 1) {
+        throw new ValidationError('Expected one key ID');
+      }
+      const apiKey = await apiKeyService.revokeApiKey(positionals[0], { actor });
+      output.record(apiKey);
+    }
+  }
+};
+
+module.exports = commands;
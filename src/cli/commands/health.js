@@ -0,0 +1,33 @@
+// src/cli/commands/health.js
+const { DatabaseConnectionError, ValidationError } = require('../../utils/errors');
+const { PERMISSIONS } = require('../../utils/policy');
+
+/**
+ * Health Command
+ * The full connection report (pool, topology, last error) that the
+ * public /readyz probe leaves out
+ */
+
+const commands = {
+  health: {
+    summary: 'Ping MongoDB and show the connection report',
+    usage: 'health [--timeout MS]',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      timeout: { type: 'string' }
+    },
+    async run({ values, connection, output }) {
+      const timeoutMs = values.timeout === undefined ? undefined : Number(values.timeout);
+      if (timeoutMs !== undefined && !(timeoutMs > 0)) {
+        throw new ValidationError('--timeout must be a positive number of milliseconds');
+      }
+      const health = await connection.healthCheck({ timeoutMs });
+      output.record(health);
+      if (!health.ok) {
+        throw new DatabaseConnectionError(`MongoDB is not available (state: ${health.state})`);
+      }
+    }
+  }
+};
+
+module.exports = commands;
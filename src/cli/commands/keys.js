@@ -0,0 +1,79 @@
+// src/cli/commands/keys.js
+const { addKey, readKeyFile, processKeyring } = require('../../utils/keyring');
+const { ValidationError } = require('../../utils/errors');
+const { PERMISSIONS } = require('../../utils/policy');
+
+/**
+ * Encryption Key Commands
+ * See src/utils/keyring.js for the key file. A rotation is:
+ *   1. keys:add             new active key in the file
+ *   2. restart the app      so it writes with the new key
+ *   3. keys:reencrypt       rewrite stored values with the new key
+ *   4. drop the old key from the file once nothing uses it (history
+ *      entries keep the values they were written with)
+ */
+
+/**
+ * Key file named by --file or PII_KEYRING_FILE
+ */
+function keyFileOf(values) {
+  const file = values.file || process.env.PII_KEYRING_FILE;
+  if (!file) {
+    throw new ValidationError('No key file: pass --file or set PII_KEYRING_FILE');
+  }
+  return file;
+}
+
+const commands = {
+  'keys:add': {
+    summary: 'Add a new active encryption key to the key file',
+    usage: 'keys:add [ID] [--file PATH]\n'
+      + '     ID defaults to today\'s date; the file is created when missing',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      file: { type: 'string' }
+    },
+    database: false,
+    async run({ positionals, values, output }) {
+      const file = keyFileOf(values);
+      const { keyId, previousKeyId } = addKey(file, positionals[0]);
+      output.record({ file, activeKeyId: keyId, previousKeyId });
+      output.note('Restart the app, then run keys:reencrypt');
+    }
+  },
+
+  'keys:list': {
+    summary: 'List the keys of the key file (IDs only)',
+    usage: 'keys:list [--file PATH]',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      file: { type: 'string' }
+    },
+    database: false,
+    async run({ values, output }) {
+      const { activeKeyId, keys } = readKeyFile(keyFileOf(values));
+      output.table(
+        Object.keys(keys).map(id => ({ id, active: id === activeKeyId })),
+        ['id', 'active']
+      );
+    }
+  },
+
+  'keys:reencrypt': {
+    summary: 'Re-encrypt stored personal data with the active key',
+    usage: 'keys:reencrypt [--batch-size N]',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      'batch-size': { type: 'string' }
+    },
+    async run({ values, service, output }) {
+      if (!processKeyring().enabled) {
+        throw new ValidationError('Encryption is off: set PII_KEYRING_FILE');
+      }
+      const batchSize = values['batch-size'] === undefined ? undefined : Number(values['batch-size']);
+      output.record(await service.reencryptPii({ batchSize }));
+    }
+  }
+};
+
+module.exports = commands;
@@ -0,0 +1,105 @@
+// src/cli/commands/migrate.js
+const { Migrator } = require('../../database/migrator');
+const { ValidationError } = require('../../utils/errors');
+const { PERMISSIONS } = require('../../utils/policy');
+
+/**
+ * Migration Commands
+ * See src/database/migrator.js for how migrations are applied and locked.
+ * With --tenant they run against that tenant's database.
+ */
+
+const MIGRATION_COLUMNS = ['name', 'state', 'appliedAt', 'durationMs', 'description'];
+
+// Options shared by migrate:up and migrate:down
+const RUN_OPTIONS = {
+  to: { type: 'string' },
+  step: { type: 'string' },
+  wait: { type: 'string' }
+};
+
+/**
+ * Reads a positive integer option, leaving undefined alone
+ */
+function toPositiveInteger(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Maps RUN_OPTIONS flags to Migrator#up / #down options
+ */
+function toRunOptions(values) {
+  if (values.to !== undefined && values.step !== undefined) {
+    throw new ValidationError('Use either --to or --step, not both');
+  }
+  const waitSeconds = values.wait === undefined ? 0 : Number(values.wait);
+  if (Number.isNaN(waitSeconds) || waitSeconds < 0) {
+    throw new ValidationError('--wait must be a number of seconds');
+  }
+  return {
+    to: values.to,
+    step: toPositiveInteger(values.step, 'step'),
+    waitMs: waitSeconds * 1000
+  };
+}
+
+const commands = {
+  'migrate:status': {
+    summary: 'Show applied and pending migrations',
+    usage: 'migrate:status',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {},
+    async run({ service, output }) {
+      const rows = await new Migrator({ connection: service.connection }).status();
+      const pending = rows.filter(row => row.state === 'pending').length;
+      output.table(rows, MIGRATION_COLUMNS, { pending });
+    }
+  },
+
+  'migrate:up': {
+    summary: 'Apply pending migrations',
+    usage: 'migrate:up [--to NAME | --step N] [--wait SECONDS]',
+    permission: PERMISSIONS.MAINTAIN,
+    options: RUN_OPTIONS,
+    async run({ values, service, output }) {
+      const applied = await new Migrator({ connection: service.connection }).up(toRunOptions(values));
+      if (applied.length === 0) output.note('Database is up to date');
+      output.table(applied, ['name', 'durationMs']);
+    }
+  },
+
+  'migrate:down': {
+    summary: 'Revert the last migration (or more)',
+    usage: 'migrate:down [--to NAME | --step N] [--wait SECONDS]\n'
+      + '     --to NAME reverts everything applied after NAME',
+    permission: PERMISSIONS.MAINTAIN,
+    options: RUN_OPTIONS,
+    async run({ values, service, output }) {
+      const reverted = await new Migrator({ connection: service.connection }).down(toRunOptions(values));
+      if (reverted.length === 0) output.note('No migration to revert');
+      output.table(reverted, ['name', 'durationMs']);
+    }
+  },
+
+  'migrate:create': {
+    summary: 'Write a new, empty migration file',
+    usage: 'migrate:create <name...>',
+    permission: PERMISSIONS.MAINTAIN,
+    options: {},
+    // Only writes a file
+    database: false,
+    async run({ positionals, output }) {
+      if (positionals.length === 0) {
+        throw new ValidationError('Expected a migration name');
+      }
+      output.record(await new Migrator().create(positionals.join(' ')));
+    }
+  }
+};
+
+module.exports = commands;
@@ -0,0 +1,357 @@
+// src/cli/commands/people.js
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { ValidationError, NotFoundError } = require('../../utils/errors');
+
+/**
+ * People Commands
+ * Each command declares its `util.parseArgs` options and a `run(context)`
+ * receiving { positionals, values, service, output, io, actor }.
+ * `run` may return an exit code; thrown errors are mapped by the CLI.
+ */
+
+// Columns shown in table mode
+const PERSON_COLUMNS = ['_id', 'name', 'age', 'email', 'favoriteFoods', 'isActive'];
+
+// Fields `update --set` accepts, with how to read their value
+const SETTABLE_FIELDS = {
+  name: value => value,
+  email: value => value,
+  age: value => {
+    if (value === '' || value === 'null') return null;
+    const age = Number(value);
+    if (Number.isNaN(age)) throw new ValidationError(`age must be a number, got "${value}"`);
+    return age;
+  },
+  isActive: value => {
+    if (['true', 'yes', '1'].includes(value)) return true;
+    if (['false', 'no', '0'].includes(value)) return false;
+    throw new ValidationError(`isActive must be true or false, got "${value}"`);
+  },
+  favoriteFoods: value => value.split(',').map(food => food.trim()).filter(Boolean)
+};
+
+// Listing filters shared by `list` and `export`
+const FILTER_OPTIONS = {
+  name: { type: 'string' },
+  prefix: { type: 'string' },
+  'min-age': { type: 'string' },
+  'max-age': { type: 'string' },
+  food: { type: 'string', multiple: true },
+  'all-foods': { type: 'boolean' },
+  active: { type: 'boolean' },
+  inactive: { type: 'boolean' },
+  deleted: { type: 'boolean' }
+};
+
+/**
+ * Reads a numeric option, leaving undefined alone
+ */
+function toNumberOption(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new ValidationError(`--${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Maps the FILTER_OPTIONS flags to listPeople() filter options
+ */
+function toFilter(values) {
+  if (values.active && values.inactive) {
+    throw new ValidationError('Use either --active or --inactive, not both');
+  }
+  return {
+    name: values.name,
+    namePrefix: values.prefix,
+    minAge: toNumberOption(values['min-age'], 'min-age'),
+    maxAge: toNumberOption(values['max-age'], 'max-age'),
+    foods: values.food,
+    foodsMatch: values['all-foods'] ? 'all' : 'any',
+    isActive: values.active ? true : values.inactive ? false : undefined
+  };
+}
+
+/**
+ * Requires exactly one positional argument
+ */
+function requireArgument(positionals, name) {
+  if (positionals.length !== 1) {
+    throw new ValidationError(`Expected exactly one <${name}> argument`);
+  }
+  return positionals[0];
+}
+
+/**
+ * Import / export format from --format or the file extension
+ */
+function resolveFormat(format, file) {
+  if (format) return format;
+  return file && path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'ndjson';
+}
+
+const commands = {
+  list: {
+    summary: 'List people',
+    usage: 'list [--name N | --prefix P] [--min-age N] [--max-age N] [--food F]... [--all-foods]\n'
+      + '     [--active | --inactive] [--sort -age,name] [--limit N] [--cursor C] [--deleted]',
+    options: {
+      ...FILTER_OPTIONS,
+      sort: { type: 'string' },
+      limit: { type: 'string' },
+      cursor: { type: 'string' }
+    },
+    async run({ values, service, output }) {
+      const { items, pageInfo } = await service.listPeople({
+        ...toFilter(values),
+        sort: values.sort,
+        limit: toNumberOption(values.limit, 'limit'),
+        cursor: values.cursor,
+        withDeleted: values.deleted
+      });
+      output.table(items, PERSON_COLUMNS, pageInfo.nextCursor ? { nextCursor: pageInfo.nextCursor } : undefined);
+    }
+  },
+
+  get: {
+    summary: 'Show one person',
+    usage: 'get <id> [--deleted]',
+    options: { deleted: { type: 'boolean' } },
+    async run({ positionals, values, service, output }) {
+      const id = requireArgument(positionals, 'id');
+      const person = await service.findPersonById(id, { withDeleted: values.deleted });
+      if (!person) {
+        throw new NotFoundError(`Person with ID "${id}" not found`);
+      }
+      output.record(person);
+    }
+  },
+
+  create: {
+    summary: 'Create a person',
+    usage: 'create --name N [--age N] [--email E] [--food F]... [--inactive]',
+    options: {
+      name: { type: 'string' },
+      age: { type: 'string' },
+      email: { type: 'string' },
+      food: { type: 'string', multiple: true },
+      inactive: { type: 'boolean' }
+    },
+    async run({ values, service, output, actor }) {
+      const person = await service.createAndSavePerson({
+        name: values.name,
+        age: toNumberOption(values.age, 'age'),
+        email: values.email,
+        favoriteFoods: values.food,
+        isActive: !values.inactive
+      }, { actor });
+      output.record(person);
+    }
+  },
+
+  update: {
+    summary: 'Update a person',
+    usage: 'update <id> [--set field=value]... [--add-food F]... [--remove-food F]... [--if-version N]\n'
+      + `     fields: ${Object.keys(SETTABLE_FIELDS).join(', ')} (favoriteFoods comma separated)`,
+    options: {
+      set: { type: 'string', multiple: true },
+      'add-food': { type: 'string', multiple: true },
+      'remove-food': { type: 'string', multiple: true },
+      'if-version': { type: 'string' }
+    },
+    async run({ positionals, values, service, output, actor }) {
+      const id = requireArgument(positionals, 'id');
+      const updates = {};
+      (values.set || []).forEach(assignment => {
+        const separator = assignment.indexOf('=');
+        const field = separator === -1 ? assignment : assignment.slice(0, separator);
+        if (separator === -1 || !SETTABLE_FIELDS[field]) {
+          throw new ValidationError(
+            `--set expects field=value with field one of: ${Object.keys(SETTABLE_FIELDS).join(', ')}`
+          );
+        }
+        updates[field] = SETTABLE_FIELDS[field](assignment.slice(separator + 1));
+      });
+      if (values['add-food']) updates.addToFavorites = values['add-food'];
+
+      const removals = values['remove-food'] || [];
+      if (Object.keys(updates).length === 0 && removals.length === 0) {
+        throw new ValidationError('Nothing to update: pass --set, --add-food or --remove-food');
+      }
+
+      let person = null;
+      if (Object.keys(updates).length > 0) {
+        person = await service.updatePersonClassic(id, updates, {
+          actor,
+          expectedVersion: toNumberOption(values['if-version'], 'if-version')
+        });
+      }
+      if (removals.length > 0) {
+        person = await service.removeFavoriteFoods(id, removals, { actor });
+      }
+      output.record(person);
+    }
+  },
+
+  delete: {
+    summary: 'Soft delete a person (or purge it)',
+    usage: 'delete <id> [--purge [--force]]',
+    options: {
+      purge: { type: 'boolean' },
+      force: { type: 'boolean' }
+    },
+    async run({ positionals, values, service, output, actor }) {
+      const id = requireArgument(positionals, 'id');
+      const person = values.purge
+        ? await service.purge(id, { force: values.force, actor })
+        : await service.softDelete(id, { actor });
+      if (!person) {
+        throw new NotFoundError(values.purge && !values.force
+          ? `No soft-deleted person with ID "${id}" (use --force to purge a live one)`
+          : `Person with ID "${id}" not found`);
+      }
+      output.note(values.purge ? 'Person purged' : 'Person deleted (restore with the API or revert)');
+      output.record(person);
+    }
+  },
+
+  search: {
+    summary: 'Search people by name, email and foods',
+    usage: 'search <words...> [--limit N] [--exact]',
+    options: {
+      limit: { type: 'string' },
+      exact: { type: 'boolean' }
+    },
+    async run({ positionals, values, service, output }) {
+      if (positionals.length === 0) {
+        throw new ValidationError('Expected search words');
+      }
+      const { items, total } = await service.searchPeople(positionals.join(' '), {
+        limit: toNumberOption(values.limit, 'limit'),
+        prefix: !values.exact,
+        fuzzy: !values.exact,
+        highlightPre: output.json ? '<mark>' : '[',
+        highlightPost: output.json ? '</mark>' : ']'
+      });
+
+      if (output.json) {
+        output.table(items, [], { total });
+        return;
+      }
+      const rows = items.map(({ person, score, highlights }) => ({
+        score,
+        _id: person._id,
+        name: person.name,
+        email: person.email,
+        matched: highlights.map(match => match.highlighted)
+      }));
+      output.table(rows, ['score', '_id', 'name', 'email', 'matched'], { total });
+    }
+  },
+
+  stats: {
+    summary: 'Show collection statistics',
+    usage: 'stats',
+    options: {},
+    async run({ service, output }) {
+      output.record(await service.getStats());
+    }
+  },
+
+  import: {
+    summary: 'Import people from NDJSON or CSV (- for stdin)',
+    usage: 'import <file|-> [--format ndjson|csv] [--no-upsert]',
+    options: {
+      format: { type: 'string' },
+      'no-upsert': { type: 'boolean' }
+    },
+    async run({ positionals, values, service, output, io, actor }) {
+      const file = requireArgument(positionals, 'file');
+      const input = file === '-' ? io.stdin : fs.createReadStream(file);
+      const report = await service.importPeople(input, {
+        format: resolveFormat(values.format, file),
+        upsert: !values['no-upsert'],
+        actor
+      });
+
+      if (output.json) {
+        output.record(report);
+      } else {
+        const { errors, ...counts } = report;
+        output.record(counts);
+        errors.forEach(error => output.note(`line ${error.line}: ${error.message}`));
+      }
+      // Rejected rows are validation failures
+      return report.failed > 0 ? 2 : 0;
+    }
+  },
+
+  export: {
+    summary: 'Export people as NDJSON or CSV (stdout by default)',
+    usage: 'export [file|-] [--format ndjson|csv] [listing filters, see list]',
+    options: {
+      ...FILTER_OPTIONS,
+      format: { type: 'string' }
+    },
+    async run({ positionals, values, service, output, io }) {
+      const file = positionals[0] || '-';
+      const toStdout = file === '-';
+      const stream = toStdout ? io.stdout : fs.createWriteStream(file);
+      const { count } = await service.exportPeople(stream, {
+        format: resolveFormat(values.format, file),
+        filter: toFilter(values),
+        withDeleted: values.deleted,
+        end: !toStdout
+      });
+      // Make sure the file is flushed before the CLI disconnects and exits
+      if (!toStdout && !stream.writableFinished) await once(stream, 'finish');
+      output.note(`Exported ${count} people${toStdout ? '' : ` to ${file}`}`);
+    }
+  },
+
+  'data-export': {
+    summary: 'Export everything held about one person (GDPR subject access)',
+    usage: 'data-export <id|email> [file|-]\n'
+      + '     names and emails are masked without --reveal-pii',
+    options: {},
+    async run({ positionals, service, output, io }) {
+      if (positionals.length < 1 || positionals.length > 2) {
+        throw new ValidationError('Expected <id|email> and an optional output file');
+      }
+      const [subject, file = '-'] = positionals;
+      const bundle = await service.exportPersonData(subject);
+      const json = `${JSON.stringify(bundle, null, 2)}\n`;
+      if (file === '-') {
+        io.stdout.write(json);
+      } else {
+        fs.writeFileSync(file, json, { mode: 0o600 });
+        output.note(`Wrote ${bundle.history.length} history entries to ${file}`);
+      }
+      if (bundle.masked) output.note('Names and emails are masked; pass --reveal-pii for the full data');
+    }
+  },
+
+  erase: {
+    summary: 'Erase a person and their history for good (GDPR erasure)',
+    usage: 'erase <id|email> --confirm [--reason TEXT]\n'
+      + '     keeps a tombstone; import and seed will not re-create the person',
+    options: {
+      confirm: { type: 'boolean' },
+      reason: { type: 'string' }
+    },
+    async run({ positionals, values, service, output, actor }) {
+      const subject = requireArgument(positionals, 'id|email');
+      if (!values.confirm) {
+        throw new ValidationError('Erasure cannot be undone: pass --confirm');
+      }
+      const tombstone = await service.erasePerson(subject, { actor, reason: values.reason });
+      output.note('Person erased');
+      output.record(tombstone);
+    }
+  }
+};
+
+module.exports = commands;
@@ -0,0 +1,63 @@
+// src/cli/commands/seed.js
+const { seed, SEED_SETS } = require('../../seeds');
+const { ValidationError } = require('../../utils/errors');
+const { PERMISSIONS } = require('../../utils/policy');
+
+/**
+ * Seed Commands
+ * See src/seeds for what seeding does; this only maps flags to options.
+ */
+
+/**
+ * Reads an integer option, leaving undefined alone
+ */
+function toIntegerOption(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+const commands = {
+  seed: {
+    summary: 'Upsert seed data by email (idempotent)',
+    usage: 'seed [set...] [--file fixture.json]... [--count N] [--random-seed N] [--reset]\n'
+      + `     sets: ${Object.keys(SEED_SETS).join(', ')} (default: sample); --reset is refused with NODE_ENV=production`,
+    permission: PERMISSIONS.MAINTAIN,
+    options: {
+      file: { type: 'string', multiple: true },
+      count: { type: 'string' },
+      'random-seed': { type: 'string' },
+      reset: { type: 'boolean' }
+    },
+    async run({ positionals, values, service, output, actor }) {
+      const files = values.file || [];
+      const report = await seed({
+        sets: positionals.length > 0 || files.length > 0 ? positionals : ['sample'],
+        files,
+        count: toIntegerOption(values.count, 'count'),
+        randomSeed: toIntegerOption(values['random-seed'], 'random-seed'),
+        reset: Boolean(values.reset),
+        actor,
+        service
+      });
+
+      if (report.reset) {
+        output.note(`Reset: removed ${report.reset.people} people and ${report.reset.history} history entries`);
+      }
+      output.table(
+        report.sources.map(({ errors, ...counts }) => counts),
+        ['source', 'processed', 'created', 'updated', 'unchanged', 'failed'],
+        output.json ? { reset: report.reset, errors: report.sources.flatMap(source => source.errors) } : undefined
+      );
+      report.sources.forEach(({ source, errors }) => {
+        errors.forEach(error => output.note(`${source} record ${error.line}: ${error.message}`));
+      });
+      return report.sources.some(source => source.failed > 0) ? 2 : 0;
+    }
+  }
+};
+
+module.exports = commands;
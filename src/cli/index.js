@@ -0,0 +1,222 @@
+// src/cli/index.js
+const os = require('os');
+const { parseArgs } = require('util');
+const database = require('../database/connection');
+const defaultPersonService = require('../services/personService');
+const { PersonService } = require('../services/personService');
+const logger = require('../utils/logger');
+const { PII_READ, withPiiAccess } = require('../utils/pii');
+const { ROLES, permissionsOf, authorize, runAs } = require('../utils/policy');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  DuplicateKeyError,
+  DatabaseConnectionError,
+  ForbiddenError,
+  translateMongooseError
+} = require('../utils/errors');
+const { Output } = require('./output');
+const peopleCommands = require('./commands/people');
+const seedCommands = require('./commands/seed');
+const migrateCommands = require('./commands/migrate');
+const keyCommands = require('./commands/keys');
+const apiKeyCommands = require('./commands/apiKeys');
+const healthCommands = require('./commands/health');
+
+/**
+ * Command Line Interface
+ * `bin/people <command> [arguments] [options]` runs one PersonService
+ * operation against the database configured in .env (MONGO_URI).
+ *
+ * Exit codes:
+ *   0  success
+ *   1  unexpected error
+ *   2  invalid arguments or validation failure
+ *   3  not found
+ *   4  conflict (duplicate email, stale version, migrations locked)
+ *   5  database unavailable
+ *   6  not allowed for the --role given
+ *
+ * Commands run for the actor `--actor` names, with the permissions of
+ * `--role` (utils/policy, default admin): the operator already holds
+ * the database credentials, the role lets them act with less. Commands
+ * declaring a `permission` need it on top of what their operations need.
+ */
+
+// Every command the CLI knows
+const COMMANDS = {
+  ...peopleCommands,
+  ...seedCommands,
+  ...migrateCommands,
+  ...keyCommands,
+  ...apiKeyCommands,
+  ...healthCommands
+};
+
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  ERROR: 1,
+  INVALID: 2,
+  NOT_FOUND: 3,
+  CONFLICT: 4,
+  UNAVAILABLE: 5,
+  FORBIDDEN: 6
+});
+
+// Role commands run with unless --role says otherwise
+const DEFAULT_ROLE = 'admin';
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  tenant: { type: 'string' },
+  actor: { type: 'string' },
+  role: { type: 'string' },
+  'reveal-pii': { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Exit code for an error raised while running a command
+ * @param {Error} error
+ * @returns {Number}
+ */
+function exitCodeFor(error) {
+  if (error instanceof ValidationError) return EXIT_CODES.INVALID;
+  if (error instanceof NotFoundError) return EXIT_CODES.NOT_FOUND;
+  if (error instanceof ConflictError || error instanceof DuplicateKeyError) return EXIT_CODES.CONFLICT;
+  if (error instanceof DatabaseConnectionError) return EXIT_CODES.UNAVAILABLE;
+  if (error instanceof ForbiddenError) return EXIT_CODES.FORBIDDEN;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Default actor recorded in the audit trail: cli:<os user>
+ */
+function defaultActor() {
+  try {
+    return `cli:${os.userInfo().username}`;
+  } catch (error) {
+    return 'cli';
+  }
+}
+
+/**
+ * Usage text for every command, or for one
+ */
+function usage(commands, name) {
+  const globals = `[--json] [--tenant ID] [--actor NAME] [--role ${Object.keys(ROLES).join('|')}] [--reveal-pii] [--verbose]`;
+  if (name) {
+    return `Usage: people ${commands[name].usage}\n       ${globals}\n\n${commands[name].summary}\n`;
+  }
+  const width = Math.max(...Object.keys(commands).map(command => command.length));
+  return [
+    `Usage: people <command> [arguments] ${globals}`,
+    '',
+    'Commands:',
+    ...Object.entries(commands).map(([command, { summary }]) => `  ${command.padEnd(width)}  ${summary}`),
+    '',
+    'Run "people <command> --help" for the options of a command.',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Runs the CLI
+ * Never calls process.exit(): the exit code is returned so the caller
+ * (bin/people) can set it once output has been flushed.
+ * @param {Array<String>} argv - Arguments after the script name
+ * @param {Object} [options]
+ * @param {Object} [options.io] - { stdin, stdout, stderr }
+ * @param {Object} [options.commands] - Command table
+ * @param {Object} [options.connection] - DatabaseConnection to use
+ * @param {Object} [options.personService] - Service for the default tenant
+ * @returns {Promise<Number>} Exit code
+ */
+async function run(argv, {
+  io = process,
+  commands = COMMANDS,
+  connection = database,
+  personService = defaultPersonService
+} = {}) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    io.stdout.write(usage(commands));
+    return name ? EXIT_CODES.OK : EXIT_CODES.INVALID;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, name)) {
+    io.stderr.write(`error: Unknown command "${name}"\n\n${usage(commands)}`);
+    return EXIT_CODES.INVALID;
+  }
+
+  const command = commands[name];
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    io.stderr.write(`error: ${error.message}\n\n${usage(commands, name)}`);
+    return EXIT_CODES.INVALID;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    io.stdout.write(usage(commands, name));
+    return EXIT_CODES.OK;
+  }
+
+  const output = new Output({ json: values.json, io });
+  // Logs would mix with command output: quiet unless asked for
+  logger.configure({ level: values.verbose ? 'info' : process.env.LOG_LEVEL || 'silent' });
+
+  // Commands declaring `database: false` (e.g. migrate:create) never connect
+  const needsDatabase = command.database !== false;
+
+  try {
+    const actor = { id: values.actor || defaultActor(), roles: [values.role || DEFAULT_ROLE] };
+    permissionsOf(actor); // An unknown --role fails before connecting
+    if (command.permission) authorize(actor, command.permission, name);
+    if (values['reveal-pii']) authorize(actor, PII_READ, 'reveal personal data');
+
+    if (needsDatabase) {
+      // Fail fast when MongoDB is down, unless retries are configured
+      await connection.connect(process.env.DB_CONNECT_RETRIES === undefined ? { retries: 1 } : {});
+    }
+    const service = (values.tenant ? PersonService.forTenant(values.tenant) : personService).as(actor);
+
+    // Names and emails are masked in output unless asked for; output is
+    // rendered for the actor too, so field rules apply to it
+    const code = await runAs(actor, () => withPiiAccess(() => command.run({
+      positionals,
+      values,
+      service,
+      output,
+      io,
+      actor,
+      connection
+    }), Boolean(values['reveal-pii'])));
+    return code || EXIT_CODES.OK;
+  } catch (error) {
+    const appError = error instanceof AppError ? error : translateMongooseError(error);
+    output.error(appError);
+    return exitCodeFor(appError);
+  } finally {
+    if (needsDatabase) await connection.disconnect().catch(() => {});
+  }
+}
+
+module.exports = {
+  run,
+  COMMANDS,
+  usage,
+  exitCodeFor,
+  EXIT_CODES
+};
@@ -0,0 +1,143 @@
+// src/cli/output.js
+
+/**
+ * CLI Output
+ * Prints command results either as JSON (`--json`, for scripts) or as
+ * plain text tables (for people). Everything goes through an `io` object
+ * ({ stdout, stderr }) so commands can be run against other streams.
+ */
+
+// Longest cell printed in table mode before it is cut with "…"
+const MAX_CELL_WIDTH = 40;
+
+/**
+ * Text form of a cell value
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(formatCell).join(', ');
+  if (typeof value === 'object') {
+    return typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+  }
+  const text = String(value).replace(/\s+/g, ' ');
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+/**
+ * Formats rows as an aligned text table
+ * @param {Array<Object>} rows - Plain objects
+ * @param {Array<String>} columns - Keys to show, in order
+ * @returns {String} Table with a header line, or "(no results)"
+ */
+function formatTable(rows, columns) {
+  if (rows.length === 0) return '(no results)\n';
+
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, index) => Math.max(
+    column.length,
+    ...cells.map(line => line[index].length)
+  ));
+  const formatLine = values => `${values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd()}\n`;
+
+  return [
+    formatLine(columns),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine)
+  ].join('');
+}
+
+/**
+ * Formats a single object as "key: value" lines
+ * @param {Object} record - Plain object
+ * @returns {String}
+ */
+function formatRecord(record) {
+  const entries = Object.entries(record).filter(([, value]) => value !== undefined);
+  const width = Math.max(0, ...entries.map(([key]) => key.length));
+  return entries.map(([key, value]) => `${`${key}:`.padEnd(width + 1)} ${formatCell(value)}\n`).join('');
+}
+
+/**
+ * Converts documents (and arrays of them) to plain JSON-ready values
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value === undefined ? null : value));
+}
+
+/**
+ * Output writer bound to a mode and streams
+ */
+class Output {
+  /**
+   * @param {Object} options
+   * @param {Boolean} [options.json=false] - Print JSON instead of tables
+   * @param {Object} [options.io] - { stdout, stderr } writable streams
+   */
+  constructor({ json = false, io = process } = {}) {
+    this.json = json;
+    this.stdout = io.stdout;
+    this.stderr = io.stderr;
+  }
+
+  /**
+   * Prints a list of records
+   * @param {Array<Object>} rows - Records (documents are converted)
+   * @param {Array<String>} columns - Columns shown in table mode
+   * @param {Object} [meta] - Extra information (paging, totals); in JSON
+   *   mode output is always { data, meta: { count, ...meta } }, in table
+   *   mode meta is a note on stderr
+   */
+  table(rows, columns, meta) {
+    const plain = toPlain(rows);
+    if (this.json) {
+      this.stdout.write(`${JSON.stringify({ data: plain, meta: { count: plain.length, ...meta } }, null, 2)}\n`);
+      return;
+    }
+    this.stdout.write(formatTable(plain, columns));
+    if (meta) this.note(formatRecord(meta).trimEnd());
+  }
+
+  /**
+   * Prints a single record
+   * @param {Object} record - Record (documents are converted)
+   */
+  record(record) {
+    const plain = toPlain(record);
+    this.stdout.write(this.json ? `${JSON.stringify(plain, null, 2)}\n` : formatRecord(plain));
+  }
+
+  /**
+   * Prints a human-oriented message on stderr (kept out of piped output)
+   * @param {String} message
+   */
+  note(message) {
+    if (!this.json) this.stderr.write(`${message}\n`);
+  }
+
+  /**
+   * Prints an error on stderr
+   * @param {Error} error - AppError or any other error
+   */
+  error(error) {
+    if (this.json) {
+      const body = { code: error.code || 'ERROR', message: error.message };
+      if (error.details !== undefined) body.details = error.details;
+      this.stderr.write(`${JSON.stringify({ error: body }, null, 2)}\n`);
+      return;
+    }
+    this.stderr.write(`error: ${error.message}\n`);
+    if (Array.isArray(error.details)) {
+      error.details.forEach(detail => {
+        this.stderr.write(`  - ${detail.path ? `${detail.path}: ` : ''}${detail.message || JSON.stringify(detail)}\n`);
+      });
+    }
+  }
+}
+
+module.exports = {
+  Output,
+  formatTable,
+  formatRecord,
+  formatCell
+};
@@ -1,111 +1,555 @@
 // src/database/connection.js
 const mongoose = require('mongoose');
-require('dotenv').config(); // Load environment variables
+const logger = require('../utils/logger');
+const { DatabaseConnectionError, DatabaseError } = require('../utils/errors');
+const { runTransaction } = require('./transactions');
+
+const log = logger.child({ module: 'database' });
+
+/**
+ * Connection states tracked by DatabaseConnection
+ */
+const STATES = Object.freeze({
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTING: 'disconnecting'
+});
+
+/**
+ * Reads an integer environment variable, falling back to a default
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Retry settings, overridable through the environment
+ *   DB_CONNECT_RETRIES        retries after the first attempt (default 5)
+ *   DB_RETRY_BASE_DELAY_MS    first backoff delay (default 500)
+ *   DB_RETRY_MAX_DELAY_MS     backoff ceiling (default 30000)
+ *   DB_SHUTDOWN_TIMEOUT_MS    max time to drain operations (default 10000)
+ */
+function retryConfigFromEnv() {
+  return {
+    retries: envInt('DB_CONNECT_RETRIES', 5),
+    baseDelayMs: envInt('DB_RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: envInt('DB_RETRY_MAX_DELAY_MS', 30000),
+    shutdownTimeoutMs: envInt('DB_SHUTDOWN_TIMEOUT_MS', 10000)
+  };
+}
+
+/**
+ * Exponential backoff with "full jitter": a random delay between 0 and
+ * min(maxDelay, baseDelay * 2^attempt), so restarting replicas spread out
+ * @param {Number} attempt - Zero-based retry number
+ * @param {Object} config - { baseDelayMs, maxDelayMs }
+ * @param {Function} [random=Math.random] - Random source (0..1)
+ * @returns {Number} Delay in milliseconds
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * Errors that will not go away by retrying (bad URI, bad credentials)
+ */
+function isRetryable(error) {
+  if (error.name === 'MongoParseError' || error.name === 'MongoAPIError') return false;
+  // 18: AuthenticationFailed, 8000: Atlas auth error
+  if (error.code === 18 || error.code === 8000) return false;
+  return true;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Rejects when `promise` has not settled within `ms`
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Pool usage summed over every server the driver talks to
+ * Reads the driver's connection pools directly, which (unlike pool
+ * events) also accounts for connections opened before we attached
+ * @param {MongoClient} client
+ * @param {Object} options - Client options (maxPoolSize, minPoolSize)
+ * @returns {Object} { maxPoolSize, minPoolSize, total, available, checkedOut, pending }
+ */
+function describePool(client, options) {
+  const servers = client && client.topology && client.topology.s
+    ? [...client.topology.s.servers.values()]
+    : [];
+  const pool = {
+    maxPoolSize: options.maxPoolSize,
+    minPoolSize: options.minPoolSize,
+    total: 0,
+    available: 0,
+    checkedOut: 0,
+    pending: 0
+  };
+  servers.forEach(server => {
+    if (!server.pool) return;
+    pool.total += server.pool.totalConnectionCount;
+    pool.available += server.pool.availableConnectionCount;
+    pool.checkedOut += server.pool.currentCheckedOutCount;
+    pool.pending += server.pool.pendingConnectionCount;
+  });
+  return pool;
+}
+
+/**
+ * Topology type, replica set name and the servers the driver knows about
+ * @param {MongoClient} client
+ * @returns {Object|null} { type, setName, servers: [{ address, type, roundTripTimeMs }] }
+ */
+function describeTopology(client) {
+  const description = client && client.topology && client.topology.description;
+  if (!description) return null;
+  return {
+    type: description.type,
+    setName: description.setName || null,
+    servers: [...description.servers.values()].map(server => ({
+      address: server.address,
+      type: server.type,
+      roundTripTimeMs: server.roundTripTime >= 0 ? Math.round(server.roundTripTime) : null
+    }))
+  };
+}
+
+// Every DatabaseConnection that has connected, for process shutdown
+const instances = new Set();
+let shutdownHandlersRegistered = false;
+
+/**
+ * Registers SIGINT/SIGTERM handlers exactly once per process
+ * A signal gracefully shuts down every DatabaseConnection, then is
+ * re-raised so the process ends with the default behaviour for it
+ */
+function registerShutdownHandlers() {
+  if (shutdownHandlersRegistered) return;
+  shutdownHandlersRegistered = true;
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    const handler = async () => {
+      process.removeListener(signal, handler);
+      log.info('Received shutdown signal', { signal });
+      const results = await Promise.allSettled([...instances].map(instance => instance.shutdown()));
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => log.error('Graceful shutdown failed', { err: result.reason }));
+      log.info('Mongoose connections closed due to app termination');
+      process.kill(process.pid, signal);
+    };
+    process.on(signal, handler);
+  });
+}
 
 /**
  * Database Connection Manager
- * Handles MongoDB connection using Mongoose with proper error handling
+ * Handles MongoDB connection using Mongoose with retry, state tracking
+ * and graceful shutdown.
+ *
+ * The 'default' connection drives the global mongoose connection (the one
+ * `mongoose.model()` models use). Any other name gets its own connection
+ * from `mongoose.createConnection()`; bind models to it with
+ * `getConnection().model(...)`.
  */
 class DatabaseConnection {
-  constructor() {
-    this.isConnected = false;
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.name='default'] - Connection name
+   * @param {String} [options.uri] - Connection string; defaults to
+   *   MONGO_URI for 'default' and MONGO_URI_<NAME> otherwise
+   */
+  constructor({ name = 'default', uri } = {}) {
+    this.name = name;
+    this.uri = uri;
+    this.log = name === 'default' ? log : log.child({ connection: name });
+    this.state = STATES.DISCONNECTED;
     this.connection = null;
+    this.connectPromise = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.inFlight = new Set(); // requestIds of running driver commands
+    this.shutdownHooks = [];
+    this.listenedConnections = new WeakSet();
+    this.shuttingDown = null;
+    this.monitoredClient = null;
+  }
+
+  /**
+   * Whether the connection is currently usable
+   * Derived from the tracked state so it never goes stale
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return this.state === STATES.CONNECTED;
   }
 
   /**
    * Establishes connection to MongoDB Atlas
-   * Uses environment variable MONGO_URI for connection string
+   * Uses environment variable MONGO_URI for connection string and retries
+   * with exponential backoff. Concurrent calls share one attempt.
+   * @param {Object} [options] - Overrides for the retry settings
    * @returns {Promise<mongoose.Connection>} MongoDB connection instance
+   * @throws {DatabaseConnectionError} When every attempt failed
+   */
+  async connect(options = {}) {
+    if (this.isConnected) {
+      return this.connection;
+    }
+    if (!this.connectPromise) {
+      this.connectPromise = this.connectWithRetry({ ...retryConfigFromEnv(), ...options })
+        .finally(() => { this.connectPromise = null; });
+    }
+    return this.connectPromise;
+  }
+
+  /**
+   * Environment variable holding this connection's URI
+   * @returns {String} e.g. MONGO_URI or MONGO_URI_REPORTING
+   */
+  get uriEnvName() {
+    return this.name === 'default'
+      ? 'MONGO_URI'
+      : `MONGO_URI_${this.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  }
+
+  /**
+   * Opens the underlying mongoose connection once
+   * @param {String} uri - Connection string
+   * @param {Object} options - Driver options
+   * @returns {Promise<mongoose.Connection>}
    */
-  async connect() {
+  async openConnection(uri, options) {
+    if (this.name === 'default') {
+      this.setupEventListeners(mongoose.connection);
+      await mongoose.connect(uri, options);
+      return mongoose.connection;
+    }
+
+    const connection = mongoose.createConnection(uri, options);
+    this.setupEventListeners(connection);
     try {
-      // Validate that MONGO_URI is set in environment variables
-      if (!process.env.MONGO_URI) {
-        throw new Error('MONGO_URI is not defined in environment variables');
+      return await connection.asPromise();
+    } catch (error) {
+      // A failed connection is not reused; the next attempt creates a new one
+      await connection.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Retry loop behind connect()
+   * @param {Object} config - Retry settings
+   * @returns {Promise<mongoose.Connection>}
+   */
+  async connectWithRetry(config) {
+    // Validate that the URI is set (explicitly or in environment variables)
+    const rawUri = this.uri || process.env[this.uriEnvName];
+    if (!rawUri) {
+      throw new DatabaseConnectionError(`${this.uriEnvName} is not defined in environment variables`, { attempts: 0 });
+    }
+
+    // Remove quotes if they exist in the URI (common .env issue)
+    const mongoUri = rawUri.replace(/['"]+/g, '');
+
+    // Connection options for better performance and compatibility
+    const connectionOptions = {
+      serverSelectionTimeoutMS: 5000, // Timeout after 5 seconds instead of 30
+      socketTimeoutMS: 45000,     // Close sockets after 45 seconds of inactivity
+      family: 4,                  // Use IPv4, skip trying IPv6
+      maxPoolSize: 10,            // Maintain up to 10 socket connections
+      minPoolSize: 5,             // Maintain at least 5 socket connections
+      monitorCommands: true       // Needed to count in-flight operations
+    };
+
+    instances.add(this);
+    registerShutdownHandlers();
+
+    const maxAttempts = config.retries + 1;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      this.setState(STATES.CONNECTING);
+      this.log.info('Connecting to MongoDB', { attempt, maxAttempts });
+
+      try {
+        this.connection = await this.openConnection(mongoUri, connectionOptions);
+        this.attachCommandMonitoring();
+        this.setState(STATES.CONNECTED);
+
+        this.log.info('MongoDB connected', {
+          database: this.connection.db.databaseName,
+          host: this.connection.host,
+          attempt
+        });
+        return this.connection;
+      } catch (error) {
+        this.recordError(error);
+        this.setState(STATES.DISCONNECTED);
+
+        if (!isRetryable(error) || attempt === maxAttempts) {
+          this.log.error('MongoDB connection failed', { err: error, attempt });
+          throw new DatabaseConnectionError(`Could not connect to MongoDB: ${error.message}`, {
+            attempts: attempt,
+            cause: error
+          });
+        }
+
+        const delayMs = backoffDelay(attempt - 1, config);
+        this.log.warn('MongoDB connection attempt failed, retrying', { err: error, attempt, delayMs });
+        await sleep(delayMs);
       }
+    }
 
-      // Remove quotes if they exist in the URI (common .env issue)
-      const mongoUri = process.env.MONGO_URI.replace(/['"]+/g, '');
-
-      console.log('🔌 Connecting to MongoDB...');
-      
-      // Connection options for better performance and compatibility
-      const connectionOptions = {
-        useNewUrlParser: true,      // Use new URL string parser
-        useUnifiedTopology: true,   // Use new server discovery and monitoring engine
-        serverSelectionTimeoutMS: 5000, // Timeout after 5 seconds instead of 30
-        socketTimeoutMS: 45000,     // Close sockets after 45 seconds of inactivity
-        family: 4,                  // Use IPv4, skip trying IPv6
-        maxPoolSize: 10,            // Maintain up to 10 socket connections
-        minPoolSize: 5              // Maintain at least 5 socket connections
-      };
-
-      // Establish connection
-      await mongoose.connect(mongoUri, connectionOptions);
-      
-      this.connection = mongoose.connection;
-      this.isConnected = true;
-
-      // Set up event listeners for connection status
-      this.setupEventListeners();
-
-      console.log('✅ MongoDB connected successfully!');
-      console.log(`📊 Database: ${this.connection.db.databaseName}`);
-      console.log(`👤 Host: ${this.connection.host}`);
-      
-      return this.connection;
-      
-    } catch (error) {
-      console.error('❌ MongoDB connection error:', error.message);
-      process.exit(1); // Exit process with failure
+    // Unreachable: the loop either returns or throws
+    throw new DatabaseConnectionError('Could not connect to MongoDB', { attempts: maxAttempts });
+  }
+
+  /**
+   * Updates the tracked state, logging transitions
+   * @param {String} state - One of STATES
+   */
+  setState(state) {
+    if (this.state !== state) {
+      this.log.debug('Connection state changed', { from: this.state, to: state });
+      this.state = state;
     }
   }
 
   /**
-   * Sets up event listeners for the database connection
+   * Remembers the most recent connection error
+   * @param {Error} error
    */
-  setupEventListeners() {
-    this.connection.on('connected', () => {
-      console.log('📡 Mongoose connected to DB');
+  recordError(error) {
+    this.lastError = error;
+    this.lastErrorAt = new Date();
+  }
+
+  /**
+   * Sets up event listeners for a mongoose connection
+   * Safe to call repeatedly: listeners are only attached once
+   * @param {mongoose.Connection} connection
+   */
+  setupEventListeners(connection) {
+    if (this.listenedConnections.has(connection)) return;
+    this.listenedConnections.add(connection);
+
+    connection.on('connected', () => {
+      this.log.info('Mongoose connected to DB');
+      // The driver may report a recovered connection as 'connected'
+      if (this.state === STATES.RECONNECTING) {
+        this.setState(STATES.CONNECTED);
+      }
     });
 
-    this.connection.on('error', (err) => {
-      console.error('❌ Mongoose connection error:', err.message);
+    connection.on('reconnected', () => {
+      this.log.info('Mongoose reconnected to DB');
+      this.setState(STATES.CONNECTED);
     });
 
-    this.connection.on('disconnected', () => {
-      console.log('🔌 Mongoose disconnected from DB');
-      this.isConnected = false;
+    connection.on('error', (err) => {
+      this.recordError(err);
+      this.log.error('Mongoose connection error', { err });
     });
 
-    // Close the connection when Node process ends
-    process.on('SIGINT', async () => {
-      await this.connection.close();
-      console.log('👋 Mongoose connection closed due to app termination');
-      process.exit(0);
+    connection.on('disconnected', () => {
+      // Unplanned drops are retried by the driver; planned ones are not
+      if (this.state === STATES.CONNECTED) {
+        this.log.warn('Mongoose disconnected from DB, waiting for reconnect');
+        this.setState(STATES.RECONNECTING);
+      } else if (this.state === STATES.DISCONNECTING) {
+        this.log.info('Mongoose disconnected from DB');
+      }
     });
   }
 
+  /**
+   * Counts running driver commands so shutdown can wait for them
+   */
+  attachCommandMonitoring() {
+    const client = this.connection.getClient();
+    if (this.monitoredClient === client) return;
+    this.monitoredClient = client;
+
+    client.on('commandStarted', event => this.inFlight.add(event.requestId));
+    client.on('commandSucceeded', event => this.inFlight.delete(event.requestId));
+    client.on('commandFailed', event => this.inFlight.delete(event.requestId));
+  }
+
+  /**
+   * Number of driver commands currently running
+   * @returns {Number}
+   */
+  getInFlightCount() {
+    return this.inFlight.size;
+  }
+
+  /**
+   * Waits until no driver command is running, or the timeout passes
+   * @param {Number} timeoutMs - Maximum time to wait
+   * @returns {Promise<Boolean>} true when fully drained
+   */
+  async drain(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.inFlight.size > 0 && Date.now() < deadline) {
+      await sleep(50);
+    }
+    return this.inFlight.size === 0;
+  }
+
+  /**
+   * Registers work to run at the start of a graceful shutdown, before the
+   * database is drained (e.g. closing an HTTP server)
+   * @param {Function} hook - async () => {}
+   */
+  onShutdown(hook) {
+    this.shutdownHooks.push(hook);
+  }
+
+  /**
+   * Graceful shutdown: runs shutdown hooks, waits for in-flight
+   * operations (up to DB_SHUTDOWN_TIMEOUT_MS) and closes the connection
+   * @param {Object} [options]
+   * @param {Number} [options.timeoutMs] - Maximum time to drain
+   * @returns {Promise<void>}
+   */
+  async shutdown({ timeoutMs = retryConfigFromEnv().shutdownTimeoutMs } = {}) {
+    if (!this.shuttingDown) {
+      this.shuttingDown = (async () => {
+        for (const hook of this.shutdownHooks) {
+          await hook();
+        }
+        const drained = await this.drain(timeoutMs);
+        if (!drained) {
+          this.log.warn('Closing with operations still in flight', { inFlight: this.inFlight.size });
+        }
+        await this.disconnect();
+      })().finally(() => { this.shuttingDown = null; });
+    }
+    return this.shuttingDown;
+  }
+
   /**
    * Closes the database connection
    * @returns {Promise<void>}
    */
   async disconnect() {
+    if (this.state === STATES.DISCONNECTED || !this.connection) return;
+
+    this.setState(STATES.DISCONNECTING);
+    await this.connection.close();
+    this.inFlight.clear();
+    this.setState(STATES.DISCONNECTED);
+    instances.delete(this);
+    this.log.info('MongoDB connection closed');
+  }
+
+  /**
+   * Pings the server and reports on the connection
+   * Never throws: a failed ping is reported as `ok: false` (and recorded
+   * as the last error)
+   * @param {Object} [options]
+   * @param {Number} [options.timeoutMs=2000] - Maximum time to wait for the ping
+   * @returns {Promise<Object>} {
+   *   ok, name, state, database, latencyMs, checkedAt, inFlight,
+   *   pool: { maxPoolSize, minPoolSize, total, available, checkedOut, pending },
+   *   topology: { type, setName, servers },
+   *   lastError: { name, message, code, at } | null
+   * }
+   */
+  async healthCheck({ timeoutMs = 2000 } = {}) {
+    const checkedAt = new Date();
+    let latencyMs = null;
+    let ok = false;
+
     if (this.isConnected) {
-      await mongoose.disconnect();
-      this.isConnected = false;
-      console.log('🔌 MongoDB connection closed');
+      const startedAt = process.hrtime.bigint();
+      try {
+        await withTimeout(
+          this.connection.db.admin().command({ ping: 1 }),
+          timeoutMs,
+          `Ping timed out after ${timeoutMs}ms`
+        );
+        latencyMs = Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000;
+        ok = true;
+      } catch (error) {
+        this.recordError(error);
+        this.log.warn('MongoDB health check failed', { err: error });
+      }
+    }
+
+    const client = this.connection ? this.connection.getClient() : null;
+    return {
+      ok,
+      name: this.name,
+      state: this.state,
+      database: this.connection && this.connection.db ? this.connection.db.databaseName : null,
+      latencyMs,
+      checkedAt,
+      inFlight: this.inFlight.size,
+      pool: describePool(client, client ? client.options : {}),
+      topology: describeTopology(client),
+      lastError: this.lastError
+        ? {
+          name: this.lastError.name,
+          message: this.lastError.message,
+          code: this.lastError.code,
+          at: this.lastErrorAt
+        }
+        : null
+    };
+  }
+
+  /**
+   * Runs `fn` in a transaction on this connection (see
+   * database/transactions): everything it does commits or aborts together
+   * @example
+   * await database.withTransaction(async session => {
+   *   const tx = personService.inSession(session);
+   *   await tx.createAndSavePerson({ name: 'Ada' });
+   *   await tx.softDelete(duplicateId);
+   * });
+   * @param {Function} fn - async (session) => result
+   * @param {Object} [options] - Transaction options (readConcern, writeConcern, ...)
+   * @returns {Promise<*>} What `fn` resolved with
+   * @throws {DatabaseError} When not connected, or the server does not
+   *   support transactions
+   */
+  async withTransaction(fn, options = {}) {
+    if (!this.isConnected) {
+      throw new DatabaseError('Not connected: connect before starting a transaction');
     }
+    return runTransaction(this.connection, fn, options);
   }
 
   /**
    * Returns the current connection status
+   * Prefer healthCheck(), which also verifies the server answers
    * @returns {boolean} Connection status
    */
   getStatus() {
     return this.isConnected;
   }
 
+  /**
+   * Returns the tracked connection state
+   * @returns {String} One of 'disconnected', 'connecting', 'connected',
+   *   'reconnecting', 'disconnecting'
+   */
+  getState() {
+    return this.state;
+  }
+
   /**
    * Returns the Mongoose connection instance
    * @returns {mongoose.Connection}
@@ -115,5 +559,8 @@ class DatabaseConnection {
   }
 }
 
-// Export a singleton instance
+// Export a singleton instance for the default connection
 module.exports = new DatabaseConnection();
+module.exports.DatabaseConnection = DatabaseConnection;
+module.exports.STATES = STATES;
+module.exports.backoffDelay = backoffDelay;
@@ -0,0 +1,457 @@
+// src/database/migrator.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getModels } = require('../models');
+const logger = require('../utils/logger');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  DatabaseError,
+  MigrationError
+} = require('../utils/errors');
+
+const log = logger.child({ module: 'migrator' });
+
+/**
+ * Migrations
+ * Schema and data changes are files in src/migrations named
+ * `<YYYYMMDDHHMMSS>-<name>.js`, applied in file name order. Each exports
+ *
+ *   async up({ connection, db, models, log })
+ *   async down({ connection, db, models, log })
+ *
+ * where `db` is the native driver database and `models` the Person and
+ * PersonHistory models of that connection.
+ *
+ * Applied migrations are recorded in the `_migrations` collection
+ * ({ _id: name, appliedAt, durationMs }). The same collection holds a
+ * lock document, so two deployments migrating at once cannot both apply
+ * a migration: the second one waits (`waitMs`) or fails with
+ * MIGRATION_LOCKED. A lock left by a crashed process expires after
+ * `lockTtlMs`; a running migrator keeps renewing its own.
+ *
+ * Migrations are not wrapped in a transaction: one that fails halfway is
+ * not recorded and runs again next time, so write them to be re-runnable.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{14}-[a-z0-9]+(?:-[a-z0-9]+)*\.js$/;
+const LOCK_ID = '__lock__';
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_POLL_INTERVAL_MS = 1000;
+
+/**
+ * UTC timestamp prefix of a migration file name: YYYYMMDDHHMMSS
+ */
+function migrationTimestamp(date) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+/**
+ * Identifies this process in the lock document
+ */
+function lockOwner() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * `step` must be a positive integer when given
+ */
+function assertStep(step) {
+  if (step !== undefined && (!Number.isInteger(step) || step < 1)) {
+    throw new ValidationError('step must be a positive integer');
+  }
+}
+
+/**
+ * Source of a new migration file
+ */
+function migrationTemplate(relativePath, description) {
+  return `// ${relativePath}
+
+/**
+ * ${description}
+ */
+
+module.exports = {
+  description: '${description.replace(/[\\']/g, '\\$&')}',
+
+  /**
+   * @param {Object} context - { connection, db, models, log }
+   */
+  async up({ db, models, log }) {
+  },
+
+  /**
+   * Undoes up()
+   * @param {Object} context - { connection, db, models, log }
+   */
+  async down({ db, models, log }) {
+  }
+};
+`;
+}
+
+/**
+ * Migrator Class
+ * Applies and reverts the migrations of one connection (or tenant
+ * database)
+ */
+class Migrator {
+  /**
+   * @param {Object} [options]
+   * @param {mongoose.Connection} [options.connection] - Connection to migrate
+   * @param {String} [options.directory] - Directory holding migration files
+   * @param {String} [options.collectionName='_migrations'] - Where applied
+   *   migrations and the lock are kept
+   * @param {Number} [options.lockTtlMs] - Lock lifetime without renewal
+   *   (MIGRATION_LOCK_TTL_MS, default 10 minutes)
+   */
+  constructor({
+    connection = mongoose.connection,
+    directory = MIGRATIONS_DIR,
+    collectionName = '_migrations',
+    lockTtlMs = Number(process.env.MIGRATION_LOCK_TTL_MS) || DEFAULT_LOCK_TTL_MS
+  } = {}) {
+    this.connection = connection;
+    this.directory = directory;
+    this.collectionName = collectionName;
+    this.lockTtlMs = lockTtlMs;
+  }
+
+  /**
+   * The native `_migrations` collection
+   * @throws {DatabaseError} When the connection is not open
+   */
+  get collection() {
+    if (!this.connection.db) {
+      throw new DatabaseError('Not connected: connect before running migrations');
+    }
+    return this.connection.db.collection(this.collectionName);
+  }
+
+  /**
+   * Reads the migration files, in the order they apply
+   * @returns {Promise<Array<Object>>} [{ name, file, description, up, down }]
+   * @throws {ValidationError} When a migration lacks up() or down()
+   */
+  async load() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .filter(file => {
+        if (MIGRATION_FILE_PATTERN.test(file)) return true;
+        if (file.endsWith('.js')) {
+          log.warn('Ignoring migration file with an unexpected name', { file });
+        }
+        return false;
+      })
+      .sort()
+      .map(file => {
+        const name = path.basename(file, '.js');
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new ValidationError(`Migration "${name}" must export up() and down() functions`, {
+            code: 'INVALID_MIGRATION'
+          });
+        }
+        return {
+          name,
+          file: path.join(this.directory, file),
+          description: migration.description || '',
+          up: migration.up,
+          down: migration.down
+        };
+      });
+  }
+
+  /**
+   * Applied migration records, oldest name first
+   * @returns {Promise<Array<Object>>} [{ _id, appliedAt, durationMs }]
+   */
+  async applied() {
+    return this.collection.find({ _id: { $ne: LOCK_ID } }).sort({ _id: 1 }).toArray();
+  }
+
+  /**
+   * Every migration with its state
+   * "missing" means recorded as applied but its file is gone.
+   * @returns {Promise<Array<Object>>}
+   *   [{ name, description, state: 'applied'|'pending'|'missing', appliedAt, durationMs }]
+   */
+  async status() {
+    const [migrations, records] = await Promise.all([this.load(), this.applied()]);
+    const recordsByName = new Map(records.map(record => [record._id, record]));
+    const known = new Set(migrations.map(migration => migration.name));
+
+    const rows = migrations.map(({ name, description }) => {
+      const record = recordsByName.get(name);
+      return {
+        name,
+        description,
+        state: record ? 'applied' : 'pending',
+        appliedAt: record ? record.appliedAt : null,
+        durationMs: record ? record.durationMs : null
+      };
+    });
+    records
+      .filter(record => !known.has(record._id))
+      .forEach(record => rows.push({
+        name: record._id,
+        description: '',
+        state: 'missing',
+        appliedAt: record.appliedAt,
+        durationMs: record.durationMs
+      }));
+
+    return rows.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Applies pending migrations in order
+   * @param {Object} [options]
+   * @param {String} [options.to] - Stop after this migration (inclusive)
+   * @param {Number} [options.step] - Apply at most this many
+   * @param {Number} [options.waitMs=0] - How long to wait for another
+   *   process's lock before failing
+   * @returns {Promise<Array<Object>>} Applied migrations [{ name, durationMs }]
+   * @throws {ConflictError} MIGRATION_LOCKED when another process migrates
+   * @throws {MigrationError} When a migration fails (earlier ones stay applied)
+   */
+  async up({ to, step, waitMs = 0 } = {}) {
+    assertStep(step);
+    const migrations = await this.load();
+    if (to !== undefined && !migrations.some(migration => migration.name === to)) {
+      throw new NotFoundError(`Unknown migration "${to}"`);
+    }
+
+    return this.withLock(async lock => {
+      // Read under the lock: a deployment that waited sees what the other applied
+      const applied = new Set((await this.applied()).map(record => record._id));
+      let pending = migrations.filter(migration => !applied.has(migration.name));
+      if (to !== undefined) pending = pending.filter(migration => migration.name <= to);
+      if (step !== undefined) pending = pending.slice(0, step);
+
+      const results = [];
+      for (const migration of pending) {
+        lock.assertHeld();
+        const durationMs = await this.runMigration(migration, 'up');
+        await this.collection.insertOne({ _id: migration.name, appliedAt: new Date(), durationMs });
+        results.push({ name: migration.name, durationMs });
+      }
+      return results;
+    }, { waitMs });
+  }
+
+  /**
+   * Reverts applied migrations, newest first
+   * @param {Object} [options]
+   * @param {String} [options.to] - Revert everything applied after this
+   *   migration (which stays applied)
+   * @param {Number} [options.step=1] - Revert this many (when `to` is unset)
+   * @param {Number} [options.waitMs=0] - How long to wait for the lock
+   * @returns {Promise<Array<Object>>} Reverted migrations [{ name, durationMs }]
+   * @throws {NotFoundError} MIGRATION_MISSING when an applied migration's
+   *   file is gone
+   * @throws {MigrationError} When a down() fails
+   */
+  async down({ to, step, waitMs = 0 } = {}) {
+    assertStep(step);
+    const migrations = await this.load();
+    const byName = new Map(migrations.map(migration => [migration.name, migration]));
+    if (to !== undefined && !byName.has(to)) {
+      throw new NotFoundError(`Unknown migration "${to}"`);
+    }
+
+    return this.withLock(async lock => {
+      let targets = (await this.applied()).map(record => record._id).reverse();
+      targets = to !== undefined
+        ? targets.filter(name => name > to)
+        : targets.slice(0, step === undefined ? 1 : step);
+
+      const results = [];
+      for (const name of targets) {
+        const migration = byName.get(name);
+        if (!migration) {
+          throw new NotFoundError(`Migration "${name}" is applied but its file is missing`, {
+            code: 'MIGRATION_MISSING'
+          });
+        }
+        lock.assertHeld();
+        const durationMs = await this.runMigration(migration, 'down');
+        await this.collection.deleteOne({ _id: name });
+        results.push({ name, durationMs });
+      }
+      return results;
+    }, { waitMs });
+  }
+
+  /**
+   * Writes a new, empty migration file
+   * Needs no database connection.
+   * @param {String} name - Short description, e.g. "add food catalog"
+   * @param {Object} [options]
+   * @param {Date} [options.now=new Date()] - Timestamp of the file name
+   * @returns {Promise<Object>} { name, file }
+   */
+  async create(name, { now = new Date() } = {}) {
+    const slug = String(name || '').trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    if (!slug) {
+      throw new ValidationError('A migration name needs letters or digits');
+    }
+
+    const migrationName = `${migrationTimestamp(now)}-${slug}`;
+    const file = path.join(this.directory, `${migrationName}.js`);
+    await fs.mkdir(this.directory, { recursive: true });
+    try {
+      // "wx": never overwrite an existing migration
+      await fs.writeFile(file, migrationTemplate(path.relative(path.join(__dirname, '..', '..'), file), String(name).trim()), { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new ConflictError(`Migration file ${file} already exists`);
+      }
+      throw error;
+    }
+    log.info('Migration created', { migration: migrationName, file });
+    return { name: migrationName, file };
+  }
+
+  /**
+   * Runs one direction of a migration
+   * @returns {Promise<Number>} Duration in ms
+   */
+  async runMigration(migration, direction) {
+    const started = Date.now();
+    const context = {
+      connection: this.connection,
+      db: this.connection.db,
+      models: getModels(this.connection),
+      log: logger.child({ module: 'migration', migration: migration.name })
+    };
+
+    try {
+      await migration[direction](context);
+    } catch (error) {
+      log.error('Migration failed', { migration: migration.name, direction, err: error });
+      throw new MigrationError(`Migration "${migration.name}" failed (${direction}): ${error.message}`, {
+        migration: migration.name,
+        direction,
+        cause: error
+      });
+    }
+
+    const durationMs = Date.now() - started;
+    log.info(direction === 'up' ? 'Migration applied' : 'Migration reverted', {
+      migration: migration.name,
+      durationMs
+    });
+    return durationMs;
+  }
+
+  /**
+   * Runs `fn(lock)` while holding the migration lock
+   */
+  async withLock(fn, { waitMs = 0 } = {}) {
+    const lock = await this.acquireLock({ waitMs });
+    try {
+      return await fn(lock);
+    } finally {
+      await lock.release();
+    }
+  }
+
+  /**
+   * Takes the lock document, waiting up to `waitMs` for another holder
+   * The upsert only matches an expired lock; while another process holds
+   * a live one it tries to insert a second document with the same _id,
+   * which the unique _id index rejects.
+   * @returns {Promise<Object>} { owner, assertHeld(), release() }
+   * @throws {ConflictError} MIGRATION_LOCKED
+   */
+  async acquireLock({ waitMs = 0 } = {}) {
+    const owner = lockOwner();
+    const deadline = Date.now() + waitMs;
+
+    for (;;) {
+      const now = new Date();
+      try {
+        await this.collection.updateOne(
+          { _id: LOCK_ID, expiresAt: { $lte: now } },
+          { $set: { owner, acquiredAt: now, expiresAt: new Date(now.getTime() + this.lockTtlMs) } },
+          { upsert: true }
+        );
+        break;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+
+      if (Date.now() >= deadline) {
+        const holder = await this.collection.findOne({ _id: LOCK_ID });
+        throw new ConflictError(
+          `Migrations are locked by ${holder ? holder.owner : 'another process'}`
+            + (holder ? ` until ${holder.expiresAt.toISOString()}` : ''),
+          {
+            code: 'MIGRATION_LOCKED',
+            details: holder ? { owner: holder.owner, acquiredAt: holder.acquiredAt, expiresAt: holder.expiresAt } : undefined
+          }
+        );
+      }
+      await sleep(Math.min(LOCK_POLL_INTERVAL_MS, deadline - Date.now()));
+    }
+
+    let lost = false;
+    // Renew well before expiry so long migrations keep the lock
+    const renewal = setInterval(() => {
+      this.collection.updateOne(
+        { _id: LOCK_ID, owner },
+        { $set: { expiresAt: new Date(Date.now() + this.lockTtlMs) } }
+      ).then(result => {
+        if (result.matchedCount === 0) lost = true;
+      }).catch(error => log.warn('Could not renew the migration lock', { err: error }));
+    }, Math.max(1000, Math.floor(this.lockTtlMs / 3)));
+    renewal.unref();
+
+    log.debug('Migration lock acquired', { owner });
+    return {
+      owner,
+      assertHeld() {
+        if (lost) {
+          throw new ConflictError('Lost the migration lock to another process; stopping', {
+            code: 'MIGRATION_LOCK_LOST'
+          });
+        }
+      },
+      release: async () => {
+        clearInterval(renewal);
+        try {
+          await this.collection.deleteOne({ _id: LOCK_ID, owner });
+          log.debug('Migration lock released', { owner });
+        } catch (error) {
+          // Never hide the migration's own outcome; the lock expires anyway
+          log.warn('Could not release the migration lock', { owner, err: error });
+        }
+      }
+    };
+  }
+}
+
+// Export singleton instance for the default connection
+module.exports = new Migrator();
+module.exports.Migrator = Migrator;
+module.exports.MIGRATIONS_DIR = MIGRATIONS_DIR;
@@ -0,0 +1,181 @@
+// src/database/registry.js
+const mongoose = require('mongoose');
+const defaultConnection = require('./connection');
+const { DatabaseConnection } = require('./connection');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Tenant IDs become part of a database name, so keep them to a safe
+ * alphabet and well under MongoDB's 64 character limit
+ */
+const TENANT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+/**
+ * Tenants configured in the environment: TENANT_IDS, comma separated
+ */
+function tenantIdsFromEnv(env = process.env) {
+  return (env.TENANT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Connection Registry
+ * Keeps named DatabaseConnections and per-tenant databases.
+ *
+ * - Named connections (`get('reporting')`) are separate connection pools,
+ *   configured through MONGO_URI_<NAME>.
+ * - Tenants (`forTenant('acme')`) are separate databases on the default
+ *   connection's cluster, named `${TENANT_DB_PREFIX}${tenantId}`
+ *   (default prefix "tenant_"). They share its connection pool.
+ *
+ * Only known tenants (TENANT_IDS, or `addTenant()`) get a database: a
+ * tenant ID may come from a request header, and every new one would
+ * otherwise create a database on the server and a connection kept for
+ * the life of the process. Tenant databases neither create collections
+ * nor build indexes on their own; `migrate:up --tenant ID` does that.
+ */
+class ConnectionRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {DatabaseConnection} [options.defaultConnection] - The 'default' entry
+   * @param {String} [options.tenantDbPrefix] - Prefix for tenant database names
+   * @param {Array<String>} [options.tenants] - Known tenant IDs (default:
+   *   TENANT_IDS in the environment)
+   */
+  constructor({
+    defaultConnection: base = defaultConnection,
+    tenantDbPrefix = process.env.TENANT_DB_PREFIX || 'tenant_',
+    tenants = tenantIdsFromEnv()
+  } = {}) {
+    this.connections = new Map([['default', base]]);
+    this.tenantDbPrefix = tenantDbPrefix;
+    this.tenants = new Set();
+    tenants.forEach(tenantId => this.addTenant(tenantId));
+  }
+
+  /**
+   * Registers a named connection
+   * @param {String} name - Connection name
+   * @param {Object} [options]
+   * @param {String} [options.uri] - Connection string (else MONGO_URI_<NAME>)
+   * @returns {DatabaseConnection}
+   */
+  register(name, { uri } = {}) {
+    if (this.connections.has(name)) {
+      throw new ValidationError(`Connection "${name}" is already registered`);
+    }
+    const connection = new DatabaseConnection({ name, uri });
+    this.connections.set(name, connection);
+    return connection;
+  }
+
+  /**
+   * Returns a named connection, registering it from the environment on
+   * first use
+   * @param {String} [name='default'] - Connection name
+   * @returns {DatabaseConnection}
+   */
+  get(name = 'default') {
+    return this.connections.get(name) || this.register(name);
+  }
+
+  /**
+   * Connects a named connection (no-op when already connected)
+   * @param {String} [name='default'] - Connection name
+   * @returns {Promise<mongoose.Connection>}
+   */
+  async connect(name = 'default') {
+    return this.get(name).connect();
+  }
+
+  /**
+   * Name of the database holding a tenant's data
+   * @param {String} tenantId - Tenant identifier
+   * @returns {String}
+   * @throws {ValidationError} When the tenant ID is not usable
+   */
+  tenantDbName(tenantId) {
+    if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+      throw new ValidationError('Tenant ID must be 1-40 letters, digits, "_" or "-"', {
+        code: 'INVALID_TENANT'
+      });
+    }
+    return `${this.tenantDbPrefix}${tenantId}`;
+  }
+
+  /**
+   * Makes a tenant known, so forTenant() serves it
+   * @param {String} tenantId - Tenant identifier
+   * @throws {ValidationError} When the tenant ID is not usable
+   */
+  addTenant(tenantId) {
+    this.tenantDbName(tenantId);
+    this.tenants.add(tenantId);
+  }
+
+  /**
+   * Whether a tenant is known
+   * @param {String} tenantId - Tenant identifier
+   * @returns {Boolean}
+   */
+  hasTenant(tenantId) {
+    return this.tenants.has(tenantId);
+  }
+
+  /**
+   * IDs of every known tenant
+   * @returns {Array<String>}
+   */
+  tenantIds() {
+    return [...this.tenants];
+  }
+
+  /**
+   * Returns the mongoose connection for a tenant's database
+   * Cached by mongoose, so repeated calls return the same connection.
+   * Models compiled on it neither create their collection nor build
+   * indexes (see migrate:up --tenant).
+   * @param {String} tenantId - Tenant identifier
+   * @param {Object} [options]
+   * @param {String} [options.connection='default'] - Cluster to use
+   * @returns {mongoose.Connection}
+   * @throws {ValidationError} When the tenant ID is not usable
+   * @throws {NotFoundError} UNKNOWN_TENANT when the tenant is not known
+   */
+  forTenant(tenantId, { connection = 'default' } = {}) {
+    const dbName = this.tenantDbName(tenantId);
+    if (!this.hasTenant(tenantId)) {
+      throw new NotFoundError(`Unknown tenant "${tenantId}"`, { code: 'UNKNOWN_TENANT' });
+    }
+    const base = connection === 'default'
+      ? mongoose.connection
+      : this.get(connection).getConnection();
+    if (!base) {
+      throw new ValidationError(`Connection "${connection}" is not connected`);
+    }
+    const tenantConnection = base.useDb(dbName, { useCache: true });
+    tenantConnection.config.autoIndex = false;
+    tenantConnection.config.autoCreate = false;
+    return tenantConnection;
+  }
+
+  /**
+   * Names of every registered connection
+   * @returns {Array<String>}
+   */
+  names() {
+    return [...this.connections.keys()];
+  }
+
+  /**
+   * Disconnects every registered connection
+   * @returns {Promise<void>}
+   */
+  async disconnectAll() {
+    await Promise.all([...this.connections.values()].map(connection => connection.disconnect()));
+  }
+}
+
+// Export a shared registry plus the class for custom setups
+module.exports = new ConnectionRegistry();
+module.exports.ConnectionRegistry = ConnectionRegistry;
+module.exports.tenantIdsFromEnv = tenantIdsFromEnv;
@@ -0,0 +1,140 @@
+// src/database/transactions.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { DatabaseError } = require('../utils/errors');
+
+const log = logger.child({ module: 'transactions' });
+
+/**
+ * Transactions
+ * Runs units of work in a MongoDB transaction that commits or aborts as a
+ * whole.
+ *
+ * Mongoose's transactionAsyncLocalStorage is switched on, so every query,
+ * save(), insertMany(), bulkWrite() and aggregation started inside
+ * runTransaction() or runInSession() uses that session without it being
+ * passed around, including the ones model plugins run (audit trail,
+ * search tokens). Transactions need a replica set or sharded cluster.
+ */
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// Callbacks waiting for the transaction of a session to commit
+const AFTER_COMMIT = Symbol('afterCommit');
+
+// Driver error label of transaction attempts worth running again
+const TRANSIENT_LABEL = 'TransientTransactionError';
+
+/**
+ * Session the current async context runs in, if any
+ * @returns {ClientSession|null}
+ */
+function currentSession() {
+  const store = mongoose.transactionAsyncLocalStorage.getStore();
+  return store && store.session ? store.session : null;
+}
+
+/**
+ * Runs `fn` with every operation it starts using `session`
+ * @param {ClientSession} session - Session to use
+ * @param {Function} fn - () => result
+ * @returns {*} What `fn` returns
+ */
+function runInSession(session, fn) {
+  return mongoose.transactionAsyncLocalStorage.run({ session }, fn);
+}
+
+/**
+ * Runs `callback` once the session's transaction has committed (dropped
+ * when it aborts), or right away outside a transaction. Transactions
+ * started elsewhere than runTransaction() cannot be followed: the
+ * callback runs right away.
+ * @param {ClientSession|null} session
+ * @param {Function} callback - () => {}
+ */
+function afterCommit(session, callback) {
+  if (session && session.inTransaction() && session[AFTER_COMMIT]) {
+    session[AFTER_COMMIT].push(callback);
+    return;
+  }
+  callback();
+}
+
+/**
+ * Whether the server refused to start a transaction because it is a
+ * standalone server
+ */
+function isUnsupported(error) {
+  return Boolean(error && /Transaction numbers are only allowed/.test(error.message));
+}
+
+/**
+ * Runs `fn` in a transaction on `connection`
+ * The transaction commits when `fn` resolves and aborts when it throws.
+ * Attempts failing with a transient error (write conflicts, elections)
+ * are retried, running `fn` again, so `fn` must not have side effects
+ * outside the database. Called inside another transaction, `fn` joins it.
+ *
+ * @example
+ * await runTransaction(connection, async session => {
+ *   await Person.create([{ name: 'Ada' }], { session });
+ *   await Person.updateOne({ name: 'Bob' }, { isActive: false });
+ * });
+ *
+ * @param {mongoose.Connection} connection - Connection to start the session on
+ * @param {Function} fn - async (session) => result
+ * @param {Object} [options] - Transaction options (readConcern, writeConcern, ...)
+ * @returns {Promise<*>} What `fn` resolved with
+ * @throws {DatabaseError} TRANSACTIONS_UNSUPPORTED on standalone servers;
+ *   otherwise whatever `fn` threw
+ */
+async function runTransaction(connection, fn, options = {}) {
+  const active = currentSession();
+  if (active && active.inTransaction()) {
+    return fn(active);
+  }
+
+  let callbacks = [];
+  let result;
+  try {
+    result = await connection.transaction(async session => {
+      // A retried attempt starts over
+      callbacks = [];
+      session[AFTER_COMMIT] = callbacks;
+      try {
+        return await fn(session);
+      } catch (error) {
+        // Errors translated into AppErrors keep the driver error as cause;
+        // hand that back so the driver can tell a transient failure
+        const { cause } = error;
+        if (cause && typeof cause.hasErrorLabel === 'function' && cause.hasErrorLabel(TRANSIENT_LABEL)) {
+          throw cause;
+        }
+        throw error;
+      }
+    }, options);
+  } catch (error) {
+    if (isUnsupported(error)) {
+      throw new DatabaseError('Transactions need a replica set or sharded cluster', {
+        code: 'TRANSACTIONS_UNSUPPORTED',
+        cause: error
+      });
+    }
+    throw error;
+  }
+
+  callbacks.forEach(callback => {
+    try {
+      callback();
+    } catch (error) {
+      log.error('After-commit callback failed', { err: error });
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  runTransaction,
+  runInSession,
+  currentSession,
+  afterCommit
+};
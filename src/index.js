@@ -1,6 +1,10 @@
 // src/index.js
+require('dotenv').config(); // .env settings, before any module reads the environment
 const database = require('./database/connection');
 const personService = require('./services/personService');
+const logger = require('./utils/logger');
+
+const log = logger.child({ module: 'demo' });
 
 /**
  * Main Application
@@ -8,8 +12,7 @@ const personService = require('./services/personService');
  */
 async function main() {
   try {
-    console.log('🚀 Starting Mongoose CRUD Application');
-    console.log('='.repeat(50));
+    log.info('Starting Mongoose CRUD Application');
 
     // 1. Connect to MongoDB
     await database.connect();
@@ -17,14 +20,13 @@ async function main() {
     // 2. Demonstrate CRUD Operations
     await demonstrateAllOperations();
 
-    console.log('='.repeat(50));
-    console.log('✅ All operations completed successfully!');
+    log.info('All operations completed successfully');
 
     // Optional: Keep server running or exit
     // process.exit(0);
 
   } catch (error) {
-    console.error('❌ Application error:', error.message);
+    log.error('Application error', { err: error });
     process.exit(1);
   }
 }
@@ -33,21 +35,20 @@ async function main() {
  * Demonstrates all required CRUD operations
  */
 async function demonstrateAllOperations() {
-  console.log('\n📚 DEMONSTRATING ALL CRUD OPERATIONS');
-  console.log('-'.repeat(40));
+  log.info('Demonstrating all CRUD operations');
 
   // Operation 1: Create and Save a Single Person
-  console.log('\n1. 📝 CREATE AND SAVE A SINGLE PERSON');
+  log.info('1. Create and save a single person');
   const person1 = await personService.createAndSavePerson({
     name: 'John Doe',
     age: 30,
     favoriteFoods: ['pizza', 'pasta'],
     email: 'john@example.com'
   });
-  console.log(`   Created: ${person1.name} (ID: ${person1._id})`);
+  log.info('Created person', { name: person1.name, personId: person1._id });
 
   // Operation 2: Create Multiple People
-  console.log('\n2. 📝 CREATE MULTIPLE PEOPLE');
+  log.info('2. Create multiple people');
   const people = await personService.createManyPeople([
     {
       name: 'Jane Smith',
@@ -79,43 +80,43 @@ async function demonstrateAllOperations() {
       favoriteFoods: ['salad', 'yogurt']
     }
   ]);
-  console.log(`   Created ${people.length} people`);
+  log.info('Created people', { count: people.length });
 
   // Operation 3: Find People by Name
-  console.log('\n3. 🔍 FIND PEOPLE BY NAME');
+  log.info('3. Find people by name');
   const johns = await personService.findPeopleByName('John Doe');
-  console.log(`   Found ${johns.length} person(s) named "John Doe"`);
+  log.info('Found people by name', { name: 'John Doe', count: johns.length });
 
   // Operation 4: Find One by Favorite Food
-  console.log('\n4. 🔍 FIND ONE BY FAVORITE FOOD');
+  log.info('4. Find one by favorite food');
   const pizzaLover = await personService.findOneByFood('pizza');
   if (pizzaLover) {
-    console.log(`   Pizza lover found: ${pizzaLover.name}`);
+    log.info('Pizza lover found', { name: pizzaLover.name });
   }
 
   // Operation 5: Find Person by ID
-  console.log('\n5. 🔍 FIND PERSON BY ID');
+  log.info('5. Find person by id');
   const foundPerson = await personService.findPersonById(person1._id);
   if (foundPerson) {
-    console.log(`   Found by ID: ${foundPerson.name}`);
+    log.info('Found by id', { name: foundPerson.name });
   }
 
   // Operation 6 & 7: Add Hamburger to Favorites (Classic Update)
-  console.log('\n6. ✏️ CLASSIC UPDATE: ADD HAMBURGER TO FAVORITES');
+  log.info('6. Add hamburger to favorites');
   const updatedPerson = await personService.addHamburgerToFavorites(person1._id);
   if (updatedPerson) {
-    console.log(`   Updated favorites: ${updatedPerson.favoriteFoods.join(', ')}`);
+    log.info('Updated favorites', { favoriteFoods: updatedPerson.favoriteFoods });
   }
 
   // Operation 8: Find One and Update Age
-  console.log('\n7. ✏️ FIND ONE AND UPDATE AGE');
+  log.info('7. Find one and update age');
   const agedPerson = await personService.findOneAndUpdateAge('Jane Smith', 26);
   if (agedPerson) {
-    console.log(`   Updated ${agedPerson.name}'s age to ${agedPerson.age}`);
+    log.info('Updated age', { name: agedPerson.name, age: agedPerson.age });
   }
 
   // Operation 9: Delete One by ID
-  console.log('\n8. 🗑️ DELETE ONE BY ID');
+  log.info('8. Delete one by id');
   // First create a person to delete
   const tempPerson = await personService.createAndSavePerson({
     name: 'Temp Person',
@@ -124,45 +125,59 @@ async function demonstrateAllOperations() {
   });
   const deleted = await personService.deletePersonById(tempPerson._id);
   if (deleted) {
-    console.log(`   Deleted: ${deleted.name}`);
+    log.info('Deleted person', { name: deleted.name });
   }
 
+  // Bonus: Ranked search (prefix and typo tolerant)
+  log.info('Search people');
+  const { items: matches } = await personService.searchPeople('mar jonh');
+  matches.forEach(({ person, score }) => {
+    log.info('Search match', { name: person.name, score });
+  });
+
   // Operation 10: Delete Many by Name
-  console.log('\n9. 🗑️ DELETE MANY BY NAME');
-  const deleteResult = await personService.deleteManyByName('Mary');
-  console.log(`   Deleted ${deleteResult.deletedCount} person(s) named "Mary"`);
+  log.info('9. Delete many by name');
+  // Preview first: names starting with "Mary", not only the exact name
+  const preview = await personService.deleteManyByName('Mary', { match: 'prefix', dryRun: true });
+  log.info('Would delete people by name', { name: 'Mary', count: preview.matchedCount });
+  const deleteResult = await personService.deleteManyByName('Mary', { match: 'prefix', maxAffected: 5 });
+  log.info('Deleted people by name', { name: 'Mary', count: deleteResult.deletedCount });
 
   // Operation 11: Chain Search Query Helpers
-  console.log('\n10. 🔗 CHAINED QUERY: FIND BURRITO LOVERS');
+  log.info('10. Chained query: find burrito lovers');
   const burritoLovers = await personService.findBurritoLovers();
-  console.log(`   Found ${burritoLovers.length} burrito lover(s)`);
+  log.info('Found burrito lovers', { count: burritoLovers.length });
   burritoLovers.forEach((person, index) => {
-    console.log(`   ${index + 1}. ${person.name} likes: ${person.favoriteFoods.join(', ')}`);
+    log.info(`Burrito lover ${index + 1}`, { name: person.name, favoriteFoods: person.favoriteFoods });
   });
 
   // Bonus: Get Statistics
-  console.log('\n📊 DATABASE STATISTICS');
   const stats = await personService.getStats();
-  console.log(`   Total People: ${stats.totalPeople}`);
-  console.log(`   Active People: ${stats.activePeople}`);
-  console.log(`   Average Age: ${stats.averageAge.toFixed(1)}`);
+  log.info('Database statistics', {
+    totalPeople: stats.totalPeople,
+    activePeople: stats.activePeople,
+    averageAge: Number(stats.averageAge.toFixed(1))
+  });
 
   // Final: Show all remaining people
-  console.log('\n👥 ALL REMAINING PEOPLE');
   const allPeople = await personService.getAllPeople();
   allPeople.forEach((person, index) => {
-    console.log(`   ${index + 1}. ${person.name}, Age: ${person.age || 'N/A'}, Foods: ${person.favoriteFoods.join(', ') || 'None'}`);
+    log.info(`Remaining person ${index + 1}`, {
+      name: person.name,
+      age: person.age,
+      favoriteFoods: person.favoriteFoods
+    });
   });
 }
 
 // Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  log.error('Unhandled rejection', { err: reason });
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
+  log.error('Uncaught exception', { err: error });
   process.exit(1);
 });
 
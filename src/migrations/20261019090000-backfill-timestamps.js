@@ -0,0 +1,44 @@
+// src/migrations/20261019090000-backfill-timestamps.js
+
+/**
+ * Backfill createdAt / updatedAt
+ * The Person schema used to declare createdAt and updatedAt by hand
+ * (with `default: Date.now`) on top of `timestamps: true`. The defaults
+ * were applied whenever a document without the fields was loaded, so
+ * people inserted outside Mongoose showed a fresh "now" on every read and
+ * were missing from createdAt range filters and the default sort.
+ *
+ * With the manual fields gone, this stores real values instead: createdAt
+ * from the ObjectId's creation time, updatedAt from createdAt. Writes go
+ * through the native collection so they bypass the audit trail and do not
+ * bump __v.
+ */
+
+// Filter for documents where `field` is absent or null
+const missing = field => ({ $or: [{ [field]: { $exists: false } }, { [field]: null }] });
+
+module.exports = {
+  description: 'Backfill createdAt/updatedAt on people written without them',
+
+  async up({ models, log }) {
+    const people = models.Person.collection;
+    const created = await people.updateMany(missing('createdAt'), [
+      { $set: { createdAt: { $toDate: '$_id' } } }
+    ]);
+    const updated = await people.updateMany(missing('updatedAt'), [
+      { $set: { updatedAt: '$createdAt' } }
+    ]);
+    log.info('Timestamps backfilled', {
+      createdAt: created.modifiedCount,
+      updatedAt: updated.modifiedCount
+    });
+  },
+
+  /**
+   * Nothing to undo: backfilled values cannot be told apart from real
+   * ones, and both schema versions read them the same way
+   */
+  async down({ log }) {
+    log.info('Backfilled timestamps are left in place');
+  }
+};
@@ -0,0 +1,86 @@
+// src/migrations/20261019100000-food-catalog.js
+
+/**
+ * Food catalog
+ * Creates the `foods` catalog with the foods people already name, then
+ * rewrites every person's favoriteFoods to catalog names, so "burgers",
+ * "hamburger" and "Burger" become one "burger".
+ *
+ * The catalog below is a snapshot: later catalog changes belong in their
+ * own migrations (or go through the food service), not here.
+ */
+
+// [name, category, aliases]; regular plurals ("tacos") resolve on their own
+const CATALOG = [
+  ['burger', 'fast food', ['hamburger', 'hamburgers', 'cheeseburger', 'cheeseburgers']],
+  ['fries', 'fast food', ['french fries']],
+  ['sandwich', 'fast food', []],
+  ['pizza', 'italian', []],
+  ['pasta', 'italian', []],
+  ['risotto', 'italian', []],
+  ['sushi', 'asian', []],
+  ['ramen', 'asian', []],
+  ['dumpling', 'asian', []],
+  ['curry', 'asian', []],
+  ['burrito', 'mexican', []],
+  ['taco', 'mexican', []],
+  ['nachos', 'mexican', ['nacho']],
+  ['guacamole', 'mexican', ['guac']],
+  ['chili', 'mexican', ['chilli', 'chili con carne']],
+  ['steak', 'meat', []],
+  ['chicken', 'meat', []],
+  ['bbq', 'meat', ['barbecue', 'barbeque']],
+  ['seafood', 'seafood', []],
+  ['salad', 'vegetables', []],
+  ['vegetables', 'vegetables', ['vegetable', 'veggies']],
+  ['potato', 'vegetables', []],
+  ['corn', 'vegetables', []],
+  ['beans', 'vegetables', ['bean']],
+  ['fruit', 'fruit', []],
+  ['soup', 'soup', []],
+  ['bread', 'staples', []],
+  ['rice', 'staples', []],
+  ['cheese', 'dairy', []],
+  ['yogurt', 'dairy', ['yoghurt']],
+  ['ice cream', 'dessert', ['icecream']],
+  ['chocolate', 'dessert', []],
+  ['pancake', 'breakfast', []],
+  ['hummus', 'middle eastern', ['houmous']],
+  ['falafel', 'middle eastern', []],
+  ['paella', 'spanish', []],
+  ['wine', 'drinks', []]
+];
+
+module.exports = {
+  description: 'Create the food catalog and normalize favoriteFoods against it',
+
+  async up({ models, log }) {
+    const { Food, Person } = models;
+    // Unique name and alias indexes must exist before the catalog is filled
+    await Food.createIndexes();
+
+    // Upserts keep this re-runnable and leave existing entries' categories alone
+    const catalog = await Food.bulkWrite(CATALOG.map(([name, category, aliases]) => ({
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name, category }, $addToSet: { aliases: { $each: aliases } } },
+        upsert: true
+      }
+    })), { ordered: false });
+    Food.clearLookupCache();
+
+    const rewritten = await Person.normalizeStoredFoods();
+    if (rewritten > 0) await Person.rebuildSearchTokens();
+
+    log.info('Food catalog created', { foods: catalog.upsertedCount, peopleNormalized: rewritten });
+  },
+
+  /**
+   * Removes the catalog entries added here; people keep the canonical
+   * names (their original spellings are not recorded)
+   */
+  async down({ models, log }) {
+    const { deletedCount } = await models.Food.deleteMany({ name: { $in: CATALOG.map(([name]) => name) } });
+    log.info('Food catalog entries removed', { foods: deletedCount });
+  }
+};
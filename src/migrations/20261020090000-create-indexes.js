@@ -0,0 +1,33 @@
+// src/migrations/20261020090000-create-indexes.js
+
+/**
+ * Create indexes
+ * Tenant databases do not build indexes when their models compile
+ * (database/registry.js), so a new tenant gets them here:
+ *
+ *   people migrate:up --tenant acme
+ *
+ * On the default database autoIndex has built them already and this
+ * finds nothing to do. API keys only live in the default database.
+ */
+
+const INDEXED_MODELS = ['Person', 'PersonHistory', 'Food', 'Erasure'];
+
+module.exports = {
+  description: 'Create the indexes of every model (needed by tenant databases)',
+
+  async up({ models, log }) {
+    for (const name of INDEXED_MODELS) {
+      await models[name].createIndexes();
+    }
+    log.info('Indexes created', { models: INDEXED_MODELS });
+  },
+
+  /**
+   * Indexes are left in place: the unique ones guard data, and the
+   * queries rely on the rest
+   */
+  async down({ log }) {
+    log.info('Indexes are left in place');
+  }
+};
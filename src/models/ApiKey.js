@@ -0,0 +1,195 @@
+// src/models/ApiKey.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../utils/policy');
+
+/**
+ * API keys look like `pk_<keyId>_<secret>`: the key ID finds the stored
+ * key, the secret proves the caller holds it. Only a hash of the secret
+ * is stored, so the key is shown once, when it is created.
+ */
+const TOKEN_PREFIX = 'pk';
+const TOKEN_PATTERN = /^pk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Hash a secret is stored under
+ * The secret is 32 random bytes, so one round of SHA-256 is enough: there
+ * is nothing to guess a password-style hash would slow down.
+ * @param {String} secret
+ * @returns {String} Hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * A new key: its ID, secret and the token the client sends
+ * @returns {Object} { keyId, secret, token }
+ */
+function generateApiKey() {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { keyId, secret, token: `${TOKEN_PREFIX}_${keyId}_${secret}` };
+}
+
+/**
+ * Splits a token into key ID and secret
+ * @param {String} token
+ * @returns {Object|null} { keyId, secret }, null when it is not an API key
+ */
+function parseApiKey(token) {
+  const match = typeof token === 'string' ? TOKEN_PATTERN.exec(token) : null;
+  return match ? { keyId: match[1], secret: match[2] } : null;
+}
+
+/**
+ * ApiKey Schema Definition
+ * Credentials of programs calling the REST API
+ */
+const apiKeySchema = new mongoose.Schema({
+  /**
+   * Public part of the key, in every token
+   * @type {String}
+   */
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * SHA-256 of the secret part (never returned by default)
+   * @type {String}
+   */
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  /**
+   * What the key is for, e.g. the calling team or program
+   * @type {String}
+   */
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  /**
+   * Permissions the key grants (utils/policy)
+   * @type {Array<String>}
+   */
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: scopes => scopes.length > 0,
+        message: 'At least one scope is required'
+      },
+      {
+        validator: scopes => scopes.every(scope => Object.values(PERMISSIONS).includes(scope)),
+        message: props => `Unknown scope in ${props.value.join(', ')}; use: ${Object.values(PERMISSIONS).join(', ')}`
+      }
+    ]
+  },
+
+  /**
+   * Tenant the key is limited to (null: the default database and every
+   * tenant)
+   * @type {String}
+   */
+  tenantId: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Who created the key
+   * @type {String}
+   */
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+
+  /**
+   * When the key stops working on its own (null: never)
+   * @type {Date}
+   */
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * When the key was revoked (null: in use)
+   * @type {Date}
+   */
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Who revoked the key
+   * @type {String}
+   */
+  revokedBy: {
+    type: String,
+    default: null
+  },
+
+  /**
+   * Last time a request authenticated with the key (to the minute)
+   * @type {Date}
+   */
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys'
+});
+
+/**
+ * Instance method: Whether the key may still be used
+ * @param {Date} [now]
+ * @returns {Boolean}
+ */
+apiKeySchema.methods.isUsable = function(now = new Date()) {
+  return this.revokedAt === null && (this.expiresAt === null || this.expiresAt > now);
+};
+
+/**
+ * Static method: Key a token belongs to, if its secret matches
+ * @param {String} token - `pk_<keyId>_<secret>`
+ * @returns {Promise<ApiKey|null>} The key (revoked or expired ones too)
+ */
+apiKeySchema.statics.findByToken = async function(token) {
+  const parsed = parseApiKey(token);
+  if (!parsed) return null;
+  const apiKey = await this.findOne({ keyId: parsed.keyId }).select('+secretHash');
+  if (!apiKey) return null;
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(parsed.secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+// The hash stays in the database
+apiKeySchema.set('toJSON', {
+  transform(doc, ret) {
+    delete ret.secretHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.hashSecret = hashSecret;
+module.exports.generateApiKey = generateApiKey;
+module.exports.parseApiKey = parseApiKey;
@@ -0,0 +1,143 @@
+// src/models/Erasure.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { normalizeEmail } = require('../utils/validation');
+const { EncryptionError } = require('../utils/errors');
+
+/**
+ * Erasure statuses: a pending erasure was interrupted and is finished by
+ * running erasePerson() again
+ */
+const ERASURE_STATUSES = ['pending', 'completed'];
+
+// Key of email hashes outside production when no secret is set
+const DEVELOPMENT_HASH_SECRET = 'person-erasure';
+
+/**
+ * Key of the email hashes: ERASURE_HASH_SECRET. Production refuses to run
+ * without it, as a key everyone can read lets anyone with a list of
+ * addresses tell which of them were erased.
+ * @param {Object} [env=process.env]
+ * @returns {String}
+ * @throws {EncryptionError} ERASURE_SECRET_MISSING in production without
+ *   ERASURE_HASH_SECRET
+ */
+function hashSecret(env = process.env) {
+  if (env.ERASURE_HASH_SECRET) return env.ERASURE_HASH_SECRET;
+  if (env.NODE_ENV === 'production') {
+    throw new EncryptionError('ERASURE_HASH_SECRET must be set to erase people or check for erased ones', {
+      code: 'ERASURE_SECRET_MISSING'
+    });
+  }
+  return DEVELOPMENT_HASH_SECRET;
+}
+
+/**
+ * Keyed hash of an email address, so tombstones can recognize an erased
+ * person's email without storing it. Keyed with hashSecret() (unkeyed
+ * hashes of emails can be matched against a list of addresses); changing
+ * the secret makes earlier tombstones unrecognizable.
+ * @param {String} email - Address, normalized like Person.email
+ * @returns {String|null} Hex digest, null without an email
+ * @throws {EncryptionError} ERASURE_SECRET_MISSING (see hashSecret())
+ */
+function emailHash(email) {
+  if (typeof email !== 'string' || email.trim() === '') return null;
+  return crypto.createHmac('sha256', hashSecret())
+    .update(normalizeEmail(email))
+    .digest('hex');
+}
+
+/**
+ * Erasure Schema Definition
+ * Tombstone of a person erased on request (GDPR right to erasure): proof
+ * the erasure happened, holding no personal data
+ */
+const erasureSchema = new mongoose.Schema({
+  /**
+   * ID the erased person had
+   * @type {ObjectId}
+   */
+  personId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+
+  /**
+   * Keyed hashes of every email the person had (see emailHash())
+   * @type {Array<String>}
+   */
+  emailHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+
+  /**
+   * Whether every record has been removed yet
+   * @type {String}
+   */
+  status: {
+    type: String,
+    enum: ERASURE_STATUSES,
+    default: 'pending'
+  },
+
+  /**
+   * Who requested the erasure
+   * @type {String}
+   */
+  requestedBy: {
+    type: String,
+    default: 'system'
+  },
+
+  /**
+   * Why, e.g. a ticket reference (must not contain personal data)
+   * @type {String}
+   */
+  reason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  /**
+   * When the erasure completed
+   * @type {Date}
+   */
+  erasedAt: {
+    type: Date,
+    default: null
+  },
+
+  /**
+   * Records removed, by collection
+   * @type {Object}
+   */
+  removed: {
+    people: { type: Number, default: 0 },
+    history: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'erasures'
+});
+
+/**
+ * Static method: Tombstone of an email address, if it was erased
+ * @param {String} email
+ * @returns {Promise<Erasure|null>}
+ */
+erasureSchema.statics.findByEmail = function(email) {
+  const hash = emailHash(email);
+  return hash ? this.findOne({ emailHashes: hash }) : Promise.resolve(null);
+};
+
+const Erasure = mongoose.model('Erasure', erasureSchema);
+
+module.exports = Erasure;
+module.exports.emailHash = emailHash;
+module.exports.hashSecret = hashSecret;
+module.exports.ERASURE_STATUSES = ERASURE_STATUSES;
@@ -0,0 +1,191 @@
+// src/models/Food.js
+const mongoose = require('mongoose');
+const { foldText } = require('../utils/search');
+
+/**
+ * How long a connection's catalog lookup table is reused before it is
+ * read again. Writes through this process clear it at once; other
+ * processes see catalog changes after at most this long.
+ */
+const CATALOG_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Category of foods that are not in the catalog
+ */
+const UNCATEGORIZED = 'uncategorized';
+
+// Lookup tables per connection: { expiresAt, promise: Map<key, canonical name> }
+const catalogCache = new WeakMap();
+
+/**
+ * Lookup key of a food name: trimmed, single spaced, lowercase, no
+ * diacritics ("  Jalapeño  Poppers" -> "jalapeno poppers")
+ * @param {String} name
+ * @returns {String}
+ */
+function foodKey(name) {
+  return foldText(String(name)).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Stored form of a food that is not in the catalog: trimmed, single
+ * spaced, lowercase (diacritics kept)
+ * @param {String} name
+ * @returns {String}
+ */
+function cleanFoodName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Keys to try for a food, most specific first: as written, then naive
+ * singulars ("berries" -> "berry", "potatoes" -> "potato", "tacos" -> "taco")
+ */
+function candidateKeys(key) {
+  const candidates = [key];
+  if (key.endsWith('ies')) candidates.push(`${key.slice(0, -3)}y`);
+  if (key.endsWith('es')) candidates.push(key.slice(0, -2));
+  if (key.endsWith('s')) candidates.push(key.slice(0, -1));
+  return candidates;
+}
+
+/**
+ * Food Schema Definition
+ * The catalog people's favorite foods are normalized against: one
+ * document per canonical food, with the other spellings as aliases
+ */
+const foodSchema = new mongoose.Schema({
+  /**
+   * Canonical name, as stored in Person.favoriteFoods
+   * @type {String}
+   */
+  name: {
+    type: String,
+    required: [true, 'Food name is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    minlength: [2, 'Food name must be at least 2 characters'],
+    maxlength: [50, 'Food name cannot exceed 50 characters']
+  },
+
+  /**
+   * Other names that mean this food ("hamburger", "cheeseburger")
+   * @type {Array<String>}
+   */
+  aliases: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    default: []
+  },
+
+  /**
+   * Category, e.g. "fast food", "dessert"
+   * @type {String}
+   */
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: UNCATEGORIZED,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * An alias belongs to one food only (foods without aliases are left out
+ * of the index, so they do not collide on the missing value)
+ */
+foodSchema.index(
+  { aliases: 1 },
+  { unique: true, partialFilterExpression: { aliases: { $type: 'string' } } }
+);
+
+/**
+ * Middleware: Drop aliases that repeat the name or each other
+ */
+foodSchema.pre('validate', function(next) {
+  const seen = new Set([foodKey(this.name || '')]);
+  this.aliases = this.aliases.filter(alias => {
+    const key = foodKey(alias);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  next();
+});
+
+/**
+ * Middleware: Forget the cached catalog after any write through this process
+ */
+function clearCatalogCache() {
+  // `this` is a document, a query, or the model itself (insertMany)
+  const model = this instanceof mongoose.Query ? this.model
+    : this instanceof mongoose.Document ? this.constructor
+      : this;
+  catalogCache.delete(model.db);
+}
+foodSchema.post('save', clearCatalogCache);
+foodSchema.post('insertMany', clearCatalogCache);
+foodSchema.post(['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'], clearCatalogCache);
+
+/**
+ * Static method: Forget the cached lookup table of this model's connection
+ * Needed after writes that bypass middleware (bulkWrite, native driver)
+ */
+foodSchema.statics.clearLookupCache = function() {
+  catalogCache.delete(this.db);
+};
+
+/**
+ * Static method: Lookup table from food keys (names and aliases) to
+ * canonical names, cached per connection
+ * @returns {Promise<Map<String, String>>}
+ */
+foodSchema.statics.lookupTable = function() {
+  const cached = catalogCache.get(this.db);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = this.find().select('name aliases').lean().then(foods => {
+    const table = new Map();
+    foods.forEach(food => {
+      food.aliases.forEach(alias => table.set(foodKey(alias), food.name));
+    });
+    // Canonical names win over an alias spelled the same way
+    foods.forEach(food => table.set(foodKey(food.name), food.name));
+    return table;
+  });
+  // A failed read must not stay cached
+  promise.catch(() => catalogCache.delete(this.db));
+  catalogCache.set(this.db, { expiresAt: Date.now() + CATALOG_CACHE_TTL_MS, promise });
+  return promise;
+};
+
+/**
+ * Static method: Canonical names of foods
+ * Catalog names and aliases map to the catalog name (also from a naive
+ * plural: "burgers" finds "burger"); other foods are kept, trimmed and
+ * lowercased. Duplicates are dropped, first occurrence wins.
+ * @param {Array<String>} names - Foods as entered
+ * @returns {Promise<Array<String>>}
+ */
+foodSchema.statics.canonicalize = async function(names) {
+  const table = await this.lookupTable();
+  const result = [];
+  names.forEach(name => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    const key = candidateKeys(foodKey(name)).find(candidate => table.has(candidate));
+    const canonical = key ? table.get(key) : cleanFoodName(name);
+    if (!result.includes(canonical)) result.push(canonical);
+  });
+  return result;
+};
+
+const Food = mongoose.model('Food', foodSchema);
+
+module.exports = Food;
+module.exports.foodKey = foodKey;
+module.exports.UNCATEGORIZED = UNCATEGORIZED;
@@ -1,5 +1,77 @@
 // src/models/Person.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const searchable = require('./plugins/searchable');
+const normalizeFoods = require('./plugins/normalizeFoods');
+const piiFields = require('./plugins/piiFields');
+const fieldRules = require('./plugins/fieldRules');
+const logger = require('../utils/logger');
+const { keyringConfigured } = require('../utils/keyring');
+const { maskName } = require('../utils/pii');
+const { ValidationError } = require('../utils/errors');
+const { PERMISSIONS } = require('../utils/policy');
+const { normalizeName, checkName, normalizeEmail, checkEmail } = require('../utils/validation');
+require('./PersonHistory'); // Registers the model the audit trail writes to
+require('./Food'); // Registers the catalog favorite foods are normalized against
+
+const log = logger.child({ module: 'Person' });
+
+/**
+ * Permissions needed to see or change a field, for code running for an
+ * actor: viewers do not see email addresses, only admins toggle isActive
+ */
+const FIELD_RULES = Object.freeze({
+  email: { read: PERMISSIONS.READ_EMAIL },
+  isActive: { write: PERMISSIONS.TOGGLE_ACTIVE }
+});
+
+/**
+ * Maximum number of favorite foods a person can have
+ */
+const MAX_FAVORITE_FOODS = 20;
+
+/**
+ * Masks the name in fullNameWithAge, keeping the age ("J*** D*** (30)")
+ */
+function maskFullNameWithAge(value) {
+  const at = typeof value === 'string' ? value.lastIndexOf(' (') : -1;
+  return at === -1 ? maskName(value) : `${maskName(value.slice(0, at))}${value.slice(at)}`;
+}
+
+/**
+ * Personal data: masked in JSON output, exports and logs without PII
+ * access; email is encrypted (deterministic, so it stays unique and can
+ * be looked up) when a keyring is configured
+ */
+const PII_FIELDS = Object.freeze({
+  name: { mask: 'name' },
+  email: { encrypt: 'deterministic', mask: 'email' },
+  fullNameWithAge: { mask: maskFullNameWithAge }
+});
+
+/**
+ * Relative weight of each searchable field (text index and searchPeople)
+ * Encrypted fields are left out: their tokens would store the plaintext
+ * next to the ciphertext
+ */
+const SEARCH_WEIGHTS = Object.freeze(Object.fromEntries(
+  Object.entries({ name: 10, email: 5, favoriteFoods: 2 })
+    .filter(([field]) => !(keyringConfigured() && PII_FIELDS[field] && PII_FIELDS[field].encrypt))
+));
+
+/**
+ * Wraps a utils/validation check as a schema validator that fails with
+ * the check's own message
+ */
+function ruleValidator(check) {
+  return {
+    validator(value) {
+      const problem = check(value);
+      if (problem) throw new Error(problem);
+      return true;
+    }
+  };
+}
 
 /**
  * Person Schema Definition
@@ -8,21 +80,15 @@ const mongoose = require('mongoose');
 const personSchema = new mongoose.Schema({
   /**
    * Person's full name - Required field
+   * Stored NFC normalized and single spaced; letters of any script, with
+   * hyphens and apostrophes between them (rules in utils/validation)
    * @type {String}
    */
   name: {
     type: String,
     required: [true, 'Name is required'], // Custom error message
-    trim: true, // Remove whitespace from both ends
-    minlength: [2, 'Name must be at least 2 characters long'],
-    maxlength: [100, 'Name cannot exceed 100 characters'],
-    // Custom validator to ensure name is not just whitespace
-    validate: {
-      validator: function(v) {
-        return /^[a-zA-Z\s]{2,100}$/.test(v);
-      },
-      message: props => `${props.value} is not a valid name!`
-    }
+    set: normalizeName, // Also applied to query values
+    validate: ruleValidator(checkName)
   },
 
   /**
@@ -51,7 +117,7 @@ const personSchema = new mongoose.Schema({
     // Custom validator for array length
     validate: {
       validator: function(array) {
-        return array.length <= 20; // Limit to 20 favorite foods
+        return array.length <= MAX_FAVORITE_FOODS; // Limit to 20 favorite foods
       },
       message: 'Cannot have more than 20 favorite foods'
     }
@@ -65,48 +131,68 @@ const personSchema = new mongoose.Schema({
     type: String,
     unique: true, // Ensures no duplicate emails
     sparse: true, // Allows null values while maintaining uniqueness for non-null values
-    lowercase: true, // Store emails in lowercase
-    trim: true,
-    // Email format validation
-    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 
-            'Please enter a valid email address']
+    // Trimmed, lowercase, domain in one form (unicode or punycode) so the
+    // same address is never stored twice; also applied to query values
+    set: normalizeEmail,
+    // RFC 5322 address, internationalized ones included (utils/validation)
+    validate: ruleValidator(checkEmail)
   },
 
   /**
-   * Date when the person record was created
-   * @type {Date}
+   * Indicates if the person is active
+   * @type {Boolean}
    */
-  createdAt: {
-    type: Date,
-    default: Date.now, // Automatically set to current date
-    immutable: true // Cannot be modified after creation
+  isActive: {
+    type: Boolean,
+    default: true
   },
 
   /**
-   * Date when the person record was last updated
+   * When the person was soft deleted (null while the record is live)
    * @type {Date}
    */
-  updatedAt: {
+  deletedAt: {
     type: Date,
-    default: Date.now // Automatically set to current date
+    default: null,
+    index: true
   },
 
   /**
-   * Indicates if the person is active
-   * @type {Boolean}
+   * Who soft deleted the person
+   * @type {String}
    */
-  isActive: {
-    type: Boolean,
-    default: true
+  deletedBy: {
+    type: String,
+    default: null
   }
 }, {
   // Schema options
-  timestamps: true, // Automatically manage createdAt and updatedAt
-  versionKey: false, // Disable __v field
+  // Manages createdAt (immutable) and updatedAt; documents missing them
+  // are backfilled by the backfill-timestamps migration
+  timestamps: true,
+  versionKey: '__v', // Document version, bumped on every write
+  optimisticConcurrency: true, // save() fails with VersionError if __v moved on
   toJSON: { virtuals: true }, // Include virtuals in JSON output
   toObject: { virtuals: true } // Include virtuals in Object output
 });
 
+/**
+ * Indexes supporting the default listing sort and name lookups
+ */
+personSchema.index({ createdAt: -1, _id: -1 });
+personSchema.index({ name: 1, _id: 1 });
+
+/**
+ * Text index for whole-word search (stemmed, case and diacritic
+ * insensitive), weighted so name matches rank above email and food matches.
+ * Switching email encryption on or off changes its fields: the index is
+ * rebuilt by PersonService#reencryptPii() (`keys:reencrypt`)
+ */
+personSchema.index(
+  Object.fromEntries(Object.keys(SEARCH_WEIGHTS).map(field => [field, 'text'])),
+  { name: 'person_text', weights: { ...SEARCH_WEIGHTS } }
+);
+
 /**
  * Virtual property: Full name with age
  * Not stored in the database, calculated on the fly
@@ -117,29 +203,63 @@ personSchema.virtual('fullNameWithAge').get(function() {
 
 /**
  * Instance method: Add a favorite food
+ * Uses an atomic $addToSet, so it never conflicts with concurrent writers
  * @param {String} food - Food to add to favorites
- * @returns {Promise<Person>} Updated person document
+ * @returns {Promise<Person|null>} Updated person document
  */
 personSchema.methods.addFavoriteFood = function(food) {
-  if (!this.favoriteFoods.includes(food)) {
-    this.favoriteFoods.push(food);
-    return this.save();
-  }
-  return Promise.resolve(this);
+  return this.constructor.addFavoriteFoodsById(this._id, [food], { actor: this.$locals.actor });
 };
 
 /**
  * Instance method: Remove a favorite food
+ * Uses an atomic $pull, so it never conflicts with concurrent writers
  * @param {String} food - Food to remove from favorites
- * @returns {Promise<Person>} Updated person document
+ * @returns {Promise<Person|null>} Updated person document
  */
 personSchema.methods.removeFavoriteFood = function(food) {
-  const index = this.favoriteFoods.indexOf(food);
-  if (index > -1) {
-    this.favoriteFoods.splice(index, 1);
-    return this.save();
+  return this.constructor.removeFavoriteFoodsById(this._id, [food], { actor: this.$locals.actor });
+};
+
+/**
+ * Static method: Atomically add favorite foods
+ * The update only applies while the list, with the new foods merged in,
+ * stays within the 20-food limit, so the limit holds without a
+ * read-modify-write cycle. Foods already in the list take no room.
+ * @param {ObjectId|String} personId - Person's ID
+ * @param {Array<String>} foods - Foods to add
+ * @param {Object} [options] - Extra query options (e.g. actor)
+ * @returns {Promise<Person|null>} Updated person, or null when the person
+ *   does not exist or the foods do not fit
+ * @throws {ValidationError} When more foods are given than a list can hold
+ */
+personSchema.statics.addFavoriteFoodsById = async function(personId, foods, options = {}) {
+  // Counted under their catalog names, as the update stores them
+  const canonical = await this.db.model('Food').canonicalize(foods);
+  if (canonical.length > MAX_FAVORITE_FOODS) {
+    throw new ValidationError(`Cannot have more than ${MAX_FAVORITE_FOODS} favorite foods`);
   }
-  return Promise.resolve(this);
+  const merged = { $setUnion: [{ $ifNull: ['$favoriteFoods', []] }, canonical] };
+  return this.findOneAndUpdate(
+    { _id: personId, $expr: { $lte: [{ $size: merged }, MAX_FAVORITE_FOODS] } },
+    { $addToSet: { favoriteFoods: { $each: canonical } } },
+    { new: true, runValidators: true, ...options }
+  );
+};
+
+/**
+ * Static method: Atomically remove favorite foods
+ * @param {ObjectId|String} personId - Person's ID
+ * @param {Array<String>} foods - Foods to remove
+ * @param {Object} [options] - Extra query options (e.g. actor)
+ * @returns {Promise<Person|null>} Updated person, or null when not found
+ */
+personSchema.statics.removeFavoriteFoodsById = function(personId, foods, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: personId },
+    { $pullAll: { favoriteFoods: foods } },
+    { new: true, ...options }
+  );
 };
 
 /**
@@ -157,20 +277,115 @@ personSchema.statics.findActive = function() {
  * @returns {Promise<Array<Person>>} Array of people within age range
  */
 personSchema.statics.findByAgeRange = function(minAge, maxAge) {
-  return this.find({ 
-    age: { 
-      $gte: minAge, 
-      $lte: maxAge 
-    } 
-  });
+  return this.find().byAgeRange(minAge, maxAge);
 };
 
 /**
- * Middleware: Runs before saving a document
- * Updates the updatedAt timestamp
+ * Query helper: Restrict to an inclusive age range
+ * Either bound may be omitted for an open-ended range
+ * @example Person.find({ isActive: true }).byAgeRange(20, 30)
+ * @param {Number} [minAge] - Minimum age (inclusive)
+ * @param {Number} [maxAge] - Maximum age (inclusive)
+ * @returns {mongoose.Query}
  */
-personSchema.pre('save', function(next) {
-  this.updatedAt = Date.now();
+personSchema.query.byAgeRange = function(minAge, maxAge) {
+  const age = {};
+  if (minAge !== undefined && minAge !== null) age.$gte = minAge;
+  if (maxAge !== undefined && maxAge !== null) age.$lte = maxAge;
+  return Object.keys(age).length > 0 ? this.where({ age }) : this;
+};
+
+/**
+ * Virtual property: Whether the person has been soft deleted
+ */
+personSchema.virtual('isDeleted').get(function() {
+  return this.deletedAt != null;
+});
+
+/**
+ * Query helper: Include soft-deleted people in the results
+ * @example Person.find({ name: 'Mary' }).withDeleted()
+ * @returns {mongoose.Query}
+ */
+personSchema.query.withDeleted = function() {
+  return this.setOptions({ withDeleted: true });
+};
+
+/**
+ * Query helper: Return only soft-deleted people
+ * @example Person.find().onlyDeleted()
+ * @returns {mongoose.Query}
+ */
+personSchema.query.onlyDeleted = function() {
+  return this.setOptions({ onlyDeleted: true });
+};
+
+/**
+ * Query operations that hide soft-deleted people by default
+ * Deletes are deliberately absent so purges can reach deleted records
+ */
+const SOFT_DELETE_FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Middleware: Hide soft-deleted people from queries
+ * Skipped when the query opts in with withDeleted()/onlyDeleted() or
+ * already filters on deletedAt itself
+ */
+personSchema.pre(SOFT_DELETE_FILTERED_QUERIES, function(next) {
+  const { withDeleted, onlyDeleted } = this.getOptions();
+  // Custom options must not reach the driver
+  delete this.options.withDeleted;
+  delete this.options.onlyDeleted;
+
+  if (withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    return next();
+  }
+
+  this.where({ deletedAt: onlyDeleted ? { $ne: null } : null });
+  next();
+});
+
+/**
+ * Middleware: Hide soft-deleted people from aggregations
+ * Opt in with Person.aggregate(pipeline).option({ withDeleted: true })
+ */
+personSchema.pre('aggregate', function(next) {
+  const { withDeleted } = this.options;
+  delete this.options.withDeleted;
+
+  if (withDeleted) {
+    return next();
+  }
+
+  // $geoNear, $search and $text matches must stay the first stage
+  const pipeline = this.pipeline();
+  const first = pipeline[0] || {};
+  const mustStayFirst = first.$geoNear || first.$search || (first.$match && first.$match.$text);
+  pipeline.splice(mustStayFirst ? 1 : 0, 0, { $match: { deletedAt: null } });
+  next();
+});
+
+/**
+ * Middleware: Bump the version on query updates
+ * save() bumps __v itself; without this, atomic updates would leave the
+ * version unchanged and a stale save() could silently overwrite them
+ */
+personSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  const touchesVersion = update && (update.__v !== undefined ||
+    ['$set', '$inc', '$setOnInsert'].some(op => update[op] && update[op].__v !== undefined));
+
+  if (update && !touchesVersion) {
+    update.$inc = { ...update.$inc, __v: 1 };
+  }
   next();
 });
 
@@ -179,19 +394,68 @@ personSchema.pre('save', function(next) {
  * Logs successful save operation
  */
 personSchema.post('save', function(doc) {
-  console.log(`✅ Person saved: ${doc.name} (ID: ${doc._id})`);
+  log.debug('Person saved', { personId: doc._id });
 });
 
 /**
  * Middleware: Runs before removing a document
  * Can be used for cleanup operations
+ * (Mongoose 7 dropped Document#remove(), so this hooks document deleteOne)
  */
-personSchema.pre('remove', function(next) {
-  console.log(`🗑️ Removing person: ${this.name}`);
+personSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  log.debug('Removing person', { personId: this._id });
   next();
 });
 
+/**
+ * Plugin: Encrypt and mask personal data
+ * Registered first so lookups are rewritten, and duplicates refused,
+ * before the other plugins' hooks run
+ */
+personSchema.plugin(piiFields, {
+  fields: PII_FIELDS
+});
+
+/**
+ * Plugin: Fields only some actors may see or change (utils/policy)
+ * Registered after piiFields so masked output is filtered too
+ */
+personSchema.plugin(fieldRules, {
+  rules: FIELD_RULES
+});
+
+/**
+ * Plugin: Store favorite foods under their catalog names
+ * Documents are normalized on validate, which save() runs before its
+ * other hooks, so search tokens and the audit diff see canonical names
+ */
+personSchema.plugin(normalizeFoods, {
+  path: 'favoriteFoods',
+  catalogModel: 'Food'
+});
+
+/**
+ * Plugin: Folded search tokens for prefix and typo-tolerant search
+ */
+personSchema.plugin(searchable, {
+  fields: Object.keys(SEARCH_WEIGHTS)
+});
+
+/**
+ * Plugin: Record every mutation in the PersonHistory collection
+ * Registered after the soft-delete middleware so audited queries see the
+ * same filter the operation itself uses
+ */
+personSchema.plugin(auditTrail, {
+  historyModel: 'PersonHistory',
+  refField: 'personId',
+  ignorePaths: ['searchTokens']
+});
+
 // Create and export the Person model
 const Person = mongoose.model('Person', personSchema);
 
 module.exports = Person;
+module.exports.SEARCH_WEIGHTS = SEARCH_WEIGHTS;
+module.exports.PII_FIELDS = PII_FIELDS;
+module.exports.FIELD_RULES = FIELD_RULES;
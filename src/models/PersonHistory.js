@@ -0,0 +1,101 @@
+// src/models/PersonHistory.js
+const mongoose = require('mongoose');
+
+/**
+ * Operations recorded in the history collection
+ */
+const HISTORY_OPERATIONS = [
+  'create',
+  'update',
+  'delete',
+  'bulkDelete',
+  'restore',
+  'purge',
+  'revert'
+];
+
+/**
+ * PersonHistory Schema Definition
+ * One document per mutation of a Person, written by the auditTrail plugin
+ */
+const personHistorySchema = new mongoose.Schema({
+  /**
+   * The person this entry belongs to
+   * @type {ObjectId}
+   */
+  personId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+
+  /**
+   * What happened
+   * @type {String}
+   */
+  operation: {
+    type: String,
+    required: true,
+    enum: HISTORY_OPERATIONS
+  },
+
+  /**
+   * Who did it ('system' when no actor was supplied)
+   * @type {String}
+   */
+  actor: {
+    type: String,
+    default: 'system'
+  },
+
+  /**
+   * When it happened
+   * @type {Date}
+   */
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+
+  /**
+   * Field-level diff
+   * @type {Array<{path: String, before: *, after: *}>}
+   */
+  changes: {
+    type: [{
+      _id: false,
+      path: { type: String, required: true },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    default: []
+  },
+
+  /**
+   * Full state of the person after the operation (null after a purge)
+   * Used by revertPersonTo()
+   * @type {Object}
+   */
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  /**
+   * Operation specific extras (e.g. the entry a revert went back to)
+   * @type {Object}
+   */
+  meta: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  versionKey: false,
+  minimize: false // Keep empty objects/arrays in snapshots
+});
+
+personHistorySchema.index({ personId: 1, timestamp: -1, _id: -1 });
+
+const PersonHistory = mongoose.model('PersonHistory', personHistorySchema);
+
+module.exports = PersonHistory;
+module.exports.HISTORY_OPERATIONS = HISTORY_OPERATIONS;
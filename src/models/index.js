@@ -0,0 +1,38 @@
+// src/models/index.js
+const mongoose = require('mongoose');
+const Person = require('./Person');
+const PersonHistory = require('./PersonHistory');
+const Food = require('./Food');
+const Erasure = require('./Erasure');
+const ApiKey = require('./ApiKey');
+
+/**
+ * Schemas of every model, keyed by model name
+ */
+const SCHEMAS = {
+  Person: Person.schema,
+  PersonHistory: PersonHistory.schema,
+  Food: Food.schema,
+  Erasure: Erasure.schema,
+  ApiKey: ApiKey.schema
+};
+
+/**
+ * Returns every model bound to a connection, compiling them on first use
+ * Models on the default connection are the ones exported by each model file
+ * @example const { Person } = getModels(registry.forTenant('acme'));
+ * @param {mongoose.Connection} [connection=mongoose.connection]
+ * @returns {{ Person: mongoose.Model, PersonHistory: mongoose.Model, Food: mongoose.Model,
+ *   Erasure: mongoose.Model, ApiKey: mongoose.Model }}
+ */
+function getModels(connection = mongoose.connection) {
+  const models = {};
+  Object.entries(SCHEMAS).forEach(([name, schema]) => {
+    models[name] = connection.models[name] || connection.model(name, schema);
+  });
+  return models;
+}
+
+module.exports = {
+  getModels
+};
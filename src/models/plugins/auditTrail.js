@@ -0,0 +1,265 @@
+// src/models/plugins/auditTrail.js
+
+/**
+ * Audit Trail Plugin
+ * Records every create, update, (soft) delete, restore and purge of a
+ * document into a history collection with a field-level diff.
+ *
+ * The actor is taken from:
+ *   - documents: `doc.$locals.actor` (set before calling save())
+ *   - queries:   the `actor` query option, e.g. `.setOptions({ actor })`
+ *   - otherwise: the actor the code runs for (utils/policy runAs())
+ *
+ * A document save can also set `doc.$locals.auditOperation` and
+ * `doc.$locals.auditMeta` to label the entry (used for reverts).
+ *
+ * Queries are looked up again with `withDeleted` so the soft-delete
+ * middleware does not hide the documents being audited. insertMany() and
+ * bulkWrite() bypass middleware and are not recorded.
+ *
+ * Once written, the entries of each operation are also emitted as a
+ * `history` event on the model's `events` emitter (the in-process source
+ * of services/personEvents). Inside a transaction the entries are written
+ * with it and only emitted once it commits.
+ */
+
+const logger = require('../../utils/logger');
+const { currentSession, afterCommit } = require('../../database/transactions');
+const { currentActor } = require('../../utils/policy');
+
+const log = logger.child({ module: 'auditTrail' });
+
+// Paths that never appear in a diff
+const DEFAULT_IGNORED_PATHS = ['_id', 'id', '__v', 'updatedAt'];
+
+// Per-query state between pre and post hooks
+const pendingQueries = new WeakMap();
+
+/**
+ * Normalizes an actor (string, { id } object or nothing) to a string
+ * @param {*} actor - Actor supplied by the caller
+ * @returns {String}
+ */
+function actorToString(actor) {
+  if (!actor) return 'system';
+  if (typeof actor === 'string') return actor;
+  return String(actor.id || actor.name || actor);
+}
+
+/**
+ * Comparable form of a value (ObjectIds, Dates and arrays by content)
+ */
+function comparable(value) {
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Computes a top-level field diff between two plain objects
+ * @param {Object|null} before - State before the operation
+ * @param {Object|null} after - State after the operation
+ * @param {Array<String>} ignoredPaths - Paths to skip
+ * @returns {Array<{path, before, after}>}
+ */
+function diffObjects(before, after, ignoredPaths) {
+  const paths = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  paths.forEach(path => {
+    if (ignoredPaths.includes(path)) return;
+    const oldValue = before ? before[path] : undefined;
+    const newValue = after ? after[path] : undefined;
+    if (comparable(oldValue) !== comparable(newValue)) {
+      changes.push({
+        path,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Picks the operation name for a query-level update
+ */
+function classifyUpdate(before, after, bulk) {
+  const wasDeleted = before && before.deletedAt != null;
+  const isDeleted = after && after.deletedAt != null;
+  if (!wasDeleted && isDeleted) return bulk ? 'bulkDelete' : 'delete';
+  if (wasDeleted && !isDeleted) return 'restore';
+  return 'update';
+}
+
+/**
+ * Reads and strips the custom `actor` option from a query
+ */
+function takeQueryActor(query) {
+  const { actor } = query.getOptions();
+  delete query.options.actor;
+  return actorToString(actor || currentActor());
+}
+
+/**
+ * @param {mongoose.Schema} schema - Schema to audit
+ * @param {Object} options
+ * @param {String} options.historyModel - Name of the history model
+ * @param {String} options.refField - History field referencing the document
+ * @param {Array<String>} [options.ignorePaths] - Extra paths to leave out of diffs
+ */
+function auditTrail(schema, { historyModel, refField, ignorePaths = [] }) {
+  const ignoredPaths = [...DEFAULT_IGNORED_PATHS, ...ignorePaths];
+
+  // Resolve the history model on the same connection as the audited model
+  const getHistoryModel = model => model.db.model(historyModel);
+
+  const toSnapshot = doc => doc.toObject({ virtuals: false, depopulate: true });
+
+  /**
+   * Writes history entries and announces them, never failing the audited
+   * operation
+   */
+  async function writeEntries(model, entries) {
+    if (entries.length === 0) return;
+    try {
+      await getHistoryModel(model).insertMany(entries);
+    } catch (error) {
+      log.error('Failed to write audit history', { err: error, entries: entries.length });
+    }
+    afterCommit(currentSession(), () => {
+      try {
+        model.events.emit('history', entries);
+      } catch (error) {
+        log.error('History listener failed', { err: error });
+      }
+    });
+  }
+
+  function buildEntry({ id, operation, actor, before, after, meta }) {
+    const entry = {
+      [refField]: id,
+      operation,
+      actor,
+      timestamp: new Date(),
+      changes: diffObjects(before, after, ignoredPaths),
+      snapshot: after || null
+    };
+    if (meta !== undefined) entry.meta = meta;
+    return entry;
+  }
+
+  /**
+   * DOCUMENT MIDDLEWARE
+   */
+
+  // Remember the loaded state so save() can diff against it
+  schema.post('init', function() {
+    this.$locals.auditOriginal = toSnapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const before = doc.$locals.auditWasNew ? null : doc.$locals.auditOriginal || null;
+    const after = toSnapshot(doc);
+    const operation = doc.$locals.auditOperation || (before ? 'update' : 'create');
+
+    const entry = buildEntry({
+      id: doc._id,
+      operation,
+      actor: actorToString(doc.$locals.actor || currentActor()),
+      before,
+      after,
+      meta: doc.$locals.auditMeta
+    });
+
+    doc.$locals.auditOriginal = after;
+    delete doc.$locals.auditOperation;
+    delete doc.$locals.auditMeta;
+
+    // Saving an unmodified document is not worth an entry
+    if (operation === 'update' && entry.changes.length === 0) return;
+    await writeEntries(doc.constructor, [entry]);
+  });
+
+  /**
+   * QUERY MIDDLEWARE
+   */
+
+  // Single-document updates and deletes
+  schema.pre(['findOneAndUpdate', 'findOneAndDelete', 'deleteOne'], async function() {
+    const actor = takeQueryActor(this);
+    const before = await this.model.findOne(this.getFilter())
+      .sort(this.getOptions().sort)
+      .setOptions({ withDeleted: true })
+      .lean();
+    pendingQueries.set(this, { actor, befores: before ? [before] : [] });
+  });
+
+  // Multi-document updates and deletes
+  schema.pre(['updateOne', 'updateMany', 'deleteMany'], async function() {
+    const actor = takeQueryActor(this);
+    const query = this.model.find(this.getFilter()).setOptions({ withDeleted: true }).lean();
+    if (this.op === 'updateOne') query.limit(1);
+    pendingQueries.set(this, { actor, befores: await query });
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function(result) {
+    const state = pendingQueries.get(this);
+    pendingQueries.delete(this);
+    if (!state) return;
+
+    let { befores } = state;
+    // Upserted document: nothing existed before
+    const upserted = befores.length === 0 && this.op === 'findOneAndUpdate' && Boolean(result && result._id);
+    if (upserted) {
+      befores = [{ _id: result._id }];
+    }
+    if (befores.length === 0) return;
+
+    const afters = await this.model.find({ _id: { $in: befores.map(doc => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const afterById = new Map(afters.map(doc => [String(doc._id), doc]));
+
+    const entries = befores
+      .map(before => {
+        const after = afterById.get(String(before._id)) || null;
+        const operation = upserted
+          ? 'create'
+          : classifyUpdate(before, after, this.op === 'updateMany');
+        return buildEntry({
+          id: before._id,
+          operation,
+          actor: state.actor,
+          before: upserted ? null : before,
+          after
+        });
+      })
+      .filter(entry => entry.operation !== 'update' || entry.changes.length > 0);
+
+    await writeEntries(this.model, entries);
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], async function() {
+    const state = pendingQueries.get(this);
+    pendingQueries.delete(this);
+    if (!state || state.befores.length === 0) return;
+
+    const entries = state.befores.map(before => buildEntry({
+      id: before._id,
+      operation: 'purge',
+      actor: state.actor,
+      before,
+      after: null
+    }));
+    await writeEntries(this.model, entries);
+  });
+}
+
+module.exports = auditTrail;
+module.exports.diffObjects = diffObjects;
+module.exports.actorToString = actorToString;
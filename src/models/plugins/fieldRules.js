@@ -0,0 +1,149 @@
+// src/models/plugins/fieldRules.js
+
+/**
+ * Field Rules Plugin
+ * Per-field permissions (utils/policy) for code running for an actor:
+ *
+ *   read   without the permission the field is left out of toJSON()
+ *          output and of presentPii() records (history, exports), and
+ *          cannot be sorted, selected, filtered or searched by
+ *          (assertReadable(), readablePaths())
+ *   write  without the permission the field cannot change: saves and
+ *          updates changing it fail with ForbiddenError. New documents
+ *          may only hold the field's default.
+ *
+ * Code running for no actor is not restricted. As with PII masking, read
+ * rules apply to output rendered in the actor's context: render inside
+ * runAs() (the API and CLI do). Register after piiFields so its output
+ * is filtered too.
+ */
+
+const { isPermitted } = require('../../utils/policy');
+const { ForbiddenError } = require('../../utils/errors');
+
+// Queries whose update may change a field
+const UPDATE_QUERIES = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace'
+];
+
+/**
+ * Top-level paths an update document writes, whatever the operator
+ */
+function updatedPaths(update) {
+  if (!update || typeof update !== 'object') return [];
+  const paths = Array.isArray(update)
+    ? update.flatMap(stage => Object.entries(stage).flatMap(([operator, value]) => // pipeline stages
+      operator === '$unset' ? [].concat(value) : Object.keys(value)))
+    : Object.entries(update).flatMap(([key, value]) =>
+      key.startsWith('$') && value && typeof value === 'object' ? Object.keys(value) : [key]);
+  return paths.map(path => path.split('.')[0]);
+}
+
+/**
+ * @param {mongoose.Schema} schema - Schema holding the fields
+ * @param {Object} options
+ * @param {Object} options.rules - { path: { read, write } } where `read`
+ *   and `write` are the permissions needed to see and change the field
+ */
+function fieldRules(schema, { rules }) {
+  const readRules = Object.entries(rules).filter(([, rule]) => rule.read);
+  const writeRules = Object.entries(rules).filter(([, rule]) => rule.write);
+
+  Object.keys(rules).forEach(path => {
+    if (!schema.path(path) && !schema.virtualpath(path)) {
+      throw new Error(`fieldRules: unknown path "${path}"`);
+    }
+  });
+
+  const hidden = path => readRules.some(([field, { read }]) => field === path && !isPermitted(read));
+
+  const forbidden = path => {
+    const { write } = rules[path];
+    return new ForbiddenError(`Not allowed to change ${path}: requires ${write}`, { permission: write });
+  };
+
+  // Filtered after the masking transforms already set (piiFields)
+  const toJSON = schema.get('toJSON') || {};
+  const { transform } = toJSON;
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      const result = typeof transform === 'function' ? transform(doc, ret, options) : ret;
+      readRules.forEach(([path]) => {
+        if (result && hidden(path)) delete result[path];
+      });
+      return result;
+    }
+  });
+
+  /**
+   * DOCUMENT MIDDLEWARE
+   */
+
+  schema.pre('save', function() {
+    writeRules.forEach(([path, { write }]) => {
+      if (isPermitted(write)) return;
+      const changed = this.isNew
+        ? this.get(path) !== schema.path(path).getDefault(this)
+        : this.isModified(path);
+      if (changed) throw forbidden(path);
+    });
+  });
+
+  /**
+   * QUERY MIDDLEWARE
+   */
+
+  schema.pre(UPDATE_QUERIES, function(next) {
+    const paths = updatedPaths(this.getUpdate());
+    const denied = writeRules.find(([path, { write }]) => paths.includes(path) && !isPermitted(write));
+    next(denied ? forbidden(denied[0]) : undefined);
+  });
+
+  /**
+   * Static method: Throws unless the current actor may read every one of
+   * `paths`. Sorting, selecting or filtering by a hidden field reveals
+   * its values (through cursors, ordering or match counts).
+   * @param {Array<String>} paths - Top-level paths
+   * @param {String} [action='use'] - What is done with them, for the message
+   * @throws {ForbiddenError}
+   */
+  schema.statics.assertReadable = function(paths, action = 'use') {
+    const denied = readRules.find(([path]) => paths.includes(path) && hidden(path));
+    if (denied) {
+      const [path, { read }] = denied;
+      throw new ForbiddenError(`Not allowed to ${action} ${path}: requires ${read}`, { permission: read });
+    }
+  };
+
+  /**
+   * Static method: The `paths` the current actor may read, for operations
+   * that leave hidden fields out instead of refusing (search)
+   * @param {Array<String>} paths - Top-level paths
+   * @returns {Array<String>}
+   */
+  schema.statics.readablePaths = function(paths) {
+    return paths.filter(path => !hidden(path));
+  };
+
+  /**
+   * Output of the piiFields statics: hidden fields left out
+   */
+  const { presentPii, presentPiiValue } = schema.statics;
+  if (typeof presentPii === 'function') {
+    schema.statics.presentPii = function(record) {
+      const result = presentPii.call(this, record);
+      if (result) readRules.forEach(([path]) => { if (hidden(path)) delete result[path]; });
+      return result;
+    };
+    schema.statics.presentPiiValue = function(path, value) {
+      return hidden(path) ? undefined : presentPiiValue.call(this, path, value);
+    };
+  }
+}
+
+module.exports = fieldRules;
@@ -0,0 +1,139 @@
+// src/models/plugins/normalizeFoods.js
+
+/**
+ * Normalize Foods Plugin
+ * Rewrites a string array of foods to the catalog's canonical names (see
+ * Food.canonicalize), so "Burgers", "hamburger" and "burger" are stored
+ * as one food.
+ *
+ * Applied on validate (so save() validates the normalized list), on
+ * insertMany() and on query updates that set, add or remove foods.
+ * bulkWrite() and the native driver bypass middleware; the
+ * `normalizeStoredFoods()` static rewrites documents already stored
+ * (after a catalog change, or to migrate old data).
+ */
+
+// Update operators whose values are foods, and how their value is shaped
+const LIST_OPERATORS = ['$set', '$setOnInsert']; // { path: [foods] }
+const EACH_OPERATORS = ['$addToSet', '$push']; // { path: food | { $each: [foods] } }
+const REMOVE_OPERATORS = ['$pullAll', '$pull']; // { path: [foods] } / { path: food | { $in: [foods] } }
+
+/**
+ * @param {mongoose.Schema} schema - Schema with the foods array
+ * @param {Object} [options]
+ * @param {String} [options.path='favoriteFoods'] - Array path to normalize
+ * @param {String} [options.catalogModel='Food'] - Catalog model name, looked
+ *   up on the same connection as the document
+ */
+function normalizeFoods(schema, { path = 'favoriteFoods', catalogModel = 'Food' } = {}) {
+  const catalogOf = model => model.db.model(catalogModel);
+
+  /**
+   * Normalizes the food values of one update document in place
+   */
+  async function normalizeUpdate(catalog, update) {
+    if (!update) return;
+    const canonical = foods => catalog.canonicalize(foods);
+
+    // Replacement documents and bare { path: [...] } updates
+    if (Array.isArray(update[path])) update[path] = await canonical(update[path]);
+
+    for (const operator of LIST_OPERATORS) {
+      if (update[operator] && Array.isArray(update[operator][path])) {
+        update[operator][path] = await canonical(update[operator][path]);
+      }
+    }
+
+    for (const operator of EACH_OPERATORS) {
+      const value = update[operator] && update[operator][path];
+      if (value === undefined) continue;
+      if (value && Array.isArray(value.$each)) {
+        value.$each = await canonical(value.$each);
+      } else if (typeof value === 'string') {
+        const [food] = await canonical([value]);
+        update[operator][path] = food;
+      }
+    }
+
+    for (const operator of REMOVE_OPERATORS) {
+      const value = update[operator] && update[operator][path];
+      if (value === undefined) continue;
+      if (Array.isArray(value)) {
+        update[operator][path] = await canonical(value);
+      } else if (value && Array.isArray(value.$in)) {
+        value.$in = await canonical(value.$in);
+      } else if (typeof value === 'string') {
+        const [food] = await canonical([value]);
+        update[operator][path] = food;
+      }
+    }
+  }
+
+  /**
+   * DOCUMENT MIDDLEWARE
+   */
+
+  schema.pre('validate', async function() {
+    if (!this.isNew && !this.isModified(path)) return;
+    const foods = this.get(path);
+    if (!Array.isArray(foods) || foods.length === 0) return;
+    this.set(path, await catalogOf(this.constructor).canonicalize(foods.slice()));
+  });
+
+  schema.pre('insertMany', async function(next, docs) {
+    const catalog = catalogOf(this);
+    for (const doc of docs) {
+      if (doc && Array.isArray(doc[path])) {
+        doc[path] = await catalog.canonicalize(doc[path]);
+      }
+    }
+  });
+
+  /**
+   * QUERY MIDDLEWARE
+   */
+
+  schema.pre(['findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'updateOne', 'updateMany'], async function() {
+    await normalizeUpdate(catalogOf(this.model), this.getUpdate());
+  });
+
+  /**
+   * Rewrites the stored foods of every matching document (soft-deleted
+   * included) whose list is not normalized yet, bumping the version key
+   * @param {Object} [filter={}] - Documents to check
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize=500] - Documents per bulk write
+   * @returns {Promise<Number>} Number of documents rewritten
+   */
+  schema.statics.normalizeStoredFoods = async function(filter = {}, { batchSize = 500 } = {}) {
+    const catalog = catalogOf(this);
+    const { versionKey } = schema.options;
+    const cursor = this.find({ ...filter, [`${path}.0`]: { $exists: true } })
+      .select(path)
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor({ batchSize });
+
+    let batch = [];
+    let count = 0;
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await this.bulkWrite(batch, { ordered: false });
+      count += batch.length;
+      batch = [];
+    };
+
+    for await (const doc of cursor) {
+      const foods = await catalog.canonicalize(doc[path]);
+      if (JSON.stringify(foods) === JSON.stringify(doc[path])) continue;
+      const update = { $set: { [path]: foods } };
+      if (versionKey) update.$inc = { [versionKey]: 1 };
+      batch.push({ updateOne: { filter: { _id: doc._id }, update, timestamps: false } });
+      if (batch.length >= batchSize) await flush();
+    }
+    await flush();
+    return count;
+  };
+}
+
+module.exports = normalizeFoods;
@@ -0,0 +1,340 @@
+// src/models/plugins/piiFields.js
+
+/**
+ * PII Fields Plugin
+ * Client-side encryption and masking of personal data fields.
+ *
+ * Encrypted fields are encrypted by a setter, so documents, query updates
+ * and query values are covered alike, and decrypted by a getter: code
+ * reading `doc.email` sees the plaintext, the database and the audit
+ * history only ever see ciphertext. The field's own setters (normalizing)
+ * run before encryption and its validators see the plaintext.
+ *
+ *   deterministic  same value, same ciphertext under a key: unique indexes
+ *                  and equality lookups ({ email }, $in, $ne, $nin) keep
+ *                  working. Lookups match values under every key of the
+ *                  keyring, so they keep finding documents while a key
+ *                  rotation is under way. Patterns and ranges cannot match.
+ *   random         nothing is revealed about equal values; the field cannot
+ *                  be looked up at all.
+ *
+ * Encryption is off while the keyring has no key (utils/keyring); masking
+ * still applies. Aggregations and lean() queries see stored values: run
+ * `presentPii()` (or `decryptFields()`) on what they return.
+ *
+ * Masked fields are masked in toJSON() output unless the code runs with
+ * PII access (utils/pii).
+ */
+
+const { isEncrypted, processKeyring } = require('../../utils/keyring');
+const { canReadPii, resolveMask } = require('../../utils/pii');
+const { ValidationError, DuplicateKeyError } = require('../../utils/errors');
+
+const ENCRYPTION_MODES = ['deterministic', 'random'];
+
+// Queries whose filter is rewritten for deterministic lookups
+const LOOKUP_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany'
+];
+
+// Filter operators that do not compare values
+const VALUE_FREE_OPERATORS = ['$exists', '$type'];
+
+// Orderings only meaningful between ciphertexts
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+const isOperatorObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof RegExp) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * @param {mongoose.Schema} schema - Schema holding the fields
+ * @param {Object} options
+ * @param {Object} options.fields - { path: { encrypt, mask } } where
+ *   `encrypt` is 'deterministic' or 'random' (leave out to only mask) and
+ *   `mask` a utils/pii mask name ('email', 'name', 'redact') or function;
+ *   virtuals built from personal data can be masked too
+ * @param {Keyring} [options.keyring] - Keys to use (default: the keyring
+ *   configured for the process, loaded when first needed)
+ */
+function piiFields(schema, { fields, keyring: configuredKeyring }) {
+  const keyring = () => configuredKeyring || processKeyring();
+  const encrypted = new Map(); // path -> { deterministic, prepare }
+  const masks = new Map(); // path -> mask function
+
+  Object.entries(fields).forEach(([path, { encrypt, mask }]) => {
+    const schemaType = schema.path(path);
+    if (!schemaType && !(schema.virtualpath(path) && encrypt === undefined)) {
+      throw new Error(`piiFields: unknown path "${path}" (virtuals can only be masked)`);
+    }
+    if (mask !== undefined) masks.set(path, resolveMask(mask));
+    if (encrypt === undefined) return;
+    if (!ENCRYPTION_MODES.includes(encrypt)) {
+      throw new Error(`piiFields: "${path}" encrypt must be one of ${ENCRYPTION_MODES.join(', ')}`);
+    }
+
+    const context = path;
+    const deterministic = encrypt === 'deterministic';
+    const decrypt = value => keyring().decrypt(value, { context });
+
+    // The path's own setters (normalizing) move inside the encrypting one,
+    // so ciphertext is never normalized and plaintext always is
+    const normalizers = schemaType.setters.splice(0);
+    const prepare = (value, scope, ...rest) =>
+      normalizers.reduceRight((result, setter) => setter.call(scope, result, ...rest), value);
+
+    schemaType.set(function(value, ...rest) {
+      if (value === null || value === undefined || isEncrypted(value)) return value;
+      const plaintext = prepare(value, this, ...rest);
+      return keyring().enabled && typeof plaintext === 'string'
+        ? keyring().encrypt(plaintext, { context, deterministic })
+        : plaintext;
+    });
+    schemaType.get(decrypt);
+
+    // Validators check the plaintext
+    schemaType.validators.forEach(validator => {
+      const check = validator.validator;
+      validator.validator = function(value, ...rest) {
+        return check.call(this, decrypt(value), ...rest);
+      };
+    });
+
+    encrypted.set(path, { deterministic, prepare, unique: Boolean(schemaType.options.unique) });
+  });
+
+  /**
+   * Every stored form a looked up value may have
+   */
+  function lookupValues(path, value) {
+    if (typeof value !== 'string' || isEncrypted(value) || !keyring().enabled) return [value];
+    return keyring().encryptUnderEveryKey(encrypted.get(path).prepare(value), { context: path });
+  }
+
+  /**
+   * Rewrites the conditions on one encrypted path
+   */
+  function rewriteCondition(path, condition) {
+    const { deterministic } = encrypted.get(path);
+    const refuse = () => {
+      throw new ValidationError(deterministic
+        ? `"${path}" is encrypted: it can only be matched by exact value`
+        : `"${path}" is encrypted: it cannot be used in a filter`);
+    };
+    const values = list => [].concat(list).flatMap(value => lookupValues(path, value));
+
+    if (!isOperatorObject(condition)) {
+      if (condition === null || condition === undefined) return condition;
+      if (!deterministic || condition instanceof RegExp) refuse();
+      return { $in: values(condition) };
+    }
+
+    const rewritten = {};
+    Object.entries(condition).forEach(([operator, operand]) => {
+      if (VALUE_FREE_OPERATORS.includes(operator) || operand === null) {
+        rewritten[operator] = operand;
+        return;
+      }
+      // Comparing stored forms (keyset pagination sorted by the field)
+      if (RANGE_OPERATORS.includes(operator) && isEncrypted(operand)) {
+        rewritten[operator] = operand;
+        return;
+      }
+      if (!deterministic) refuse();
+      switch (operator) {
+        case '$eq':
+        case '$in':
+          rewritten.$in = [...(rewritten.$in || []), ...values(operand)];
+          break;
+        case '$ne':
+        case '$nin':
+          rewritten.$nin = [...(rewritten.$nin || []), ...values(operand)];
+          break;
+        default:
+          refuse();
+      }
+    });
+    return rewritten;
+  }
+
+  /**
+   * Rewrites a query filter so encrypted paths match stored ciphertexts
+   */
+  function rewriteFilter(filter) {
+    if (!filter || typeof filter !== 'object') return filter;
+    const rewritten = {};
+    Object.entries(filter).forEach(([key, value]) => {
+      if (['$and', '$or', '$nor'].includes(key) && Array.isArray(value)) {
+        rewritten[key] = value.map(rewriteFilter);
+      } else if (encrypted.has(key)) {
+        rewritten[key] = rewriteCondition(key, value);
+      } else {
+        rewritten[key] = value;
+      }
+    });
+    return rewritten;
+  }
+
+  /**
+   * Output form of one stored value: decrypted, masked without PII access
+   */
+  function presentValue(path, value) {
+    const plaintext = encrypted.has(path) ? keyring().decrypt(value, { context: path }) : value;
+    return masks.has(path) && !canReadPii() ? masks.get(path)(plaintext) : plaintext;
+  }
+
+  // Decrypted by the getters, then masked
+  const toJSON = schema.get('toJSON') || {};
+  const { transform } = toJSON;
+  schema.set('toJSON', {
+    ...toJSON,
+    getters: true,
+    transform(doc, ret, options) {
+      if (!canReadPii()) {
+        masks.forEach((mask, path) => {
+          if (ret[path] !== undefined) ret[path] = mask(ret[path]);
+        });
+      }
+      return typeof transform === 'function' ? transform(doc, ret, options) : ret;
+    }
+  });
+
+  /**
+   * QUERY MIDDLEWARE
+   */
+
+  if (encrypted.size > 0) {
+    schema.pre(LOOKUP_QUERIES, function(next) {
+      this.setQuery(rewriteFilter(this.getFilter()));
+      next();
+    });
+  }
+
+  /**
+   * DOCUMENT MIDDLEWARE
+   */
+
+  // The unique index only compares ciphertexts of one key: while older
+  // keys remain, the same value may be stored under another one
+  schema.pre('save', async function() {
+    if (keyring().keyIds().length < 2) return;
+    for (const [path, { unique }] of encrypted) {
+      if (!unique || !this.isModified(path) || this.get(path) == null) continue;
+      const taken = await this.constructor.exists({ [path]: this.get(path), _id: { $ne: this._id } })
+        .setOptions({ withDeleted: true });
+      if (taken) {
+        throw new DuplicateKeyError(`Duplicate value for ${path}`);
+      }
+    }
+  });
+
+  /**
+   * Static method: Copy of a stored record (lean document, history
+   * snapshot) with its encrypted fields decrypted
+   * @param {Object|null} record
+   * @returns {Object|null}
+   */
+  schema.statics.decryptFields = function(record) {
+    if (!record) return record;
+    const result = { ...record };
+    encrypted.forEach((options, path) => {
+      if (result[path] !== undefined) result[path] = keyring().decrypt(result[path], { context: path });
+    });
+    return result;
+  };
+
+  /**
+   * Static method: Output form of a stored record: decrypted, and PII
+   * masked unless the code runs with PII access
+   * @param {Object|null} record
+   * @returns {Object|null}
+   */
+  schema.statics.presentPii = function(record) {
+    if (!record) return record;
+    const result = { ...record };
+    Object.keys(result).forEach(path => {
+      result[path] = this.presentPiiValue(path, result[path]);
+    });
+    return result;
+  };
+
+  /**
+   * Static method: Output form of one stored field value
+   * @param {String} path - Top-level path
+   * @param {*} value - Stored value
+   * @returns {*}
+   */
+  schema.statics.presentPiiValue = function(path, value) {
+    return value === null || value === undefined ? value : presentValue(path, value);
+  };
+
+  /**
+   * Static method: Re-encrypts stored values with the active key
+   * (values of older keys, and plaintext written before encryption was
+   * switched on). Writes through the driver: no history, versions or
+   * timestamps change.
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize=500] - Documents per bulk write
+   * @returns {Promise<Object>} { scanned, updated, plaintext } where
+   *   `plaintext` counts documents that held unencrypted values
+   */
+  schema.statics.reencryptFields = async function({ batchSize = 500 } = {}) {
+    const paths = [...encrypted.keys()];
+    if (!keyring().enabled || paths.length === 0) return { scanned: 0, updated: 0, plaintext: 0 };
+
+    const cursor = this.find({ $or: paths.map(path => ({ [path]: { $type: 'string' } })) })
+      .select(paths.join(' '))
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor();
+
+    let scanned = 0;
+    let updated = 0;
+    let plaintext = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = await this.collection.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+      batch = [];
+    };
+
+    try {
+      for await (const doc of cursor) {
+        scanned++;
+        const $set = {};
+        paths.forEach(path => {
+          const stored = doc[path];
+          if (typeof stored !== 'string' || keyring().isCurrent(stored)) return;
+          const { deterministic, prepare } = encrypted.get(path);
+          const value = isEncrypted(stored) ? keyring().decrypt(stored, { context: path }) : prepare(stored);
+          $set[path] = keyring().encrypt(value, { context: path, deterministic });
+        });
+        if (Object.keys($set).length === 0) continue;
+        if (Object.keys($set).some(path => !isEncrypted(doc[path]))) plaintext++;
+
+        // Skipped if the value changed meanwhile
+        const filter = { _id: doc._id };
+        Object.keys($set).forEach(path => { filter[path] = doc[path]; });
+        batch.push({ updateOne: { filter, update: { $set } } });
+        if (batch.length >= batchSize) await flush();
+      }
+      await flush();
+    } finally {
+      await cursor.close();
+    }
+    return { scanned, updated, plaintext };
+  };
+}
+
+module.exports = piiFields;
@@ -0,0 +1,161 @@
+// src/models/plugins/searchable.js
+
+/**
+ * Searchable Plugin
+ * Keeps an array of folded search tokens (lowercase, no diacritics) built
+ * from the configured fields, so prefix and typo-tolerant searches can use
+ * an index instead of scanning every document.
+ *
+ * Tokens are rebuilt on save(), insertMany() and on query updates that
+ * touch one of the fields. bulkWrite() bypasses middleware; run the
+ * `rebuildSearchTokens()` static afterwards (or to backfill old data).
+ */
+
+const { tokenize } = require('../../utils/search');
+
+// Per-query state between pre and post hooks
+const pendingQueries = new WeakMap();
+
+// Update operators whose paths can change a searchable field
+const UPDATE_OPERATORS = ['$set', '$unset', '$setOnInsert', '$addToSet', '$push', '$pull', '$pullAll', '$pop', '$rename'];
+
+/**
+ * Whether an update document touches any of the fields
+ * @param {Object} update - Query update (operators or a replacement)
+ * @param {Array<String>} fields - Top-level field names
+ * @returns {Boolean}
+ */
+function touchesFields(update, fields) {
+  if (!update) return false;
+  const touched = path => fields.includes(String(path).split('.')[0]);
+
+  return Object.entries(update).some(([key, value]) => {
+    if (!key.startsWith('$')) return touched(key);
+    if (!UPDATE_OPERATORS.includes(key) || !value) return false;
+    if (key === '$rename') {
+      return Object.entries(value).some(([from, to]) => touched(from) || touched(to));
+    }
+    return Object.keys(value).some(touched);
+  });
+}
+
+/**
+ * @param {mongoose.Schema} schema - Schema to make searchable
+ * @param {Object} options
+ * @param {Array<String>} options.fields - String or string array fields to index
+ * @param {String} [options.path='searchTokens'] - Path storing the tokens
+ */
+function searchable(schema, { fields, path = 'searchTokens' }) {
+  schema.add({
+    [path]: { type: [String], select: false, default: undefined }
+  });
+  schema.index({ [path]: 1 });
+
+  // Tokens are an implementation detail: keep them out of JSON output
+  const toJSON = schema.get('toJSON') || {};
+  const { transform } = toJSON;
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret[path];
+      return typeof transform === 'function' ? transform(doc, ret, options) : ret;
+    }
+  });
+
+  const tokensOf = source => tokenize(...fields.map(field => source[field]));
+
+  /**
+   * Recomputes the tokens of the given documents with one bulk write
+   */
+  async function refreshTokens(model, ids) {
+    if (ids.length === 0) return;
+    const docs = await model.find({ _id: { $in: ids } })
+      .select(fields.join(' '))
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (docs.length === 0) return;
+    await model.bulkWrite(docs.map(doc => ({
+      updateOne: { filter: { _id: doc._id }, update: { $set: { [path]: tokensOf(doc) } } }
+    })));
+  }
+
+  /**
+   * DOCUMENT MIDDLEWARE
+   */
+
+  schema.pre('save', function(next) {
+    if (this.isNew || fields.some(field => this.isModified(field))) {
+      this.set(path, tokensOf(this));
+    }
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    docs.forEach(doc => {
+      doc[path] = tokensOf(doc);
+    });
+    next();
+  });
+
+  /**
+   * QUERY MIDDLEWARE
+   */
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+    if (!touchesFields(this.getUpdate(), fields)) return;
+
+    // The filter may stop matching once the update ran, so collect ids first
+    const query = this.model.find(this.getFilter())
+      .select('_id')
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (this.op !== 'updateMany') query.sort(this.getOptions().sort).limit(1);
+    const docs = await query;
+    pendingQueries.set(this, docs.map(doc => doc._id));
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function(result) {
+    const ids = pendingQueries.get(this);
+    pendingQueries.delete(this);
+    if (!ids) return;
+
+    // Upserts create a document the pre hook could not see
+    if (result && result.upsertedId) ids.push(result.upsertedId);
+    if (ids.length === 0 && result && result._id) ids.push(result._id);
+    await refreshTokens(this.model, ids);
+  });
+
+  /**
+   * Rebuilds the tokens of every matching document (soft-deleted included)
+   * @param {Object} [filter={}] - Documents to rebuild
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize=500] - Documents per bulk write
+   * @returns {Promise<Number>} Number of documents rebuilt
+   */
+  schema.statics.rebuildSearchTokens = async function(filter = {}, { batchSize = 500 } = {}) {
+    const cursor = this.find(filter)
+      .select(fields.join(' '))
+      .setOptions({ withDeleted: true })
+      .lean()
+      .cursor({ batchSize });
+
+    let batch = [];
+    let count = 0;
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await this.bulkWrite(batch, { ordered: false });
+      count += batch.length;
+      batch = [];
+    };
+
+    for await (const doc of cursor) {
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { [path]: tokensOf(doc) } } } });
+      if (batch.length >= batchSize) await flush();
+    }
+    await flush();
+    return count;
+  };
+}
+
+module.exports = searchable;
+module.exports.touchesFields = touchesFields;
@@ -0,0 +1,84 @@
+// src/seeds/fakePeople.js
+
+/**
+ * Fake People Generator
+ * Produces realistic-looking people from a fixed random seed, so the same
+ * seed always yields the same people (and the same emails, which keeps
+ * re-seeding idempotent).
+ */
+
+const FIRST_NAMES = [
+  'Alice', 'Bob', 'Carol', 'David', 'Emma', 'Frank', 'Grace', 'Henry', 'Isla', 'Jack',
+  'Karen', 'Liam', 'Maria', 'Noah', 'Olivia', 'Peter', 'Quinn', 'Rosa', 'Samuel', 'Tara',
+  'Umar', 'Vera', 'William', 'Xena', 'Yusuf', 'Zoe'
+];
+
+const LAST_NAMES = [
+  'Anderson', 'Brown', 'Clark', 'Davis', 'Evans', 'Garcia', 'Hughes', 'Johnson', 'King', 'Lopez',
+  'Miller', 'Nguyen', 'Owens', 'Patel', 'Reed', 'Smith', 'Taylor', 'Walker', 'Wilson', 'Young'
+];
+
+const FOODS = [
+  'pizza', 'pasta', 'sushi', 'salad', 'burrito', 'tacos', 'nachos', 'steak', 'potatoes', 'soup',
+  'bread', 'cheese', 'curry', 'ramen', 'dumplings', 'pancakes', 'ice cream', 'chocolate', 'burger',
+  'fries', 'hummus', 'falafel', 'paella', 'risotto', 'chili'
+];
+
+const DEFAULT_RANDOM_SEED = 42;
+
+/**
+ * Small, fast seeded PRNG (mulberry32)
+ * @param {Number} seed - 32-bit integer seed
+ * @returns {Function} () => Number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates `count` people
+ * @param {Number} count - Number of people
+ * @param {Object} [options]
+ * @param {Number} [options.randomSeed=42] - Seed; same seed, same people
+ * @param {String} [options.emailDomain='example.com'] - Domain of generated emails
+ * @returns {Array<Object>} Person data (name, age, email, favoriteFoods, isActive)
+ */
+function generatePeople(count, { randomSeed = DEFAULT_RANDOM_SEED, emailDomain = 'example.com' } = {}) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new TypeError('count must be a non-negative integer');
+  }
+
+  const random = createRandom(randomSeed);
+  const pick = list => list[Math.floor(random() * list.length)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const firstName = pick(FIRST_NAMES);
+    const lastName = pick(LAST_NAMES);
+
+    const foods = new Set();
+    const foodCount = 1 + Math.floor(random() * 5);
+    while (foods.size < foodCount) foods.add(pick(FOODS));
+
+    return {
+      name: `${firstName} ${lastName}`,
+      age: 18 + Math.floor(random() * 63),
+      // The index keeps emails unique however often names repeat
+      email: `${firstName}.${lastName}.${index + 1}@${emailDomain}`.toLowerCase(),
+      favoriteFoods: [...foods],
+      isActive: random() < 0.85
+    };
+  });
+}
+
+module.exports = {
+  generatePeople,
+  createRandom,
+  DEFAULT_RANDOM_SEED
+};
@@ -0,0 +1,183 @@
+// src/seeds/index.js
+const fs = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const defaultPersonService = require('../services/personService');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { generatePeople, DEFAULT_RANDOM_SEED } = require('./fakePeople');
+
+const log = logger.child({ module: 'seed' });
+
+/**
+ * Seeding
+ * Loads named seed sets and fixture files into the database. Seeding is
+ * idempotent: people are upserted by email (their natural key), so running
+ * a seed twice leaves one copy of everyone and only changed fields are
+ * written. Nothing is deleted unless `reset` is requested, which is
+ * refused when NODE_ENV=production.
+ *
+ * Never connects, disconnects or exits: callers (the CLI, tests) own the
+ * connection.
+ *
+ * @example
+ *   const { seed } = require('./seeds');
+ *   await seed({ sets: ['sample', 'fake'], count: 500, randomSeed: 7 });
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_FAKE_COUNT = 100;
+
+/**
+ * Reads a fixture: a JSON file holding an array of people
+ * Relative names are looked up in src/seeds/fixtures
+ * @param {String} file - File name or path
+ * @returns {Promise<Array<Object>>}
+ * @throws {ValidationError} When the file is missing or not a JSON array
+ */
+async function loadFixture(file) {
+  const fixturePath = path.isAbsolute(file) || file.startsWith('.') ? path.resolve(file) : path.join(FIXTURES_DIR, file);
+
+  let records;
+  try {
+    records = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Cannot load fixture "${file}": ${error.message}`, { cause: error });
+  }
+  if (!Array.isArray(records)) {
+    throw new ValidationError(`Fixture "${file}" must contain a JSON array of people`);
+  }
+  return records;
+}
+
+/**
+ * Named seed sets: `records(options)` resolves to the people to upsert
+ */
+const SEED_SETS = {
+  sample: {
+    description: 'Ten hand-written people (fixtures/sample.json)',
+    records: () => loadFixture('sample.json')
+  },
+  fake: {
+    description: `Generated people (--count, default ${DEFAULT_FAKE_COUNT}; --random-seed, default ${DEFAULT_RANDOM_SEED})`,
+    records: ({ count = DEFAULT_FAKE_COUNT, randomSeed = DEFAULT_RANDOM_SEED }) => generatePeople(count, { randomSeed })
+  }
+};
+
+/**
+ * Adds (or replaces) a named seed set
+ * @param {String} name - Set name
+ * @param {Object} set - { description, records: async (options) => [...] }
+ */
+function registerSeedSet(name, set) {
+  if (!set || typeof set.records !== 'function') {
+    throw new TypeError('A seed set needs a records(options) function');
+  }
+  SEED_SETS[name] = set;
+}
+
+/**
+ * Deletes every person and their history
+ * Goes straight to the collections: a reset is not something to audit
+ * @param {PersonService} service - Service whose models to clear
+ * @returns {Promise<Object>} { people, history } deleted counts
+ */
+async function resetDatabase(service) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new ValidationError('Refusing to reset the database with NODE_ENV=production', {
+      code: 'RESET_FORBIDDEN'
+    });
+  }
+  const [people, history] = await Promise.all([
+    service.Person.collection.deleteMany({}),
+    service.PersonHistory.collection.deleteMany({})
+  ]);
+  log.warn('Database reset', { people: people.deletedCount, history: history.deletedCount });
+  return { people: people.deletedCount, history: history.deletedCount };
+}
+
+/**
+ * Throws unless every record has an email, the key seeding upserts by
+ * (without it a record would be inserted again on every run)
+ */
+function assertSeedable(source, records) {
+  const missingEmail = records
+    .map((record, index) => (record && record.email ? null : index + 1))
+    .filter(Boolean);
+  if (missingEmail.length > 0) {
+    throw new ValidationError(
+      `Seed "${source}" has people without an email (record ${missingEmail.join(', ')}); email is the key seeding upserts by`
+    );
+  }
+}
+
+/**
+ * Upserts one batch of records and returns the import report
+ */
+async function upsertRecords(service, records, actor) {
+  // Reuses the import pipeline: validation, upsert by email, audit trail
+  const stream = Readable.from(records.map(record => `${JSON.stringify(record)}\n`));
+  return service.importPeople(stream, { format: 'ndjson', upsert: true, actor });
+}
+
+/**
+ * Seeds the database
+ * @param {Object} [options]
+ * @param {Array<String>} [options.sets=['sample']] - Named seed sets to load
+ * @param {Array<String>} [options.files=[]] - Extra fixture files to load
+ * @param {Number} [options.count] - People generated by the "fake" set
+ * @param {Number} [options.randomSeed] - Random seed of the "fake" set
+ * @param {Boolean} [options.reset=false] - Delete all people first
+ *   (refused with NODE_ENV=production)
+ * @param {String|Object} [options.actor='seed'] - Audit trail actor
+ * @param {PersonService} [options.service] - Service to seed through
+ * @returns {Promise<Object>} { reset: { people, history } | null,
+ *   sources: [{ source, processed, created, updated, unchanged, failed, errors }] }
+ * @throws {ValidationError} Unknown set, unreadable fixture, reset in production
+ */
+async function seed({
+  sets = ['sample'],
+  files = [],
+  count,
+  randomSeed,
+  reset = false,
+  actor = 'seed',
+  service = defaultPersonService
+} = {}) {
+  const unknown = sets.filter(name => !Object.prototype.hasOwnProperty.call(SEED_SETS, name));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown seed set(s): ${unknown.join(', ')}; available: ${Object.keys(SEED_SETS).join(', ')}`);
+  }
+
+  // Load everything before touching the database, so a bad fixture never
+  // leaves a half-reset database behind
+  const sources = [
+    ...await Promise.all(sets.map(async name => ({ source: name, records: await SEED_SETS[name].records({ count, randomSeed }) }))),
+    ...await Promise.all(files.map(async file => ({ source: file, records: await loadFixture(file) })))
+  ];
+  sources.forEach(({ source, records }) => assertSeedable(source, records));
+
+  const report = { reset: reset ? await resetDatabase(service) : null, sources: [] };
+
+  for (const { source, records } of sources) {
+    const result = await upsertRecords(service, records, actor);
+    report.sources.push({ source, ...result });
+    log.info('Seed loaded', {
+      source,
+      created: result.created,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      failed: result.failed
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  seed,
+  loadFixture,
+  registerSeedSet,
+  resetDatabase,
+  SEED_SETS
+};
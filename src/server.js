@@ -0,0 +1,43 @@
+// src/server.js
+require('dotenv').config(); // .env settings, before any module reads the environment
+const database = require('./database/connection');
+const createApp = require('./api/app');
+const logger = require('./utils/logger');
+
+const log = logger.child({ module: 'server' });
+
+/**
+ * HTTP Server
+ * Connects to MongoDB and serves the REST API on PORT (default 3000)
+ * @param {Object} [options]
+ * @param {Number} [options.port] - Port to listen on
+ * @returns {Promise<http.Server>} Listening server
+ */
+async function startServer({ port = process.env.PORT || 3000 } = {}) {
+  await database.connect();
+
+  const app = createApp();
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      log.info('HTTP server listening', { port: server.address().port });
+      resolve(server);
+    });
+
+    // Stop accepting requests before the database drains on shutdown
+    database.onShutdown(() => new Promise(done => server.close(() => done())));
+    server.on('error', reject);
+  });
+}
+
+// Run the server
+if (require.main === module) {
+  startServer().catch((error) => {
+    log.error('Failed to start server', { err: error });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startServer
+};
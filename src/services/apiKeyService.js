@@ -0,0 +1,169 @@
+// src/services/apiKeyService.js
+const mongoose = require('mongoose');
+const { getModels } = require('../models');
+const { generateApiKey, hashSecret, parseApiKey } = require('../models/ApiKey');
+const { actorToString } = require('../models/plugins/auditTrail');
+const logger = require('../utils/logger');
+const { currentActor } = require('../utils/policy');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  translateMongooseError
+} = require('../utils/errors');
+
+const log = logger.child({ module: 'apiKeyService' });
+
+// lastUsedAt is only rewritten once it is this old, not on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * API Key Service
+ * Issues, lists, revokes and checks the API keys programs call the REST
+ * API with (see models/ApiKey). Keys live in the default database: a key
+ * limited to a tenant names it instead of being stored with it.
+ */
+class ApiKeyService {
+  /**
+   * @param {Object} [options]
+   * @param {mongoose.Connection} [options.connection] - Connection whose
+   *   models to use (default: the global mongoose connection)
+   */
+  constructor({ connection = mongoose.connection } = {}) {
+    const { ApiKey } = getModels(connection);
+    this.connection = connection;
+    this.ApiKey = ApiKey;
+  }
+
+  /**
+   * Create API Key
+   * The token is only returned here: store it now, it cannot be shown
+   * again (only a hash of its secret is kept)
+   * @param {Object} keyData
+   * @param {String} keyData.name - What the key is for
+   * @param {Array<String>} keyData.scopes - Permissions it grants (utils/policy)
+   * @param {String} [keyData.tenantId] - Tenant to limit it to
+   * @param {Date|String} [keyData.expiresAt] - When it stops working
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who creates the key (default:
+   *   the actor the code runs for)
+   * @returns {Promise<Object>} { apiKey, token }
+   */
+  async createApiKey({ name, scopes, tenantId = null, expiresAt = null } = {}, { actor = currentActor() } = {}) {
+    if (!Array.isArray(scopes)) {
+      throw new ValidationError('scopes must be an array of permissions');
+    }
+
+    const op = log.operation('createApiKey', { scopes, tenantId });
+
+    try {
+      const { keyId, secret, token } = generateApiKey();
+      const apiKey = await this.ApiKey.create({
+        keyId,
+        secretHash: hashSecret(secret),
+        name,
+        scopes: [...new Set(scopes)],
+        tenantId,
+        expiresAt,
+        createdBy: actorToString(actor)
+      });
+      op.done('API key created', { keyId });
+      return { apiKey, token };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * List API Keys
+   * @param {Object} [options]
+   * @param {Boolean} [options.includeRevoked=false] - Revoked keys too
+   * @returns {Promise<Array<Object>>} Newest first
+   */
+  async listApiKeys({ includeRevoked = false } = {}) {
+    const op = log.operation('listApiKeys', { includeRevoked });
+
+    try {
+      const apiKeys = await this.ApiKey.find(includeRevoked ? {} : { revokedAt: null }).sort({ createdAt: -1 });
+      op.done('API keys listed', { count: apiKeys.length });
+      return apiKeys;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Revoke API Key
+   * Requests with the key fail from now on; revoking it again changes
+   * nothing
+   * @param {String} keyId - Public ID of the key (or the whole token)
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who revokes the key (default:
+   *   the actor the code runs for)
+   * @returns {Promise<Object>} The revoked key
+   * @throws {NotFoundError} When there is no such key
+   */
+  async revokeApiKey(keyId, { actor = currentActor() } = {}) {
+    const parsed = parseApiKey(keyId);
+    const id = parsed ? parsed.keyId : keyId;
+    if (!id || typeof id !== 'string') {
+      throw new ValidationError('keyId is required');
+    }
+
+    const op = log.operation('revokeApiKey', { keyId: id });
+
+    try {
+      const apiKey = await this.ApiKey.findOneAndUpdate(
+        { keyId: id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: actorToString(actor) } },
+        { new: true }
+      ) || await this.ApiKey.findOne({ keyId: id });
+      if (!apiKey) {
+        throw new NotFoundError(`API key "${id}" not found`);
+      }
+      op.done('API key revoked', { keyId: id });
+      return apiKey;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Authenticate
+   * Checks a token sent by a client and records that the key was used
+   * @param {String} token - `pk_<keyId>_<secret>`
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Time to check expiry against
+   * @returns {Promise<Object>} The key
+   * @throws {AuthenticationError} INVALID_API_KEY, API_KEY_REVOKED or
+   *   API_KEY_EXPIRED
+   */
+  async authenticate(token, { now = new Date() } = {}) {
+    try {
+      const apiKey = await this.ApiKey.findByToken(token);
+      if (!apiKey) {
+        throw new AuthenticationError('Invalid API key', { code: 'INVALID_API_KEY' });
+      }
+      if (apiKey.revokedAt !== null) {
+        throw new AuthenticationError('API key has been revoked', { code: 'API_KEY_REVOKED' });
+      }
+      if (!apiKey.isUsable(now)) {
+        throw new AuthenticationError('API key has expired', { code: 'API_KEY_EXPIRED' });
+      }
+
+      if (apiKey.lastUsedAt === null || now - apiKey.lastUsedAt >= LAST_USED_PRECISION_MS) {
+        // Tracking must not fail the request
+        await this.ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+          .catch(error => log.warn('Could not record API key use', { keyId: apiKey.keyId, err: error }));
+        apiKey.lastUsedAt = now;
+      }
+      return apiKey;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+}
+
+// Export service instance for the default connection, plus the class
+module.exports = new ApiKeyService();
+module.exports.ApiKeyService = ApiKeyService;
@@ -0,0 +1,129 @@
+// src/services/foodService.js
+const mongoose = require('mongoose');
+const { getModels } = require('../models');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, translateMongooseError } = require('../utils/errors');
+
+const log = logger.child({ module: 'foodService' });
+
+/**
+ * Food Service
+ * Manages the food catalog people's favorite foods are normalized against
+ * (see models/Food). Usage queries (top foods, foods by category, people
+ * sharing foods) live in PersonService.
+ */
+class FoodService {
+  /**
+   * @param {Object} [options]
+   * @param {mongoose.Connection} [options.connection] - Connection whose
+   *   models to use (default: the global mongoose connection)
+   */
+  constructor({ connection = mongoose.connection } = {}) {
+    const { Food, Person } = getModels(connection);
+    this.connection = connection;
+    this.Food = Food;
+    this.Person = Person;
+  }
+
+  /**
+   * List Foods
+   * @param {Object} [options]
+   * @param {String} [options.category] - Only foods of this category
+   * @returns {Promise<Array<Object>>} Foods by category, then name
+   */
+  async listFoods({ category } = {}) {
+    const op = log.operation('listFoods', { category });
+
+    try {
+      const filter = category !== undefined ? { category: String(category).trim().toLowerCase() } : {};
+      const foods = await this.Food.find(filter).sort({ category: 1, name: 1 });
+      op.done('Foods listed', { count: foods.length });
+      return foods;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Save Food
+   * Creates a catalog entry or updates the one with this name: the
+   * category is replaced when given, aliases are added. People already
+   * storing one of the aliases are rewritten to the canonical name.
+   * @param {Object} foodData
+   * @param {String} foodData.name - Canonical name
+   * @param {String} [foodData.category] - Category
+   * @param {Array<String>} [foodData.aliases=[]] - Other spellings to add
+   * @returns {Promise<Object>} { food, peopleUpdated }
+   * @throws {ValidationError} When an alias is another food's name
+   * @throws {DuplicateKeyError} When an alias belongs to another food
+   */
+  async saveFood({ name, category, aliases = [] } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('Food name is required');
+    }
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string')) {
+      throw new ValidationError('aliases must be an array of strings');
+    }
+
+    const canonicalName = name.trim().toLowerCase();
+    const newAliases = aliases.map(alias => alias.trim().toLowerCase()).filter(Boolean);
+    const op = log.operation('saveFood', { food: canonicalName });
+
+    try {
+      const taken = await this.Food.findOne({ name: { $in: newAliases } }).select('name').lean();
+      if (taken) {
+        throw new ValidationError(`"${taken.name}" is a food of its own and cannot be an alias`);
+      }
+
+      const food = await this.Food.findOne({ name: canonicalName }) || new this.Food({ name: canonicalName });
+      if (category !== undefined) food.category = category;
+      newAliases.forEach(alias => {
+        if (!food.aliases.includes(alias)) food.aliases.push(alias);
+      });
+      await food.save();
+
+      // Stored people never pass through the save hooks again on their own
+      const peopleUpdated = newAliases.length > 0
+        ? await this.Person.normalizeStoredFoods({ favoriteFoods: { $in: newAliases } })
+        : 0;
+      if (peopleUpdated > 0) {
+        await this.Person.rebuildSearchTokens({ favoriteFoods: canonicalName });
+      }
+
+      op.done('Food saved', { peopleUpdated });
+      return { food, peopleUpdated };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Delete Food
+   * Removes a catalog entry; people keep the name, now uncategorized
+   * @param {String} name - Canonical name
+   * @returns {Promise<Object>} Deleted food
+   * @throws {NotFoundError} When no food has this name
+   */
+  async deleteFood(name) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('Food name is required');
+    }
+
+    const op = log.operation('deleteFood', { food: name });
+
+    try {
+      const food = await this.Food.findOneAndDelete({ name: name.trim().toLowerCase() });
+      if (!food) {
+        throw new NotFoundError(`Food "${name}" not found`);
+      }
+      op.done('Food deleted');
+      return food;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+}
+
+// Export service instance for the default connection, plus the class
+module.exports = new FoodService();
+module.exports.FoodService = FoodService;
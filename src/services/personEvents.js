@@ -0,0 +1,459 @@
+// src/services/personEvents.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { ValidationError, InvalidIdError, DatabaseError } = require('../utils/errors');
+
+const log = logger.child({ module: 'personEvents' });
+
+/**
+ * Person Events
+ * Typed events for people being created, updated and deleted, delivered
+ * to subscribers (see PersonService#watch) from one of two sources:
+ *
+ *   changeStream  MongoDB change streams on the people collection. Sees
+ *                 every write, from any process. Needs a replica set or
+ *                 sharded cluster. With a consumer name, the resume token
+ *                 of the last delivered event is stored, and a restarted
+ *                 consumer continues right after it.
+ *   local         The audit trail's `history` events on the Person model
+ *                 (see models/plugins/auditTrail). Only sees writes made
+ *                 through this process's models, and nothing is replayed
+ *                 after a restart. Used when change streams are not
+ *                 available (standalone servers, local development).
+ *
+ * Every event looks like:
+ *   {
+ *     id,             // unique event ID (the resume token for change streams)
+ *     type,           // 'person.created' | 'person.updated' | 'person.deleted'
+ *     personId,       // String
+ *     occurredAt,     // Date
+ *     changedFields,  // person.updated: top-level fields that changed
+ *     document,       // the person after the change, decrypted (null after a purge)
+ *     soft,           // person.deleted: true for soft deletes, false for purges
+ *     source          // 'changeStream' | 'local'
+ *   }
+ *
+ * Restoring a soft-deleted person is a person.updated with `deletedAt`
+ * among its changed fields. Writes that only touch fields the model
+ * maintains itself (version key, updatedAt, search tokens) are not events.
+ */
+
+const EVENT_TYPES = Object.freeze({
+  CREATED: 'person.created',
+  UPDATED: 'person.updated',
+  DELETED: 'person.deleted'
+});
+
+const WATCH_MODES = ['auto', 'changeStream', 'local'];
+
+// Fields the model maintains itself; changes to them alone are not events
+const INTERNAL_FIELDS = ['_id', '__v', 'updatedAt', 'searchTokens'];
+
+// Change stream operations turned into events ('invalidate' ends the stream)
+const WATCHED_OPERATIONS = ['insert', 'update', 'replace', 'delete', 'invalidate'];
+
+// Event type of each audit trail operation (see PersonHistory)
+const HISTORY_EVENT_TYPES = {
+  create: EVENT_TYPES.CREATED,
+  update: EVENT_TYPES.UPDATED,
+  revert: EVENT_TYPES.UPDATED,
+  restore: EVENT_TYPES.UPDATED,
+  delete: EVENT_TYPES.DELETED,
+  bulkDelete: EVENT_TYPES.DELETED,
+  purge: EVENT_TYPES.DELETED
+};
+
+const DEFAULT_TOKEN_COLLECTION = '_resume_tokens';
+
+/**
+ * Distinct top-level fields of a list of (possibly dotted) paths, without
+ * INTERNAL_FIELDS ("favoriteFoods.2" -> "favoriteFoods")
+ * @param {Array<String>} paths
+ * @returns {Array<String>}
+ */
+function topLevelFields(paths) {
+  const fields = paths
+    .map(path => path.split('.')[0])
+    .filter(field => !INTERNAL_FIELDS.includes(field));
+  return [...new Set(fields)];
+}
+
+/**
+ * Event for a change stream document
+ * @param {Object} change - Change event from the driver
+ * @returns {Object|null} Person event, or null for changes that are not one
+ */
+function fromChange(change) {
+  const event = {
+    id: change._id._data,
+    personId: change.documentKey ? String(change.documentKey._id) : null,
+    occurredAt: change.wallTime || (change.clusterTime ? new Date(change.clusterTime.getHighBits() * 1000) : new Date()),
+    changedFields: [],
+    document: change.fullDocument || null,
+    source: 'changeStream'
+  };
+
+  switch (change.operationType) {
+    case 'insert':
+      return { ...event, type: EVENT_TYPES.CREATED };
+
+    case 'update': {
+      const { updatedFields = {}, removedFields = [], truncatedArrays = [] } = change.updateDescription || {};
+      if (updatedFields.deletedAt != null) {
+        return { ...event, type: EVENT_TYPES.DELETED, soft: true };
+      }
+      const changedFields = topLevelFields([
+        ...Object.keys(updatedFields),
+        ...removedFields,
+        ...truncatedArrays.map(array => array.field)
+      ]);
+      if (changedFields.length === 0) return null;
+      return { ...event, type: EVENT_TYPES.UPDATED, changedFields };
+    }
+
+    // A replaced document comes without a diff: report all of its fields
+    case 'replace':
+      return {
+        ...event,
+        type: EVENT_TYPES.UPDATED,
+        changedFields: topLevelFields(Object.keys(change.fullDocument || {}))
+      };
+
+    case 'delete':
+      return { ...event, type: EVENT_TYPES.DELETED, soft: false };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Event for an audit trail entry
+ * @param {Object} entry - PersonHistory entry (before it was stored)
+ * @returns {Object|null} Person event, or null for entries that are not one
+ */
+function fromHistoryEntry(entry) {
+  const type = HISTORY_EVENT_TYPES[entry.operation];
+  if (!type) return null;
+
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    personId: String(entry.personId),
+    occurredAt: entry.timestamp,
+    changedFields: [],
+    document: entry.snapshot || null,
+    source: 'local'
+  };
+
+  if (type === EVENT_TYPES.DELETED) {
+    event.soft = entry.operation !== 'purge';
+  } else if (type === EVENT_TYPES.UPDATED) {
+    event.changedFields = topLevelFields(entry.changes.map(change => change.path));
+    if (event.changedFields.length === 0) return null;
+  }
+  return event;
+}
+
+/**
+ * Checks and normalizes a watch filter
+ * @param {Object} [filter]
+ * @param {String|Array<String>} [filter.types] - Event types to receive
+ * @param {String|Array<String>} [filter.personIds] - Only these people
+ * @param {String|Array<String>} [filter.fields] - Only updates changing one
+ *   of these fields (created and deleted events always pass)
+ * @returns {Object} { types, personIds, fields }, null where unfiltered
+ * @throws {ValidationError} On unknown event types or bad IDs
+ */
+function normalizeWatchFilter({ types, personIds, fields } = {}) {
+  const list = value => (value === undefined || value === null ? null : [].concat(value));
+
+  const typeList = list(types);
+  const knownTypes = Object.values(EVENT_TYPES);
+  (typeList || []).forEach(type => {
+    if (!knownTypes.includes(type)) {
+      throw new ValidationError(`Unknown event type "${type}"; expected one of: ${knownTypes.join(', ')}`);
+    }
+  });
+
+  const idList = list(personIds);
+  (idList || []).forEach(id => {
+    if (!mongoose.isValidObjectId(id)) throw new InvalidIdError(id);
+  });
+
+  const fieldList = list(fields);
+  if (fieldList && fieldList.some(field => typeof field !== 'string' || field === '')) {
+    throw new ValidationError('fields must be field names');
+  }
+
+  return {
+    types: typeList,
+    personIds: idList && idList.map(String),
+    fields: fieldList
+  };
+}
+
+/**
+ * Whether an event passes a normalized watch filter
+ */
+function matchesFilter(event, { types, personIds, fields }) {
+  if (types && !types.includes(event.type)) return false;
+  if (personIds && !personIds.includes(event.personId)) return false;
+  if (fields && event.type === EVENT_TYPES.UPDATED) {
+    return event.changedFields.some(field => fields.includes(field));
+  }
+  return true;
+}
+
+/**
+ * Change stream pipeline for a normalized watch filter
+ * Only narrows by person on the server; event types are decided after the
+ * update description is read (a soft delete is an update)
+ */
+function changeStreamPipeline({ personIds }) {
+  const match = { operationType: { $in: WATCHED_OPERATIONS } };
+  if (personIds) {
+    match.$or = [
+      { 'documentKey._id': { $in: personIds.map(id => new mongoose.Types.ObjectId(id)) } },
+      { operationType: 'invalidate' }
+    ];
+  }
+  return [{ $match: match }];
+}
+
+/**
+ * Whether the server behind a connection supports change streams
+ * @param {mongoose.Connection} connection
+ * @returns {Promise<Boolean>} true for replica sets and sharded clusters
+ */
+async function supportsChangeStreams(connection) {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+}
+
+/**
+ * Resume Token Store
+ * Keeps the resume token of each named consumer in a collection of the
+ * watched database, one document per consumer:
+ *   { _id: consumer, token, eventId, occurredAt, updatedAt }
+ */
+class ResumeTokenStore {
+  /**
+   * @param {Object} options
+   * @param {mongoose.Connection} options.connection - Connection to store tokens with
+   * @param {String} [options.collectionName='_resume_tokens'] - Collection
+   */
+  constructor({ connection, collectionName = DEFAULT_TOKEN_COLLECTION }) {
+    this.connection = connection;
+    this.collectionName = collectionName;
+  }
+
+  /**
+   * Native collection holding the tokens
+   * @returns {Collection}
+   * @throws {DatabaseError} When the connection is not open
+   */
+  get collection() {
+    if (!this.connection.db) {
+      throw new DatabaseError('Not connected: connect before watching people');
+    }
+    return this.connection.db.collection(this.collectionName);
+  }
+
+  /**
+   * Stored resume token of a consumer
+   * @param {String} consumer - Consumer name
+   * @returns {Promise<Object|null>}
+   */
+  async load(consumer) {
+    const record = await this.collection.findOne({ _id: consumer });
+    return record ? record.token : null;
+  }
+
+  /**
+   * Stores the resume token of the last event a consumer handled
+   * @param {String} consumer - Consumer name
+   * @param {Object} token - Resume token
+   * @param {Object} event - The event handled
+   * @returns {Promise<void>}
+   */
+  async save(consumer, token, event) {
+    await this.collection.updateOne(
+      { _id: consumer },
+      { $set: { token, eventId: event.id, occurredAt: event.occurredAt, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Forgets a consumer's position; it starts from "now" next time
+   * @param {String} consumer - Consumer name
+   * @returns {Promise<Boolean>} Whether a token was stored
+   */
+  async clear(consumer) {
+    const { deletedCount } = await this.collection.deleteOne({ _id: consumer });
+    return deletedCount > 0;
+  }
+}
+
+/**
+ * Person Subscription
+ * Delivers matching events to a handler, one at a time and in order: the
+ * next event waits until the handler's promise settles. A handler that
+ * throws is logged and does not stop the subscription. Returned by
+ * PersonService#watch(); call close() to stop.
+ */
+class PersonSubscription {
+  /**
+   * @param {Object} options
+   * @param {mongoose.Model} options.Person - Person model to watch
+   * @param {Object} options.filter - Normalized watch filter
+   * @param {Function} options.handler - async (event) => {}
+   * @param {String} [options.consumer] - Name to store the resume token under
+   * @param {ResumeTokenStore} [options.tokens] - Where resume tokens live
+   * @param {Function} [options.onError] - Called when the subscription
+   *   fails and stops (default: logs the error)
+   */
+  constructor({ Person, filter, handler, consumer = null, tokens, onError }) {
+    this.Person = Person;
+    this.filter = filter;
+    this.handler = handler;
+    this.consumer = consumer;
+    this.tokens = tokens;
+    this.onError = onError || (error => log.error('Person subscription stopped', { err: error, consumer }));
+    this.mode = null;
+    this.closed = false;
+    this.error = null;
+    this.stream = null;
+    this.listener = null;
+    this.delivering = Promise.resolve();
+    this.running = null;
+  }
+
+  /**
+   * Starts delivering from a change stream
+   * Resolves once the stream is open, so every later write is seen
+   */
+  async startChangeStream() {
+    this.mode = 'changeStream';
+    const startAfter = this.consumer ? await this.tokens.load(this.consumer) : null;
+    const options = { fullDocument: 'updateLookup' };
+    if (startAfter) options.startAfter = startAfter;
+
+    this.stream = this.Person.collection.watch(changeStreamPipeline(this.filter), options);
+    // tryNext() opens the cursor without waiting for an event
+    const first = await this.stream.tryNext();
+    this.running = this.consume(first);
+    log.info('Watching people', { mode: this.mode, consumer: this.consumer, resumed: Boolean(startAfter) });
+  }
+
+  /**
+   * Reads the change stream until it is closed or fails
+   * @param {Object|null} first - Change already read by startChangeStream()
+   */
+  async consume(first) {
+    try {
+      let change = first;
+      while (!this.closed) {
+        if (change) await this.handleChange(change);
+        if (this.closed) break;
+        change = await this.stream.next();
+      }
+    } catch (error) {
+      if (!this.closed) await this.fail(error);
+    }
+  }
+
+  /**
+   * Delivers one change stream document, then stores its resume token
+   */
+  async handleChange(change) {
+    if (change.operationType === 'invalidate') {
+      throw new DatabaseError('The people collection was dropped or renamed');
+    }
+
+    const event = fromChange(change);
+    if (!event || !matchesFilter(event, this.filter)) return;
+    await this.deliver(event);
+
+    if (this.consumer) {
+      try {
+        await this.tokens.save(this.consumer, change._id, event);
+      } catch (error) {
+        log.error('Failed to store resume token', { err: error, consumer: this.consumer, eventId: event.id });
+      }
+    }
+  }
+
+  /**
+   * Starts delivering the audit trail's in-process history events
+   */
+  startLocal() {
+    this.mode = 'local';
+    this.listener = entries => {
+      entries
+        .map(fromHistoryEntry)
+        .filter(event => event && matchesFilter(event, this.filter))
+        .forEach(event => {
+          this.delivering = this.delivering.then(() => this.deliver(event));
+        });
+    };
+    this.Person.events.on('history', this.listener);
+    log.info('Watching people', { mode: this.mode, consumer: this.consumer });
+  }
+
+  /**
+   * Hands one event to the handler, never throwing
+   */
+  async deliver(event) {
+    try {
+      // Handlers run in this process: they get the plaintext
+      if (event.document) event.document = this.Person.decryptFields(event.document);
+      await this.handler(event);
+    } catch (error) {
+      log.error('Person event handler failed', { err: error, eventId: event.id, type: event.type, personId: event.personId });
+    }
+  }
+
+  /**
+   * Stops on an unrecoverable error
+   */
+  async fail(error) {
+    this.error = error;
+    await this.close();
+    this.onError(error);
+  }
+
+  /**
+   * Stops the subscription, waiting for the event being handled (in local
+   * mode, for every event already received)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    if (this.listener) {
+      this.Person.events.removeListener('history', this.listener);
+      await this.delivering;
+    }
+    if (this.stream) {
+      await this.stream.close().catch(error => log.warn('Failed to close change stream', { err: error }));
+      // After a failure, close() runs inside the read loop itself
+      if (!this.error) await this.running;
+    }
+    log.info('Stopped watching people', { mode: this.mode, consumer: this.consumer });
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  WATCH_MODES,
+  ResumeTokenStore,
+  PersonSubscription,
+  normalizeWatchFilter,
+  supportsChangeStreams,
+  fromChange,
+  fromHistoryEntry
+};
@@ -1,455 +1,2407 @@
 // src/services/personService.js
-const Person = require('../models/Person');
+const mongoose = require('mongoose');
+const readline = require('readline');
+const { getModels } = require('../models');
+const registry = require('../database/registry');
+const { runTransaction, runInSession } = require('../database/transactions');
+const { SEARCH_WEIGHTS } = require('../models/Person');
+const { UNCATEGORIZED } = require('../models/Food');
+const { emailHash, hashSecret } = require('../models/Erasure');
+const {
+  WATCH_MODES,
+  ResumeTokenStore,
+  PersonSubscription,
+  normalizeWatchFilter,
+  supportsChangeStreams
+} = require('./personEvents');
+const { actorToString } = require('../models/plugins/auditTrail');
+const logger = require('../utils/logger');
+const { canReadPii } = require('../utils/pii');
+const { PERMISSIONS, permissionsOf, authorize, runAs, currentActor } = require('../utils/policy');
+const {
+  ValidationError,
+  InvalidIdError,
+  NotFoundError,
+  ConflictError,
+  translateMongooseError
+} = require('../utils/errors');
+const {
+  normalizeSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+} = require('../utils/pagination');
+const { tokenize, findWords, maxTyposFor, matchQuality, highlight } = require('../utils/search');
+const { parseCsv, formatCsvRow, unguardCsvField } = require('../utils/csv');
+
+const log = logger.child({ module: 'personService' });
+
+// PersonService instances per tenant connection (see PersonService.forTenant)
+const tenantServices = new WeakMap();
+
+/**
+ * Listing defaults and whitelists for listPeople()
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SORT = { createdAt: -1 };
+const SORTABLE_FIELDS = ['name', 'age', 'email', 'isActive', 'createdAt', 'updatedAt', '_id'];
+const SELECTABLE_FIELDS = ['name', 'age', 'email', 'favoriteFoods', 'isActive', 'createdAt', 'updatedAt'];
+
+/**
+ * Bulk delete safeguards: filterable fields, allowed query operators and
+ * the default cap on how many people one call may delete
+ */
+const BULK_FILTER_FIELDS = ['_id', 'name', 'email', 'age', 'favoriteFoods', 'isActive', 'createdAt', 'updatedAt'];
+const BULK_FILTER_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$all'];
+const BULK_MATCH_MODES = ['exact', 'prefix', 'regex'];
+const DEFAULT_MAX_AFFECTED = 100;
+
+/**
+ * Regex bulk filters run on the server: longest pattern accepted, and the
+ * constructs refused because they can backtrack without end
+ * (backreferences, lookarounds, quantified groups containing quantifiers)
+ */
+const MAX_BULK_REGEX_LENGTH = 100;
+const UNSAFE_REGEX_CONSTRUCTS = [
+  /\\[1-9]|\\k</,
+  /\(\?<?[=!]/,
+  /\((?:\?:)?[^()]*[+*}][^()]*\)\s*(?:[+*]|\{\d*,)/
+];
+
+/**
+ * Import / export formats and columns
+ *   IMPORT_FIELDS    fields read from each record (others are ignored)
+ *   EXPORT_FIELDS    fields written, in CSV column order
+ *   IGNORED_COLUMNS  exported CSV columns accepted (and ignored) on import
+ */
+const TRANSFER_FORMATS = ['ndjson', 'csv'];
+const IMPORT_FIELDS = ['name', 'age', 'email', 'favoriteFoods', 'isActive'];
+const EXPORT_FIELDS = ['id', 'name', 'age', 'email', 'favoriteFoods', 'isActive', 'createdAt', 'updatedAt'];
+const IGNORED_COLUMNS = ['id', '_id', 'createdAt', 'updatedAt'];
+const DEFAULT_FOODS_DELIMITER = ';';
+const DEFAULT_MAX_IMPORT_ERRORS = 1000;
+
+/**
+ * Identifies exportPersonData() bundles, for whoever reads them later
+ */
+const DATA_EXPORT_FORMAT = 'person-data';
+const DATA_EXPORT_VERSION = 1;
+
+/**
+ * Permission each operation needs when called for an actor (see as()).
+ * Methods left out are refused to everyone but admins. watch() delivers
+ * whole documents, so it counts as an export.
+ */
+const OPERATION_PERMISSIONS = Object.freeze({
+  withCanonicalFoods: PERMISSIONS.READ,
+  findPeopleByName: PERMISSIONS.READ,
+  findOneByFood: PERMISSIONS.READ,
+  findPersonById: PERMISSIONS.READ,
+  findBurritoLovers: PERMISSIONS.READ,
+  searchPeople: PERMISSIONS.READ,
+  getTopFoods: PERMISSIONS.READ,
+  getFoodsByCategory: PERMISSIONS.READ,
+  findPeopleSharingFoods: PERMISSIONS.READ,
+  getPersonHistory: PERMISSIONS.READ,
+  getAllPeople: PERMISSIONS.READ,
+  listPeople: PERMISSIONS.READ,
+  getStats: PERMISSIONS.READ,
+  getAnalytics: PERMISSIONS.READ,
+  createAndSavePerson: PERMISSIONS.WRITE,
+  createManyPeople: PERMISSIONS.WRITE,
+  importPeople: PERMISSIONS.WRITE,
+  importPerson: PERMISSIONS.WRITE,
+  updatePersonClassic: PERMISSIONS.WRITE,
+  replacePerson: PERMISSIONS.WRITE,
+  addHamburgerToFavorites: PERMISSIONS.WRITE,
+  addFavoriteFoods: PERMISSIONS.WRITE,
+  removeFavoriteFoods: PERMISSIONS.WRITE,
+  findOneAndUpdateAge: PERMISSIONS.WRITE,
+  revertPersonTo: PERMISSIONS.WRITE,
+  deletePersonById: PERMISSIONS.DELETE,
+  softDelete: PERMISSIONS.DELETE,
+  restore: PERMISSIONS.DELETE,
+  deleteManyByName: PERMISSIONS.DELETE_MANY,
+  bulkDelete: PERMISSIONS.DELETE_MANY,
+  exportPeople: PERMISSIONS.EXPORT,
+  findDataSubject: PERMISSIONS.EXPORT,
+  exportPersonData: PERMISSIONS.EXPORT,
+  watch: PERMISSIONS.EXPORT,
+  purge: PERMISSIONS.PURGE,
+  erasePerson: PERMISSIONS.PURGE,
+  resetWatchPosition: PERMISSIONS.MAINTAIN,
+  reencryptPii: PERMISSIONS.MAINTAIN,
+  rebuildTextIndexIfChanged: PERMISSIONS.MAINTAIN
+});
+
+/**
+ * Bounds for searchPeople()
+ */
+const MAX_SEARCH_TERMS = 10;
+const MAX_SEARCH_CANDIDATES = 500;
+const MAX_SEARCH_VOCABULARY = 5000;
+
+/**
+ * getAnalytics() defaults: age bucket boundaries (the last bucket is open
+ * ended up to the schema's maximum age), percentiles, foods per list and
+ * signup period formats ($dateToString; weeks are ISO weeks)
+ */
+const DEFAULT_AGE_BOUNDARIES = [0, 18, 30, 40, 50, 65, 121];
+const DEFAULT_PERCENTILES = [25, 50, 75, 90];
+const DEFAULT_TOP_FOODS = 10;
+const MAX_AGE_BUCKETS = 50;
+const SIGNUP_PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+/**
+ * Throws an InvalidIdError unless the value is a usable ObjectId
+ * @param {*} personId - Value to check
+ * @param {String} [field='personId'] - Argument name used in error messages
+ */
+function assertValidId(personId, field = 'personId') {
+  if (!personId) {
+    throw new ValidationError(`${field} is required`);
+  }
+  if (!mongoose.isValidObjectId(personId)) {
+    throw new InvalidIdError(personId);
+  }
+}
+
+/**
+ * Enforces optimistic concurrency preconditions on a loaded person
+ * @param {Object} person - Person document as currently stored
+ * @param {Object} preconditions
+ * @param {Number} [preconditions.expectedVersion] - Expected __v
+ * @param {Date|String} [preconditions.expectedUpdatedAt] - Expected updatedAt
+ * @throws {ConflictError} When the stored person does not match
+ */
+function checkPreconditions(person, { expectedVersion, expectedUpdatedAt }) {
+  const currentVersion = person.__v || 0;
+  if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+    throw new ConflictError(
+      `Person "${person._id}" is at version ${currentVersion}, expected ${expectedVersion}`,
+      { current: person }
+    );
+  }
+
+  if (expectedUpdatedAt !== undefined && expectedUpdatedAt !== null) {
+    const expected = toDate(expectedUpdatedAt, 'expectedUpdatedAt');
+    const actual = person.updatedAt ? person.updatedAt.getTime() : null;
+    if (actual !== expected.getTime()) {
+      throw new ConflictError(
+        `Person "${person._id}" was modified at ${person.updatedAt && person.updatedAt.toISOString()}`,
+        { current: person }
+      );
+    }
+  }
+}
+
+/**
+ * Throws a ValidationError for regex bulk filters that are too long or
+ * could backtrack without end
+ * @param {String} value - Pattern from the caller
+ * @param {String} field - Field it applies to, for the message
+ */
+function assertSafeRegex(value, field) {
+  if (value.length > MAX_BULK_REGEX_LENGTH) {
+    throw new ValidationError(`Regex for "${field}" is longer than ${MAX_BULK_REGEX_LENGTH} characters`);
+  }
+  if (UNSAFE_REGEX_CONSTRUCTS.some(construct => construct.test(value))) {
+    throw new ValidationError(
+      `Regex for "${field}" uses backreferences, lookarounds or nested quantifiers, which are not supported`
+    );
+  }
+}
+
+/**
+ * Builds the filter of a bulk delete
+ * String values are matched according to `match`; other values and
+ * operator objects ({ $gte: 30 }, { $in: [...] }) are used as given.
+ * @param {Object} filter - { field: value } on BULK_FILTER_FIELDS
+ * @param {String} match - 'exact', 'prefix' or 'regex'
+ * @returns {Object} { filter, wildcard } where `wildcard` is true when the
+ *   filter is empty or a pattern matches any string. Operators can match
+ *   everyone too ({ age: { $gte: 0 } }): bulkDelete() also compares the
+ *   matches with the number of people.
+ * @throws {ValidationError} On unknown fields, operators, modes or bad regexes
+ */
+function buildBulkFilter(filter, match) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ValidationError('filter must be an object');
+  }
+  if (!BULK_MATCH_MODES.includes(match)) {
+    throw new ValidationError(`match must be one of: ${BULK_MATCH_MODES.join(', ')}`);
+  }
+
+  const query = {};
+  let wildcard = Object.keys(filter).length === 0;
+
+  Object.entries(filter).forEach(([field, value]) => {
+    if (!BULK_FILTER_FIELDS.includes(field)) {
+      throw new ValidationError(`Cannot filter on "${field}"; allowed: ${BULK_FILTER_FIELDS.join(', ')}`);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+      && !mongoose.isValidObjectId(value)) {
+      const unknown = Object.keys(value).filter(operator => !BULK_FILTER_OPERATORS.includes(operator));
+      if (unknown.length > 0 || Object.keys(value).length === 0) {
+        throw new ValidationError(`Unsupported condition on "${field}"; allowed operators: ${BULK_FILTER_OPERATORS.join(', ')}`);
+      }
+      query[field] = value;
+      return;
+    }
+
+    if (typeof value !== 'string' || match === 'exact') {
+      query[field] = value;
+      return;
+    }
+
+    if (match === 'regex') assertSafeRegex(value, field);
+    let pattern;
+    try {
+      pattern = new RegExp(match === 'prefix' ? `^${escapeRegExp(value)}` : value);
+    } catch (error) {
+      throw new ValidationError(`Invalid regex for "${field}": ${error.message}`);
+    }
+    // A pattern that matches the empty string matches every value
+    if (pattern.test('')) wildcard = true;
+    query[field] = { $regex: pattern.source };
+  });
+
+  return { filter: query, wildcard };
+}
+
+/**
+ * Relevance of a person for searchPeople(), between 0 and 1
+ * Each term counts its best match over the searchable fields, scaled by
+ * the field's weight; a person matching every term exactly in `name`
+ * scores 1
+ * @param {Object} person - Candidate person
+ * @param {Array<String>} terms - Folded query terms
+ * @param {Object} matchOptions - { prefix, fuzzy }
+ * @param {Boolean} textMatched - Whether the text index matched the person
+ * @param {Object} [weights=SEARCH_WEIGHTS] - Fields to match and their weights
+ * @returns {Number}
+ */
+function scoreSearchMatch(person, terms, matchOptions, textMatched, weights = SEARCH_WEIGHTS) {
+  const maxWeight = Math.max(...Object.values(weights));
+  const total = terms.reduce((sum, term) => {
+    const best = Object.entries(weights).reduce((bestSoFar, [field, weight]) => {
+      const words = [].concat(person[field] || []).flatMap(value => findWords(value));
+      const quality = Math.max(0, ...words.map(({ folded }) => matchQuality(folded, term, matchOptions)));
+      return Math.max(bestSoFar, weight * quality);
+    }, 0);
+    return sum + best;
+  }, 0);
+
+  // Only a stemmed text-index match ("burritos" for "burrito"): weak but real
+  const score = total === 0 && textMatched ? 0.25 / terms.length : total / (terms.length * maxWeight);
+  return Math.round(score * 10000) / 10000;
+}
+
+/**
+ * Matched values of the searchable fields, for searchPeople() results
+ * @param {Object} person - Matching person
+ * @param {Array<String>} terms - Folded query terms
+ * @param {Object} options - highlight() options
+ * @returns {Array<Object>} [{ path, value, ranges, highlighted }], array
+ *   items addressed as e.g. "favoriteFoods.1"
+ */
+function collectHighlights(person, terms, options) {
+  const highlights = [];
+  Object.keys(SEARCH_WEIGHTS).forEach(field => {
+    const value = person[field];
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((item, index) => {
+      if (item === null || item === undefined) return;
+      const match = highlight(item, terms, options);
+      if (match) {
+        highlights.push({ path: Array.isArray(value) ? `${field}.${index}` : field, ...match });
+      }
+    });
+  });
+  return highlights;
+}
+
+/**
+ * Output form of a history entry: snapshot and diff decrypted, personal
+ * data masked without PII access
+ * @param {mongoose.Model} Person - Person model, for its PII fields
+ * @param {Object} entry - Lean PersonHistory entry
+ * @returns {Object}
+ */
+function presentHistoryEntry(Person, entry) {
+  return {
+    ...entry,
+    snapshot: Person.presentPii(entry.snapshot),
+    changes: (entry.changes || []).map(change => ({
+      ...change,
+      before: Person.presentPiiValue(change.path, change.before),
+      after: Person.presentPiiValue(change.path, change.after)
+    }))
+  };
+}
+
+/**
+ * A highlight with its value masked when the field is personal data and
+ * the caller has no PII access (utils/pii)
+ * @param {mongoose.Model} Person - Person model, for its PII fields
+ * @param {Object} match - collectHighlights() entry
+ * @returns {Object|null} null when the caller may not see the field
+ *   (utils/policy field rules)
+ */
+function maskHighlight(Person, match) {
+  const value = Person.presentPiiValue(match.path.split('.')[0], match.value);
+  if (value === undefined) return null;
+  return value === match.value ? match : { ...match, value, ranges: [], highlighted: value };
+}
+
+/**
+ * Turns a VersionError from save() into a ConflictError carrying the
+ * latest stored person; other errors are translated as usual
+ * @param {Error} error - Error raised while saving
+ * @param {mongoose.Model} Person - Person model the save went through
+ * @param {String} personId - Person's MongoDB ID
+ * @returns {Promise<AppError>}
+ */
+async function toSaveError(error, Person, personId) {
+  if (!(error instanceof mongoose.Error.VersionError)) {
+    return translateMongooseError(error);
+  }
+  const current = await Person.findById(personId).withDeleted();
+  return new ConflictError(`Person "${personId}" was modified by another operation`, {
+    current,
+    cause: error
+  });
+}
+
+/**
+ * Report entry for an item of a batch that failed
+ * @param {Number} index - Position of the item in the batch
+ * @param {Error} error - Typed error (see utils/errors)
+ * @returns {Object} { index, code, message, details }
+ */
+function toItemError(index, error) {
+  const entry = { index, code: error.code, message: error.message };
+  if (error.details !== undefined) entry.details = error.details;
+  return entry;
+}
+
+/**
+ * Throws unless `format` is a supported import / export format
+ */
+function assertTransferFormat(format) {
+  if (!TRANSFER_FORMATS.includes(format)) {
+    throw new ValidationError(`format must be one of: ${TRANSFER_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Converts the cells of a CSV row to person data
+ * Empty cells are left out; values that do not convert (age "abc") are
+ * passed on as-is so schema validation reports them
+ * @param {Array<String>} columns - Header row
+ * @param {Array<String>} cells - Row values
+ * @param {String} foodsDelimiter - Separator inside the favoriteFoods cell
+ * @returns {Object}
+ */
+function csvCellsToPerson(columns, cells, foodsDelimiter) {
+  const data = {};
+  columns.forEach((column, index) => {
+    const cell = unguardCsvField(cells[index].trim());
+    if (cell === '' || !IMPORT_FIELDS.includes(column)) return;
+
+    if (column === 'favoriteFoods') {
+      data.favoriteFoods = cell.split(foodsDelimiter).map(food => food.trim()).filter(Boolean);
+    } else if (column === 'age') {
+      data.age = Number.isNaN(Number(cell)) ? cell : Number(cell);
+    } else if (column === 'isActive') {
+      const flags = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+      data.isActive = cell.toLowerCase() in flags ? flags[cell.toLowerCase()] : cell;
+    } else {
+      data[column] = cell;
+    }
+  });
+  return data;
+}
+
+/**
+ * Reads person records from a stream
+ * @param {AsyncIterable} stream - NDJSON or CSV input
+ * @param {String} format - 'ndjson' or 'csv'
+ * @param {Object} options - { foodsDelimiter }
+ * @yields {{ line: Number, data?: Object, error?: ValidationError }}
+ * @throws {ValidationError} When the CSV header has unknown columns
+ */
+async function* readPersonRecords(stream, format, { foodsDelimiter }) {
+  if (format === 'ndjson') {
+    let line = 0;
+    for await (const text of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      line++;
+      if (text.trim() === '') continue;
+      try {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          throw new Error('Each line must be a JSON object');
+        }
+        yield { line, data };
+      } catch (error) {
+        yield { line, error: new ValidationError(`Invalid JSON: ${error.message}`, { code: 'INVALID_RECORD' }) };
+      }
+    }
+    return;
+  }
+
+  let columns = null;
+  try {
+    for await (const { fields, line } of parseCsv(stream)) {
+      if (!columns) {
+        columns = fields.map(column => column.trim());
+        const unknown = columns.filter(column => !IMPORT_FIELDS.includes(column) && !IGNORED_COLUMNS.includes(column));
+        if (unknown.length > 0) {
+          throw new ValidationError(`Unknown CSV columns: ${unknown.join(', ')}`, { code: 'INVALID_HEADER' });
+        }
+        continue;
+      }
+      if (fields.length !== columns.length) {
+        yield {
+          line,
+          error: new ValidationError(`Expected ${columns.length} columns, got ${fields.length}`, { code: 'INVALID_RECORD' })
+        };
+        continue;
+      }
+      yield { line, data: csvCellsToPerson(columns, fields, foodsDelimiter) };
+    }
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+    // Malformed CSV (unterminated quote): nothing after it can be trusted
+    yield { line: null, error: new ValidationError(error.message, { code: 'INVALID_RECORD' }) };
+  }
+}
+
+/**
+ * Export form of a person: EXPORT_FIELDS with `_id` as `id`
+ */
+function toExportRecord(person) {
+  const record = {};
+  EXPORT_FIELDS.forEach(field => {
+    const value = field === 'id' ? person._id : person[field];
+    record[field] = value === undefined ? null : value;
+  });
+  return record;
+}
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full
+ * Also stops waiting when the stream closes first (e.g. the HTTP client
+ * disconnected; callers check `stream.destroyed`) and rejects when it
+ * fails, so a gone consumer never leaves the caller hanging
+ */
+function writeWithBackpressure(stream, chunk) {
+  if (stream.write(chunk) || stream.destroyed) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = error => {
+      stream.off('drain', settle);
+      stream.off('close', settle);
+      stream.off('error', settle);
+      return error ? reject(error) : resolve();
+    };
+    stream.on('drain', settle);
+    stream.on('close', settle);
+    stream.on('error', settle);
+  });
+}
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a Date option, rejecting values that do not parse
+ * @param {Date|String|Number} value - Date-like value
+ * @param {String} field - Option name used in error messages
+ * @returns {Date}
+ */
+function toDate(value, field) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Builds the MongoDB filter for listPeople() (everything except age,
+ * which goes through the Person.byAgeRange query helper)
+ * @param {Object} options - listPeople() options
+ * @returns {Object} MongoDB filter
+ */
+function buildListFilter(options) {
+  const filter = {};
+
+  if (options.name !== undefined) {
+    filter.name = String(options.name);
+  } else if (options.namePrefix) {
+    // Anchored, case-sensitive prefix regexes can use the name index
+    filter.name = { $regex: `^${escapeRegExp(String(options.namePrefix))}` };
+  }
+
+  if (options.foods !== undefined) {
+    const foods = [].concat(options.foods).filter(Boolean);
+    if (foods.length > 0) {
+      const match = options.foodsMatch || 'any';
+      if (match !== 'any' && match !== 'all') {
+        throw new ValidationError('foodsMatch must be "any" or "all"');
+      }
+      filter.favoriteFoods = match === 'all' ? { $all: foods } : { $in: foods };
+    }
+  }
+
+  if (options.isActive !== undefined) {
+    filter.isActive = Boolean(options.isActive);
+  }
+
+  if (options.createdAfter !== undefined || options.createdBefore !== undefined) {
+    filter.createdAt = {};
+    if (options.createdAfter !== undefined) {
+      filter.createdAt.$gte = toDate(options.createdAfter, 'createdAfter');
+    }
+    if (options.createdBefore !== undefined) {
+      filter.createdAt.$lt = toDate(options.createdBefore, 'createdBefore');
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * Normalizes a field projection and makes sure the sort keys are
+ * included (they are needed to build the next cursor)
+ * @param {String|Array<String>} fields - e.g. 'name age' or ['name', 'age']
+ * @param {Array<Array>} sortEntries - Output of normalizeSort()
+ * @returns {String|undefined} Mongoose select string
+ */
+function buildProjection(fields, sortEntries) {
+  if (fields === undefined || fields === null || fields === '') {
+    return undefined;
+  }
+
+  const requested = (Array.isArray(fields) ? fields : String(fields).split(/[\s,]+/)).filter(Boolean);
+  requested.forEach(field => {
+    if (!SELECTABLE_FIELDS.includes(field)) {
+      throw new ValidationError(`Cannot select field "${field}"`, {
+        details: { allowedFields: SELECTABLE_FIELDS }
+      });
+    }
+  });
+
+  const sortFields = sortEntries.map(([field]) => field).filter(field => field !== '_id');
+  return [...new Set([...requested, ...sortFields])].join(' ');
+}
+
+/**
+ * Age bucket boundaries for getAnalytics()
+ * @param {Array<Number>|Number} [buckets] - Ascending boundaries (each
+ *   bucket is [boundary, next boundary)) or a bucket width in years
+ * @returns {Array<Number>}
+ */
+function resolveAgeBoundaries(buckets) {
+  if (buckets === undefined) return DEFAULT_AGE_BOUNDARIES;
+
+  if (typeof buckets === 'number') {
+    if (!(buckets >= 1)) {
+      throw new ValidationError('ageBuckets width must be at least 1');
+    }
+    const boundaries = [];
+    for (let age = 0; age <= 120; age += buckets) boundaries.push(age);
+    boundaries.push(boundaries[boundaries.length - 1] + buckets);
+    return boundaries;
+  }
+
+  const valid = Array.isArray(buckets) &&
+    buckets.length >= 2 &&
+    buckets.length <= MAX_AGE_BUCKETS + 1 &&
+    buckets.every((value, index) => Number.isFinite(value) && (index === 0 || value > buckets[index - 1]));
+  if (!valid) {
+    throw new ValidationError(`ageBuckets must be 2 to ${MAX_AGE_BUCKETS + 1} ascending numbers or a bucket width`);
+  }
+  return buckets;
+}
+
+/**
+ * Label of the age bucket [min, max): "18-29", or "65+" for the last
+ * bucket when it reaches past the oldest possible age
+ */
+function ageBucketLabel(min, max) {
+  if (max > 120) return `${min}+`;
+  return Number.isInteger(min) && Number.isInteger(max) ? `${min}-${max - 1}` : `${min}-${max}`;
+}
+
+/**
+ * Percentiles of a value distribution, linearly interpolated between the
+ * closest ranks (the same method as a spreadsheet's PERCENTILE)
+ * @param {Array<{value: Number, count: Number}>} distribution - Sorted by value
+ * @param {Array<Number>} percentiles - Percentiles (0-100)
+ * @returns {Object} { p25: ..., p50: ... } (null values when empty)
+ */
+function percentilesOf(distribution, percentiles) {
+  const total = distribution.reduce((sum, entry) => sum + entry.count, 0);
+
+  // Value at a 0-based rank of the sorted values
+  const valueAt = rank => {
+    let seen = 0;
+    for (const { value, count } of distribution) {
+      seen += count;
+      if (rank < seen) return value;
+    }
+    return distribution[distribution.length - 1].value;
+  };
+
+  const result = {};
+  percentiles.forEach(percentile => {
+    if (total === 0) {
+      result[`p${percentile}`] = null;
+      return;
+    }
+    const rank = (percentile / 100) * (total - 1);
+    const lower = valueAt(Math.floor(rank));
+    const upper = valueAt(Math.ceil(rank));
+    result[`p${percentile}`] = lower + (upper - lower) * (rank - Math.floor(rank));
+  });
+  return result;
+}
+
+/**
+ * Stages turning { _id: food, count } groups into { food, category, count }
+ * with the category from the food catalog
+ * @param {String} foodCollection - Collection name of the Food model
+ * @returns {Array<Object>} Aggregation stages
+ */
+function foodCategoryStages(foodCollection) {
+  return [
+    { $lookup: { from: foodCollection, localField: '_id', foreignField: 'name', as: 'catalog' } },
+    {
+      $project: {
+        _id: 0,
+        food: '$_id',
+        category: { $ifNull: [{ $arrayElemAt: ['$catalog.category', 0] }, UNCATEGORIZED] },
+        count: 1
+      }
+    }
+  ];
+}
+
+/**
+ * `service` (or a view of it) acting for `actor`: see PersonService#as()
+ * @param {PersonService} service
+ * @param {Object} actor
+ * @returns {PersonService}
+ */
+function actingAs(service, actor) {
+  return new Proxy(service, {
+    get(target, property) {
+      const value = Reflect.get(target, property);
+      if (typeof value !== 'function' || property === 'constructor') return value;
+      // Views of the view act for the actor too
+      if (property === 'inSession') {
+        return session => actingAs(target.inSession(session), actor);
+      }
+      if (property === 'as') {
+        return other => {
+          authorize(actor, PERMISSIONS.ALL, 'act for someone else');
+          return target.as(other);
+        };
+      }
+      if (property === 'withTransaction') {
+        return (fn, options) => runAs(actor, () =>
+          target.withTransaction(tx => fn(actingAs(tx, actor)), options));
+      }
+      const permission = OPERATION_PERMISSIONS[property] || PERMISSIONS.ALL;
+      return (...args) => runAs(actor, async () => {
+        authorize(actor, permission, String(property));
+        return value.apply(target, args);
+      });
+    }
+  });
+}
+
+/**
+ * Share of a total, 0 when there is nothing to share
+ */
+function ratio(part, total) {
+  return total > 0 ? part / total : 0;
+}
 
 /**
  * Person Service
  * Contains all CRUD operations for Person model
  * Implements best practices for database operations
+ *
+ * Every method is async and rejects with a typed error from
+ * `src/utils/errors.js` (ValidationError, NotFoundError, ...)
+ *
+ * Each instance works against the models of one connection, so tenants
+ * served from the same process never see each other's data:
+ *   new PersonService()                              default database
+ *   new PersonService({ connection })                any mongoose connection
+ *   PersonService.forTenant('acme')                  tenant database
  */
 class PersonService {
-  
+
+  /**
+   * @param {Object} [options]
+   * @param {mongoose.Connection} [options.connection] - Connection whose
+   *   models to use (default: the global mongoose connection)
+   * @param {String} [options.tenantId] - Tenant the connection belongs to
+   */
+  constructor({ connection = mongoose.connection, tenantId = null } = {}) {
+    const { Person, PersonHistory, Food, Erasure } = getModels(connection);
+    this.connection = connection;
+    this.tenantId = tenantId;
+    this.Person = Person;
+    this.PersonHistory = PersonHistory;
+    this.Food = Food;
+    this.Erasure = Erasure;
+  }
+
+  /**
+   * Returns the (cached) service for a tenant's database
+   * @param {String} tenantId - Tenant identifier
+   * @param {Object} [options]
+   * @param {ConnectionRegistry} [options.connections] - Registry to use
+   * @returns {PersonService}
+   * @throws {ValidationError} When the tenant ID is not usable
+   * @throws {NotFoundError} When the registry does not know the tenant
+   */
+  static forTenant(tenantId, { connections = registry } = {}) {
+    const connection = connections.forTenant(tenantId);
+    if (!tenantServices.has(connection)) {
+      tenantServices.set(connection, new PersonService({ connection, tenantId }));
+    }
+    return tenantServices.get(connection);
+  }
+
+  /**
+   * Listing options with `foods` mapped to catalog names, so filtering on
+   * "burgers" finds people who like "burger"
+   * @param {Object} options - listPeople() options
+   * @returns {Promise<Object>}
+   */
+  async withCanonicalFoods(options) {
+    if (options.foods === undefined) return options;
+    const foods = [].concat(options.foods).filter(food => typeof food === 'string');
+    try {
+      return { ...options, foods: await this.Food.canonicalize(foods) };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * TRANSACTIONS
+   */
+
+  /**
+   * With Transaction
+   * Runs `fn` in a MongoDB transaction: every change it makes through `tx`
+   * (this service bound to the transaction's session) commits together,
+   * or none does when `fn` throws. `fn` may be run again when the
+   * transaction hits a transient error, so keep other side effects out of
+   * it. Needs a replica set or sharded cluster.
+   * @example
+   * await personService.withTransaction(async tx => {
+   *   const person = await tx.createAndSavePerson({ name: 'Ada', email: 'ada@example.com' });
+   *   await tx.addFavoriteFoods(person._id, ['pizza']);
+   *   await tx.softDelete(duplicateId);
+   * });
+   * @param {Function} fn - async (tx) => result
+   * @param {Object} [options] - Transaction options (readConcern, writeConcern, ...)
+   * @returns {Promise<*>} What `fn` resolved with
+   * @throws {DatabaseError} TRANSACTIONS_UNSUPPORTED on standalone servers;
+   *   otherwise whatever `fn` threw
+   */
+  async withTransaction(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new ValidationError('withTransaction() expects a function');
+    }
+
+    const op = log.operation('withTransaction');
+
+    try {
+      const result = await runTransaction(this.connection, session => fn(this.inSession(session)), options);
+      op.done('Transaction committed');
+      return result;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * This service with every method running in `session`, e.g. one from
+   * database.withTransaction() or connection.startSession()
+   * @param {ClientSession} session - Session to use
+   * @returns {PersonService}
+   */
+  inSession(session) {
+    if (!session) {
+      throw new ValidationError('session is required');
+    }
+    return new Proxy(this, {
+      get(service, property) {
+        const value = Reflect.get(service, property);
+        if (typeof value !== 'function' || property === 'constructor') return value;
+        return (...args) => runInSession(session, () => value.apply(service, args));
+      }
+    });
+  }
+
+  /**
+   * AUTHORIZATION
+   */
+
+  /**
+   * This service acting for `actor`: each call is checked against the
+   * actor's permissions (OPERATION_PERMISSIONS, utils/policy) and runs for
+   * the actor, so field rules apply and the audit trail records the actor
+   * without an `actor` option. Calls the actor may not make reject with
+   * ForbiddenError.
+   * @example
+   * const people = personService.as({ id: 'alice', roles: ['viewer'] });
+   * await people.listPeople();            // emails left out of the output
+   * await people.deleteManyByName('Bob'); // ForbiddenError
+   * @param {Object} actor - { id, roles, permissions }
+   * @returns {PersonService}
+   * @throws {ValidationError} Without an actor, or with an unknown role
+   */
+  as(actor) {
+    if (!actor || typeof actor !== 'object') {
+      throw new ValidationError('actor must be an object with roles or permissions');
+    }
+    permissionsOf(actor); // Unknown roles are refused now, not on first call
+    return actingAs(this, actor);
+  }
+
+  /**
+   * CREATE OPERATIONS
+   */
+
+  /**
+   * 1. Create and Save a Single Person Record
+   * Creates a document instance and saves it to the database
+   * @param {Object} personData - Person data object
+   * @param {String} personData.name - Person's name (required)
+   * @param {Number} personData.age - Person's age (optional)
+   * @param {Array<String>} personData.favoriteFoods - Favorite foods (optional)
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @returns {Promise<Object>} Created person document
+   */
+  async createAndSavePerson(personData, { actor } = {}) {
+    // Validate required fields
+    if (!personData || !personData.name) {
+      throw new ValidationError('Name is required to create a person');
+    }
+
+    const op = log.operation('createAndSavePerson');
+
+    // Create a new Person document instance
+    const person = new this.Person({
+      name: personData.name,
+      age: personData.age || null,
+      favoriteFoods: personData.favoriteFoods || [],
+      email: personData.email || undefined, // Leave unset so the sparse unique index skips it
+      isActive: personData.isActive !== undefined ? personData.isActive : true
+    });
+    person.$locals.actor = actor;
+
+    try {
+      // Save the document to the database
+      const savedPerson = await person.save();
+      op.done('Person created', { personId: savedPerson._id });
+      return savedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * 2. Create Multiple People Records
+   * Creates multiple person documents, in order. What happens when one
+   * of them fails depends on the mode:
+   *   default          stop at the failing person; the ones before it stay
+   *   atomic: true     in a transaction: nobody is created (needs a
+   *                    replica set)
+   *   ordered: false   create everyone who can be, and report the others
+   * @param {Array<Object>} arrayOfPeople - Array of person objects
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @param {Boolean} [options.atomic=false] - All or nothing
+   * @param {Boolean} [options.ordered=true] - false to carry on past failures
+   * @returns {Promise<Array<Object>|Object>} Created person documents; with
+   *   `ordered: false`, { created, failed: [{ index, code, message, details }] }
+   * @throws {ValidationError|DuplicateKeyError} The first failure (unless
+   *   `ordered: false`), its message prefixed with the person's index
+   */
+  async createManyPeople(arrayOfPeople, { actor, atomic = false, ordered = true } = {}) {
+    // Validate input
+    if (!Array.isArray(arrayOfPeople) || arrayOfPeople.length === 0) {
+      throw new ValidationError('arrayOfPeople must be a non-empty array');
+    }
+    if (atomic && !ordered) {
+      throw new ValidationError('Use either atomic or ordered: false, not both');
+    }
+
+    const op = log.operation('createManyPeople', { requested: arrayOfPeople.length, atomic, ordered });
+
+    // Saved one at a time: a transaction's session runs one operation at
+    // a time, and a failure must be traced back to its person
+    const saveAll = async () => {
+      const created = [];
+      const failed = [];
+      for (const [index, personData] of arrayOfPeople.entries()) {
+        try {
+          const person = new this.Person(personData);
+          person.$locals.actor = actor;
+          created.push(await person.save());
+        } catch (error) {
+          const translated = translateMongooseError(error);
+          if (ordered) {
+            translated.message = `arrayOfPeople[${index}]: ${translated.message}`;
+            throw translated;
+          }
+          failed.push(toItemError(index, translated));
+        }
+      }
+      return { created, failed };
+    };
+
+    try {
+      const { created, failed } = atomic
+        ? await runTransaction(this.connection, saveAll)
+        : await saveAll();
+      op.done('People created', { count: created.length, failed: failed.length });
+      return ordered ? created : { created, failed };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * IMPORT / EXPORT OPERATIONS
+   */
+
+  /**
+   * Import People
+   * Streams NDJSON (one JSON object per line) or CSV (header row naming
+   * the columns, favorite foods in one cell separated by `;`) into the
+   * collection. Each record is validated and saved on its own: bad records
+   * are reported with their line number and do not stop the import.
+   *
+   * With `upsert` (the default) a record whose email already exists
+   * updates that person instead of failing as a duplicate.
+   *
+   * @param {stream.Readable} stream - Input
+   * @param {Object} [options]
+   * @param {String} [options.format='ndjson'] - 'ndjson' or 'csv'
+   * @param {Boolean} [options.upsert=true] - Update people matched by email
+   * @param {String} [options.foodsDelimiter=';'] - CSV favoriteFoods separator
+   * @param {Number} [options.maxErrors=1000] - Row errors kept in the report
+   * @param {String|Object} [options.actor] - Who is importing (audit trail)
+   * @returns {Promise<Object>} { processed, created, updated, unchanged,
+   *   failed, errors: [{ line, code, message, details }], errorsTruncated }
+   * @throws {ValidationError} Unknown format or CSV columns
+   */
+  async importPeople(stream, {
+    format = 'ndjson',
+    upsert = true,
+    foodsDelimiter = DEFAULT_FOODS_DELIMITER,
+    maxErrors = DEFAULT_MAX_IMPORT_ERRORS,
+    actor
+  } = {}) {
+    assertTransferFormat(format);
+
+    const op = log.operation('importPeople', { format, upsert });
+    const report = { processed: 0, created: 0, updated: 0, unchanged: 0, failed: 0, errors: [], errorsTruncated: false };
+    const fail = (line, error) => {
+      report.failed++;
+      if (report.errors.length >= maxErrors) {
+        report.errorsTruncated = true;
+        return;
+      }
+      const entry = { line, code: error.code, message: error.message };
+      if (error.details !== undefined) entry.details = error.details;
+      report.errors.push(entry);
+    };
+
+    for await (const record of readPersonRecords(stream, format, { foodsDelimiter })) {
+      report.processed++;
+      if (record.error) {
+        fail(record.line, record.error);
+        continue;
+      }
+
+      try {
+        const outcome = await this.importPerson(record.data, { upsert, actor });
+        report[outcome]++;
+      } catch (error) {
+        fail(record.line, translateMongooseError(error));
+      }
+    }
+
+    op.done('People imported', {
+      processed: report.processed,
+      created: report.created,
+      updated: report.updated,
+      failed: report.failed
+    });
+    return report;
+  }
+
+  /**
+   * Saves one imported record (see importPeople())
+   * @param {Object} record - Parsed record
+   * @param {Object} options - { upsert, actor }
+   * @returns {Promise<String>} 'created', 'updated' or 'unchanged'
+   */
+  async importPerson(record, { upsert, actor }) {
+    // Empty values are skipped: a null email would collide in the sparse
+    // unique index, and an update should not wipe fields the file left blank
+    const data = {};
+    IMPORT_FIELDS.forEach(field => {
+      const value = record[field];
+      if (value !== undefined && value !== null && value !== '') data[field] = value;
+    });
+
+    let person = null;
+    if (upsert && typeof data.email === 'string' && data.email.trim() !== '') {
+      person = await this.Person.findOne({ email: data.email.trim().toLowerCase() }).setOptions({ withDeleted: true });
+      if (person && person.deletedAt) {
+        throw new ConflictError('Email belongs to a deleted person');
+      }
+    }
+
+    if (person) {
+      person.set(data);
+      if (!person.isModified()) return 'unchanged';
+    } else {
+      // An erased person stays erased, whatever file they come back from
+      if (typeof data.email === 'string' && await this.Erasure.findByEmail(data.email)) {
+        throw new ConflictError('Email belongs to an erased person', { code: 'PERSON_ERASED' });
+      }
+      person = new this.Person(data);
+    }
+
+    const created = person.isNew;
+    person.$locals.actor = actor;
+    await person.save();
+    return created ? 'created' : 'updated';
+  }
+
+  /**
+   * Export People
+   * Streams people as NDJSON or CSV, oldest first. Accepts the filters of
+   * listPeople() (name, namePrefix, minAge, maxAge, foods, foodsMatch,
+   * isActive, createdAfter, createdBefore). The output imports back with
+   * importPeople() when written with PII access; otherwise names and
+   * emails are masked (utils/pii).
+   *
+   * @param {stream.Writable} stream - Output
+   * @param {Object} [options]
+   * @param {String} [options.format='ndjson'] - 'ndjson' or 'csv'
+   * @param {Object} [options.filter={}] - listPeople() filter options
+   * @param {Boolean} [options.withDeleted=false] - Include soft-deleted people
+   * @param {String} [options.foodsDelimiter=';'] - CSV favoriteFoods separator
+   * @param {Boolean} [options.end=true] - End the stream when done
+   * @returns {Promise<Object>} { count }
+   */
+  async exportPeople(stream, {
+    format = 'ndjson',
+    filter = {},
+    withDeleted = false,
+    foodsDelimiter = DEFAULT_FOODS_DELIMITER,
+    end = true
+  } = {}) {
+    assertTransferFormat(format);
+
+    filter = await this.withCanonicalFoods(filter);
+    const op = log.operation('exportPeople', { format });
+    const cursor = this.Person.find(buildListFilter(filter))
+      .byAgeRange(filter.minAge, filter.maxAge)
+      .setOptions({ withDeleted })
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    let count = 0;
+    try {
+      if (format === 'csv') {
+        await writeWithBackpressure(stream, formatCsvRow(EXPORT_FIELDS));
+      }
+      for await (const person of cursor) {
+        // The consumer went away (e.g. HTTP client disconnected)
+        if (stream.destroyed) break;
+        const record = toExportRecord(this.Person.presentPii(person));
+        const chunk = format === 'csv'
+          ? formatCsvRow(EXPORT_FIELDS.map(field => (
+            field === 'favoriteFoods' ? (record.favoriteFoods || []).join(foodsDelimiter) : record[field]
+          )))
+          : `${JSON.stringify(record)}\n`;
+        await writeWithBackpressure(stream, chunk);
+        count++;
+      }
+      if (end && !stream.destroyed) stream.end();
+
+      op.done('People exported', { count });
+      return { count };
+    } catch (error) {
+      throw translateMongooseError(error);
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * READ OPERATIONS
+   */
+
+  /**
+   * 3. Find All People with a Given Name
+   * Searches for all people with a specific name
+   * @param {String} name - Name to search for
+   * @returns {Promise<Array<Object>>} Array of matching person documents
+   */
+  async findPeopleByName(name) {
+    if (!name || typeof name !== 'string') {
+      throw new ValidationError('Valid name string is required');
+    }
+
+    const op = log.operation('findPeopleByName');
+
+    try {
+      // Model.find() returns all documents matching the query
+      // Returns an array of documents (empty array if no matches)
+      const people = await this.Person.find({ name: name });
+      op.done('People found by name', { count: people.length });
+      return people;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * 4. Find One Person by Favorite Food
+   * Finds a single person who has a specific food in their favorites
+   * @param {String} food - Food to search for in favoriteFoods
+   * @returns {Promise<Object|null>} Single person document or null
+   */
+  async findOneByFood(food) {
+    if (!food || typeof food !== 'string') {
+      throw new ValidationError('Valid food string is required');
+    }
+
+    const op = log.operation('findOneByFood', { food });
+
+    try {
+      // Model.findOne() returns the first document matching the query
+      // Returns null if no document matches
+      const [canonical] = await this.Food.canonicalize([food]);
+      const person = await this.Person.findOne({ favoriteFoods: canonical });
+      op.done(person ? 'Person found by food' : 'No person found by food', {
+        personId: person ? person._id : null
+      });
+      return person;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * 5. Find Person by ID
+   * Finds a single person by their MongoDB _id
+   * @param {String} personId - MongoDB ObjectId string
+   * @param {Object} [options]
+   * @param {Boolean} [options.withDeleted=false] - Also find soft-deleted people
+   * @returns {Promise<Object|null>} Person document or null
+   */
+  async findPersonById(personId, { withDeleted = false } = {}) {
+    assertValidId(personId);
+
+    const op = log.operation('findPersonById', { personId });
+
+    try {
+      // Model.findById() is a shortcut for findOne({ _id: id })
+      const person = await this.Person.findById(personId).setOptions({ withDeleted });
+      op.done(person ? 'Person found' : 'Person not found');
+      return person;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * UPDATE OPERATIONS
+   */
+
+  /**
+   * 6. Classic Update: Find, Edit, then Save
+   * Finds a person by ID, modifies them, and saves the changes
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @param {Number} [options.expectedVersion] - Only update if __v matches
+   * @param {Date|String} [options.expectedUpdatedAt] - Only update if updatedAt matches
+   * @returns {Promise<Object>} Updated person document
+   * @throws {NotFoundError} When no person has the given ID
+   * @throws {ConflictError} When the person changed since it was read
+   */
+  async updatePersonClassic(personId, updates = {}, { actor, ...preconditions } = {}) {
+    assertValidId(personId);
+
+    const op = log.operation('updatePersonClassic', { personId });
+
+    try {
+      // Step 1: Find the person by ID
+      const person = await this.Person.findById(personId);
+      if (!person) {
+        throw new NotFoundError(`Person with ID "${personId}" not found`);
+      }
+      checkPreconditions(person, preconditions);
+
+      // Step 2: Apply updates to the document
+      if (updates.name) person.name = updates.name;
+      if (updates.age !== undefined) person.age = updates.age;
+      if (updates.email !== undefined) person.email = updates.email;
+      if (updates.isActive !== undefined) person.isActive = updates.isActive;
+
+      // Special handling for favoriteFoods array
+      if (Array.isArray(updates.favoriteFoods)) {
+        person.favoriteFoods = updates.favoriteFoods;
+      }
+      if (updates.addToFavorites && Array.isArray(updates.addToFavorites)) {
+        updates.addToFavorites.forEach(food => {
+          if (!person.favoriteFoods.includes(food)) {
+            person.favoriteFoods.push(food);
+          }
+        });
+        // Mark the array as modified for Mongoose to track changes
+        person.markModified('favoriteFoods');
+      }
+
+      // Step 3: Save the updated document
+      // (optimisticConcurrency makes this fail if someone saved in between)
+      person.$locals.actor = actor;
+      const updatedPerson = await person.save();
+      op.done('Person updated', { version: updatedPerson.__v });
+      return updatedPerson;
+    } catch (error) {
+      throw await toSaveError(error, this.Person, personId);
+    }
+  }
+
+  /**
+   * Replace a Person
+   * Overwrites every editable field; fields missing from `personData`
+   * fall back to their schema defaults
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} personData - Complete person representation
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @param {Number} [options.expectedVersion] - Only replace if __v matches
+   * @param {Date|String} [options.expectedUpdatedAt] - Only replace if updatedAt matches
+   * @returns {Promise<Object>} Replaced person document
+   * @throws {NotFoundError} When no person has the given ID
+   * @throws {ConflictError} When the person changed since it was read
+   */
+  async replacePerson(personId, personData, { actor, ...preconditions } = {}) {
+    assertValidId(personId);
+    if (!personData || !personData.name) {
+      throw new ValidationError('Name is required to replace a person');
+    }
+
+    const op = log.operation('replacePerson', { personId });
+
+    try {
+      const person = await this.Person.findById(personId);
+      if (!person) {
+        throw new NotFoundError(`Person with ID "${personId}" not found`);
+      }
+      checkPreconditions(person, preconditions);
+
+      person.name = personData.name;
+      person.age = personData.age !== undefined ? personData.age : null;
+      person.favoriteFoods = personData.favoriteFoods || [];
+      person.email = personData.email || undefined;
+      person.isActive = personData.isActive !== undefined ? personData.isActive : true;
+      person.$locals.actor = actor;
+
+      const replacedPerson = await person.save();
+      op.done('Person replaced', { version: replacedPerson.__v });
+      return replacedPerson;
+    } catch (error) {
+      throw await toSaveError(error, this.Person, personId);
+    }
+  }
+
+  /**
+   * 7. Add "hamburger" to Favorite Foods (Specific Requirement)
+   * Finds a person by ID and adds "hamburger" to their favorite foods
+   * (stored under the catalog's name for it, "burger")
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options] - Same options as updatePersonClassic()
+   * @returns {Promise<Object>} Updated person document
+   */
+  async addHamburgerToFavorites(personId, options = {}) {
+    return this.addFavoriteFoods(personId, ['hamburger'], options);
+  }
+
+  /**
+   * Add Favorite Foods
+   * Atomic $addToSet: never conflicts with concurrent updates and never
+   * adds duplicates
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Array<String>} foods - Foods to add
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @returns {Promise<Object>} Updated person document
+   * @throws {NotFoundError} When no person has the given ID
+   * @throws {ValidationError} When the foods would exceed the 20-food limit
+   */
+  async addFavoriteFoods(personId, foods, { actor } = {}) {
+    assertValidId(personId);
+    if (!Array.isArray(foods) || foods.length === 0) {
+      throw new ValidationError('foods must be a non-empty array');
+    }
+
+    const op = log.operation('addFavoriteFoods', { personId, foods });
+
+    try {
+      const updatedPerson = await this.Person.addFavoriteFoodsById(personId, foods, { actor });
+      if (!updatedPerson) {
+        const exists = await this.Person.exists({ _id: personId });
+        if (!exists) {
+          throw new NotFoundError(`Person with ID "${personId}" not found`);
+        }
+        throw new ValidationError('Cannot have more than 20 favorite foods');
+      }
+
+      op.done('Favorite foods added');
+      return updatedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Remove Favorite Foods
+   * Atomic $pullAll: never conflicts with concurrent updates
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Array<String>} foods - Foods to remove
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @returns {Promise<Object>} Updated person document
+   * @throws {NotFoundError} When no person has the given ID
+   */
+  async removeFavoriteFoods(personId, foods, { actor } = {}) {
+    assertValidId(personId);
+    if (!Array.isArray(foods) || foods.length === 0) {
+      throw new ValidationError('foods must be a non-empty array');
+    }
+
+    const op = log.operation('removeFavoriteFoods', { personId, foods });
+
+    try {
+      const updatedPerson = await this.Person.removeFavoriteFoodsById(personId, foods, { actor });
+      if (!updatedPerson) {
+        throw new NotFoundError(`Person with ID "${personId}" not found`);
+      }
+
+      op.done('Favorite foods removed');
+      return updatedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * 8. Modern Update: Find One and Update
+   * Finds a person by name and updates their age in a single operation
+   * @param {String} personName - Name of the person to update
+   * @param {Number} newAge - New age value
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is making the change (audit trail)
+   * @param {Number} [options.expectedVersion] - Only update if __v matches
+   * @param {Date|String} [options.expectedUpdatedAt] - Only update if updatedAt matches
+   * @returns {Promise<Object|null>} Updated person document or null
+   * @throws {ConflictError} When the person changed since it was read
+   */
+  async findOneAndUpdateAge(personName, newAge = 20, { actor, expectedVersion, expectedUpdatedAt } = {}) {
+    if (!personName) {
+      throw new ValidationError('personName is required');
+    }
+
+    const op = log.operation('findOneAndUpdateAge', { age: newAge });
+
+    // { new: true } returns the updated document instead of the original
+    // { runValidators: true } ensures update respects schema validation
+    const updateOptions = {
+      new: true, // Return the modified document
+      runValidators: true, // Run schema validators on update
+      context: 'query', // Required for some validators to work
+      actor // Recorded by the audit trail
+    };
+
+    // Preconditions become part of the filter so the check is atomic
+    const filter = { name: personName };
+    if (expectedVersion !== undefined && expectedVersion !== null) {
+      filter.__v = Number(expectedVersion) === 0 ? { $in: [0, null] } : Number(expectedVersion);
+    }
+    if (expectedUpdatedAt !== undefined && expectedUpdatedAt !== null) {
+      filter.updatedAt = toDate(expectedUpdatedAt, 'expectedUpdatedAt');
+    }
+
+    try {
+      // Model.findOneAndUpdate() finds and updates in a single operation
+      const updatedPerson = await this.Person.findOneAndUpdate(
+        filter, // Search criteria
+        { age: newAge }, // Update operation
+        updateOptions // Options
+      );
+
+      if (!updatedPerson) {
+        const current = filter.__v || filter.updatedAt
+          ? await this.Person.findOne({ name: personName })
+          : null;
+        if (current) {
+          throw new ConflictError(`Person "${personName}" was modified by another operation`, { current });
+        }
+        op.done('No person found by name');
+        return null;
+      }
+
+      op.done('Person age updated', { personId: updatedPerson._id });
+      return updatedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * DELETE OPERATIONS
+   */
+
+  /**
+   * 9. Delete One Person by ID
+   * Soft deletes a single person by their ID (see softDelete())
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is deleting the person
+   * @returns {Promise<Object|null>} The deleted person document or null
+   */
+  async deletePersonById(personId, options = {}) {
+    return this.softDelete(personId, options);
+  }
+
+  /**
+   * 10. Delete Many People by Name
+   * Soft deletes all people with a specific name (see bulkDelete())
+   * @param {String} name - Name of people to delete
+   * @param {Object} [options] - bulkDelete() options
+   * @param {String} [options.match='exact'] - 'exact', 'prefix' or 'regex'
+   * @returns {Promise<Object>} { acknowledged, deletedCount, matchedCount, ids, dryRun }
+   */
+  async deleteManyByName(name, options = {}) {
+    if (!name) {
+      throw new ValidationError('Name is required for deletion');
+    }
+
+    const result = await this.bulkDelete({ name }, options);
+    return { acknowledged: true, ...result };
+  }
+
+  /**
+   * Bulk Delete
+   * Soft deletes every live person matching a filter, with safeguards:
+   *   - `dryRun` reports what would be deleted without deleting
+   *   - more matches than `maxAffected` abort the call, nothing deleted
+   *   - an empty filter, a pattern matching anything (prefix "", regex
+   *     ".*") or any filter matching every live person is refused unless
+   *     `confirm` is true
+   *   - regexes are limited in length and may not use backreferences,
+   *     lookarounds or nested quantifiers
+   *
+   * Exactly the people counted are deleted: the matching IDs are fetched
+   * first and the update is restricted to them.
+   *
+   * @example
+   *   await personService.bulkDelete({ name: 'Mary' }, { match: 'prefix', dryRun: true });
+   *   // { dryRun: true, matchedCount: 2, deletedCount: 0, ids: [...] }
+   *
+   * @param {Object} [filter={}] - { field: value } on _id, name, email, age,
+   *   favoriteFoods, isActive, createdAt or updatedAt; values may be
+   *   operator objects ($eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $all)
+   * @param {Object} [options]
+   * @param {String} [options.match='exact'] - How string values match:
+   *   'exact', 'prefix' or 'regex'
+   * @param {Boolean} [options.dryRun=false] - Only report the matches
+   * @param {Number} [options.maxAffected=100] - Most people one call may delete
+   * @param {Boolean} [options.confirm=false] - Allow empty or wildcard filters
+   * @param {String|Object} [options.actor] - Who is deleting the people
+   *   (default: the actor the code runs for)
+   * @returns {Promise<Object>} { dryRun, matchedCount, deletedCount, ids }
+   * @throws {ValidationError} Bad filter (VALIDATION_ERROR), unconfirmed
+   *   wildcard (CONFIRMATION_REQUIRED) or too many matches (MAX_AFFECTED_EXCEEDED)
+   * @throws {ForbiddenError} Filtering by a field the actor may not read
+   */
+  async bulkDelete(filter = {}, {
+    match = 'exact',
+    dryRun = false,
+    maxAffected = DEFAULT_MAX_AFFECTED,
+    confirm = false,
+    actor = currentActor()
+  } = {}) {
+    const confirmationRequired = () => new ValidationError(
+      'Filter matches every person; pass confirm: true to delete them all',
+      { code: 'CONFIRMATION_REQUIRED' }
+    );
+    const { filter: query, wildcard } = buildBulkFilter(filter, match);
+    this.Person.assertReadable(Object.keys(query), 'filter by');
+    if (wildcard && confirm !== true) {
+      throw confirmationRequired();
+    }
+    if (!Number.isInteger(maxAffected) || maxAffected < 1) {
+      throw new ValidationError('maxAffected must be a positive integer');
+    }
+
+    const op = log.operation('bulkDelete', { match, dryRun });
+
+    try {
+      // One more than allowed is enough to know the cap is exceeded
+      const matches = await this.Person.find(query).select('_id').limit(maxAffected + 1).lean();
+      if (matches.length > maxAffected) {
+        const matchedCount = await this.Person.countDocuments(query);
+        throw new ValidationError(`Filter matches ${matchedCount} people, more than maxAffected (${maxAffected})`, {
+          code: 'MAX_AFFECTED_EXCEEDED',
+          details: { matchedCount, maxAffected }
+        });
+      }
+
+      const ids = matches.map(person => person._id);
+      // Filters need not look like wildcards to match everyone
+      // ({ age: { $gte: 0 } }, { email: { $exists: true } }, regex ".")
+      if (confirm !== true && ids.length > 0 && ids.length === await this.Person.countDocuments()) {
+        throw confirmationRequired();
+      }
+      if (dryRun || ids.length === 0) {
+        op.done('Bulk delete previewed', { count: ids.length });
+        return { dryRun: Boolean(dryRun), matchedCount: ids.length, deletedCount: 0, ids };
+      }
+
+      // Soft-deleted people are already hidden, so only live ones match
+      const result = await this.Person.updateMany(
+        { _id: { $in: ids } },
+        { $set: { deletedAt: new Date(), deletedBy: actor ? actorToString(actor) : null } },
+        { actor }
+      );
+      op.done('People bulk deleted', { count: result.modifiedCount });
+      return { dryRun: false, matchedCount: ids.length, deletedCount: result.modifiedCount, ids };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Soft Delete a Person
+   * Marks the person as deleted so default queries no longer return them
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is deleting the person
+   *   (default: the actor the code runs for)
+   * @returns {Promise<Object|null>} The deleted person document or null
+   */
+  async softDelete(personId, { actor = currentActor() } = {}) {
+    assertValidId(personId);
+
+    const op = log.operation('softDelete', { personId });
+
+    try {
+      const deletedPerson = await this.Person.findOneAndUpdate(
+        { _id: personId, deletedAt: null },
+        { $set: { deletedAt: new Date(), deletedBy: actor ? actorToString(actor) : null } },
+        { new: true, actor }
+      );
+      if (!deletedPerson) {
+        op.done('Person not found');
+        return null;
+      }
+
+      op.done('Person soft deleted');
+      return deletedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Restore a Soft-Deleted Person
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is restoring the person
+   * @returns {Promise<Object|null>} The restored person or null if no
+   *   soft-deleted person has that ID
+   */
+  async restore(personId, { actor } = {}) {
+    assertValidId(personId);
+
+    const op = log.operation('restore', { personId });
+
+    try {
+      const restoredPerson = await this.Person.findOneAndUpdate(
+        { _id: personId, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true, actor }
+      );
+      if (!restoredPerson) {
+        op.done('Deleted person not found');
+        return null;
+      }
+
+      op.done('Person restored');
+      return restoredPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Purge a Person
+   * Permanently removes a person. Only soft-deleted people can be purged
+   * unless `force` is set, so a live record is never lost by accident.
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {Boolean} [options.force=false] - Also purge live records
+   * @param {String|Object} [options.actor] - Who is purging the person
+   * @returns {Promise<Object|null>} The purged person document or null
+   */
+  async purge(personId, { force = false, actor } = {}) {
+    assertValidId(personId);
+
+    const op = log.operation('purge', { personId, force });
+
+    try {
+      const filter = force ? { _id: personId } : { _id: personId, deletedAt: { $ne: null } };
+      const purgedPerson = await this.Person.findOneAndDelete(filter, { actor });
+      if (!purgedPerson) {
+        op.done(force ? 'Person not found' : 'Deleted person not found');
+        return null;
+      }
+
+      op.done('Person purged');
+      return purgedPerson;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
   /**
-   * CREATE OPERATIONS
+   * HISTORY OPERATIONS
    */
 
   /**
-   * 1. Create and Save a Single Person Record
-   * Creates a document instance and saves it to the database
-   * @param {Object} personData - Person data object
-   * @param {String} personData.name - Person's name (required)
-   * @param {Number} personData.age - Person's age (optional)
-   * @param {Array<String>} personData.favoriteFoods - Favorite foods (optional)
-   * @returns {Promise<Object>} Created person document
+   * Get Person History
+   * Returns the audit trail of a person, newest entry first. Works for
+   * soft-deleted and purged people too.
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {Number} [options.limit=100] - Maximum number of entries
+   * @returns {Promise<Array<Object>>} PersonHistory entries
+   */
+  async getPersonHistory(personId, { limit = 100 } = {}) {
+    assertValidId(personId);
+
+    try {
+      const entries = await this.PersonHistory.find({ personId })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+      // Snapshots and diffs hold stored values
+      return entries.map(entry => presentHistoryEntry(this.Person, entry));
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Revert a Person to an Earlier State
+   * Restores every field to the snapshot stored in a history entry (the
+   * state right after that entry's operation). A purged person is
+   * re-created with the same ID. The revert itself is recorded as a
+   * new 'revert' entry.
+   * @param {String} personId - Person's MongoDB ID
+   * @param {String} historyEntryId - PersonHistory entry to go back to
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who is reverting (audit trail)
+   * @returns {Promise<Object>} The reverted person document
+   * @throws {NotFoundError} When the entry does not belong to the person
+   * @throws {ValidationError} When the entry has no snapshot (a purge)
    */
-  async createAndSavePerson(personData) {
+  async revertPersonTo(personId, historyEntryId, { actor } = {}) {
+    assertValidId(personId);
+    assertValidId(historyEntryId, 'historyEntryId');
+
+    const op = log.operation('revertPersonTo', { personId, historyEntryId });
+
     try {
-      // Validate required fields
-      if (!personData.name) {
-        throw new Error('Name is required to create a person');
+      const entry = await this.PersonHistory.findOne({ _id: historyEntryId, personId }).lean();
+      if (!entry) {
+        throw new NotFoundError(`History entry "${historyEntryId}" not found for person "${personId}"`);
+      }
+      if (!entry.snapshot) {
+        throw new ValidationError(`Cannot revert to a "${entry.operation}" entry: it has no snapshot`);
       }
 
-      console.log('📝 Creating new person...');
-      
-      // Create a new Person document instance
-      const person = new Person({
-        name: personData.name,
-        age: personData.age || null,
-        favoriteFoods: personData.favoriteFoods || [],
-        email: personData.email || null,
-        isActive: personData.isActive !== undefined ? personData.isActive : true
-      });
+      const snapshot = entry.snapshot;
+      let person = await this.Person.findById(personId).withDeleted();
+      if (!person) {
+        person = new this.Person({ _id: personId, createdAt: snapshot.createdAt });
+      }
 
-      // Save the document to the database
-      // Using callback-style save as per instructions
-      return new Promise((resolve, reject) => {
-        person.save(function(err, savedPerson) {
-          if (err) {
-            console.error('❌ Error saving person:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Person created successfully: ${savedPerson.name}`);
-            resolve(savedPerson);
-          }
-        });
-      });
-      
+      // Paths missing from the snapshot were unset at that point in time
+      Object.keys(this.Person.schema.paths)
+        .filter(path => !['_id', '__v', 'createdAt', 'updatedAt'].includes(path))
+        .forEach(path => person.set(path, snapshot[path]));
+
+      person.$locals.actor = actor;
+      person.$locals.auditOperation = 'revert';
+      person.$locals.auditMeta = { revertedTo: entry._id };
+
+      const revertedPerson = await person.save();
+      op.done('Person reverted');
+      return revertedPerson;
     } catch (error) {
-      console.error('❌ Error in createAndSavePerson:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 2. Create Multiple People Records
-   * Creates multiple person documents in a single operation
-   * @param {Array<Object>} arrayOfPeople - Array of person objects
-   * @returns {Promise<Array<Object>>} Array of created person documents
+   * 11. Advanced Query: Chain Search Query Helpers
+   * Finds people who like burritos with chained query helpers
+   * @param {String} food - Food to search for (default: "burrito")
+   * @returns {Promise<Array<Object>>} Array of matching person documents
    */
-  async createManyPeople(arrayOfPeople) {
+  async findBurritoLovers(food = "burrito") {
+    const op = log.operation('findBurritoLovers', { food });
+
     try {
-      // Validate input
-      if (!Array.isArray(arrayOfPeople) || arrayOfPeople.length === 0) {
-        throw new Error('arrayOfPeople must be a non-empty array');
-      }
+      const [canonical] = await this.Food.canonicalize([food]);
+      // Chain query helpers for complex queries
+      const people = await this.Person.find({ favoriteFoods: canonical }) // Find people who like the specified food
+        .sort({ name: 1 })                 // Sort by name ascending
+        .limit(2)                          // Limit results to 2 documents
+        .select('name favoriteFoods')      // Include only name and favoriteFoods
+        .exec();                           // Execute the query
+      op.done('People found by food', { count: people.length });
+      return people;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
 
-      console.log(`📝 Creating ${arrayOfPeople.length} people...`);
+  /**
+   * Search People
+   * Ranked search over name, email and favorite foods. Each query word
+   * matches case and diacritic insensitively, as a whole word (also via
+   * the stemmed text index, so "burritos" finds "burrito"), as a prefix
+   * ("mar" finds "Mary") and with typos ("jonh" finds "John"; one typo
+   * up to five letters, two beyond, first letter must be right).
+   *
+   * Words matching in `name` weigh more than in `email`, which weigh more
+   * than in `favoriteFoods`. People matching only some words are
+   * included, ranked lower. Fields the actor may not read (utils/policy
+   * field rules) are not matched, so viewers cannot find people by email.
+   *
+   * @param {String} query - Free text
+   * @param {Object} [options]
+   * @param {Number} [options.limit=20] - Maximum results (max 100)
+   * @param {Boolean} [options.prefix=true] - Match word prefixes
+   * @param {Boolean} [options.fuzzy=true] - Tolerate typos
+   * @param {Boolean} [options.withDeleted=false] - Include soft-deleted people
+   * @param {String} [options.highlightPre='<mark>'] - Inserted before matches
+   * @param {String} [options.highlightPost='</mark>'] - Inserted after matches
+   * @returns {Promise<Object>} { items: [{ person, score, highlights }], total, terms }
+   *   where `score` is between 0 and 1 and `highlights` lists the matched
+   *   fields as { path, value, ranges: [{ start, end }], highlighted }
+   */
+  async searchPeople(query, {
+    limit = DEFAULT_PAGE_SIZE,
+    prefix = true,
+    fuzzy = true,
+    withDeleted = false,
+    highlightPre = '<mark>',
+    highlightPost = '</mark>'
+  } = {}) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      throw new ValidationError('Search query is required');
+    }
+    const terms = tokenize(query).slice(0, MAX_SEARCH_TERMS);
+    if (terms.length === 0) {
+      throw new ValidationError('Search query must contain letters or digits');
+    }
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
 
-      // Create multiple people using Model.create()
-      // Model.create() accepts an array of objects and saves them all
-      return new Promise((resolve, reject) => {
-        Person.create(arrayOfPeople, function(err, createdPeople) {
-          if (err) {
-            console.error('❌ Error creating multiple people:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Successfully created ${createdPeople.length} people`);
-            resolve(createdPeople);
-          }
-        });
+    const matchOptions = { prefix: Boolean(prefix), fuzzy: Boolean(fuzzy) };
+    const weights = Object.fromEntries(this.Person.readablePaths(Object.keys(SEARCH_WEIGHTS))
+      .map(field => [field, SEARCH_WEIGHTS[field]]));
+    const fieldsHidden = Object.keys(weights).length < Object.keys(SEARCH_WEIGHTS).length;
+    const op = log.operation('searchPeople', { terms: terms.length });
+
+    try {
+      // 1. Stored tokens close enough to a term. Typo candidates share the
+      //    term's first letter so the token index narrows the scan
+      const starts = terms.map(term => {
+        if (matchOptions.fuzzy && maxTyposFor(term) > 0) return escapeRegExp(term[0]);
+        return matchOptions.prefix ? escapeRegExp(term) : `${escapeRegExp(term)}$`;
       });
+      const startPattern = `^(?:${[...new Set(starts)].join('|')})`;
+      const vocabulary = await this.Person.aggregate([
+        { $match: { searchTokens: { $regex: startPattern } } },
+        { $unwind: '$searchTokens' },
+        { $match: { searchTokens: { $regex: startPattern } } },
+        { $group: { _id: '$searchTokens' } },
+        { $limit: MAX_SEARCH_VOCABULARY }
+      ]).option({ withDeleted });
+      const tokens = vocabulary
+        .map(entry => entry._id)
+        .filter(token => terms.some(term => matchQuality(token, term, matchOptions) > 0));
+
+      // 2. Candidates: people with one of those tokens, plus whole-word
+      //    (stemmed) matches from the text index. Neither tells which field
+      //    matched: tokens are rescored on readable fields below, and the
+      //    text index is skipped when a searchable field is hidden
+      const [byToken, byText] = await Promise.all([
+        tokens.length > 0
+          ? this.Person.find({ searchTokens: { $in: tokens } })
+            .limit(MAX_SEARCH_CANDIDATES)
+            .setOptions({ withDeleted })
+          : [],
+        fieldsHidden
+          ? []
+          : this.Person.find({ $text: { $search: terms.join(' ') } }, { textScore: { $meta: 'textScore' } })
+            .sort({ textScore: { $meta: 'textScore' } })
+            .limit(MAX_SEARCH_CANDIDATES)
+            .setOptions({ withDeleted })
+      ]);
 
+      const textScores = new Map(byText.map(person => [String(person._id), person.get('textScore')]));
+      const candidates = new Map();
+      [...byText, ...byToken].forEach(person => candidates.set(String(person._id), person));
+
+      // 3. Rank and highlight
+      const results = [...candidates.values()]
+        .map(person => ({
+          person,
+          score: scoreSearchMatch(person, terms, matchOptions, textScores.has(String(person._id)), weights),
+          textScore: textScores.get(String(person._id)) || 0
+        }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || b.textScore - a.textScore || String(a.person._id).localeCompare(String(b.person._id)));
+
+      const highlightOptions = { ...matchOptions, pre: highlightPre, post: highlightPost };
+      const items = results.slice(0, limit).map(({ person, score }) => {
+        person.set('textScore', undefined, { strict: false });
+        const highlights = collectHighlights(person, terms, highlightOptions)
+          .map(match => maskHighlight(this.Person, match))
+          .filter(Boolean);
+        return { person, score, highlights };
+      });
+      op.done('People searched', { count: items.length, total: results.length });
+      return { items, total: results.length, terms };
     } catch (error) {
-      console.error('❌ Error in createManyPeople:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * READ OPERATIONS
+   * FOOD QUERIES
+   * Favorite foods are stored under their catalog names (see models/Food),
+   * so counts group every spelling of a food together
    */
 
   /**
-   * 3. Find All People with a Given Name
-   * Searches for all people with a specific name
-   * @param {String} name - Name to search for
-   * @returns {Promise<Array<Object>>} Array of matching person documents
+   * Top Foods
+   * The foods liked by the most people
+   * @param {Object} [options]
+   * @param {Number} [options.limit=10] - Number of foods (max 100)
+   * @param {String} [options.category] - Only foods of this category
+   *   ("uncategorized" for foods missing from the catalog)
+   * @param {Boolean} [options.withDeleted=false] - Count soft-deleted people
+   * @returns {Promise<Array<Object>>} [{ food, category, count }], most
+   *   liked first
    */
-  async findPeopleByName(name) {
-    try {
-      if (!name || typeof name !== 'string') {
-        throw new Error('Valid name string is required');
-      }
+  async getTopFoods({ limit = 10, category, withDeleted = false } = {}) {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
 
-      console.log(`🔍 Searching for people named: "${name}"`);
+    const op = log.operation('getTopFoods', { limit, category });
 
-      // Model.find() returns all documents matching the query
-      // Returns an array of documents (empty array if no matches)
-      return new Promise((resolve, reject) => {
-        Person.find({ name: name }, function(err, people) {
-          if (err) {
-            console.error('❌ Error finding people by name:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Found ${people.length} person(s) named "${name}"`);
-            resolve(people);
-          }
-        });
-      });
+    try {
+      const pipeline = [
+        { $unwind: '$favoriteFoods' },
+        { $group: { _id: '$favoriteFoods', count: { $sum: 1 } } },
+        ...foodCategoryStages(this.Food.collection.collectionName)
+      ];
+      if (category !== undefined) {
+        pipeline.push({ $match: { category: String(category).trim().toLowerCase() } });
+      }
+      pipeline.push({ $sort: { count: -1, food: 1 } }, { $limit: limit });
 
+      const foods = await this.Person.aggregate(pipeline).option({ withDeleted });
+      op.done('Top foods computed', { count: foods.length });
+      return foods;
     } catch (error) {
-      console.error('❌ Error in findPeopleByName:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 4. Find One Person by Favorite Food
-   * Finds a single person who has a specific food in their favorites
-   * @param {String} food - Food to search for in favoriteFoods
-   * @returns {Promise<Object|null>} Single person document or null
+   * Foods by Category
+   * Every catalog food (liked or not) and every liked food missing from
+   * the catalog, grouped by category with how many people like each
+   * @param {Object} [options]
+   * @param {Boolean} [options.withDeleted=false] - Count soft-deleted people
+   * @returns {Promise<Array<Object>>} [{ category, count, foods: [{ food,
+   *   count }] }], categories by name ("uncategorized" last), foods most
+   *   liked first
    */
-  async findOneByFood(food) {
+  async getFoodsByCategory({ withDeleted = false } = {}) {
+    const op = log.operation('getFoodsByCategory');
+
     try {
-      if (!food || typeof food !== 'string') {
-        throw new Error('Valid food string is required');
-      }
+      const [counts, catalog] = await Promise.all([
+        this.Person.aggregate([
+          { $unwind: '$favoriteFoods' },
+          { $group: { _id: '$favoriteFoods', count: { $sum: 1 } } }
+        ]).option({ withDeleted }),
+        this.Food.find().select('name category').lean()
+      ]);
 
-      console.log(`🔍 Searching for person who likes: "${food}"`);
+      const likes = new Map(counts.map(entry => [entry._id, entry.count]));
+      const categoryOf = new Map(catalog.map(food => [food.name, food.category]));
+      const allFoods = new Set([...categoryOf.keys(), ...likes.keys()]);
 
-      // Model.findOne() returns the first document matching the query
-      // Returns null if no document matches
-      return new Promise((resolve, reject) => {
-        Person.findOne({ favoriteFoods: food }, function(err, person) {
-          if (err) {
-            console.error('❌ Error finding person by food:', err.message);
-            reject(err);
-          } else {
-            if (person) {
-              console.log(`✅ Found person: ${person.name}`);
-            } else {
-              console.log(`❌ No person found who likes "${food}"`);
-            }
-            resolve(person);
-          }
-        });
+      const categories = new Map();
+      allFoods.forEach(food => {
+        const category = categoryOf.get(food) || UNCATEGORIZED;
+        if (!categories.has(category)) categories.set(category, { category, count: 0, foods: [] });
+        const entry = categories.get(category);
+        const count = likes.get(food) || 0;
+        entry.count += count;
+        entry.foods.push({ food, count });
       });
 
+      const result = [...categories.values()]
+        .map(entry => ({
+          ...entry,
+          foods: entry.foods.sort((a, b) => b.count - a.count || a.food.localeCompare(b.food))
+        }))
+        .sort((a, b) => (a.category === UNCATEGORIZED) - (b.category === UNCATEGORIZED) ||
+          a.category.localeCompare(b.category));
+      op.done('Foods grouped by category', { categories: result.length });
+      return result;
     } catch (error) {
-      console.error('❌ Error in findOneByFood:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 5. Find Person by ID
-   * Finds a single person by their MongoDB _id
-   * @param {String} personId - MongoDB ObjectId string
-   * @returns {Promise<Object|null>} Person document or null
+   * People Sharing Foods
+   * Other people who like the same foods as a person, most foods in
+   * common first
+   * @param {String} personId - Person's MongoDB ID
+   * @param {Object} [options]
+   * @param {Number} [options.limit=10] - Number of people (max 100)
+   * @param {Number} [options.minShared=1] - Foods they must have in common
+   * @returns {Promise<Object>} { foods, items: [{ person, shared, sharedCount }] }
+   * @throws {NotFoundError} When no person has the given ID
    */
-  async findPersonById(personId) {
+  async findPeopleSharingFoods(personId, { limit = 10, minShared = 1 } = {}) {
+    assertValidId(personId);
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    minShared = Number(minShared);
+    if (!Number.isInteger(minShared) || minShared < 1) {
+      throw new ValidationError('minShared must be a positive integer');
+    }
+
+    const op = log.operation('findPeopleSharingFoods', { personId, limit });
+
     try {
-      if (!personId) {
-        throw new Error('personId is required');
+      const person = await this.Person.findById(personId).select('favoriteFoods').lean();
+      if (!person) {
+        throw new NotFoundError(`Person with ID "${personId}" not found`);
+      }
+      const foods = person.favoriteFoods || [];
+      if (foods.length < minShared) {
+        op.done('People sharing foods found', { count: 0 });
+        return { foods, items: [] };
       }
 
-      console.log(`🔍 Searching for person with ID: "${personId}"`);
-
-      // Model.findById() is a shortcut for findOne({ _id: id })
-      // More efficient for searching by ID
-      return new Promise((resolve, reject) => {
-        Person.findById(personId, function(err, person) {
-          if (err) {
-            console.error('❌ Error finding person by ID:', err.message);
-            reject(err);
-          } else {
-            if (person) {
-              console.log(`✅ Found person: ${person.name}`);
-            } else {
-              console.log(`❌ No person found with ID "${personId}"`);
-            }
-            resolve(person);
-          }
-        });
-      });
+      const matches = await this.Person.aggregate([
+        { $match: { _id: { $ne: person._id }, favoriteFoods: { $in: foods } } },
+        { $addFields: { shared: { $setIntersection: ['$favoriteFoods', foods] } } },
+        { $addFields: { sharedCount: { $size: '$shared' } } },
+        { $match: { sharedCount: { $gte: minShared } } },
+        { $sort: { sharedCount: -1, name: 1, _id: 1 } },
+        { $limit: limit },
+        { $project: { searchTokens: 0 } }
+      ]);
 
+      const items = matches.map(({ shared, sharedCount, ...doc }) => ({
+        person: this.Person.hydrate(doc),
+        // In the person's own order
+        shared: foods.filter(food => shared.includes(food)),
+        sharedCount
+      }));
+      op.done('People sharing foods found', { count: items.length });
+      return { foods, items };
     } catch (error) {
-      console.error('❌ Error in findPersonById:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * UPDATE OPERATIONS
+   * DATA SUBJECT REQUESTS
+   * GDPR subject access (exportPersonData) and erasure (erasePerson), by
+   * person ID or email address
    */
 
   /**
-   * 6. Classic Update: Find, Edit, then Save
-   * Finds a person by ID, modifies them, and saves the changes
-   * @param {String} personId - Person's MongoDB ID
-   * @param {Object} updates - Fields to update
-   * @returns {Promise<Object>} Updated person document
+   * Finds the person a data subject request is about: live, soft-deleted
+   * or already erased
+   * @param {String} idOrEmail - Person's ID or email address
+   * @returns {Promise<Object>} { personId, person, erasure } (personId is
+   *   null when nothing is known about the person)
+   * @throws {ForbiddenError} Looking up by email for an actor who may not
+   *   read emails
    */
-  async updatePersonClassic(personId, updates) {
-    try {
-      if (!personId) {
-        throw new Error('personId is required');
-      }
+  async findDataSubject(idOrEmail) {
+    if (typeof idOrEmail !== 'string' || idOrEmail.trim() === '') {
+      throw new ValidationError('A person ID or email address is required');
+    }
 
-      console.log(`✏️ Classic update for person ID: "${personId}"`);
+    const value = idOrEmail.trim();
+    const byId = /^[0-9a-f]{24}$/i.test(value);
+    if (!byId) this.Person.assertReadable(['email'], 'look people up by');
+    const person = await this.Person.findOne(byId ? { _id: value } : { email: value }).withDeleted();
+    const erasure = person || byId
+      ? await this.Erasure.findOne({ personId: person ? person._id : value })
+      : await this.Erasure.findByEmail(value);
 
-      // Step 1: Find the person by ID
-      return new Promise((resolve, reject) => {
-        Person.findById(personId, async function(err, person) {
-          if (err) {
-            console.error('❌ Error finding person for update:', err.message);
-            reject(err);
-          } else if (!person) {
-            reject(new Error(`Person with ID "${personId}" not found`));
-          } else {
-            try {
-              // Step 2: Apply updates to the document
-              if (updates.name) person.name = updates.name;
-              if (updates.age !== undefined) person.age = updates.age;
-              if (updates.email !== undefined) person.email = updates.email;
-              if (updates.isActive !== undefined) person.isActive = updates.isActive;
-              
-              // Special handling for favoriteFoods array
-              if (updates.addToFavorites && Array.isArray(updates.addToFavorites)) {
-                updates.addToFavorites.forEach(food => {
-                  if (!person.favoriteFoods.includes(food)) {
-                    person.favoriteFoods.push(food);
-                  }
-                });
-                // Mark the array as modified for Mongoose to track changes
-                person.markModified('favoriteFoods');
-              }
+    let personId = person ? person._id : erasure ? erasure.personId : null;
+    if (!personId && byId && await this.PersonHistory.exists({ personId: value })) {
+      personId = new mongoose.Types.ObjectId(value); // Purged, history kept
+    }
+    return { personId, person, erasure };
+  }
 
-              // Step 3: Save the updated document
-              person.save(function(saveErr, updatedPerson) {
-                if (saveErr) {
-                  console.error('❌ Error saving updated person:', saveErr.message);
-                  reject(saveErr);
-                } else {
-                  console.log(`✅ Person updated: ${updatedPerson.name}`);
-                  resolve(updatedPerson);
-                }
-              });
+  /**
+   * Export Person Data
+   * Everything held about a person as one portable JSON bundle (GDPR
+   * subject access): their record, full history and erasure tombstone.
+   * Names and emails are masked unless the caller has PII access
+   * (utils/pii); `masked` tells which.
+   * @param {String} idOrEmail - Person's ID or email address
+   * @returns {Promise<Object>} { format, version, exportedAt, personId,
+   *   masked, person, history, erasure }
+   * @throws {NotFoundError} When nothing is held about the person
+   */
+  async exportPersonData(idOrEmail) {
+    const op = log.operation('exportPersonData');
 
-            } catch (updateErr) {
-              console.error('❌ Error during update:', updateErr.message);
-              reject(updateErr);
-            }
-          }
-        });
-      });
+    try {
+      const { personId, person, erasure } = await this.findDataSubject(idOrEmail);
+      if (!personId) {
+        throw new NotFoundError('No data is held about this person');
+      }
+
+      const history = await this.PersonHistory.find({ personId })
+        .sort({ timestamp: 1, _id: 1 })
+        .lean();
 
+      op.done('Person data exported', { personId, historyEntries: history.length });
+      return {
+        format: DATA_EXPORT_FORMAT,
+        version: DATA_EXPORT_VERSION,
+        exportedAt: new Date(),
+        personId: String(personId),
+        masked: !canReadPii(),
+        // Stored values (getters off), decrypted and masked like history
+        person: person ? this.Person.presentPii(person.toObject({ virtuals: false, getters: false })) : null,
+        history: history.map(entry => presentHistoryEntry(this.Person, entry)),
+        erasure: erasure ? erasure.toObject() : null
+      };
     } catch (error) {
-      console.error('❌ Error in updatePersonClassic:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 7. Add "hamburger" to Favorite Foods (Specific Requirement)
-   * Finds a person by ID and adds "hamburger" to their favorite foods
-   * @param {String} personId - Person's MongoDB ID
-   * @returns {Promise<Object>} Updated person document
+   * Erase Person
+   * Removes a person and their history for good (GDPR right to erasure)
+   * and keeps a tombstone proving it: who asked, why, when and how many
+   * records went, plus keyed hashes of every email the person had, so
+   * import and seeding refuse to re-create them (PERSON_ERASED).
+   *
+   * Steps run one after the other, tombstone first: an interrupted
+   * erasure is left "pending" and finished by calling this again. Watchers
+   * see the removal as a person.deleted event.
+   *
+   * @param {String} idOrEmail - Person's ID or email address
+   * @param {Object} [options]
+   * @param {String|Object} [options.actor] - Who requested the erasure
+   *   (default: the actor the code runs for)
+   * @param {String} [options.reason] - Why, e.g. a ticket reference (no
+   *   personal data)
+   * @returns {Promise<Object>} The Erasure tombstone
+   * @throws {NotFoundError} When nothing is held about the person
+   * @throws {EncryptionError} ERASURE_SECRET_MISSING in production without
+   *   ERASURE_HASH_SECRET, before anything is removed
    */
-  async addHamburgerToFavorites(personId) {
-    return this.updatePersonClassic(personId, {
-      addToFavorites: ['hamburger']
-    });
-  }
+  async erasePerson(idOrEmail, { actor = currentActor(), reason = null } = {}) {
+    if (reason !== null && typeof reason !== 'string') {
+      throw new ValidationError('reason must be a string');
+    }
+    hashSecret(); // Refuse before removing anything
+
+    const op = log.operation('erasePerson');
 
-  /**
-   * 8. Modern Update: Find One and Update
-   * Finds a person by name and updates their age in a single operation
-   * @param {String} personName - Name of the person to update
-   * @param {Number} newAge - New age value
-   * @returns {Promise<Object>} Updated person document
-   */
-  async findOneAndUpdateAge(personName, newAge = 20) {
     try {
-      if (!personName) {
-        throw new Error('personName is required');
+      const { personId, person, erasure } = await this.findDataSubject(idOrEmail);
+      if (!personId) {
+        throw new NotFoundError('No data is held about this person');
       }
+      if (erasure && erasure.status === 'completed' && !person) {
+        op.done('Person already erased', { personId });
+        return erasure;
+      }
+
+      // Every address the person had, current and in their history
+      const emails = new Set(person && person.email ? [person.email] : []);
+      const history = await this.PersonHistory.find({ personId }).select('snapshot.email changes').lean();
+      history.forEach(entry => {
+        const values = [entry.snapshot && entry.snapshot.email];
+        (entry.changes || [])
+          .filter(change => change.path === 'email')
+          .forEach(change => values.push(change.before, change.after));
+        values
+          .filter(value => typeof value === 'string' && value !== '')
+          .forEach(value => emails.add(this.Person.decryptFields({ email: value }).email));
+      });
 
-      console.log(`✏️ Setting age of "${personName}" to ${newAge}`);
+      const tombstone = await this.Erasure.findOneAndUpdate(
+        { personId },
+        {
+          $setOnInsert: { requestedBy: actorToString(actor), reason },
+          $addToSet: { emailHashes: { $each: [...emails].map(emailHash) } },
+          $set: { status: 'pending' }
+        },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
 
-      // Model.findOneAndUpdate() finds and updates in a single operation
-      // { new: true } returns the updated document instead of the original
-      // { runValidators: true } ensures update respects schema validation
-      const updateOptions = {
-        new: true, // Return the modified document
-        runValidators: true, // Run schema validators on update
-        context: 'query' // Required for some validators to work
-      };
+      // Through the model, so watchers hear of it; the purge entry this
+      // writes goes with the rest of the history
+      const deleted = await this.Person.findOneAndDelete({ _id: personId }, { actor });
+      const { deletedCount } = await this.PersonHistory.deleteMany({ personId });
 
-      return new Promise((resolve, reject) => {
-        Person.findOneAndUpdate(
-          { name: personName }, // Search criteria
-          { age: newAge }, // Update operation
-          updateOptions, // Options
-          function(err, updatedPerson) {
-            if (err) {
-              console.error('❌ Error in findOneAndUpdate:', err.message);
-              reject(err);
-            } else if (!updatedPerson) {
-              console.log(`❌ No person found named "${personName}"`);
-              resolve(null);
-            } else {
-              console.log(`✅ Updated ${updatedPerson.name}'s age to ${updatedPerson.age}`);
-              resolve(updatedPerson);
-            }
-          }
-        );
+      tombstone.set({
+        status: 'completed',
+        erasedAt: new Date(),
+        removed: {
+          people: tombstone.removed.people + (deleted ? 1 : 0),
+          history: tombstone.removed.history + deletedCount
+        }
       });
+      await tombstone.save();
 
+      op.done('Person erased', { personId, historyEntries: deletedCount });
+      return tombstone;
     } catch (error) {
-      console.error('❌ Error in findOneAndUpdateAge:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * DELETE OPERATIONS
+   * CHANGE EVENTS
    */
 
   /**
-   * 9. Delete One Person by ID
-   * Finds and removes a single person by their ID
-   * @param {String} personId - Person's MongoDB ID
-   * @returns {Promise<Object>} The removed person document
+   * Watch People
+   * Calls `handler` with a typed event (person.created, person.updated,
+   * person.deleted; see services/personEvents for their shape) for every
+   * matching change, one event at a time.
+   *
+   * Uses MongoDB change streams when the server supports them, and the
+   * in-process audit trail otherwise (only changes made by this process,
+   * nothing replayed after a restart). With a `consumer` name, change
+   * stream subscriptions store their position and pick up after the last
+   * handled event when started again under the same name.
+   *
+   * @example
+   * const subscription = await personService.watch(
+   *   { types: ['person.updated'], fields: ['email'] },
+   *   async event => notifyCrm(event.personId, event.document.email),
+   *   { consumer: 'crm-sync' }
+   * );
+   * // later: await subscription.close();
+   *
+   * @param {Object} [filter]
+   * @param {String|Array<String>} [filter.types] - Event types (default: all)
+   * @param {String|Array<String>} [filter.personIds] - Only these people
+   * @param {String|Array<String>} [filter.fields] - Only updates changing
+   *   one of these fields
+   * @param {Function} handler - async (event) => {}; a throwing handler is
+   *   logged and does not stop the subscription
+   * @param {Object} [options]
+   * @param {String} [options.consumer] - Name to store the resume token under
+   * @param {String} [options.mode] - 'auto' (default, or PERSON_EVENTS_MODE),
+   *   'changeStream' or 'local'
+   * @param {Function} [options.onError] - Called with the error when the
+   *   subscription fails and stops (default: logs it)
+   * @returns {Promise<PersonSubscription>} Open subscription ({ mode, close() })
+   * @throws {ValidationError} On a bad filter, handler or mode, or
+   *   mode 'changeStream' without a replica set
    */
-  async deletePersonById(personId) {
+  async watch(filter, handler, {
+    consumer,
+    mode = process.env.PERSON_EVENTS_MODE || 'auto',
+    onError
+  } = {}) {
+    const normalizedFilter = normalizeWatchFilter(filter || {});
+    if (typeof handler !== 'function') {
+      throw new ValidationError('handler must be a function');
+    }
+    if (!WATCH_MODES.includes(mode)) {
+      throw new ValidationError(`mode must be one of: ${WATCH_MODES.join(', ')}`);
+    }
+    if (consumer !== undefined && (typeof consumer !== 'string' || consumer.trim() === '')) {
+      throw new ValidationError('consumer must be a non-empty string');
+    }
+
+    const op = log.operation('watch', { consumer, mode });
+
     try {
-      if (!personId) {
-        throw new Error('personId is required');
-      }
-
-      console.log(`🗑️ Deleting person with ID: "${personId}"`);
-
-      // Model.findByIdAndRemove() finds by ID and removes in one operation
-      return new Promise((resolve, reject) => {
-        Person.findByIdAndRemove(personId, function(err, removedPerson) {
-          if (err) {
-            console.error('❌ Error deleting person:', err.message);
-            reject(err);
-          } else if (!removedPerson) {
-            console.log(`❌ No person found with ID "${personId}"`);
-            resolve(null);
-          } else {
-            console.log(`✅ Deleted person: ${removedPerson.name}`);
-            resolve(removedPerson);
-          }
-        });
+      const useChangeStream = mode === 'local' ? false : await supportsChangeStreams(this.connection);
+      if (mode === 'changeStream' && !useChangeStream) {
+        throw new ValidationError('Change streams need a replica set or sharded cluster');
+      }
+
+      const subscription = new PersonSubscription({
+        Person: this.Person,
+        filter: normalizedFilter,
+        handler,
+        consumer: consumer || null,
+        tokens: new ResumeTokenStore({ connection: this.connection }),
+        onError
       });
+      if (useChangeStream) {
+        await subscription.startChangeStream();
+      } else {
+        subscription.startLocal();
+      }
 
+      op.done('Watching people', { mode: subscription.mode });
+      return subscription;
     } catch (error) {
-      console.error('❌ Error in deletePersonById:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 10. Delete Many People by Name
-   * Removes all people with a specific name
-   * Note: Model.remove() is deprecated, using deleteMany() instead
-   * @param {String} name - Name of people to delete
-   * @returns {Promise<Object>} Operation result object
+   * Forgets where a watch consumer stopped; its next subscription starts
+   * with changes made from then on
+   * @param {String} consumer - Consumer name given to watch()
+   * @returns {Promise<Boolean>} Whether a position was stored
    */
-  async deleteManyByName(name) {
-    try {
-      if (!name) {
-        throw new Error('Name is required for deletion');
-      }
-
-      console.log(`🗑️ Deleting all people named: "${name}"`);
-
-      // Model.deleteMany() removes all documents matching the criteria
-      // Returns an object with deletion statistics
-      return new Promise((resolve, reject) => {
-        Person.deleteMany({ name: name }, function(err, result) {
-          if (err) {
-            console.error('❌ Error deleting people:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Deleted ${result.deletedCount} person(s) named "${name}"`);
-            resolve(result);
-          }
-        });
-      });
+  async resetWatchPosition(consumer) {
+    if (typeof consumer !== 'string' || consumer.trim() === '') {
+      throw new ValidationError('consumer must be a non-empty string');
+    }
 
+    try {
+      return await new ResumeTokenStore({ connection: this.connection }).clear(consumer);
     } catch (error) {
-      console.error('❌ Error in deleteManyByName:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
   /**
-   * 11. Advanced Query: Chain Search Query Helpers
-   * Finds people who like burritos with chained query helpers
-   * @param {String} food - Food to search for (default: "burrito")
-   * @returns {Promise<Array<Object>>} Array of matching person documents
+   * ENCRYPTION
    */
-  async findBurritoLovers(food = "burrito") {
+
+  /**
+   * Re-encrypt Personal Data
+   * Brings stored people in line with the keyring (utils/keyring):
+   * values of older keys and plaintext stored before encryption was
+   * switched on are encrypted with the active key. Run after every key
+   * rotation, and after switching encryption on, when search tokens and
+   * the text index are rebuilt without the encrypted fields too.
+   * @param {Object} [options]
+   * @param {Number} [options.batchSize=500] - Documents per bulk write
+   * @returns {Promise<Object>} { scanned, updated, plaintext,
+   *   searchTokensRebuilt, textIndexRebuilt }
+   */
+  async reencryptPii({ batchSize = 500 } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new ValidationError('batchSize must be a positive integer');
+    }
+
+    const op = log.operation('reencryptPii');
+
     try {
-      console.log(`🔍 Searching for people who like "${food}"...`);
-
-      return new Promise((resolve, reject) => {
-        // Chain query helpers for complex queries
-        Person.find({ favoriteFoods: food }) // Find people who like the specified food
-          .sort({ name: 1 })                 // Sort by name ascending
-          .limit(2)                          // Limit results to 2 documents
-          .select('-age')                    // Exclude age field from results
-          .select('name favoriteFoods')      // Include only name and favoriteFoods
-          .exec(function(err, people) {      // Execute the query
-            if (err) {
-              console.error('❌ Error in chained query:', err.message);
-              reject(err);
-            } else {
-              console.log(`✅ Found ${people.length} person(s) who like "${food}"`);
-              resolve(people);
-            }
-          });
-      });
+      const result = await this.Person.reencryptFields({ batchSize });
+      const searchTokensRebuilt = result.plaintext > 0
+        ? await this.Person.rebuildSearchTokens({}, { batchSize })
+        : 0;
+      const textIndexRebuilt = await this.rebuildTextIndexIfChanged();
 
+      op.done('Personal data re-encrypted', { ...result, searchTokensRebuilt, textIndexRebuilt });
+      return { ...result, searchTokensRebuilt, textIndexRebuilt };
     } catch (error) {
-      console.error('❌ Error in findBurritoLovers:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
+  /**
+   * Recreates the text index when its fields differ from the schema's
+   * (MongoDB allows one text index per collection, so the old one must go)
+   * @returns {Promise<Boolean>} Whether it was rebuilt
+   */
+  async rebuildTextIndexIfChanged() {
+    const [, { name, weights }] = this.Person.schema.indexes()
+      .find(([, options]) => options.name === 'person_text');
+    const existing = (await this.Person.collection.indexes()).find(index => index.name === name);
+    const sameFields = existing &&
+      Object.keys(existing.weights).sort().join() === Object.keys(weights).sort().join();
+    if (sameFields) return false;
+
+    if (existing) await this.Person.collection.dropIndex(name);
+    await this.Person.createIndexes();
+    return true;
+  }
+
   /**
    * UTILITY METHODS
    */
@@ -460,24 +2412,104 @@ class PersonService {
    * @returns {Promise<Array<Object>>} All person documents
    */
   async getAllPeople() {
+    const op = log.operation('getAllPeople');
+
     try {
-      console.log('📋 Retrieving all people...');
-      
-      return new Promise((resolve, reject) => {
-        Person.find({}, function(err, people) {
-          if (err) {
-            console.error('❌ Error getting all people:', err.message);
-            reject(err);
-          } else {
-            console.log(`✅ Retrieved ${people.length} person(s)`);
-            resolve(people);
-          }
-        });
-      });
+      const people = await this.Person.find({});
+      op.done('People retrieved', { count: people.length });
+      return people;
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * List People
+   * Filtered, sorted and paginated listing. Uses keyset (cursor)
+   * pagination by default; pass `page` for offset pagination instead.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.name] - Exact name
+   * @param {String} [options.namePrefix] - Name prefix (ignored when `name` is set)
+   * @param {Number} [options.minAge] - Minimum age (inclusive)
+   * @param {Number} [options.maxAge] - Maximum age (inclusive)
+   * @param {String|Array<String>} [options.foods] - Favorite food(s)
+   * @param {String} [options.foodsMatch='any'] - 'any' or 'all' of `foods`
+   * @param {Boolean} [options.isActive] - Active flag
+   * @param {Date|String} [options.createdAfter] - createdAt >= this
+   * @param {Date|String} [options.createdBefore] - createdAt < this
+   * @param {Object|String} [options.sort={ createdAt: -1 }] - Sort spec
+   * @param {String|Array<String>} [options.fields] - Fields to return
+   * @param {Number} [options.limit=20] - Page size (max 100)
+   * @param {String} [options.cursor] - `nextCursor` from the previous page
+   * @param {Number} [options.page] - 1-based page number (offset mode)
+   * @param {Boolean} [options.includeTotal] - Also count all matches
+   * @param {Boolean} [options.withDeleted] - Include soft-deleted people
+   * @param {Boolean} [options.onlyDeleted] - Return only soft-deleted people
+   * @returns {Promise<Object>} { items, pageInfo }
+   * @throws {ForbiddenError} When sorting by or selecting a field the
+   *   actor may not read (FIELD_RULES)
+   */
+  async listPeople(options = {}) {
+    const limit = options.limit === undefined ? DEFAULT_PAGE_SIZE : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ValidationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const offsetMode = options.page !== undefined;
+    const page = offsetMode ? Number(options.page) : undefined;
+    if (offsetMode && (!Number.isInteger(page) || page < 1)) {
+      throw new ValidationError('page must be a positive integer');
+    }
+    if (offsetMode && options.cursor) {
+      throw new ValidationError('Use either cursor or page, not both');
+    }
+
+    const sortEntries = normalizeSort(options.sort || DEFAULT_SORT, SORTABLE_FIELDS);
+    this.Person.assertReadable(sortEntries.map(([field]) => field), 'sort by');
+    const projection = buildProjection(options.fields, sortEntries);
+    if (projection) this.Person.assertReadable(projection.split(' '), 'select');
+    options = await this.withCanonicalFoods(options);
+
+    const deletedOptions = { withDeleted: Boolean(options.withDeleted), onlyDeleted: Boolean(options.onlyDeleted) };
+    const query = this.Person.find(buildListFilter(options))
+      .byAgeRange(options.minAge, options.maxAge)
+      .setOptions(deletedOptions);
+    const countFilter = query.getFilter();
+
+    if (options.cursor) {
+      query.and([buildKeysetFilter(sortEntries, decodeCursor(options.cursor, sortEntries))]);
+    }
+
+    query.sort(toSortObject(sortEntries)).limit(limit + 1);
+    if (projection) query.select(projection);
+    if (offsetMode) query.skip((page - 1) * limit);
+
+    const op = log.operation('listPeople', { limit });
+
+    try {
+      const [docs, total] = await Promise.all([
+        query.exec(),
+        offsetMode || options.includeTotal ? this.Person.countDocuments(countFilter).setOptions(deletedOptions) : undefined
+      ]);
+
+      // One extra document was fetched to know whether another page exists
+      const hasNextPage = docs.length > limit;
+      const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+      const pageInfo = { limit, hasNextPage };
+      if (offsetMode) {
+        pageInfo.page = page;
+        pageInfo.totalPages = Math.ceil(total / limit);
+      } else {
+        pageInfo.nextCursor = hasNextPage ? encodeCursor(items[items.length - 1], sortEntries) : null;
+      }
+      if (total !== undefined) pageInfo.total = total;
 
+      op.done('People listed', { count: items.length });
+      return { items, pageInfo };
     } catch (error) {
-      console.error('❌ Error in getAllPeople:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 
@@ -488,24 +2520,193 @@ class PersonService {
    */
   async getStats() {
     try {
-      const totalCount = await Person.countDocuments();
-      const activeCount = await Person.countDocuments({ isActive: true });
-      const averageAge = await Person.aggregate([
-        { $match: { age: { $ne: null } } },
-        { $group: { _id: null, avgAge: { $avg: "$age" } } }
+      // One pass over the collection; $avg skips people without an age
+      const [stats] = await this.Person.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            active: { $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] } },
+            averageAge: { $avg: '$age' }
+          }
+        }
       ]);
 
       return {
-        totalPeople: totalCount,
-        activePeople: activeCount,
-        averageAge: averageAge[0]?.avgAge || 0
+        totalPeople: stats ? stats.total : 0,
+        activePeople: stats ? stats.active : 0,
+        averageAge: (stats && stats.averageAge) || 0
+      };
+    } catch (error) {
+      throw translateMongooseError(error);
+    }
+  }
+
+  /**
+   * Get Analytics
+   * Demographic breakdown of the people matching the listPeople() filters,
+   * computed in a single $facet aggregation
+   * @param {Object} [options] - listPeople() filters (name, namePrefix,
+   *   minAge, maxAge, foods, foodsMatch, isActive, createdAfter,
+   *   createdBefore, withDeleted, onlyDeleted), plus:
+   * @param {Array<Number>|Number} [options.ageBuckets] - Histogram bucket
+   *   boundaries (default 0, 18, 30, 40, 50, 65 and up) or a bucket width
+   * @param {Array<Number>} [options.percentiles=[25, 50, 75, 90]] - Age
+   *   percentiles to report
+   * @param {Number} [options.topFoods=10] - Foods per popularity list
+   * @param {String} [options.signupsBy='day'] - Signup period: day, week
+   *   (ISO week) or month
+   * @param {String} [options.timezone='UTC'] - Time zone signup periods
+   *   are counted in
+   * @returns {Promise<Object>} { total, active, age, email, foods, signups }
+   */
+  async getAnalytics(options = {}) {
+    const boundaries = resolveAgeBoundaries(options.ageBuckets);
+
+    const percentiles = options.percentiles === undefined ? DEFAULT_PERCENTILES : options.percentiles;
+    if (!Array.isArray(percentiles) || !percentiles.every(value => Number.isFinite(value) && value >= 0 && value <= 100)) {
+      throw new ValidationError('percentiles must be numbers between 0 and 100');
+    }
+
+    const topFoods = options.topFoods === undefined ? DEFAULT_TOP_FOODS : Number(options.topFoods);
+    if (!Number.isInteger(topFoods) || topFoods < 1 || topFoods > MAX_PAGE_SIZE) {
+      throw new ValidationError(`topFoods must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const signupsBy = options.signupsBy || 'day';
+    if (!SIGNUP_PERIOD_FORMATS[signupsBy]) {
+      throw new ValidationError(`signupsBy must be one of: ${Object.keys(SIGNUP_PERIOD_FORMATS).join(', ')}`);
+    }
+
+    const timezone = options.timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new ValidationError(`Unknown time zone "${timezone}"`);
+    }
+
+    options = await this.withCanonicalFoods(options);
+    const match = this.Person.find(buildListFilter(options))
+      .byAgeRange(options.minAge, options.maxAge)
+      .getFilter();
+    if (options.onlyDeleted) match.deletedAt = { $ne: null };
+    const withDeleted = Boolean(options.withDeleted || options.onlyDeleted);
+
+    const lastBoundary = boundaries[boundaries.length - 1];
+    // Index of the age bucket; ages are already limited to the boundaries
+    const ageBucket = {
+      $switch: {
+        branches: boundaries.slice(1).map((max, index) => ({ case: { $lt: ['$age', max] }, then: index })),
+        default: null
+      }
+    };
+
+    const op = log.operation('getAnalytics', { signupsBy });
+
+    try {
+      const [facets] = await this.Person.aggregate([
+        { $match: match },
+        {
+          $facet: {
+            counts: [
+              {
+                $group: {
+                  _id: null,
+                  total: { $sum: 1 },
+                  active: { $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] } },
+                  withEmail: { $sum: { $cond: [{ $gt: [{ $ifNull: ['$email', ''] }, ''] }, 1, 0] } }
+                }
+              }
+            ],
+            // Ages are few distinct values, so percentiles come from their counts
+            ages: [
+              { $match: { age: { $ne: null } } },
+              { $group: { _id: '$age', count: { $sum: 1 } } },
+              { $sort: { _id: 1 } }
+            ],
+            ageHistogram: [
+              { $match: { age: { $ne: null } } },
+              { $bucket: { groupBy: '$age', boundaries, default: 'other', output: { count: { $sum: 1 } } } }
+            ],
+            topFoods: [
+              { $unwind: '$favoriteFoods' },
+              { $group: { _id: '$favoriteFoods', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: topFoods },
+              ...foodCategoryStages(this.Food.collection.collectionName)
+            ],
+            foodsByAgeBucket: [
+              { $match: { age: { $gte: boundaries[0], $lt: lastBoundary } } },
+              { $project: { bucket: ageBucket, favoriteFoods: 1 } },
+              { $unwind: '$favoriteFoods' },
+              { $group: { _id: { bucket: '$bucket', food: '$favoriteFoods' }, count: { $sum: 1 } } },
+              { $sort: { count: -1, '_id.food': 1 } },
+              { $group: { _id: '$_id.bucket', foods: { $push: { food: '$_id.food', count: '$count' } } } },
+              { $project: { foods: { $slice: ['$foods', topFoods] } } }
+            ],
+            signups: [
+              { $match: { createdAt: { $ne: null } } },
+              {
+                $group: {
+                  _id: { $dateToString: { format: SIGNUP_PERIOD_FORMATS[signupsBy], date: '$createdAt', timezone } },
+                  count: { $sum: 1 }
+                }
+              },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]).option({ withDeleted });
+
+      const { total, active, withEmail } = facets.counts[0] || { total: 0, active: 0, withEmail: 0 };
+
+      const distribution = facets.ages.map(entry => ({ value: entry._id, count: entry.count }));
+      const known = distribution.reduce((sum, entry) => sum + entry.count, 0);
+      const ageSum = distribution.reduce((sum, entry) => sum + entry.value * entry.count, 0);
+
+      const bucketCounts = new Map(facets.ageHistogram.map(entry => [entry._id, entry.count]));
+      const histogram = boundaries.slice(0, -1).map((min, index) => ({
+        bucket: ageBucketLabel(min, boundaries[index + 1]),
+        min,
+        max: boundaries[index + 1],
+        count: bucketCounts.get(min) || 0
+      }));
+      const foodsByBucket = new Map(facets.foodsByAgeBucket.map(entry => [entry._id, entry.foods]));
+
+      const analytics = {
+        total,
+        active: { active, inactive: total - active, ratio: ratio(active, total) },
+        age: {
+          known,
+          unknown: total - known,
+          average: known > 0 ? ageSum / known : null,
+          min: known > 0 ? distribution[0].value : null,
+          max: known > 0 ? distribution[distribution.length - 1].value : null,
+          median: percentilesOf(distribution, [50]).p50,
+          percentiles: percentilesOf(distribution, percentiles),
+          histogram,
+          // Known ages outside the bucket boundaries
+          outOfRange: bucketCounts.get('other') || 0
+        },
+        email: { withEmail, withoutEmail: total - withEmail, share: ratio(withEmail, total) },
+        foods: {
+          top: facets.topFoods,
+          byAgeBucket: histogram.map(({ bucket }, index) => ({ bucket, foods: foodsByBucket.get(index) || [] }))
+        },
+        signups: {
+          by: signupsBy,
+          timezone,
+          series: facets.signups.map(entry => ({ period: entry._id, count: entry.count }))
+        }
       };
+      op.done('Analytics computed', { total });
+      return analytics;
     } catch (error) {
-      console.error('❌ Error getting stats:', error.message);
-      throw error;
+      throw translateMongooseError(error);
     }
   }
 }
 
-// Export service instance
+// Export service instance for the default connection, plus the class
 module.exports = new PersonService();
+module.exports.PersonService = PersonService;
@@ -0,0 +1,143 @@
+// src/utils/csv.js
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 reader and writer: comma separated, fields optionally
+ * wrapped in double quotes, "" for a literal quote, quoted fields may
+ * contain commas and line breaks. Lines end with \n or \r\n.
+ *
+ * Written text cells starting like a spreadsheet formula (= + - @, tab,
+ * carriage return) get a leading ' so opening an export never runs them
+ * (CSV injection); unguardCsvField() removes it again on import.
+ */
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Reads CSV records from a stream
+ * Tracks the line each record starts on so callers can report errors
+ * against the input file.
+ * @param {AsyncIterable<Buffer|String>} stream - Readable stream
+ * @yields {{ fields: Array<String>, line: Number }}
+ * @throws {Error} On a quote left open at the end of the input
+ */
+async function* parseCsv(stream) {
+  const decoder = new StringDecoder('utf8');
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteSeen = false; // Previous character closed a quote (or is an escaped one)
+  let pendingCR = false;
+  let line = 1;
+  let recordLine = 1;
+  let started = false; // Current record has content
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+
+  function* endRecord() {
+    endField();
+    // Blank lines are skipped rather than read as one empty field
+    if (started || fields.length > 1 || fields[0] !== '') {
+      yield { fields, line: recordLine };
+    }
+    fields = [];
+    started = false;
+    recordLine = line;
+  }
+
+  function* consume(text) {
+    for (const char of text) {
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          quoteSeen = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        // "" inside a quoted field is a literal quote
+        if (quoteSeen) field += '"';
+        inQuotes = true;
+        quoteSeen = false;
+        started = true;
+        continue;
+      }
+      quoteSeen = false;
+
+      if (char === ',') {
+        endField();
+        started = true;
+      } else if (char === '\n' || char === '\r') {
+        line++;
+        pendingCR = char === '\r';
+        yield* endRecord();
+      } else {
+        field += char;
+        started = true;
+      }
+    }
+  }
+
+  for await (const chunk of stream) {
+    yield* consume(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+  yield* consume(decoder.end());
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  yield* endRecord();
+}
+
+/**
+ * Quotes a value when it contains a comma, quote or line break, and
+ * guards strings starting like a formula with a leading '
+ * @param {*} value - null and undefined become an empty cell; numbers are
+ *   never guarded, so negative ones stay numbers
+ * @returns {String}
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Removes the formula guard formatCsvField() adds
+ * @param {String} text - Cell as read
+ * @returns {String}
+ */
+function unguardCsvField(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Formats one CSV line (with trailing \n)
+ * @param {Array<*>} values - Cell values
+ * @returns {String}
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvField,
+  formatCsvRow,
+  unguardCsvField
+};
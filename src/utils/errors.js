@@ -0,0 +1,197 @@
+// src/utils/errors.js
+const mongoose = require('mongoose');
+
+/**
+ * Application Errors
+ * Typed errors used by the service layer so callers can branch on
+ * `error.code` (or `instanceof`) instead of parsing messages
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Human readable message
+   * @param {Object} [options]
+   * @param {String} [options.code] - Stable machine readable code
+   * @param {Number} [options.status] - Suggested HTTP status
+   * @param {*} [options.details] - Extra information about the failure
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code = 'APP_ERROR', status = 500, details, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    if (details !== undefined) this.details = details;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+/**
+ * Input failed validation (bad arguments or schema validation)
+ */
+class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', status: 400, ...options });
+  }
+}
+
+/**
+ * A value that should be a MongoDB ObjectId is not one
+ */
+class InvalidIdError extends ValidationError {
+  constructor(id, options = {}) {
+    super(`"${id}" is not a valid id`, { code: 'INVALID_ID', ...options });
+    this.id = id;
+  }
+}
+
+/**
+ * The requested document does not exist
+ */
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', status: 404, ...options });
+  }
+}
+
+/**
+ * A unique index rejected the write (MongoDB E11000)
+ */
+class DuplicateKeyError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'DUPLICATE_KEY', status: 409, ...options });
+  }
+}
+
+/**
+ * The document changed since the caller read it (optimistic concurrency)
+ * `current` holds the latest version of the document, when known
+ */
+class ConflictError extends AppError {
+  constructor(message, { current = null, ...options } = {}) {
+    super(message, { code: 'CONFLICT', status: 409, ...options });
+    this.current = current;
+  }
+}
+
+/**
+ * MongoDB could not be reached after every retry
+ */
+class DatabaseConnectionError extends AppError {
+  constructor(message, { attempts, ...options } = {}) {
+    super(message, { code: 'DB_CONNECTION_FAILED', status: 503, ...options });
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Any other database failure
+ */
+class DatabaseError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'DATABASE_ERROR', status: 500, ...options });
+  }
+}
+
+/**
+ * A migration's up() or down() failed
+ * `migration` is the migration name, `direction` "up" or "down"
+ */
+class MigrationError extends AppError {
+  constructor(message, { migration, direction, ...options } = {}) {
+    super(message, { code: 'MIGRATION_FAILED', status: 500, ...options });
+    this.migration = migration;
+    this.direction = direction;
+  }
+}
+
+/**
+ * A request could not be authenticated: no credentials, or an unknown,
+ * revoked, expired or forged API key or token
+ */
+class AuthenticationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNAUTHENTICATED', status: 401, ...options });
+  }
+}
+
+/**
+ * The actor of a call lacks the permission it needs (see utils/policy)
+ * `permission` is the missing permission
+ */
+class ForbiddenError extends AppError {
+  constructor(message, { permission, ...options } = {}) {
+    super(message, { code: 'FORBIDDEN', status: 403, ...options });
+    this.permission = permission;
+  }
+}
+
+/**
+ * A field could not be encrypted or decrypted (missing or wrong key,
+ * tampered value)
+ */
+class EncryptionError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ENCRYPTION_ERROR', status: 500, ...options });
+  }
+}
+
+/**
+ * Converts errors raised by Mongoose / the MongoDB driver into AppErrors
+ * Errors that are already AppErrors are returned untouched
+ * @param {Error} error - Error to translate
+ * @returns {AppError} Typed error
+ */
+function translateMongooseError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(error.errors).map(e => ({
+      path: e.path,
+      message: e.message,
+      value: e.value
+    }));
+    return new ValidationError(error.message, { details, cause: error });
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    if (error.kind === 'ObjectId') {
+      return new InvalidIdError(error.value, { cause: error });
+    }
+    return new ValidationError(error.message, {
+      details: [{ path: error.path, message: error.message, value: error.value }],
+      cause: error
+    });
+  }
+
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('Document was modified by another operation', { cause: error });
+  }
+
+  if (error && error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    const message = fields.length > 0
+      ? `Duplicate value for ${fields.join(', ')}`
+      : 'Duplicate key';
+    return new DuplicateKeyError(message, { details: error.keyValue, cause: error });
+  }
+
+  return new DatabaseError(error && error.message ? error.message : String(error), { cause: error });
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  InvalidIdError,
+  NotFoundError,
+  DuplicateKeyError,
+  ConflictError,
+  DatabaseConnectionError,
+  DatabaseError,
+  MigrationError,
+  EncryptionError,
+  AuthenticationError,
+  ForbiddenError,
+  translateMongooseError
+};
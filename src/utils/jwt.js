@@ -0,0 +1,186 @@
+// src/utils/jwt.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { AppError, AuthenticationError } = require('./errors');
+
+/**
+ * JWT Bearer Tokens
+ * Verifies JSON Web Tokens (RFC 7519) signed by an identity provider
+ * against keys configured locally: nothing is fetched at run time.
+ *
+ * The key file (JWT_KEYS_FILE) lists the keys tokens may be signed with:
+ *
+ *   { "keys": [
+ *     { "kid": "2026-10", "alg": "HS256", "secret": "<32+ bytes, base64>" },
+ *     { "kid": "idp-1", "alg": "RS256", "publicKey": "-----BEGIN PUBLIC KEY-----\n..." }
+ *   ] }
+ *
+ * A token naming a key (`kid`) must be signed with that key and its
+ * algorithm; one without is tried against every key of its algorithm.
+ * Tokens must carry `exp`; `nbf`, `iss` and `aud` are checked when
+ * present or configured (JWT_ISSUER, JWT_AUDIENCE).
+ */
+
+const ALGORITHMS = ['HS256', 'RS256'];
+
+// Shortest HS256 secret accepted, in bytes (RFC 7518 section 3.2)
+const MIN_SECRET_LENGTH = 32;
+
+// Clock difference tolerated between the provider and this process
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * Decodes a base64url JSON segment
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Refused token, `code` telling clients why
+ */
+function invalid(message, code = 'INVALID_TOKEN') {
+  return new AuthenticationError(message, { code });
+}
+
+/**
+ * Checks a signature with one key
+ */
+function verifySignature(key, data, signature) {
+  if (key.alg === 'HS256') {
+    const expected = crypto.createHmac('sha256', key.secret).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  try {
+    return crypto.verify('RSA-SHA256', data, key.publicKey, signature);
+  } catch (error) {
+    return false; // Signature of the wrong size
+  }
+}
+
+/**
+ * Verifies tokens against a set of keys
+ */
+class JwtVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.keys=[]] - { kid, alg, secret | publicKey }
+   * @param {String} [options.issuer] - Required `iss`
+   * @param {String} [options.audience] - Required in `aud`
+   * @param {Number} [options.clockTolerance=30] - Seconds of clock skew allowed
+   * @throws {AppError} JWT_KEYS_INVALID on an unusable key
+   */
+  constructor({ keys = [], issuer, audience, clockTolerance = DEFAULT_CLOCK_TOLERANCE_SECONDS } = {}) {
+    this.keys = keys.map((key, index) => {
+      const name = key.kid ? `"${key.kid}"` : `#${index}`;
+      const fail = message => new AppError(`JWT key ${name}: ${message}`, { code: 'JWT_KEYS_INVALID' });
+      if (!ALGORITHMS.includes(key.alg)) {
+        throw fail(`alg must be one of ${ALGORITHMS.join(', ')}`);
+      }
+      if (key.alg === 'HS256') {
+        const secret = Buffer.from(String(key.secret || ''), 'base64');
+        if (secret.length < MIN_SECRET_LENGTH) {
+          throw fail(`secret must be at least ${MIN_SECRET_LENGTH} bytes, base64 encoded`);
+        }
+        return { kid: key.kid || null, alg: key.alg, secret };
+      }
+      try {
+        const publicKey = crypto.createPublicKey(key.publicKey);
+        if (publicKey.asymmetricKeyType !== 'rsa') throw new Error('not an RSA key');
+        return { kid: key.kid || null, alg: key.alg, publicKey };
+      } catch (error) {
+        throw fail(`publicKey must be an RSA public key in PEM (${error.message})`);
+      }
+    });
+    this.issuer = issuer || null;
+    this.audience = audience || null;
+    this.clockTolerance = clockTolerance;
+  }
+
+  /**
+   * Whether any key is configured (tokens are refused otherwise)
+   * @returns {Boolean}
+   */
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Verifies a token and returns its claims
+   * @param {String} token - Compact serialized JWT
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Time to check expiry against
+   * @returns {Object} Claims
+   * @throws {AuthenticationError} INVALID_TOKEN, or TOKEN_EXPIRED
+   */
+  verify(token, { now = new Date() } = {}) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) throw invalid('Malformed token');
+
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (error) {
+      throw invalid('Malformed token');
+    }
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(header) || !isObject(claims)) throw invalid('Malformed token');
+    if (!ALGORITHMS.includes(header.alg)) throw invalid(`Unsupported algorithm "${header.alg}"`);
+
+    const candidates = this.keys.filter(key => key.alg === header.alg && (!header.kid || key.kid === header.kid));
+    const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (!candidates.some(key => verifySignature(key, data, signature))) {
+      throw invalid('Invalid token signature');
+    }
+
+    const seconds = Math.floor(now.getTime() / 1000);
+    if (typeof claims.exp !== 'number') throw invalid('Token has no expiry (exp)');
+    if (claims.exp + this.clockTolerance <= seconds) throw invalid('Token has expired', 'TOKEN_EXPIRED');
+    if (typeof claims.nbf === 'number' && claims.nbf - this.clockTolerance > seconds) {
+      throw invalid('Token is not valid yet');
+    }
+    if (this.issuer && claims.iss !== this.issuer) throw invalid('Token has the wrong issuer');
+    if (this.audience && ![].concat(claims.aud).includes(this.audience)) {
+      throw invalid('Token is not meant for this audience');
+    }
+    return claims;
+  }
+}
+
+/**
+ * Reads a key file
+ * @param {String} file - Path of the key file
+ * @returns {Array<Object>} Its keys
+ * @throws {AppError} JWT_KEYS_INVALID when unreadable
+ */
+function readJwtKeyFile(file) {
+  try {
+    const { keys = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return keys;
+  } catch (error) {
+    throw new AppError(`Cannot read JWT key file ${file}: ${error.message}`, { code: 'JWT_KEYS_INVALID', cause: error });
+  }
+}
+
+/**
+ * Loads the verifier configured in the environment
+ * @param {Object} [env=process.env]
+ * @returns {JwtVerifier} One refusing every token without JWT_KEYS_FILE
+ */
+function jwtVerifierFromEnv(env = process.env) {
+  return new JwtVerifier({
+    keys: env.JWT_KEYS_FILE ? readJwtKeyFile(env.JWT_KEYS_FILE) : [],
+    issuer: env.JWT_ISSUER,
+    audience: env.JWT_AUDIENCE
+  });
+}
+
+module.exports = {
+  JwtVerifier,
+  readJwtKeyFile,
+  jwtVerifierFromEnv,
+  JWT_ALGORITHMS: ALGORITHMS
+};
@@ -0,0 +1,280 @@
+// src/utils/keyring.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { EncryptionError } = require('./errors');
+
+/**
+ * Keyring
+ * Keys for client-side field encryption (see models/plugins/piiFields),
+ * read from a local JSON key file:
+ *
+ *   {
+ *     "activeKeyId": "2026-10",
+ *     "keys": {
+ *       "2026-01": "<32 random bytes, base64>",
+ *       "2026-10": "<32 random bytes, base64>"
+ *     }
+ *   }
+ *
+ * New values are encrypted with the active key; the other keys are kept
+ * to read values written before a rotation. Each value records the ID of
+ * its key, so a key can only be dropped from the file once nothing
+ * encrypted with it is left (`keys:reencrypt` in the CLI).
+ *
+ * Values are AES-256-GCM encrypted, bound to their field name. In
+ * deterministic mode the IV is derived from the value (synthetic IV), so
+ * the same value always gives the same ciphertext under one key: unique
+ * indexes and equality lookups keep working. Random mode leaks nothing
+ * about equal values but cannot be looked up.
+ *
+ * Configured from the environment:
+ *   PII_KEYRING_FILE  path of the key file (default: none, fields are
+ *                     stored in plaintext)
+ *
+ * The file is read once, when a key is first needed (processKeyring());
+ * restart after rotating keys.
+ */
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Stored form: enc:v1:<key id>:<base64url(iv | tag | ciphertext)>
+const PREFIX = 'enc:v1:';
+const KEY_ID = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Whether a value is a ciphertext written by a keyring
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Splits a ciphertext into its key ID and payload
+ */
+function parse(value) {
+  const separator = value.indexOf(':', PREFIX.length);
+  if (separator === -1) {
+    throw new EncryptionError('Malformed encrypted value');
+  }
+  return { keyId: value.slice(PREFIX.length, separator), payload: Buffer.from(value.slice(separator + 1), 'base64url') };
+}
+
+/**
+ * Derives the encryption and IV keys of a master key, so neither is used
+ * for two purposes
+ */
+function deriveKeys(master) {
+  const derive = info => Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), info, KEY_LENGTH));
+  return { encryption: derive('pii-field-encryption'), iv: derive('pii-field-iv') };
+}
+
+class Keyring {
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.activeKeyId] - Key new values are encrypted with
+   * @param {Object} [options.keys={}] - { keyId: base64 key }
+   * @throws {EncryptionError} On an unusable key set
+   */
+  constructor({ activeKeyId, keys = {} } = {}) {
+    this.keys = new Map();
+    Object.entries(keys).forEach(([id, encoded]) => {
+      if (!KEY_ID.test(id)) {
+        throw new EncryptionError(`Key ID "${id}" may only contain letters, digits, ".", "_" and "-"`);
+      }
+      const master = Buffer.from(String(encoded), 'base64');
+      if (master.length !== KEY_LENGTH) {
+        throw new EncryptionError(`Key "${id}" must be ${KEY_LENGTH} bytes, base64 encoded`);
+      }
+      this.keys.set(id, deriveKeys(master));
+    });
+
+    if (this.keys.size > 0 && !this.keys.has(activeKeyId)) {
+      throw new EncryptionError(`Active key "${activeKeyId}" is not in the keyring`);
+    }
+    this.activeKeyId = this.keys.size > 0 ? activeKeyId : null;
+  }
+
+  /**
+   * Whether there is a key to encrypt with
+   * @returns {Boolean}
+   */
+  get enabled() {
+    return this.activeKeyId !== null;
+  }
+
+  /**
+   * IDs of every key, the active one first
+   * @returns {Array<String>}
+   */
+  keyIds() {
+    return [this.activeKeyId, ...[...this.keys.keys()].filter(id => id !== this.activeKeyId)].filter(Boolean);
+  }
+
+  /**
+   * Encrypts a string (values already encrypted are returned as they are)
+   * @param {String} plaintext
+   * @param {Object} [options]
+   * @param {String} [options.context=''] - What the value is (field name);
+   *   decrypting needs the same context
+   * @param {Boolean} [options.deterministic=false] - Same input, same output
+   * @param {String} [options.keyId] - Key to use (default: the active key)
+   * @returns {String} Ciphertext
+   * @throws {EncryptionError} Without keys
+   */
+  encrypt(plaintext, { context = '', deterministic = false, keyId = this.activeKeyId } = {}) {
+    if (isEncrypted(plaintext)) return plaintext;
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new EncryptionError(keyId ? `Unknown encryption key "${keyId}"` : 'No encryption key configured');
+    }
+
+    const data = Buffer.from(String(plaintext), 'utf8');
+    const iv = deterministic
+      ? crypto.createHmac('sha256', key.iv).update(`${context}\0`).update(data).digest().subarray(0, IV_LENGTH)
+      : crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.encryption, iv);
+    cipher.setAAD(Buffer.from(context, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    return `${PREFIX}${keyId}:${payload.toString('base64url')}`;
+  }
+
+  /**
+   * Deterministic ciphertexts of a value under every key, active key first
+   * (what a stored value may look like while a rotation is under way)
+   * @param {String} plaintext
+   * @param {Object} [options] - { context }
+   * @returns {Array<String>}
+   */
+  encryptUnderEveryKey(plaintext, { context = '' } = {}) {
+    return this.keyIds().map(keyId => this.encrypt(plaintext, { context, deterministic: true, keyId }));
+  }
+
+  /**
+   * Decrypts a ciphertext (other values are returned as they are)
+   * @param {*} value
+   * @param {Object} [options] - { context } used when encrypting
+   * @returns {*} Plaintext
+   * @throws {EncryptionError} When the key is missing or the value was
+   *   tampered with
+   */
+  decrypt(value, { context = '' } = {}) {
+    if (!isEncrypted(value)) return value;
+    const { keyId, payload } = parse(value);
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new EncryptionError(`Encryption key "${keyId}" is not in the keyring`, { code: 'ENCRYPTION_KEY_MISSING' });
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key.encryption, payload.subarray(0, IV_LENGTH));
+      decipher.setAAD(Buffer.from(context, 'utf8'));
+      decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      return Buffer.concat([
+        decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new EncryptionError(`Cannot decrypt a value of "${context}" with key "${keyId}"`, { cause: error });
+    }
+  }
+
+  /**
+   * Whether a stored value is encrypted with the active key
+   * @param {*} value
+   * @returns {Boolean}
+   */
+  isCurrent(value) {
+    return isEncrypted(value) && parse(value).keyId === this.activeKeyId;
+  }
+}
+
+/**
+ * A new random key, base64 encoded
+ * @returns {String}
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * Reads a key file
+ * @param {String} file - Path of the key file
+ * @returns {Object} { activeKeyId, keys }
+ * @throws {EncryptionError} When the file cannot be read or parsed
+ */
+function readKeyFile(file) {
+  try {
+    const { activeKeyId = null, keys = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { activeKeyId, keys };
+  } catch (error) {
+    throw new EncryptionError(`Cannot read key file ${file}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Adds a new key to a key file and makes it the active one (the first
+ * step of a rotation); the file is created when missing, readable by its
+ * owner only
+ * @param {String} file - Path of the key file
+ * @param {String} [keyId] - ID of the new key (default: today's date)
+ * @returns {Object} { keyId, previousKeyId }
+ * @throws {EncryptionError} When the ID is taken or invalid
+ */
+function addKey(file, keyId = new Date().toISOString().slice(0, 10)) {
+  const current = fs.existsSync(file) ? readKeyFile(file) : { activeKeyId: null, keys: {} };
+  if (current.keys[keyId]) {
+    throw new EncryptionError(`Key "${keyId}" already exists in ${file}`);
+  }
+  const next = { activeKeyId: keyId, keys: { ...current.keys, [keyId]: generateKey() } };
+  new Keyring(next); // Refuse to write a file that would not load
+
+  fs.writeFileSync(file, `${JSON.stringify(next, null, 2)}\n`, { mode: 0o600 });
+  return { keyId, previousKeyId: current.activeKeyId };
+}
+
+/**
+ * Loads the keyring configured in the environment
+ * @param {Object} [env=process.env]
+ * @returns {Keyring} An empty (disabled) keyring without PII_KEYRING_FILE
+ */
+function keyringFromEnv(env = process.env) {
+  return env.PII_KEYRING_FILE ? new Keyring(readKeyFile(env.PII_KEYRING_FILE)) : new Keyring();
+}
+
+/**
+ * Whether the environment configures a keyring, without reading it
+ * @param {Object} [env=process.env]
+ * @returns {Boolean}
+ */
+function keyringConfigured(env = process.env) {
+  return Boolean(env.PII_KEYRING_FILE);
+}
+
+// Keyring of this process, once loaded
+let loadedKeyring = null;
+
+/**
+ * Keyring of this process, loaded from the environment on first call
+ * @returns {Keyring}
+ * @throws {EncryptionError} When PII_KEYRING_FILE cannot be read
+ */
+function processKeyring() {
+  if (!loadedKeyring) loadedKeyring = keyringFromEnv();
+  return loadedKeyring;
+}
+
+module.exports = {
+  Keyring,
+  isEncrypted,
+  generateKey,
+  readKeyFile,
+  addKey,
+  keyringFromEnv,
+  keyringConfigured,
+  processKeyring
+};
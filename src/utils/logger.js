@@ -0,0 +1,222 @@
+// src/utils/logger.js
+const { MASKS, maskValue } = require('./pii');
+
+/**
+ * Structured Logger
+ * Small leveled logger with JSON and human readable output, child
+ * loggers carrying context (module, operation, personId, ...) and
+ * timed operations that log their duration.
+ *
+ * Configured from the environment:
+ *   LOG_LEVEL   debug | info | warn | error | silent (default: info,
+ *               silent when NODE_ENV=test)
+ *   LOG_FORMAT  json | pretty (default: json when NODE_ENV=production)
+ *   LOG_REDACT  comma separated context fields holding personal data,
+ *               always masked (default: name,email)
+ *
+ * Output goes through a transport function, replaceable with
+ * `logger.configure({ transport })` to ship records elsewhere.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Converts Error instances into plain, JSON friendly objects
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    const serialized = { name: value.name, message: value.message };
+    if (value.code !== undefined) serialized.code = value.code;
+    if (value.stack) serialized.stack = value.stack;
+    return serialized;
+  }
+  return value;
+}
+
+/**
+ * Masks the personal data fields of a record (utils/pii masks by field
+ * name, others entirely)
+ */
+function redact(record, fields) {
+  fields.forEach(field => {
+    if (record[field] !== undefined) record[field] = (MASKS[field] || maskValue)(record[field]);
+  });
+  return record;
+}
+
+/**
+ * Formats a record as a single human readable line
+ *   2026-01-01T00:00:00.000Z INFO  [personService] Person created personId=...
+ */
+function formatPretty(record) {
+  const { time, level, msg, module: moduleName, ...context } = record;
+  const fields = Object.entries(context)
+    .map(([key, value]) => {
+      const serialized = serializeValue(value);
+      if (serialized && typeof serialized === 'object') {
+        return `${key}=${JSON.stringify(serialized.stack ? serialized.message : serialized)}`;
+      }
+      return `${key}=${serialized}`;
+    })
+    .join(' ');
+  const scope = moduleName ? ` [${moduleName}]` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)}${scope} ${msg}${fields ? ` ${fields}` : ''}`;
+}
+
+/**
+ * Formats a record as one JSON line
+ */
+function formatJson(record) {
+  const serialized = {};
+  Object.entries(record).forEach(([key, value]) => {
+    serialized[key] = serializeValue(value);
+  });
+  return JSON.stringify(serialized);
+}
+
+/**
+ * Default transport: warnings and errors to stderr, the rest to stdout
+ */
+function consoleTransport(record, line) {
+  const stream = LEVELS[record.level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Reads logger settings from environment variables
+ * @param {Object} [env=process.env]
+ * @returns {Object} { level, format, redact }
+ */
+function configFromEnv(env = process.env) {
+  const level = (env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'silent' : 'info')).toLowerCase();
+  const format = (env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty')).toLowerCase();
+  return {
+    level: LEVELS[level] !== undefined ? level : 'info',
+    format: format === 'json' ? 'json' : 'pretty',
+    redact: (env.LOG_REDACT === undefined ? 'name,email' : env.LOG_REDACT)
+      .split(',').map(field => field.trim()).filter(Boolean)
+  };
+}
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.bindings] - Context added to every record
+   * @param {Object} [options.settings] - Shared settings (level, format,
+   *   transport, redact)
+   */
+  constructor({ bindings = {}, settings } = {}) {
+    this.bindings = bindings;
+    // Shared by reference so configure() on the root affects every child
+    this.settings = settings || { ...configFromEnv(), transport: consoleTransport };
+  }
+
+  /**
+   * Changes level, format, transport or redacted fields for this logger
+   * and its children
+   * @param {Object} options
+   * @param {String} [options.level] - Minimum level to output
+   * @param {String} [options.format] - 'json' or 'pretty'
+   * @param {Function} [options.transport] - (record, line) => void
+   * @param {Array<String>} [options.redact] - Context fields to mask
+   * @returns {Logger} this
+   */
+  configure({ level, format, transport, redact: redactFields } = {}) {
+    if (level !== undefined) {
+      if (LEVELS[level] === undefined) {
+        throw new Error(`Unknown log level "${level}"`);
+      }
+      this.settings.level = level;
+    }
+    if (format !== undefined) this.settings.format = format === 'json' ? 'json' : 'pretty';
+    if (transport !== undefined) this.settings.transport = transport || consoleTransport;
+    if (redactFields !== undefined) this.settings.redact = [...redactFields];
+    return this;
+  }
+
+  /**
+   * Creates a logger that adds `bindings` to every record
+   * @param {Object} bindings - e.g. { module: 'personService' }
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ bindings: { ...this.bindings, ...bindings }, settings: this.settings });
+  }
+
+  /**
+   * Whether records at `level` are currently written
+   * @param {String} level - Level name
+   * @returns {Boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.settings.level];
+  }
+
+  /**
+   * Writes one record
+   * @param {String} level - Level name
+   * @param {String} msg - Message
+   * @param {Object|Error} [context] - Extra fields (an Error becomes { err })
+   */
+  log(level, msg, context) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const extra = context instanceof Error ? { err: context } : context;
+    const record = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.bindings,
+      ...extra
+    }, this.settings.redact);
+    const line = this.settings.format === 'json' ? formatJson(record) : formatPretty(record);
+    this.settings.transport(record, line);
+  }
+
+  debug(msg, context) { this.log('debug', msg, context); }
+
+  info(msg, context) { this.log('info', msg, context); }
+
+  warn(msg, context) { this.log('warn', msg, context); }
+
+  error(msg, context) { this.log('error', msg, context); }
+
+  /**
+   * Starts a timed operation
+   * @example
+   *   const op = log.operation('updatePersonClassic', { personId });
+   *   ...
+   *   op.done('Person updated');      // info, with durationMs
+   *   op.fail('Update failed', err);  // error, with durationMs and err
+   * @param {String} operation - Operation name
+   * @param {Object} [context] - Extra context (personId, ...)
+   * @returns {Logger} Child logger with done()/fail() helpers
+   */
+  operation(operation, context = {}) {
+    const startedAt = process.hrtime.bigint();
+    const operationLogger = this.child({ operation, ...context });
+    const durationMs = () => Number((process.hrtime.bigint() - startedAt) / 1000n) / 1000;
+
+    operationLogger.done = (msg, extra) => {
+      operationLogger.info(msg, { ...extra, durationMs: durationMs() });
+    };
+    operationLogger.fail = (msg, error, extra) => {
+      operationLogger.error(msg, { ...extra, err: error, durationMs: durationMs() });
+    };
+    return operationLogger;
+  }
+}
+
+// Root logger shared by every module
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.configFromEnv = configFromEnv;
@@ -0,0 +1,144 @@
+// src/utils/pagination.js
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Keyset (cursor) Pagination Helpers
+ * A cursor is an opaque base64url token holding the sort spec and the
+ * sort-key values of the last document on a page. The next page is
+ * everything that sorts strictly after those values, which stays stable
+ * while documents are inserted or removed elsewhere in the collection.
+ */
+
+/**
+ * Normalizes a sort spec into an ordered list of [field, direction] pairs
+ * Accepts `{ age: -1, name: 1 }`, `'-age name'` or `['-age', 'name']`
+ * `_id` is always appended as the final tiebreaker
+ * @param {Object|String|Array<String>} sort - Sort specification
+ * @param {Array<String>} allowedFields - Fields that may be sorted on
+ * @returns {Array<Array>} e.g. [['age', -1], ['name', 1], ['_id', -1]]
+ */
+function normalizeSort(sort, allowedFields) {
+  let entries;
+  if (typeof sort === 'string' || Array.isArray(sort)) {
+    const tokens = Array.isArray(sort) ? sort : sort.split(/[\s,]+/);
+    entries = tokens.filter(Boolean).map(token => (
+      token.startsWith('-') ? [token.slice(1), -1] : [token.replace(/^\+/, ''), 1]
+    ));
+  } else {
+    entries = Object.entries(sort || {}).map(([field, direction]) => (
+      [field, direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1]
+    ));
+  }
+
+  entries.forEach(([field]) => {
+    if (!allowedFields.includes(field)) {
+      throw new ValidationError(`Cannot sort by "${field}"`, { details: { allowedFields } });
+    }
+  });
+
+  const withoutId = entries.filter(([field]) => field !== '_id');
+  const idEntry = entries.find(([field]) => field === '_id');
+  const idDirection = idEntry ? idEntry[1] : (withoutId.length > 0 ? withoutId[withoutId.length - 1][1] : 1);
+  return [...withoutId, ['_id', idDirection]];
+}
+
+/**
+ * Converts normalized sort entries back into a Mongoose sort object
+ * @param {Array<Array>} sortEntries - Output of normalizeSort()
+ * @returns {Object} e.g. { age: -1, _id: -1 }
+ */
+function toSortObject(sortEntries) {
+  return sortEntries.reduce((sort, [field, direction]) => {
+    sort[field] = direction;
+    return sort;
+  }, {});
+}
+
+/**
+ * Encodes the position after `doc` as an opaque cursor token
+ * @param {Object} doc - Last document of the current page
+ * @param {Array<Array>} sortEntries - Output of normalizeSort()
+ * @returns {String} Cursor token
+ */
+function encodeCursor(doc, sortEntries) {
+  const values = sortEntries.map(([field]) => {
+    // Stored values (getters off): the token must not carry decrypted data
+    const value = typeof doc.get === 'function' ? doc.get(field, null, { getters: false }) : doc[field];
+    return value === undefined ? null : value;
+  });
+  const payload = EJSON.stringify({ s: sortEntries, v: values }, { relaxed: true });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a cursor token and checks it was issued for the same sort
+ * @param {String} token - Cursor token
+ * @param {Array<Array>} sortEntries - Sort of the current request
+ * @returns {Array} Sort-key values, in sort order
+ * @throws {ValidationError} When the token is malformed or mismatched
+ */
+function decodeCursor(token, sortEntries) {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'), { relaxed: true });
+  } catch (error) {
+    throw new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+  }
+
+  if (!payload || !Array.isArray(payload.v) || JSON.stringify(payload.s) !== JSON.stringify(sortEntries)) {
+    throw new ValidationError('Cursor does not match the requested sort', { code: 'INVALID_CURSOR' });
+  }
+  return payload.v;
+}
+
+/**
+ * Condition matching values that sort strictly after `value`
+ * MongoDB sorts null/missing before every other value, but range
+ * operators never match across BSON types, so nulls need explicit handling
+ * @returns {Object|null} Condition, or null when nothing can sort after
+ */
+function afterCondition(field, direction, value) {
+  if (direction === 1) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Builds the filter selecting documents after a cursor position
+ * For sort (a, b, _id) this is:
+ *   a > va  OR  (a = va AND b > vb)  OR  (a = va AND b = vb AND _id > vid)
+ * @param {Array<Array>} sortEntries - Output of normalizeSort()
+ * @param {Array} values - Output of decodeCursor()
+ * @returns {Object} MongoDB filter
+ */
+function buildKeysetFilter(sortEntries, values) {
+  const branches = [];
+
+  sortEntries.forEach(([field, direction], index) => {
+    const after = afterCondition(field, direction, values[index]);
+    if (!after) return;
+
+    const equalities = sortEntries.slice(0, index).map(([prevField], prevIndex) => (
+      { [prevField]: values[prevIndex] }
+    ));
+    branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+  });
+
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+}
+
+module.exports = {
+  normalizeSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+};
@@ -0,0 +1,115 @@
+// src/utils/pii.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * PII Access
+ * Personal data (names, email addresses) is masked wherever it leaves the
+ * service (JSON output, exports, logs) unless the code path runs with
+ * PII access, granted by whoever holds the `pii:read` permission:
+ *
+ *   await withPiiAccess(() => personService.exportPeople(stream));
+ *
+ * Access is carried by the async context, so everything started inside
+ * the callback (awaited calls, streams, response rendering) sees it.
+ */
+
+/**
+ * Permission that allows reading PII unmasked
+ */
+const PII_READ = 'pii:read';
+
+const access = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with PII access granted (or explicitly denied)
+ * @param {Function} fn - () => result
+ * @param {Boolean} [granted=true]
+ * @returns {*} What `fn` returns
+ */
+function withPiiAccess(fn, granted = true) {
+  return access.run({ granted: Boolean(granted) }, fn);
+}
+
+/**
+ * Whether the current async context may read PII unmasked
+ * @returns {Boolean}
+ */
+function canReadPii() {
+  const store = access.getStore();
+  return Boolean(store && store.granted);
+}
+
+/**
+ * Whether a set of permissions includes PII access
+ * @param {Array<String>} [permissions]
+ * @returns {Boolean}
+ */
+function grantsPiiAccess(permissions) {
+  return Array.isArray(permissions) && (permissions.includes(PII_READ) || permissions.includes('*'));
+}
+
+/**
+ * Masks an email address: first character of the mailbox, domain kept
+ * ("jane.doe@example.com" -> "j***@example.com")
+ * @param {*} value
+ * @returns {*} Non-strings are returned as they are
+ */
+function maskEmail(value) {
+  if (typeof value !== 'string' || value === '') return value;
+  const at = value.lastIndexOf('@');
+  if (at <= 0) return '***';
+  return `${[...value.slice(0, at)][0]}***${value.slice(at)}`;
+}
+
+/**
+ * Masks a name: initials only ("Jane Doe" -> "J*** D***")
+ * @param {*} value
+ * @returns {*} Non-strings are returned as they are
+ */
+function maskName(value) {
+  if (typeof value !== 'string' || value === '') return value;
+  return value.split(/\s+/).filter(Boolean).map(word => `${[...word][0]}***`).join(' ');
+}
+
+/**
+ * Masks anything else entirely
+ * @param {*} value
+ * @returns {*}
+ */
+function maskValue(value) {
+  return value === null || value === undefined ? value : '***';
+}
+
+/**
+ * Masks by kind of data
+ */
+const MASKS = Object.freeze({
+  email: maskEmail,
+  name: maskName,
+  redact: maskValue
+});
+
+/**
+ * Resolves a mask option to a function
+ * @param {String|Function} mask - A MASKS name or (value) => masked
+ * @returns {Function}
+ */
+function resolveMask(mask) {
+  if (typeof mask === 'function') return mask;
+  if (!MASKS[mask]) {
+    throw new Error(`Unknown mask "${mask}"; use one of ${Object.keys(MASKS).join(', ')} or a function`);
+  }
+  return MASKS[mask];
+}
+
+module.exports = {
+  PII_READ,
+  MASKS,
+  withPiiAccess,
+  canReadPii,
+  grantsPiiAccess,
+  maskEmail,
+  maskName,
+  maskValue,
+  resolveMask
+};
@@ -0,0 +1,151 @@
+// src/utils/policy.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { PII_READ } = require('./pii');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+/**
+ * Authorization Policy
+ * Who may do what. An actor is whoever a call runs for:
+ *
+ *   { id: 'alice', roles: ['editor'] }                    roles of ROLES
+ *   { id: 'nightly-report', permissions: ['people:read'] } or permissions
+ *
+ * Code running for an actor (runAs(), PersonService.as()) can only do
+ * what the actor's permissions allow; code running for nobody (scripts,
+ * migrations, the process itself) is not restricted. A plain string actor
+ * only names someone for the audit trail and holds no permission.
+ *
+ * Like PII access (utils/pii), the actor is carried by the async context,
+ * so everything started inside runAs() runs for it, including the model
+ * middleware enforcing field rules and recording the audit trail.
+ */
+
+/**
+ * Permissions
+ *   people:read           list, fetch, search, statistics, history
+ *   people:read-email     see email addresses (left out of output otherwise)
+ *   people:write          create, update, import, revert
+ *   people:toggle-active  change isActive
+ *   people:delete         soft delete and restore one person
+ *   people:delete-many    soft delete by name or filter
+ *   people:export         bulk exports and subject access exports
+ *   people:purge          remove people for good (purge, erasure)
+ *   system:maintain       keys, re-encryption, indexes, migrations, seeding
+ *   pii:read              see names and emails unmasked (utils/pii)
+ *   *                     everything
+ */
+const PERMISSIONS = Object.freeze({
+  READ: 'people:read',
+  READ_EMAIL: 'people:read-email',
+  WRITE: 'people:write',
+  TOGGLE_ACTIVE: 'people:toggle-active',
+  DELETE: 'people:delete',
+  DELETE_MANY: 'people:delete-many',
+  EXPORT: 'people:export',
+  PURGE: 'people:purge',
+  MAINTAIN: 'system:maintain',
+  PII_READ,
+  ALL: '*'
+});
+
+/**
+ * Roles and the permissions they grant
+ */
+const ROLES = Object.freeze({
+  viewer: Object.freeze([PERMISSIONS.READ]),
+  editor: Object.freeze([
+    PERMISSIONS.READ,
+    PERMISSIONS.READ_EMAIL,
+    PERMISSIONS.WRITE,
+    PERMISSIONS.DELETE,
+    PERMISSIONS.EXPORT,
+    PERMISSIONS.PII_READ
+  ]),
+  admin: Object.freeze([PERMISSIONS.ALL])
+});
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Permissions an actor holds: those of its roles plus its own
+ * @param {*} actor
+ * @returns {Array<String>}
+ * @throws {ValidationError} When the actor has a role ROLES does not define
+ */
+function permissionsOf(actor) {
+  if (!actor || typeof actor !== 'object') return [];
+  const roles = [].concat(actor.roles || []);
+  const unknown = roles.find(role => !Object.prototype.hasOwnProperty.call(ROLES, role));
+  if (unknown !== undefined) {
+    throw new ValidationError(`Unknown role "${unknown}"; use one of ${Object.keys(ROLES).join(', ')}`, {
+      code: 'UNKNOWN_ROLE'
+    });
+  }
+  return [...new Set([...roles.flatMap(role => ROLES[role]), ...[].concat(actor.permissions || [])])];
+}
+
+/**
+ * Whether an actor holds a permission
+ * @param {*} actor
+ * @param {String} permission - One of PERMISSIONS
+ * @returns {Boolean}
+ */
+function can(actor, permission) {
+  const permissions = permissionsOf(actor);
+  return permissions.includes(PERMISSIONS.ALL) || permissions.includes(permission);
+}
+
+/**
+ * Throws unless an actor holds a permission
+ * @param {*} actor
+ * @param {String} permission - One of PERMISSIONS
+ * @param {String} [action] - What was attempted, for the message
+ * @throws {ForbiddenError}
+ */
+function authorize(actor, permission, action = 'do this') {
+  if (!can(actor, permission)) {
+    throw new ForbiddenError(`Not allowed to ${action}: requires ${permission}`, { permission });
+  }
+}
+
+/**
+ * Runs `fn` for an actor
+ * @param {*} actor - Actor the code runs for
+ * @param {Function} fn - () => result
+ * @returns {*} What `fn` returns
+ * @throws {ValidationError} When the actor has an unknown role
+ */
+function runAs(actor, fn) {
+  return context.run({ actor, permissions: permissionsOf(actor) }, fn);
+}
+
+/**
+ * Actor the current async context runs for, if any
+ * @returns {*|null}
+ */
+function currentActor() {
+  const store = context.getStore();
+  return store ? store.actor : null;
+}
+
+/**
+ * Whether the current async context may use a permission: always when
+ * it runs for nobody
+ * @param {String} permission - One of PERMISSIONS
+ * @returns {Boolean}
+ */
+function isPermitted(permission) {
+  const store = context.getStore();
+  return !store || store.permissions.includes(PERMISSIONS.ALL) || store.permissions.includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsOf,
+  can,
+  authorize,
+  runAs,
+  currentActor,
+  isPermitted
+};
@@ -0,0 +1,158 @@
+// src/utils/search.js
+
+/**
+ * Search Helpers
+ * Text folding, tokenizing, typo distance and highlighting shared by the
+ * searchable plugin (which stores tokens) and PersonService.searchPeople()
+ * (which matches queries against them).
+ *
+ * Folding lowercases and strips diacritics, so "José", "JOSE" and "jose"
+ * all become "jose".
+ */
+
+// Runs of letters or digits; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercases a string and removes diacritics (é -> e, ñ -> n, ß stays)
+ * @param {String} text
+ * @returns {String}
+ */
+function foldText(text) {
+  return String(text).normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into words, keeping their position in the original string
+ * @param {String} text
+ * @returns {Array<{word, folded, start, end}>}
+ */
+function findWords(text) {
+  const words = [];
+  for (const match of String(text).matchAll(WORD_PATTERN)) {
+    words.push({
+      word: match[0],
+      folded: foldText(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return words;
+}
+
+/**
+ * Unique folded words of one or more values
+ * @param {...(String|Array<String>)} values - Values to tokenize (null skipped)
+ * @returns {Array<String>}
+ */
+function tokenize(...values) {
+  const tokens = new Set();
+  values.flat().forEach(value => {
+    if (value === null || value === undefined) return;
+    findWords(value).forEach(({ folded }) => tokens.add(folded));
+  });
+  return [...tokens];
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps
+ * of adjacent characters (optimal string alignment), giving up once it
+ * exceeds `max`
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} [max=Infinity] - Largest distance of interest
+ * @returns {Number} Distance, or max + 1 when larger than max
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Typos tolerated for a query term: none for very short terms, one up to
+ * five characters, two beyond
+ * @param {String} term - Folded query term
+ * @returns {Number}
+ */
+function maxTyposFor(term) {
+  if (term.length < 3) return 0;
+  return term.length <= 5 ? 1 : 2;
+}
+
+/**
+ * How well a (folded) word matches a query term
+ * @param {String} word - Folded word from a document
+ * @param {String} term - Folded query term
+ * @param {Object} [options]
+ * @param {Boolean} [options.prefix=true] - Accept words starting with the term
+ * @param {Boolean} [options.fuzzy=true] - Accept words within maxTyposFor(term)
+ * @returns {Number} 1 exact, 0.75 prefix, below 0.5 with typos, 0 no match
+ */
+function matchQuality(word, term, { prefix = true, fuzzy = true } = {}) {
+  if (word === term) return 1;
+  if (prefix && word.startsWith(term)) return 0.75;
+  if (fuzzy) {
+    const maxTypos = maxTyposFor(term);
+    const closeness = distance => 1 - distance / (term.length + 1);
+    const distance = editDistance(word, term, maxTypos);
+    if (distance <= maxTypos) return 0.5 * closeness(distance);
+    // Compare against the word's prefix too, so "jonh" still finds "johnson"
+    const prefixDistance = prefix ? editDistance(word.slice(0, term.length), term, maxTypos) : maxTypos + 1;
+    if (prefixDistance <= maxTypos) return 0.4 * closeness(prefixDistance);
+  }
+  return 0;
+}
+
+/**
+ * Wraps the words of `text` matching any term in `pre`/`post` markers
+ * @param {String} text - Original (unfolded) text
+ * @param {Array<String>} terms - Folded query terms
+ * @param {Object} [options] - matchQuality() options plus `pre` and `post`
+ * @returns {Object|null} { value, ranges: [{ start, end }], highlighted }, or
+ *   null when nothing matched
+ */
+function highlight(text, terms, { pre = '<mark>', post = '</mark>', ...matchOptions } = {}) {
+  const value = String(text);
+  const ranges = findWords(value)
+    .filter(({ folded }) => terms.some(term => matchQuality(folded, term, matchOptions) > 0))
+    .map(({ start, end }) => ({ start, end }));
+  if (ranges.length === 0) return null;
+
+  let highlighted = '';
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    highlighted += `${value.slice(position, start)}${pre}${value.slice(start, end)}${post}`;
+    position = end;
+  });
+  highlighted += value.slice(position);
+
+  return { value, ranges, highlighted };
+}
+
+module.exports = {
+  foldText,
+  findWords,
+  tokenize,
+  editDistance,
+  maxTyposFor,
+  matchQuality,
+  highlight
+};
@@ -0,0 +1,292 @@
+// src/utils/validation.js
+const { domainToASCII, domainToUnicode } = require('url');
+
+/**
+ * Validation Rules
+ * Unicode-aware rules for people's names and email addresses, configured
+ * per deployment instead of hardcoded in the schema.
+ *
+ * Names are letters of any script (with their combining marks), words
+ * separated by single spaces, hyphens or apostrophes: "José", "O'Brien",
+ * "Anne-Marie", "李小龍", "Ørjan Skjæveland". Digits and other symbols are
+ * rejected; hyphens and apostrophes must stand between two letters.
+ *
+ * Emails follow RFC 5321/5322 addresses (dot-atom or quoted local part,
+ * any length of top-level domain), extended to internationalized
+ * addresses (RFC 6531): UTF-8 in the local part and IDN domains, which
+ * are checked in their punycode form.
+ *
+ * Configured from the environment:
+ *   NAME_MIN_LENGTH         minimum characters (default 2)
+ *   NAME_MAX_LENGTH         maximum characters (default 100)
+ *   NAME_SCRIPTS            comma separated Unicode scripts names must be
+ *                           written in, e.g. "Latin,Greek" (default: any)
+ *   NAME_ALLOW_HYPHENS      true | false (default true)
+ *   NAME_ALLOW_APOSTROPHES  true | false (default true)
+ *   EMAIL_ALLOW_UNICODE     true | false: internationalized addresses
+ *                           (default true)
+ *   EMAIL_DOMAIN_FORM       unicode | ascii: how domains are stored
+ *                           (default unicode)
+ *
+ * or at runtime with `configure({ name: {...}, email: {...} })`.
+ */
+
+// Characters are counted as users see them ("é" is one, even decomposed)
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const HYPHENS = '-‐'; // hyphen-minus, hyphen
+const APOSTROPHES = '\'’ʼ'; // apostrophe, right single quote, modifier letter apostrophe
+
+// A word: a letter followed by letters and combining marks
+const WORD = '\\p{L}[\\p{L}\\p{M}]*';
+
+// RFC 5322 atext ("-" escaped, so it stays literal when more is appended),
+// and the characters of a quoted local part (qtext / quoted-pair)
+const ATEXT = '\\-A-Za-z0-9!#$%&\'*+/=?^_`{|}~';
+const QTEXT = '\\x20\\x21\\x23-\\x5B\\x5D-\\x7E';
+const UNICODE_TEXT = '\\u0080-\\u{10FFFF}';
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_PART_BYTES = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+const DOMAIN_FORMS = ['unicode', 'ascii'];
+
+const isAscii = text => /^[\x00-\x7F]*$/.test(text);
+
+/**
+ * Reads a boolean environment variable, falling back to a default
+ */
+function envBoolean(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return !['false', '0', 'no'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Reads an integer environment variable, falling back to a default
+ */
+function envInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+}
+
+/**
+ * Reads validation rules from environment variables
+ * @param {Object} [env=process.env]
+ * @returns {Object} { name: { minLength, maxLength, scripts, allowHyphens,
+ *   allowApostrophes }, email: { allowUnicode, domainForm } }
+ */
+function configFromEnv(env = process.env) {
+  return {
+    name: {
+      minLength: envInt(env.NAME_MIN_LENGTH, 2),
+      maxLength: envInt(env.NAME_MAX_LENGTH, 100),
+      scripts: env.NAME_SCRIPTS
+        ? env.NAME_SCRIPTS.split(',').map(script => script.trim()).filter(Boolean)
+        : null,
+      allowHyphens: envBoolean(env.NAME_ALLOW_HYPHENS, true),
+      allowApostrophes: envBoolean(env.NAME_ALLOW_APOSTROPHES, true)
+    },
+    email: {
+      allowUnicode: envBoolean(env.EMAIL_ALLOW_UNICODE, true),
+      domainForm: (env.EMAIL_DOMAIN_FORM || 'unicode').toLowerCase()
+    }
+  };
+}
+
+/**
+ * Checks rules and prepares their regular expressions
+ * @param {Object} rules - As returned by configFromEnv()
+ * @returns {Object} The rules, with compiled patterns
+ * @throws {Error} On unusable settings
+ */
+function compile({ name, email }) {
+  const { minLength, maxLength, scripts, allowHyphens, allowApostrophes } = name;
+  if (!Number.isInteger(minLength) || minLength < 1 || !Number.isInteger(maxLength) || maxLength < minLength) {
+    throw new Error(`Name length limits must be positive integers with min <= max, got ${minLength}-${maxLength}`);
+  }
+
+  let scriptPattern = null;
+  if (scripts && scripts.length > 0) {
+    // Letters shared by every script (e.g. the modifier apostrophe) always pass
+    const classes = [...scripts, 'Common', 'Inherited'].map(script => `\\p{Script=${script}}`).join('');
+    try {
+      scriptPattern = new RegExp(`^[${classes}]$`, 'u');
+    } catch (error) {
+      throw new Error(`Unknown script in ${scripts.join(', ')}; use Unicode script names like "Latin" or "Han"`);
+    }
+  }
+
+  // Escaped: a bare "-" would make a range inside the character classes
+  const separators = ` ${allowHyphens ? HYPHENS : ''}${allowApostrophes ? APOSTROPHES : ''}`
+    .replace(/-/g, '\\-');
+  if (!DOMAIN_FORMS.includes(email.domainForm)) {
+    throw new Error(`Email domain form must be one of: ${DOMAIN_FORMS.join(', ')}`);
+  }
+
+  const atext = email.allowUnicode ? `${ATEXT}${UNICODE_TEXT}` : ATEXT;
+  const qtext = email.allowUnicode ? `${QTEXT}${UNICODE_TEXT}` : QTEXT;
+
+  return {
+    name: { ...name, scripts: scripts && scripts.length > 0 ? scripts : null },
+    email: { ...email },
+    patterns: {
+      nameCharacter: new RegExp(`^[\\p{L}\\p{M}${separators}]$`, 'u'),
+      nameShape: new RegExp(`^${WORD}(?:[${separators}]${WORD})*$`, 'u'),
+      nameScript: scriptPattern,
+      localPart: new RegExp(
+        `^(?:[${atext}]+(?:\\.[${atext}]+)*|"(?:[${qtext}]|\\\\[\\x20-\\x7E])*")$`,
+        'u'
+      )
+    }
+  };
+}
+
+// Rules in effect
+let current = compile(configFromEnv());
+
+/**
+ * Changes the rules in effect; settings left out keep their value
+ * @example configure({ name: { scripts: ['Latin', 'Greek'] } })
+ * @param {Object} [overrides]
+ * @param {Object} [overrides.name] - { minLength, maxLength, scripts,
+ *   allowHyphens, allowApostrophes }
+ * @param {Object} [overrides.email] - { allowUnicode, domainForm }
+ * @returns {Object} The rules now in effect
+ * @throws {Error} On unusable settings (the previous rules stay)
+ */
+function configure({ name = {}, email = {} } = {}) {
+  current = compile({
+    name: { ...current.name, ...name },
+    email: { ...current.email, ...email }
+  });
+  return getRules();
+}
+
+/**
+ * The rules in effect
+ * @returns {Object} { name: {...}, email: {...} }
+ */
+function getRules() {
+  return { name: { ...current.name }, email: { ...current.email } };
+}
+
+/**
+ * Canonical form of a name: NFC, trimmed, single spaced
+ * Other values are returned as they are (for validation to reject)
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeName(value) {
+  if (typeof value !== 'string') return value;
+  return value.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Why a name breaks the rules in effect
+ * @param {String} value - Name (normalized or not)
+ * @returns {String|null} Problem description, or null when valid
+ */
+function checkName(value) {
+  if (typeof value !== 'string') return 'Name must be a string';
+  const { name: rules, patterns } = current;
+  const name = normalizeName(value);
+
+  const length = [...graphemes.segment(name)].length;
+  if (length < rules.minLength) return `Name must be at least ${rules.minLength} characters long`;
+  if (length > rules.maxLength) return `Name cannot exceed ${rules.maxLength} characters`;
+
+  for (const character of name) {
+    if (!patterns.nameCharacter.test(character)) {
+      if (HYPHENS.includes(character)) return 'Name cannot contain hyphens';
+      if (APOSTROPHES.includes(character)) return 'Name cannot contain apostrophes';
+      return `Name cannot contain "${character}"`;
+    }
+    if (patterns.nameScript && /\p{L}/u.test(character) && !patterns.nameScript.test(character)) {
+      return `Name must be written in ${rules.scripts.join(' or ')} script`;
+    }
+  }
+
+  if (!patterns.nameShape.test(name)) {
+    return 'Spaces, hyphens and apostrophes must stand between letters';
+  }
+  return null;
+}
+
+/**
+ * Splits an address at its last "@" (quoted local parts may contain one)
+ */
+function splitEmail(address) {
+  const at = address.lastIndexOf('@');
+  return at === -1 ? null : { local: address.slice(0, at), domain: address.slice(at + 1) };
+}
+
+/**
+ * Canonical form of an email: NFC, trimmed, lowercase, domain in the
+ * configured form ("José@Bücher.DE" -> "josé@bücher.de", or
+ * "josé@xn--bcher-kva.de" with EMAIL_DOMAIN_FORM=ascii)
+ * Other values are returned as they are (for validation to reject)
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeEmail(value) {
+  if (typeof value !== 'string') return value;
+  const address = value.normalize('NFC').trim().toLowerCase();
+  const parts = splitEmail(address);
+  if (!parts) return address;
+
+  const ascii = domainToASCII(parts.domain);
+  if (!ascii) return address; // Invalid domain: left for checkEmail to report
+  const domain = current.email.domainForm === 'ascii' ? ascii : domainToUnicode(ascii);
+  return `${parts.local}@${domain}`;
+}
+
+/**
+ * Why an email address breaks the rules in effect
+ * @param {String} value - Address (normalized or not)
+ * @returns {String|null} Problem description, or null when valid
+ */
+function checkEmail(value) {
+  if (typeof value !== 'string') return 'Email must be a string';
+  const { email: rules, patterns } = current;
+  const address = value.normalize('NFC').trim();
+
+  if (address.length > MAX_EMAIL_LENGTH) return `Email cannot exceed ${MAX_EMAIL_LENGTH} characters`;
+  const parts = splitEmail(address);
+  if (!parts || !parts.local || !parts.domain) return 'Email must look like name@example.com';
+
+  if (Buffer.byteLength(parts.local, 'utf8') > MAX_LOCAL_PART_BYTES) {
+    return `The part before "@" cannot exceed ${MAX_LOCAL_PART_BYTES} bytes`;
+  }
+  if (!patterns.localPart.test(parts.local)) {
+    return rules.allowUnicode || isAscii(parts.local)
+      ? `"${parts.local}" is not a valid mailbox name`
+      : 'Email must only contain ASCII characters';
+  }
+
+  if (!rules.allowUnicode && !isAscii(parts.domain)) {
+    return 'Email must only contain ASCII characters';
+  }
+  const domain = domainToASCII(parts.domain);
+  if (!domain || domain.length > MAX_DOMAIN_LENGTH) return `"${parts.domain}" is not a valid domain`;
+
+  const labels = domain.split('.');
+  if (labels.length < 2 || labels.some(label => !DOMAIN_LABEL.test(label))) {
+    return `"${parts.domain}" is not a valid domain`;
+  }
+  if (/^\d+$/.test(labels[labels.length - 1])) {
+    return `"${parts.domain}" is not a valid domain`;
+  }
+  return null;
+}
+
+module.exports = {
+  configure,
+  configFromEnv,
+  getRules,
+  normalizeName,
+  checkName,
+  normalizeEmail,
+  checkEmail
+};
@@ -0,0 +1,96 @@
+// test/analytics.test.js
+const { expect } = require('chai');
+const { createService, rejectionOf } = require('./helpers');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('analytics', () => {
+  let service;
+  let pipelines;
+  let aggregateOptions;
+  let facets;
+
+  beforeEach(() => {
+    service = createService();
+    service.Food.canonicalize = async names => names.map(name => name.toLowerCase());
+    pipelines = [];
+    aggregateOptions = [];
+    // Ten people: ages 20 x2, 30 x3, 45, 70 and three without an age
+    facets = {
+      counts: [{ total: 10, active: 8, withEmail: 6 }],
+      ages: [{ _id: 20, count: 2 }, { _id: 30, count: 3 }, { _id: 45, count: 1 }, { _id: 70, count: 1 }],
+      ageHistogram: [{ _id: 18, count: 2 }, { _id: 30, count: 3 }, { _id: 40, count: 1 }, { _id: 65, count: 1 }],
+      topFoods: [{ food: 'pizza', category: 'italian', count: 4 }],
+      foodsByAgeBucket: [{ _id: 2, foods: [{ food: 'sushi', count: 2 }] }],
+      signups: [{ _id: '2026-10-18', count: 3 }, { _id: '2026-10-19', count: 7 }]
+    };
+    service.Person.aggregate = pipeline => {
+      pipelines.push(pipeline);
+      return { option: async options => { aggregateOptions.push(options); return [facets]; } };
+    };
+  });
+
+  it('runs one $facet aggregation over the filtered people', async () => {
+    await service.getAnalytics({ minAge: 18, isActive: true, foods: ['Pizza'], withDeleted: true });
+
+    expect(pipelines).to.have.length(1);
+    const [match, facet] = pipelines[0];
+    expect(match.$match).to.deep.include({ age: { $gte: 18 }, isActive: true, favoriteFoods: { $in: ['pizza'] } });
+    expect(Object.keys(facet.$facet)).to.have.members(['counts', 'ages', 'ageHistogram', 'topFoods', 'foodsByAgeBucket', 'signups']);
+    expect(aggregateOptions[0]).to.deep.equal({ withDeleted: true });
+  });
+
+  it('derives ratios, percentiles and the histogram', async () => {
+    const analytics = await service.getAnalytics();
+
+    expect(analytics.total).to.equal(10);
+    expect(analytics.active).to.deep.equal({ active: 8, inactive: 2, ratio: 0.8 });
+    expect(analytics.email).to.deep.equal({ withEmail: 6, withoutEmail: 4, share: 0.6 });
+    expect(analytics.age).to.include({ known: 7, unknown: 3, min: 20, max: 70, median: 30 });
+    expect(analytics.age.average).to.be.closeTo(245 / 7, 1e-9);
+    expect(analytics.age.percentiles).to.include({ p25: 25, p50: 30, p75: 37.5 });
+    expect(analytics.age.percentiles.p90).to.be.closeTo(55, 1e-9);
+    expect(analytics.age.histogram.map(({ bucket, count }) => [bucket, count])).to.deep.equal([
+      ['0-17', 0], ['18-29', 2], ['30-39', 3], ['40-49', 1], ['50-64', 0], ['65+', 1]
+    ]);
+    expect(analytics.foods.byAgeBucket[2]).to.deep.equal({ bucket: '30-39', foods: [{ food: 'sushi', count: 2 }] });
+    expect(analytics.foods.byAgeBucket[0].foods).to.deep.equal([]);
+    expect(analytics.signups).to.deep.equal({
+      by: 'day',
+      timezone: 'UTC',
+      series: [{ period: '2026-10-18', count: 3 }, { period: '2026-10-19', count: 7 }]
+    });
+  });
+
+  it('reports nothing to divide when no one matches', async () => {
+    facets = { counts: [], ages: [], ageHistogram: [], topFoods: [], foodsByAgeBucket: [], signups: [] };
+
+    const analytics = await service.getAnalytics();
+
+    expect(analytics.total).to.equal(0);
+    expect(analytics.age).to.include({ average: null, median: null, min: null });
+    expect(analytics.active.ratio).to.equal(0);
+  });
+
+  it('builds buckets from a width and counts signups in a time zone', async () => {
+    const analytics = await service.getAnalytics({ ageBuckets: 25, signupsBy: 'week', timezone: 'Europe/Paris' });
+
+    expect(analytics.age.histogram.map(entry => entry.bucket)).to.deep.equal(['0-24', '25-49', '50-74', '75-99', '100+']);
+    const { signups } = pipelines[0][1].$facet;
+    expect(signups[1].$group._id.$dateToString).to.include({ format: '%G-W%V', timezone: 'Europe/Paris' });
+  });
+
+  it('refuses bad options before querying', async () => {
+    const bad = [
+      { ageBuckets: [30, 18] },
+      { ageBuckets: 0 },
+      { percentiles: [101] },
+      { topFoods: 0 },
+      { signupsBy: 'year' },
+      { timezone: 'Mars/Olympus' }
+    ];
+    for (const options of bad) {
+      expect(await rejectionOf(service.getAnalytics(options)), JSON.stringify(options)).to.be.instanceOf(ValidationError);
+    }
+    expect(pipelines).to.deep.equal([]);
+  });
+});
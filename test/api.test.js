@@ -0,0 +1,85 @@
+// test/api.test.js
+const { expect } = require('chai');
+const createApp = require('../src/api/app');
+const { createService, request } = require('./helpers');
+
+describe('REST API', () => {
+  let service;
+  let app;
+
+  beforeEach(() => {
+    service = createService();
+    app = createApp({ personService: service, piiAccess: true });
+  });
+
+  it('returns a person in a success envelope with its version as ETag', async () => {
+    const person = new service.Person({ name: 'Ada Lovelace', age: 36 });
+    service.findPersonById = async () => person;
+
+    const res = await request(app, { path: `/people/${person._id}` });
+
+    expect(res.status).to.equal(200);
+    expect(res.headers.etag).to.equal('"0"');
+    expect(res.body.success).to.equal(true);
+    expect(res.body.data).to.include({ name: 'Ada Lovelace', age: 36 });
+  });
+
+  it('answers 404 for an unknown person', async () => {
+    service.findPersonById = async () => null;
+
+    const res = await request(app, { path: '/people/64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(res.status).to.equal(404);
+    expect(res.body).to.deep.include({ success: false });
+    expect(res.body.error.code).to.equal('NOT_FOUND');
+  });
+
+  it('answers 400 for a malformed ID', async () => {
+    const res = await request(app, { path: '/people/not-an-id' });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error.code).to.equal('INVALID_ID');
+  });
+
+  it('creates a person with 201', async () => {
+    let received;
+    service.createAndSavePerson = async data => {
+      received = data;
+      return new service.Person(data);
+    };
+
+    const res = await request(app, { method: 'POST', path: '/people', body: { name: 'Grace Hopper', age: 85 } });
+
+    expect(res.status).to.equal(201);
+    expect(received).to.deep.equal({ name: 'Grace Hopper', age: 85 });
+    expect(res.body.data.name).to.equal('Grace Hopper');
+  });
+
+  it('answers 400 INVALID_JSON for a malformed body', async () => {
+    const res = await request(app, {
+      method: 'POST',
+      path: '/people',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"name":'
+    });
+
+    expect(res.status).to.equal(400);
+    expect(res.body.error.code).to.equal('INVALID_JSON');
+  });
+
+  it('answers 404 ROUTE_NOT_FOUND for unknown routes', async () => {
+    const res = await request(app, { path: '/nowhere' });
+
+    expect(res.status).to.equal(404);
+    expect(res.body.error.code).to.equal('ROUTE_NOT_FOUND');
+  });
+
+  it('hides the message of unexpected errors', async () => {
+    service.findPersonById = async () => { throw new Error('connection string with password'); };
+
+    const res = await request(app, { path: '/people/64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(res.status).to.equal(500);
+    expect(res.body.error.message).to.equal('Internal server error');
+  });
+});
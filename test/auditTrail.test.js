@@ -0,0 +1,81 @@
+// test/auditTrail.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries } = require('./helpers');
+const { diffObjects, actorToString } = require('../src/models/plugins/auditTrail');
+const { runAs } = require('../src/utils/policy');
+
+describe('audit trail', () => {
+  describe('diffObjects', () => {
+    it('lists changed top-level paths with both values', () => {
+      const changes = diffObjects(
+        { name: 'Ada', age: 36, favoriteFoods: ['tea'] },
+        { name: 'Ada', age: 37, favoriteFoods: ['tea', 'cake'] },
+        []
+      );
+
+      expect(changes).to.deep.equal([
+        { path: 'age', before: 36, after: 37 },
+        { path: 'favoriteFoods', before: ['tea'], after: ['tea', 'cake'] }
+      ]);
+    });
+
+    it('treats missing and null alike and skips ignored paths', () => {
+      const changes = diffObjects({ email: null, __v: 1 }, { __v: 2 }, ['__v']);
+      expect(changes).to.deep.equal([]);
+    });
+
+    it('records a creation as changes from null', () => {
+      expect(diffObjects(null, { name: 'Ada' }, [])).to.deep.equal([{ path: 'name', before: null, after: 'Ada' }]);
+    });
+  });
+
+  describe('actorToString', () => {
+    it('normalizes every kind of actor', () => {
+      expect(actorToString(undefined)).to.equal('system');
+      expect(actorToString('cli')).to.equal('cli');
+      expect(actorToString({ id: 'u1', roles: ['admin'] })).to.equal('u1');
+    });
+  });
+
+  describe('query updates', () => {
+    let service;
+    let entries;
+    const id = new mongoose.Types.ObjectId();
+    const before = { _id: id, name: 'Ada', age: 36, deletedAt: null, __v: 0 };
+
+    beforeEach(() => {
+      service = createService();
+      entries = [];
+      service.PersonHistory.insertMany = async written => { entries.push(...written); };
+      stubQueries(service.Person, {
+        findOne: () => before,
+        findOneAndUpdate: () => new service.Person(before),
+        find: () => [{ ...before, deletedAt: new Date(), deletedBy: 'admin', __v: 1 }]
+      });
+    });
+
+    it('writes a history entry for a soft delete', async () => {
+      await service.softDelete(id.toString(), { actor: 'admin' });
+
+      expect(entries).to.have.length(1);
+      const [entry] = entries;
+      expect(entry).to.include({ personId: id, operation: 'delete', actor: 'admin' });
+      expect(entry.changes.map(change => change.path)).to.have.members(['deletedAt', 'deletedBy']);
+      expect(entry.snapshot.deletedBy).to.equal('admin');
+    });
+
+    it('credits the actor the code runs for when none is passed', async () => {
+      await runAs({ id: 'u7', roles: ['admin'] }, () => service.softDelete(id.toString()));
+      expect(entries[0].actor).to.equal('u7');
+    });
+
+    it('never fails the operation when the history cannot be written', async () => {
+      service.PersonHistory.insertMany = async () => { throw new Error('disk full'); };
+
+      const person = await service.softDelete(id.toString(), { actor: 'admin' });
+
+      expect(person.name).to.equal('Ada');
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// test/authentication.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const createApp = require('../src/api/app');
+const authenticate = require('../src/api/middleware/authenticate');
+const { JwtVerifier, jwtVerifierFromEnv } = require('../src/utils/jwt');
+const { ApiKeyService } = require('../src/services/apiKeyService');
+const { generateApiKey, hashSecret } = require('../src/models/ApiKey');
+const { AuthenticationError } = require('../src/utils/errors');
+const { createService, stubQueries, rejectionOf, request } = require('./helpers');
+
+const HS256_SECRET = crypto.randomBytes(32);
+const NOW = new Date('2026-10-19T12:00:00Z');
+const seconds = date => Math.floor(date.getTime() / 1000);
+
+/**
+ * A signed compact JWT
+ */
+function sign(claims, { alg = 'HS256', kid, key = HS256_SECRET } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg, typ: 'JWT', ...(kid ? { kid } : {}) })}.${encode(claims)}`;
+  const signature = alg === 'RS256'
+    ? crypto.sign('sha256', Buffer.from(data), key)
+    : crypto.createHmac('sha256', key).update(data).digest();
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+const claims = (extra = {}) => ({ sub: 'reporting', roles: ['viewer'], exp: seconds(NOW) + 300, ...extra });
+
+describe('authentication', () => {
+  let rsa;
+  let verifier;
+
+  before(() => {
+    rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  });
+
+  beforeEach(() => {
+    verifier = new JwtVerifier({
+      keys: [
+        { kid: 'hs', alg: 'HS256', secret: HS256_SECRET.toString('base64') },
+        { kid: 'idp', alg: 'RS256', publicKey: rsa.publicKey.export({ type: 'spki', format: 'pem' }) }
+      ],
+      issuer: 'https://idp.example.com',
+      audience: 'people-api'
+    });
+  });
+
+  describe('JwtVerifier', () => {
+    const valid = (extra = {}) => claims({ iss: 'https://idp.example.com', aud: ['people-api'], ...extra });
+
+    it('accepts HS256 and RS256 tokens signed by a configured key', () => {
+      expect(verifier.verify(sign(valid(), { kid: 'hs' }), { now: NOW }).sub).to.equal('reporting');
+      expect(verifier.verify(sign(valid(), { alg: 'RS256', kid: 'idp', key: rsa.privateKey }), { now: NOW }).sub)
+        .to.equal('reporting');
+      expect(verifier.verify(sign(valid()), { now: NOW }).sub).to.equal('reporting'); // No kid: every HS256 key
+    });
+
+    it('refuses forged, expired and misaddressed tokens', () => {
+      const refused = (token, code = 'INVALID_TOKEN') => expect(() => verifier.verify(token, { now: NOW }))
+        .to.throw(AuthenticationError)
+        .with.property('code', code);
+
+      refused(sign(valid(), { key: crypto.randomBytes(32) }));
+      refused(sign(valid(), { kid: 'idp' })); // HS256 under the RS256 key's ID
+      refused(sign(valid({ exp: seconds(NOW) - 60 })), 'TOKEN_EXPIRED');
+      refused(sign(valid({ exp: undefined })));
+      refused(sign(valid({ nbf: seconds(NOW) + 600 })));
+      refused(sign(valid({ iss: 'https://evil.example.com' })));
+      refused(sign(valid({ aud: 'other-api' })));
+      refused(sign(valid(), { alg: 'none' }));
+      refused('not.a-token');
+    });
+
+    it('tolerates some clock skew', () => {
+      expect(() => verifier.verify(sign(valid({ exp: seconds(NOW) - 10 })), { now: NOW })).not.to.throw();
+    });
+
+    it('refuses unusable keys', () => {
+      expect(() => new JwtVerifier({ keys: [{ alg: 'HS256', secret: 'c2hvcnQ=' }] }))
+        .to.throw('at least 32 bytes')
+        .with.property('code', 'JWT_KEYS_INVALID');
+      expect(() => new JwtVerifier({ keys: [{ alg: 'ES256' }] })).to.throw('alg must be one of');
+    });
+  });
+
+  describe('configuration', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('builds the verifier from the environment', () => {
+      const file = path.join(dir, 'jwt-keys.json');
+      fs.writeFileSync(file, JSON.stringify({ keys: [{ kid: 'hs', alg: 'HS256', secret: HS256_SECRET.toString('base64') }] }));
+
+      const fromEnv = jwtVerifierFromEnv({ JWT_KEYS_FILE: file, JWT_AUDIENCE: 'people-api' });
+
+      expect(fromEnv.enabled).to.equal(true);
+      expect(fromEnv.audience).to.equal('people-api');
+      expect(jwtVerifierFromEnv({}).enabled).to.equal(false);
+    });
+
+    it('reads the key file when the middleware is created, not when required', () => {
+      const missing = path.join(dir, 'missing.json');
+      const script = [
+        'require("./src/api/app");',
+        'require("./src/api/middleware/authenticate");',
+        'require("./src/services/personService");'
+      ].join('');
+
+      // Requiring must not touch the key files
+      execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, JWT_KEYS_FILE: missing, PII_KEYRING_FILE: missing },
+        stdio: 'pipe'
+      });
+
+      const saved = process.env.JWT_KEYS_FILE;
+      process.env.JWT_KEYS_FILE = missing;
+      try {
+        expect(() => authenticate()).to.throw('Cannot read JWT key file').with.property('code', 'JWT_KEYS_INVALID');
+      } finally {
+        if (saved === undefined) delete process.env.JWT_KEYS_FILE;
+        else process.env.JWT_KEYS_FILE = saved;
+      }
+    });
+  });
+
+  describe('API keys', () => {
+    let apiKeys;
+    let stored;
+    let token;
+    let usage;
+
+    beforeEach(() => {
+      apiKeys = new ApiKeyService({ connection: mongoose.createConnection() });
+      const generated = generateApiKey();
+      token = generated.token;
+      stored = new apiKeys.ApiKey({
+        keyId: generated.keyId,
+        secretHash: hashSecret(generated.secret),
+        name: 'reporting',
+        scopes: ['people:read']
+      });
+      usage = [];
+      stubQueries(apiKeys.ApiKey, {
+        findOne: query => (query.getFilter().keyId === stored.keyId ? stored : null),
+        updateOne: query => { usage.push(query.getUpdate().$set.lastUsedAt); return { modifiedCount: 1 }; }
+      });
+    });
+
+    it('accepts a matching secret and records the use', async () => {
+      const apiKey = await apiKeys.authenticate(token, { now: NOW });
+
+      expect(apiKey.keyId).to.equal(stored.keyId);
+      expect(usage).to.deep.equal([NOW]);
+    });
+
+    it('records use at most once a minute', async () => {
+      stored.lastUsedAt = new Date(NOW.getTime() - 1000);
+
+      await apiKeys.authenticate(token, { now: NOW });
+
+      expect(usage).to.deep.equal([]);
+    });
+
+    it('refuses wrong secrets, revoked and expired keys', async () => {
+      const [, , secret] = token.split('_');
+      const wrong = token.replace(secret, generateApiKey().secret);
+      expect((await rejectionOf(apiKeys.authenticate(wrong, { now: NOW }))).code).to.equal('INVALID_API_KEY');
+
+      stored.expiresAt = new Date(NOW.getTime() - 1);
+      expect((await rejectionOf(apiKeys.authenticate(token, { now: NOW }))).code).to.equal('API_KEY_EXPIRED');
+
+      stored.revokedAt = NOW;
+      expect((await rejectionOf(apiKeys.authenticate(token, { now: NOW }))).code).to.equal('API_KEY_REVOKED');
+    });
+
+    it('never stores or returns the secret', () => {
+      expect(token).not.to.include(stored.secretHash);
+      expect(stored.toJSON()).not.to.have.property('secretHash');
+    });
+  });
+
+  describe('HTTP', () => {
+    let app;
+    let apiKeys;
+    let token;
+    let service;
+
+    beforeEach(() => {
+      service = createService();
+      stubQueries(service.Person, { find: () => [], countDocuments: () => 0 });
+      apiKeys = new ApiKeyService({ connection: mongoose.createConnection() });
+      const generated = generateApiKey();
+      token = generated.token;
+      const stored = new apiKeys.ApiKey({
+        keyId: generated.keyId,
+        secretHash: hashSecret(generated.secret),
+        name: 'reporting',
+        scopes: ['people:read']
+      });
+      stubQueries(apiKeys.ApiKey, {
+        findOne: query => (query.getFilter().keyId === stored.keyId ? stored : null),
+        updateOne: () => ({ modifiedCount: 1 })
+      });
+      const jwt = new JwtVerifier({ keys: [{ kid: 'hs', alg: 'HS256', secret: HS256_SECRET.toString('base64') }] });
+      app = createApp({ personService: service, authentication: { apiKeys, jwt } });
+    });
+
+    it('answers 401 without credentials', async () => {
+      const res = await request(app, { method: 'GET', path: '/people' });
+
+      expect(res.status).to.equal(401);
+      expect(res.body.error.code).to.equal('UNAUTHENTICATED');
+    });
+
+    it('lets an API key act with its scopes', async () => {
+      const listed = await request(app, { method: 'GET', path: '/people', headers: { 'X-API-Key': token } });
+      const deleted = await request(app, {
+        method: 'DELETE',
+        path: `/people/${new mongoose.Types.ObjectId()}`,
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      expect(listed.status).to.equal(200);
+      expect(deleted.status).to.equal(403);
+    });
+
+    it('lets a JWT act with its roles', async () => {
+      const headers = { Authorization: `Bearer ${sign(claims({ exp: seconds(new Date()) + 300 }))}` };
+
+      const listed = await request(app, { method: 'GET', path: '/people', headers });
+      const sortedByEmail = await request(app, { method: 'GET', path: '/people?sort=email', headers });
+
+      expect(listed.status).to.equal(200);
+      expect(sortedByEmail.status).to.equal(403); // Viewers never see emails
+    });
+
+    it('answers 401 to an expired JWT', async () => {
+      const res = await request(app, {
+        method: 'GET',
+        path: '/people',
+        headers: { Authorization: `Bearer ${sign(claims({ exp: seconds(new Date()) - 3600 }))}` }
+      });
+
+      expect(res.status).to.equal(401);
+      expect(res.body.error.code).to.equal('TOKEN_EXPIRED');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// test/bulkDelete.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries, rejectionOf } = require('./helpers');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('bulk delete', () => {
+  let service;
+  let people;
+  let total;
+  let finds;
+  let updates;
+
+  const person = () => ({ _id: new mongoose.Types.ObjectId(), name: 'Mary' });
+
+  beforeEach(() => {
+    service = createService();
+    people = [person(), person()];
+    total = 10;
+    finds = [];
+    updates = [];
+    stubQueries(service.Person, {
+      find: query => {
+        finds.push(query.getFilter());
+        return people.slice(0, query.getOptions().limit);
+      },
+      countDocuments: () => total,
+      updateMany: query => {
+        updates.push(query);
+        return { acknowledged: true, matchedCount: people.length, modifiedCount: people.length };
+      }
+    });
+  });
+
+  const codeOf = async promise => (await rejectionOf(promise)).code;
+
+  describe('filters', () => {
+    it('matches string values exactly, by prefix or by regex', async () => {
+      await service.bulkDelete({ name: 'Mary' }, { dryRun: true });
+      await service.bulkDelete({ name: 'Ma.y' }, { match: 'prefix', dryRun: true });
+      await service.bulkDelete({ name: '^Mar(y|ie)$' }, { match: 'regex', dryRun: true });
+
+      expect(finds.map(filter => filter.name)).to.deep.equal([
+        'Mary',
+        { $regex: '^Ma\\.y' },
+        { $regex: '^Mar(y|ie)$' }
+      ]);
+    });
+
+    it('refuses unknown fields and operators', async () => {
+      expect(await rejectionOf(service.bulkDelete({ searchTokens: 'mary' }))).to.be.instanceOf(ValidationError);
+      expect(await rejectionOf(service.bulkDelete({ age: { $where: 'true' } }))).to.be.instanceOf(ValidationError);
+      expect(finds).to.have.length(0);
+    });
+
+    it('refuses long regexes and ones that can backtrack without end', async () => {
+      const patterns = ['a'.repeat(101), '(a+)+$', '(\\w)\\1', '(?=admin)', '(?:a*){3,}'];
+
+      for (const name of patterns) {
+        const error = await rejectionOf(service.bulkDelete({ name }, { match: 'regex' }));
+        expect(error, name).to.be.instanceOf(ValidationError);
+      }
+      expect(finds).to.have.length(0);
+    });
+  });
+
+  describe('confirmation', () => {
+    it('is required for empty filters and patterns matching anything', async () => {
+      expect(await codeOf(service.bulkDelete({}))).to.equal('CONFIRMATION_REQUIRED');
+      expect(await codeOf(service.bulkDelete({ name: '' }, { match: 'prefix' }))).to.equal('CONFIRMATION_REQUIRED');
+      expect(await codeOf(service.bulkDelete({ name: '.*' }, { match: 'regex' }))).to.equal('CONFIRMATION_REQUIRED');
+      expect(finds).to.have.length(0);
+    });
+
+    it('is required for any filter matching every person', async () => {
+      total = people.length;
+
+      const filters = [{ age: { $gte: 0 } }, { email: { $exists: true } }, { name: { $ne: 'nobody' } }];
+      for (const filter of filters) {
+        expect(await codeOf(service.bulkDelete(filter))).to.equal('CONFIRMATION_REQUIRED');
+      }
+      expect(await codeOf(service.bulkDelete({ name: '.' }, { match: 'regex', dryRun: true })))
+        .to.equal('CONFIRMATION_REQUIRED');
+      expect(updates).to.have.length(0);
+    });
+
+    it('lets a confirmed call delete everyone', async () => {
+      total = people.length;
+
+      const result = await service.bulkDelete({ age: { $gte: 0 } }, { confirm: true });
+
+      expect(result.deletedCount).to.equal(2);
+    });
+  });
+
+  describe('safeguards', () => {
+    it('previews the matches without deleting', async () => {
+      const result = await service.bulkDelete({ name: 'Mary' }, { dryRun: true });
+
+      expect(result).to.deep.include({ dryRun: true, matchedCount: 2, deletedCount: 0 });
+      expect(result.ids).to.deep.equal(people.map(match => match._id));
+      expect(updates).to.have.length(0);
+    });
+
+    it('aborts when more people match than allowed', async () => {
+      const error = await rejectionOf(service.bulkDelete({ name: 'Mary' }, { maxAffected: 1 }));
+
+      expect(error.code).to.equal('MAX_AFFECTED_EXCEEDED');
+      expect(error.details).to.deep.equal({ matchedCount: 10, maxAffected: 1 });
+      expect(updates).to.have.length(0);
+    });
+
+    it('soft deletes exactly the people it counted', async () => {
+      const result = await service.bulkDelete({ name: 'Mary' }, { actor: 'admin' });
+
+      const [update] = updates;
+      expect(update.getFilter()._id).to.deep.equal({ $in: people.map(match => match._id) });
+      expect(update.getUpdate().$set.deletedBy).to.equal('admin');
+      expect(result).to.deep.include({ dryRun: false, matchedCount: 2, deletedCount: 2 });
+    });
+  });
+});
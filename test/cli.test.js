@@ -0,0 +1,109 @@
+// test/cli.test.js
+const { expect } = require('chai');
+const { run, EXIT_CODES } = require('../src/cli');
+const { formatTable, formatCell } = require('../src/cli/output');
+const { ValidationError, DatabaseConnectionError } = require('../src/utils/errors');
+const { captureIo } = require('./helpers');
+
+const ADA = { _id: '64b7f0c2a1b2c3d4e5f60718', name: 'Ada Lovelace', age: 36, favoriteFoods: ['tea', 'cake'], isActive: true };
+
+describe('CLI', () => {
+  let io;
+  let calls;
+  let service;
+  let database;
+
+  beforeEach(() => {
+    io = captureIo();
+    calls = [];
+    service = {
+      as() { return this; },
+      async findPersonById(id) {
+        calls.push(['findPersonById', id]);
+        return id === ADA._id ? ADA : null;
+      },
+      async updatePersonClassic(id, updates, options) {
+        calls.push(['updatePersonClassic', id, updates, options.expectedVersion]);
+        return { ...ADA, ...updates };
+      },
+      async createAndSavePerson(data) {
+        calls.push(['createAndSavePerson', data]);
+        throw new ValidationError('Validation failed', { details: [{ path: 'name', message: 'Name is required' }] });
+      },
+      async listPeople(options) {
+        calls.push(['listPeople', options]);
+        return { items: [ADA], pageInfo: { nextCursor: 'abc' } };
+      }
+    };
+    database = { connected: 0, disconnected: 0 };
+    database.connect = async () => { database.connected++; };
+    database.disconnect = async () => { database.disconnected++; };
+  });
+
+  const people = (...argv) => run(argv, { io, connection: database, personService: service });
+
+  it('prints a person as key: value lines', async () => {
+    expect(await people('get', ADA._id)).to.equal(EXIT_CODES.OK);
+
+    expect(io.out).to.include('name:          Ada Lovelace\n');
+    expect(io.out).to.include('favoriteFoods: tea, cake\n');
+    expect(database).to.include({ connected: 1, disconnected: 1 });
+  });
+
+  it('prints JSON with --json', async () => {
+    await people('list', '--json', '--min-age', '30', '--food', 'tea', '--food', 'cake', '--active');
+
+    expect(JSON.parse(io.out)).to.deep.equal({ data: [ADA], meta: { count: 1, nextCursor: 'abc' } });
+    expect(calls[0][1]).to.include({ minAge: 30, isActive: true, foodsMatch: 'any' });
+    expect(calls[0][1].foods).to.deep.equal(['tea', 'cake']);
+  });
+
+  it('turns --set and --add-food into one update', async () => {
+    await people('update', ADA._id, '--set', 'age=37', '--set', 'isActive=no', '--add-food', 'pizza', '--if-version', '3');
+
+    expect(calls).to.deep.equal([
+      ['updatePersonClassic', ADA._id, { age: 37, isActive: false, addToFavorites: ['pizza'] }, 3]
+    ]);
+  });
+
+  describe('exit codes', () => {
+    it('is 3 when the person does not exist', async () => {
+      expect(await people('get', '64b7f0c2a1b2c3d4e5f60719')).to.equal(EXIT_CODES.NOT_FOUND);
+      expect(io.err).to.equal('error: Person with ID "64b7f0c2a1b2c3d4e5f60719" not found\n');
+    });
+
+    it('is 2 on validation errors, listing their details', async () => {
+      expect(await people('create', '--age', '3')).to.equal(EXIT_CODES.INVALID);
+      expect(io.err).to.equal('error: Validation failed\n  - name: Name is required\n');
+    });
+
+    it('is 2 on bad arguments and unknown commands', async () => {
+      expect(await people('update', ADA._id, '--set', 'shoeSize=9')).to.equal(EXIT_CODES.INVALID);
+      expect(await people('get', ADA._id, '--colour')).to.equal(EXIT_CODES.INVALID);
+      expect(await people('frobnicate')).to.equal(EXIT_CODES.INVALID);
+      expect(io.err).to.include('Unknown command "frobnicate"');
+      expect(calls).to.deep.equal([]);
+    });
+
+    it('is 6 when the role may not run the command', async () => {
+      expect(await people('migrate:status', '--role', 'viewer')).to.equal(EXIT_CODES.FORBIDDEN);
+      expect(database.connected).to.equal(0);
+    });
+
+    it('is 5 when MongoDB is unavailable', async () => {
+      database.connect = async () => { throw new DatabaseConnectionError('MongoDB unreachable', { attempts: 2 }); };
+
+      expect(await people('get', ADA._id, '--json')).to.equal(EXIT_CODES.UNAVAILABLE);
+      expect(JSON.parse(io.err).error.code).to.equal('DB_CONNECTION_FAILED');
+    });
+  });
+
+  describe('output', () => {
+    it('aligns tables and cuts long cells', () => {
+      const table = formatTable([{ name: 'Ada', age: 36 }, { name: 'Bob', age: null }], ['name', 'age']);
+      expect(table).to.equal('name  age\n----  ---\nAda   36\nBob\n');
+      expect(formatCell('x'.repeat(50))).to.have.length(40);
+      expect(formatTable([], ['name'])).to.equal('(no results)\n');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// test/concurrency.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const createApp = require('../src/api/app');
+const { createService, fakeQuery, stubQueries, rejectionOf, request } = require('./helpers');
+const { ConflictError, NotFoundError, ValidationError } = require('../src/utils/errors');
+
+describe('optimistic concurrency', () => {
+  let service;
+  let stored;
+
+  beforeEach(() => {
+    service = createService();
+    stored = new service.Person({ name: 'Ada Lovelace', age: 36, __v: 3 });
+    service.Person.findById = () => fakeQuery(stored);
+  });
+
+  it('refuses an update against a stale version with a ConflictError carrying the current person', async () => {
+    const error = await rejectionOf(service.updatePersonClassic(stored.id, { age: 37 }, { expectedVersion: 2 }));
+
+    expect(error).to.be.instanceOf(ConflictError);
+    expect(error.status).to.equal(409);
+    expect(error.current).to.equal(stored);
+  });
+
+  it('refuses an update against a stale updatedAt', async () => {
+    stored.updatedAt = new Date('2026-05-01T10:00:00Z');
+
+    const error = await rejectionOf(service.updatePersonClassic(stored.id, { age: 37 }, {
+      expectedUpdatedAt: '2026-05-01T09:00:00Z'
+    }));
+
+    expect(error).to.be.instanceOf(ConflictError);
+  });
+
+  it('turns a version error on save into a ConflictError', async () => {
+    stored.save = async () => { throw new mongoose.Error.VersionError(stored, 3, ['age']); };
+
+    const error = await rejectionOf(service.updatePersonClassic(stored.id, { age: 37 }, { expectedVersion: 3 }));
+
+    expect(error).to.be.instanceOf(ConflictError);
+    expect(error.current).to.equal(stored);
+  });
+
+  it('tells a stale findOneAndUpdateAge() from a missing person', async () => {
+    let filter;
+    stubQueries(service.Person, {
+      findOneAndUpdate: query => { filter = query.getFilter(); return null; },
+      findOne: () => stored,
+      find: () => []
+    });
+
+    const error = await rejectionOf(service.findOneAndUpdateAge('Ada Lovelace', 37, { expectedVersion: 2 }));
+
+    expect(filter).to.include({ name: 'Ada Lovelace', __v: 2 });
+    expect(error).to.be.instanceOf(ConflictError);
+  });
+
+  it('answers 409 with the current person to a PATCH with a stale If-Match', async () => {
+    const app = createApp({ personService: service, piiAccess: true });
+
+    const res = await request(app, {
+      method: 'PATCH',
+      path: `/people/${stored.id}`,
+      headers: { 'If-Match': '"2"' },
+      body: { age: 37 }
+    });
+
+    expect(res.status).to.equal(409);
+    expect(res.body.error.code).to.equal('CONFLICT');
+    expect(res.body.error.details.current.__v).to.equal(3);
+  });
+});
+
+describe('favorite foods limit', () => {
+  let service;
+  let updates;
+  let existing;
+  const id = new mongoose.Types.ObjectId().toString();
+  const foods = count => Array.from({ length: count }, (_, index) => `food ${index}`);
+
+  beforeEach(() => {
+    service = createService();
+    updates = [];
+    existing = true;
+    service.Food.canonicalize = async names => [...new Set(names)];
+    stubQueries(service.Person, {
+      findOneAndUpdate: query => { updates.push(query); return null; },
+      findOne: () => (existing ? { _id: id } : null),
+      find: () => []
+    });
+  });
+
+  it('refuses more foods than a list can hold before querying', async () => {
+    const error = await rejectionOf(service.addFavoriteFoods(id, foods(21)));
+
+    expect(error).to.be.instanceOf(ValidationError);
+    expect(updates).to.have.length(0);
+  });
+
+  it('only updates while the merged list fits', async () => {
+    await rejectionOf(service.addFavoriteFoods(id, ['tea', 'Tea', 'tea']));
+
+    const [query] = updates;
+    expect(query.getFilter().$expr).to.deep.equal({
+      $lte: [{ $size: { $setUnion: [{ $ifNull: ['$favoriteFoods', []] }, ['tea', 'Tea']] } }, 20]
+    });
+    expect(query.getUpdate().$addToSet).to.deep.equal({ favoriteFoods: { $each: ['tea', 'Tea'] } });
+  });
+
+  it('reports a full list as a ValidationError', async () => {
+    const error = await rejectionOf(service.addFavoriteFoods(id, ['tea']));
+
+    expect(error).to.be.instanceOf(ValidationError);
+    expect(error.message).to.include('more than 20');
+  });
+
+  it('reports a missing person as a NotFoundError', async () => {
+    existing = false;
+
+    const error = await rejectionOf(service.addFavoriteFoods(id, ['tea']));
+
+    expect(error).to.be.instanceOf(NotFoundError);
+  });
+});
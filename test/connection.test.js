@@ -0,0 +1,143 @@
+// test/connection.test.js
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+const { DatabaseConnection, STATES, backoffDelay } = require('../src/database/connection');
+const { DatabaseConnectionError } = require('../src/utils/errors');
+const { rejectionOf } = require('./helpers');
+
+/**
+ * Stands in for an opened mongoose connection
+ */
+function fakeMongooseConnection() {
+  const client = new EventEmitter();
+  return {
+    db: { databaseName: 'people' },
+    host: 'localhost',
+    closed: false,
+    getClient: () => client,
+    async close() { this.closed = true; }
+  };
+}
+
+/**
+ * A DatabaseConnection whose attempts fail with `failures` in turn, then
+ * succeed
+ */
+function connectionFailing(failures) {
+  const database = new DatabaseConnection({ name: 'test', uri: 'mongodb://localhost:27017/people' });
+  database.attempts = 0;
+  database.openConnection = async () => {
+    const failure = failures[database.attempts];
+    database.attempts += 1;
+    if (failure) throw failure;
+    return fakeMongooseConnection();
+  };
+  return database;
+}
+
+const FAST = { retries: 3, baseDelayMs: 1, maxDelayMs: 2 };
+
+describe('DatabaseConnection', () => {
+  describe('backoffDelay', () => {
+    const config = { baseDelayMs: 500, maxDelayMs: 30000 };
+
+    it('doubles the ceiling with every attempt', () => {
+      expect([0, 1, 2, 3].map(attempt => backoffDelay(attempt, config, () => 0.999999)))
+        .to.deep.equal([499, 999, 1999, 3999]);
+    });
+
+    it('never exceeds the maximum delay', () => {
+      expect(backoffDelay(20, config, () => 0.999999)).to.equal(29999);
+    });
+
+    it('spreads delays down to zero (full jitter)', () => {
+      expect(backoffDelay(5, config, () => 0)).to.equal(0);
+    });
+  });
+
+  describe('connect', () => {
+    const connections = [];
+    const track = database => {
+      connections.push(database);
+      return database;
+    };
+
+    afterEach(async () => {
+      // Leave no connection registered for the shutdown handlers
+      await Promise.all(connections.splice(0).map(database => database.disconnect()));
+    });
+
+    it('retries failed attempts until one succeeds', async () => {
+      const database = track(connectionFailing([new Error('ECONNREFUSED'), new Error('ECONNREFUSED')]));
+
+      await database.connect(FAST);
+
+      expect(database.attempts).to.equal(3);
+      expect(database.getState()).to.equal(STATES.CONNECTED);
+      expect(database.lastError.message).to.equal('ECONNREFUSED');
+    });
+
+    it('gives up after the configured retries', async () => {
+      const database = track(connectionFailing(Array(10).fill(new Error('ECONNREFUSED'))));
+
+      const error = await rejectionOf(database.connect(FAST));
+
+      expect(error).to.be.instanceOf(DatabaseConnectionError);
+      expect(error.attempts).to.equal(4);
+      expect(database.getState()).to.equal(STATES.DISCONNECTED);
+    });
+
+    it('does not retry errors retrying cannot fix', async () => {
+      const badCredentials = Object.assign(new Error('auth failed'), { code: 18 });
+      const database = track(connectionFailing([badCredentials]));
+
+      const error = await rejectionOf(database.connect(FAST));
+
+      expect(error.attempts).to.equal(1);
+      expect(error.cause).to.equal(badCredentials);
+    });
+
+    it('fails without a URI instead of exiting the process', async () => {
+      const database = new DatabaseConnection({ name: 'nowhere' });
+
+      const error = await rejectionOf(database.connect(FAST));
+
+      expect(error).to.be.instanceOf(DatabaseConnectionError);
+      expect(error.message).to.include('MONGO_URI_NOWHERE');
+      expect(error.attempts).to.equal(0);
+    });
+
+    it('shares one attempt between concurrent calls', async () => {
+      const database = track(connectionFailing([]));
+
+      const [first, second] = await Promise.all([database.connect(FAST), database.connect(FAST)]);
+
+      expect(first).to.equal(second);
+      expect(database.attempts).to.equal(1);
+    });
+  });
+
+  describe('shutdown', () => {
+    it('runs shutdown hooks before closing the connection', async () => {
+      const database = connectionFailing([]);
+      await database.connect(FAST);
+      const order = [];
+      database.onShutdown(async () => order.push(database.getConnection().closed ? 'closed' : 'open'));
+
+      await database.shutdown({ timeoutMs: 10 });
+
+      expect(order).to.deep.equal(['open']);
+      expect(database.getState()).to.equal(STATES.DISCONNECTED);
+    });
+
+    it('stops waiting for in-flight operations at the timeout', async () => {
+      const database = connectionFailing([]);
+      await database.connect(FAST);
+      database.inFlight.add(1);
+
+      expect(await database.drain(20)).to.equal(false);
+      await database.shutdown({ timeoutMs: 10 });
+      expect(database.getInFlightCount()).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// test/csv.test.js
+const { Readable, Writable, PassThrough } = require('stream');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const createApp = require('../src/api/app');
+const { parseCsv, formatCsvField, formatCsvRow, unguardCsvField } = require('../src/utils/csv');
+const { withPiiAccess } = require('../src/utils/pii');
+const { createService, rejectionOf, request } = require('./helpers');
+
+/**
+ * Every record parseCsv() reads from the given chunks
+ */
+async function readCsv(...chunks) {
+  const records = [];
+  for await (const record of parseCsv(Readable.from(chunks))) records.push(record);
+  return records;
+}
+
+/**
+ * Stands in for Person.find() in exportPeople(): a chain ending in a
+ * cursor over `people` that records being closed
+ */
+function exportCursor(people) {
+  const cursor = {
+    closed: false,
+    async close() { cursor.closed = true; },
+    async* [Symbol.asyncIterator]() { yield* people; }
+  };
+  const query = { cursor: () => cursor };
+  ['byAgeRange', 'setOptions', 'sort', 'lean'].forEach(method => { query[method] = () => query; });
+  return { query, cursor };
+}
+
+describe('CSV', () => {
+  describe('parseCsv', () => {
+    it('reads quoted fields with commas, quotes and line breaks', async () => {
+      const records = await readCsv('name,notes\r\n"Smith, Jane","says ""hi""\nthen leaves"\r\nBob,\n');
+
+      expect(records).to.deep.equal([
+        { fields: ['name', 'notes'], line: 1 },
+        { fields: ['Smith, Jane', 'says "hi"\nthen leaves'], line: 2 },
+        { fields: ['Bob', ''], line: 4 }
+      ]);
+    });
+
+    it('skips blank lines and keeps line numbers', async () => {
+      const records = await readCsv('a\n\n\nb');
+      expect(records).to.deep.equal([{ fields: ['a'], line: 1 }, { fields: ['b'], line: 4 }]);
+    });
+
+    it('handles records and characters split across chunks', async () => {
+      const euro = Buffer.from('€');
+      const records = await readCsv(
+        Buffer.from('x,"a'),
+        euro.subarray(0, 1),
+        Buffer.concat([euro.subarray(1), Buffer.from('"\r')]),
+        Buffer.from('\ny')
+      );
+
+      expect(records.map(record => record.fields)).to.deep.equal([['x', 'a€'], ['y']]);
+    });
+
+    it('fails on a quote left open', async () => {
+      const error = await rejectionOf(readCsv('name\n"Jane'));
+      expect(error.message).to.equal('Unterminated quoted field starting on line 2');
+    });
+  });
+
+  describe('formatCsvField', () => {
+    it('quotes only when needed', () => {
+      expect(formatCsvRow(['Jane', 'Smith, J.', 'say "hi"', null, 25, new Date(0)]))
+        .to.equal('Jane,"Smith, J.","say ""hi""",,25,1970-01-01T00:00:00.000Z\n');
+    });
+
+    it('guards text that spreadsheets would run as a formula', () => {
+      expect(['=1+1', '+1', '-2+3', '@SUM(A1)', '\tcmd'].map(formatCsvField))
+        .to.deep.equal(["'=1+1", "'+1", "'-2+3", "'@SUM(A1)", "'\tcmd"]);
+      expect(formatCsvField('=A1,B1')).to.equal('"\'=A1,B1"');
+      expect(formatCsvField('\rcmd')).to.equal('"\'\rcmd"');
+      expect(unguardCsvField("'=1+1")).to.equal('=1+1');
+    });
+
+    it('leaves numbers and ordinary text alone', () => {
+      expect(formatCsvField(-5)).to.equal('-5');
+      expect(formatCsvField("O'Neil")).to.equal("O'Neil");
+      expect(unguardCsvField("'tis")).to.equal("'tis");
+    });
+  });
+
+  describe('import and export', () => {
+    let service;
+
+    beforeEach(() => {
+      service = createService();
+    });
+
+    it('exports guarded cells that import back unchanged', async () => {
+      const person = { _id: new mongoose.Types.ObjectId(), name: '=cmd|calc', age: 30, favoriteFoods: ['-tacos'], isActive: true };
+      service.Person.find = () => exportCursor([person]).query;
+      const output = new PassThrough();
+      let csv = '';
+      output.on('data', chunk => { csv += chunk; });
+
+      await withPiiAccess(() => service.exportPeople(output, { format: 'csv' }));
+
+      expect(csv.split('\n')[1]).to.match(/^[0-9a-f]{24},'=cmd\|calc,30,,'-tacos,true,,$/);
+
+      const imported = [];
+      service.importPerson = async data => { imported.push(data); return 'created'; };
+      await service.importPeople(Readable.from([csv]), { format: 'csv' });
+
+      expect(imported).to.deep.equal([{ name: '=cmd|calc', age: 30, favoriteFoods: ['-tacos'], isActive: true }]);
+    });
+
+    it('stops and closes the cursor when the consumer goes away while waiting to drain', async () => {
+      const people = Array.from({ length: 5 }, (_, index) => ({ _id: new mongoose.Types.ObjectId(), name: `P${index}` }));
+      const { query, cursor } = exportCursor(people);
+      service.Person.find = () => query;
+      // Never finishes a write, like a client that stopped reading
+      const stalled = new Writable({ highWaterMark: 1, write() {} });
+      setTimeout(() => stalled.destroy(), 10);
+
+      const { count } = await service.exportPeople(stalled);
+
+      expect(count).to.equal(1);
+      expect(cursor.closed).to.equal(true);
+    });
+
+    it('fails the export when the stream errors while waiting to drain', async () => {
+      const { query, cursor } = exportCursor([{ _id: new mongoose.Types.ObjectId(), name: 'Ada' }]);
+      service.Person.find = () => query;
+      const broken = new Writable({ highWaterMark: 1, write() {} });
+      setTimeout(() => broken.destroy(new Error('EPIPE')), 10);
+
+      const error = await rejectionOf(service.exportPeople(broken));
+
+      expect(error.message).to.include('EPIPE');
+      expect(cursor.closed).to.equal(true);
+    });
+
+    it('cuts the response when an export fails after its first chunk', async () => {
+      service.exportPeople = async res => {
+        res.write('{"name":"Ada"}\n');
+        throw new Error('cursor lost');
+      };
+      const app = createApp({ personService: service, piiAccess: true });
+
+      const error = await rejectionOf(request(app, { path: '/people/export' }));
+
+      expect(error.message).to.match(/aborted|socket hang up|ECONNRESET/);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// test/erasure.test.js
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries, rejectionOf } = require('./helpers');
+const { emailHash, hashSecret } = require('../src/models/Erasure');
+const { EncryptionError, NotFoundError } = require('../src/utils/errors');
+
+/**
+ * Runs `fn` with environment variables changed, restoring them after
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.entries(vars).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+describe('erasure', () => {
+  describe('hashSecret', () => {
+    it('uses ERASURE_HASH_SECRET', () => {
+      expect(hashSecret({ ERASURE_HASH_SECRET: 's3cret', NODE_ENV: 'production' })).to.equal('s3cret');
+    });
+
+    it('refuses to run in production without it', () => {
+      expect(() => hashSecret({ NODE_ENV: 'production' }))
+        .to.throw(EncryptionError)
+        .with.property('code', 'ERASURE_SECRET_MISSING');
+    });
+
+    it('falls back to a development key elsewhere', () => {
+      expect(hashSecret({ NODE_ENV: 'development' })).to.be.a('string');
+    });
+  });
+
+  describe('emailHash', () => {
+    it('hashes normalized addresses', () => {
+      expect(emailHash(' Ada@Example.COM ')).to.equal(emailHash('ada@example.com'));
+      expect(emailHash('')).to.equal(null);
+    });
+
+    it('depends on the secret', async () => {
+      const first = await withEnv({ ERASURE_HASH_SECRET: 'one' }, () => emailHash('ada@example.com'));
+      const second = await withEnv({ ERASURE_HASH_SECRET: 'two' }, () => emailHash('ada@example.com'));
+
+      expect(first).not.to.equal(second);
+    });
+  });
+
+  describe('PersonService', () => {
+    const id = new mongoose.Types.ObjectId();
+    let service;
+    let person;
+    let tombstone;
+    let erasureFilters;
+    let removed;
+
+    beforeEach(() => {
+      service = createService();
+      person = new service.Person({ _id: id, name: 'Ada Lovelace', email: 'ada@example.com' });
+      tombstone = null;
+      erasureFilters = [];
+      removed = [];
+
+      stubQueries(service.Person, {
+        findOne: query => (String(query.getFilter()._id) === String(id) ? person : null),
+        findOneAndDelete: () => { removed.push('person'); return person; }
+      });
+      stubQueries(service.PersonHistory, {
+        find: () => [
+          { snapshot: { email: 'ada@example.com' }, changes: [] },
+          { changes: [{ path: 'email', before: 'ada@old.example', after: 'ada@example.com' }] }
+        ],
+        deleteMany: () => { removed.push('history'); return { deletedCount: 2 }; }
+      });
+      stubQueries(service.Erasure, {
+        findOne: query => { erasureFilters.push(query.getFilter()); return tombstone; },
+        findOneAndUpdate: query => {
+          const { $setOnInsert, $addToSet } = query.getUpdate();
+          tombstone = new service.Erasure({ personId: id, ...$setOnInsert, emailHashes: $addToSet.emailHashes.$each });
+          tombstone.save = async function() { return this; };
+          return tombstone;
+        }
+      });
+    });
+
+    it('erases the person and their history, keeping a tombstone of hashes only', async () => {
+      const result = await service.erasePerson(id.toString(), { actor: 'admin', reason: 'ticket 1234' });
+
+      expect(removed).to.deep.equal(['person', 'history']);
+      expect(result).to.include({ status: 'completed', requestedBy: 'admin', reason: 'ticket 1234' });
+      expect(result.removed.toObject()).to.deep.equal({ people: 1, history: 2 });
+      expect([...result.emailHashes]).to.have.members([emailHash('ada@example.com'), emailHash('ada@old.example')]);
+      expect(JSON.stringify(result)).not.to.include('ada@');
+    });
+
+    it('refuses to erase in production without ERASURE_HASH_SECRET, before removing anything', async () => {
+      const error = await withEnv({ NODE_ENV: 'production', ERASURE_HASH_SECRET: undefined },
+        () => rejectionOf(service.erasePerson(id.toString())));
+
+      expect(error.code).to.equal('ERASURE_SECRET_MISSING');
+      expect(removed).to.deep.equal([]);
+      expect(tombstone).to.equal(null);
+    });
+
+    it('reports people nothing is held about', async () => {
+      stubQueries(service.PersonHistory, { findOne: () => null });
+
+      const error = await rejectionOf(service.erasePerson(new mongoose.Types.ObjectId().toString()));
+
+      expect(error).to.be.instanceOf(NotFoundError);
+    });
+
+    it('blocks importing an erased person again', async () => {
+      await service.erasePerson(id.toString());
+      person = null;
+
+      const report = await service.importPeople(Readable.from([
+        '{"name":"Ada Lovelace","email":"Ada@Example.com"}\n'
+      ]));
+
+      expect(report).to.include({ processed: 1, created: 0, failed: 1 });
+      expect(report.errors[0]).to.include({ line: 1, code: 'PERSON_ERASED' });
+      expect(erasureFilters.pop()).to.deep.equal({ emailHashes: emailHash('ada@example.com') });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// test/errors.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, fakeQuery, rejectionOf } = require('./helpers');
+const {
+  AppError,
+  ValidationError,
+  InvalidIdError,
+  NotFoundError,
+  DuplicateKeyError,
+  ConflictError,
+  DatabaseError,
+  translateMongooseError
+} = require('../src/utils/errors');
+
+describe('translateMongooseError', () => {
+  it('returns AppErrors untouched', () => {
+    const error = new NotFoundError('gone');
+    expect(translateMongooseError(error)).to.equal(error);
+  });
+
+  it('turns schema validation failures into a ValidationError listing each path', () => {
+    const { Person } = createService();
+    const failure = new Person({ age: -1 }).validateSync();
+
+    const error = translateMongooseError(failure);
+
+    expect(error).to.be.instanceOf(ValidationError);
+    expect(error.status).to.equal(400);
+    expect(error.details.map(detail => detail.path)).to.include.members(['name', 'age']);
+    expect(error.cause).to.equal(failure);
+  });
+
+  it('turns ObjectId cast failures into an InvalidIdError', () => {
+    const failure = new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+
+    const error = translateMongooseError(failure);
+
+    expect(error).to.be.instanceOf(InvalidIdError);
+    expect(error.code).to.equal('INVALID_ID');
+    expect(error.id).to.equal('nope');
+  });
+
+  it('turns other cast failures into a ValidationError', () => {
+    const error = translateMongooseError(new mongoose.Error.CastError('Number', 'old', 'age'));
+
+    expect(error).to.be.instanceOf(ValidationError);
+    expect(error).not.to.be.instanceOf(InvalidIdError);
+    expect(error.details[0].path).to.equal('age');
+  });
+
+  it('turns E11000 into a DuplicateKeyError naming the fields', () => {
+    const failure = Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyValue: { email: 'a@b.co' } });
+
+    const error = translateMongooseError(failure);
+
+    expect(error).to.be.instanceOf(DuplicateKeyError);
+    expect(error.status).to.equal(409);
+    expect(error.message).to.equal('Duplicate value for email');
+  });
+
+  it('turns version errors into a ConflictError', () => {
+    const failure = new mongoose.Error.VersionError({ _id: 'x' }, 1, []);
+    expect(translateMongooseError(failure)).to.be.instanceOf(ConflictError);
+  });
+
+  it('wraps anything else in a DatabaseError', () => {
+    const error = translateMongooseError(new Error('socket closed'));
+
+    expect(error).to.be.instanceOf(DatabaseError);
+    expect(error).to.be.instanceOf(AppError);
+    expect(error.status).to.equal(500);
+    expect(error.message).to.equal('socket closed');
+  });
+});
+
+describe('PersonService errors', () => {
+  let service;
+
+  beforeEach(() => {
+    service = createService();
+  });
+
+  it('rejects a missing ID with a ValidationError', async () => {
+    const error = await rejectionOf(service.findPersonById(undefined));
+    expect(error).to.be.instanceOf(ValidationError);
+  });
+
+  it('rejects a malformed ID with an InvalidIdError before querying', async () => {
+    service.Person.findById = () => { throw new Error('should not query'); };
+
+    const error = await rejectionOf(service.findPersonById('not-an-id'));
+
+    expect(error).to.be.instanceOf(InvalidIdError);
+  });
+
+  it('rejects updates of an unknown person with a NotFoundError', async () => {
+    service.Person.findById = () => fakeQuery(null);
+
+    const error = await rejectionOf(service.updatePersonClassic(new mongoose.Types.ObjectId().toString(), { age: 30 }));
+
+    expect(error).to.be.instanceOf(NotFoundError);
+    expect(error.status).to.equal(404);
+  });
+});
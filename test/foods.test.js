@@ -0,0 +1,142 @@
+// test/foods.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { foodKey } = require('../src/models/Food');
+const { createService, stubQueries } = require('./helpers');
+
+const CATALOG = [
+  { name: 'burger', aliases: ['hamburger', 'cheeseburger'] },
+  { name: 'taco', aliases: [] },
+  { name: 'berry', aliases: [] },
+  { name: 'ice cream', aliases: ['icecream'] }
+];
+
+describe('food catalog', () => {
+  let service;
+  let catalogReads;
+
+  beforeEach(() => {
+    service = createService();
+    catalogReads = 0;
+    stubQueries(service.Food, {
+      find: () => {
+        catalogReads++;
+        return CATALOG;
+      },
+      findOneAndUpdate: () => null
+    });
+  });
+
+  it('keys foods by their folded, single spaced name', () => {
+    expect(foodKey('  Jalapeño   Poppers ')).to.equal('jalapeno poppers');
+  });
+
+  describe('canonicalize', () => {
+    it('maps names, aliases and naive plurals to catalog names', async () => {
+      const foods = await service.Food.canonicalize(['Hamburgers', 'TACOS', 'berries', 'ice  cream', 'IceCream']);
+      expect(foods).to.deep.equal(['burger', 'taco', 'berry', 'ice cream']);
+    });
+
+    it('keeps unknown foods, cleaned, and drops duplicates and blanks', async () => {
+      const foods = await service.Food.canonicalize(['  Crème  Brûlée ', 'burger', 'Burger', '', '  ', 42]);
+      expect(foods).to.deep.equal(['crème brûlée', 'burger']);
+    });
+
+    it('reads the catalog once per connection until it changes', async () => {
+      await service.Food.canonicalize(['burger']);
+      await service.Food.canonicalize(['taco']);
+      expect(catalogReads).to.equal(1);
+
+      await service.Food.findOneAndUpdate({ name: 'taco' }, { $set: { category: 'mexican' } });
+      await service.Food.canonicalize(['taco']);
+      expect(catalogReads).to.equal(2);
+
+      const other = createService();
+      stubQueries(other.Food, { find: () => { catalogReads++; return []; } });
+      expect(await other.Food.canonicalize(['hamburger'])).to.deep.equal(['hamburger']);
+      expect(catalogReads).to.equal(3);
+    });
+
+    it('does not keep a failed catalog read', async () => {
+      let fail = true;
+      stubQueries(service.Food, {
+        find: () => {
+          if (fail) throw new Error('network');
+          return CATALOG;
+        }
+      });
+
+      await service.Food.canonicalize(['burger']).catch(() => {});
+      fail = false;
+
+      expect(await service.Food.canonicalize(['hamburger'])).to.deep.equal(['burger']);
+    });
+  });
+
+  describe('people', () => {
+    it('stores new people with catalog names', async () => {
+      const person = new service.Person({ name: 'Ada Lovelace', favoriteFoods: ['Cheeseburger', 'burgers', 'tacos'] });
+
+      await person.validate();
+
+      expect(person.favoriteFoods.toObject()).to.deep.equal(['burger', 'taco']);
+    });
+
+    it('normalizes foods in query updates', async () => {
+      const updates = [];
+      stubQueries(service.Person, {
+        updateOne: query => { updates.push(query.getUpdate()); return { matchedCount: 1 }; },
+        find: () => []
+      });
+      const id = new mongoose.Types.ObjectId();
+
+      await service.Person.updateOne({ _id: id }, { $addToSet: { favoriteFoods: { $each: ['Hamburger', 'Tacos'] } } });
+      await service.Person.updateOne({ _id: id }, { $pull: { favoriteFoods: { $in: ['cheeseburgers'] } } });
+      await service.Person.updateOne({ _id: id }, { $push: { favoriteFoods: 'IceCream' } });
+
+      expect(updates[0].$addToSet.favoriteFoods.$each).to.deep.equal(['burger', 'taco']);
+      expect(updates[1].$pull.favoriteFoods.$in).to.deep.equal(['burger']);
+      expect(updates[2].$push.favoriteFoods).to.equal('ice cream');
+    });
+  });
+
+  describe('PersonService', () => {
+    it('groups liked and catalog foods by category, uncategorized last', async () => {
+      service.Person.aggregate = () => ({
+        option: async () => [{ _id: 'burger', count: 3 }, { _id: 'kimchi', count: 2 }, { _id: 'taco', count: 1 }]
+      });
+      stubQueries(service.Food, {
+        find: () => [
+          { name: 'burger', category: 'fast food' },
+          { name: 'fries', category: 'fast food' },
+          { name: 'taco', category: 'mexican' }
+        ]
+      });
+
+      expect(await service.getFoodsByCategory()).to.deep.equal([
+        { category: 'fast food', count: 3, foods: [{ food: 'burger', count: 3 }, { food: 'fries', count: 0 }] },
+        { category: 'mexican', count: 1, foods: [{ food: 'taco', count: 1 }] },
+        { category: 'uncategorized', count: 2, foods: [{ food: 'kimchi', count: 2 }] }
+      ]);
+    });
+
+    it('lists the foods people share with a person in that person\'s order', async () => {
+      const ada = { _id: new mongoose.Types.ObjectId(), favoriteFoods: ['taco', 'burger', 'berry'] };
+      const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob', favoriteFoods: ['berry', 'taco'] };
+      let pipeline;
+      stubQueries(service.Person, { findOne: () => ada });
+      service.Person.aggregate = stages => {
+        pipeline = stages;
+        return Promise.resolve([{ ...bob, shared: ['berry', 'taco'], sharedCount: 2 }]);
+      };
+
+      const { foods, items } = await service.findPeopleSharingFoods(ada._id.toString(), { minShared: 2 });
+
+      expect(foods).to.deep.equal(['taco', 'burger', 'berry']);
+      expect(pipeline[0].$match).to.deep.equal({ _id: { $ne: ada._id }, favoriteFoods: { $in: foods } });
+      expect(items[0]).to.include({ sharedCount: 2 });
+      expect(items[0].shared).to.deep.equal(['taco', 'berry']);
+      expect(items[0].person.name).to.equal('Bob');
+    });
+  });
+});
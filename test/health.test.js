@@ -0,0 +1,91 @@
+// test/health.test.js
+const { expect } = require('chai');
+const createApp = require('../src/api/app');
+const { run, EXIT_CODES } = require('../src/cli');
+const { createService, stubQueries, request, captureIo } = require('./helpers');
+
+/**
+ * A DatabaseConnection whose health check reports `ok`
+ */
+function fakeDatabase(ok) {
+  return {
+    async connect() {},
+    async disconnect() {},
+    async healthCheck() {
+      return {
+        ok,
+        name: 'default',
+        state: ok ? 'connected' : 'disconnected',
+        pool: { maxPoolSize: 10, total: 2 },
+        topology: { type: 'ReplicaSetWithPrimary', servers: [{ address: 'db-1.internal:27017' }] },
+        lastError: ok ? null : { name: 'MongoNetworkError', message: 'connect ECONNREFUSED 10.0.0.5:27017' }
+      };
+    }
+  };
+}
+
+describe('health', () => {
+  describe('/readyz', () => {
+    it('answers only the status and state when ready', async () => {
+      const res = await request(createApp({ personService: createService(), database: fakeDatabase(true) }), {
+        path: '/readyz'
+      });
+
+      expect(res.status).to.equal(200);
+      expect(res.body.data).to.deep.equal({ status: 'ok', state: 'connected' });
+      expect(res.headers['cache-control']).to.equal('no-store');
+    });
+
+    it('keeps pool, topology and errors out of a 503', async () => {
+      const res = await request(createApp({ personService: createService(), database: fakeDatabase(false) }), {
+        path: '/readyz'
+      });
+
+      expect(res.status).to.equal(503);
+      expect(res.body.error.code).to.equal('NOT_READY');
+      expect(res.body.error.details).to.deep.equal({ status: 'unavailable', state: 'disconnected' });
+      expect(res.text).not.to.include('ECONNREFUSED');
+      expect(res.text).not.to.include('db-1.internal');
+    });
+
+    it('leaves caching of other routes alone', async () => {
+      const service = createService();
+      stubQueries(service.Person, { find: () => [], countDocuments: () => 0 });
+
+      const res = await request(createApp({ personService: service, database: fakeDatabase(true) }), {
+        path: '/people'
+      });
+
+      expect(res.status).to.equal(200);
+      expect(res.headers).not.to.have.property('cache-control');
+    });
+  });
+
+  describe('people health', () => {
+    it('prints the full report', async () => {
+      const io = captureIo();
+
+      const code = await run(['health', '--json'], { io, connection: fakeDatabase(true), personService: createService() });
+
+      expect(code).to.equal(EXIT_CODES.OK);
+      expect(JSON.parse(io.out).topology.servers[0].address).to.equal('db-1.internal:27017');
+    });
+
+    it('exits UNAVAILABLE when MongoDB does not answer', async () => {
+      const io = captureIo();
+
+      const code = await run(['health', '--json'], { io, connection: fakeDatabase(false), personService: createService() });
+
+      expect(code).to.equal(EXIT_CODES.UNAVAILABLE);
+      expect(JSON.parse(io.out).lastError.message).to.include('ECONNREFUSED');
+    });
+
+    it('needs the maintain permission', async () => {
+      const io = captureIo();
+
+      const code = await run(['health', '--role', 'viewer'], { io, connection: fakeDatabase(true), personService: createService() });
+
+      expect(code).to.equal(EXIT_CODES.FORBIDDEN);
+    });
+  });
+});
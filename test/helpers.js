@@ -0,0 +1,124 @@
+// test/helpers.js
+const http = require('http');
+const mongoose = require('mongoose');
+const { PersonService } = require('../src/services/personService');
+
+/**
+ * Test Helpers
+ * Tests run without a MongoDB server: services are bound to a connection
+ * that never opens, and the model methods a test needs are replaced on
+ * that connection's models (each connection compiles its own).
+ */
+
+/**
+ * A PersonService on a fresh, unopened connection
+ * Audit history writes are dropped; tests checking them replace
+ * `service.PersonHistory.insertMany`
+ * @returns {PersonService}
+ */
+function createService() {
+  const service = new PersonService({ connection: mongoose.createConnection() });
+  service.PersonHistory.insertMany = async () => [];
+  return service;
+}
+
+/**
+ * A thenable standing in for a mongoose Query: chained query methods
+ * return it, awaiting it resolves `result`
+ * @param {*} result - What the query resolves with
+ * @returns {Object}
+ */
+function fakeQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['setOptions', 'select', 'sort', 'limit', 'skip', 'lean', 'session', 'populate', 'withDeleted'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+/**
+ * Answers a model's queries without a server: `handlers` maps query ops
+ * (find, findOne, countDocuments, updateOne, ...) to query => result.
+ * Query middleware still runs first, so `query.getFilter()` shows what
+ * would have been sent.
+ * @param {mongoose.Model} Model - Model of a test connection
+ * @param {Object} handlers - { op: query => result }
+ */
+function stubQueries(Model, handlers) {
+  Object.entries(handlers).forEach(([op, handler]) => {
+    Model.Query.prototype[`_${op}`] = async function() {
+      return handler(this);
+    };
+  });
+}
+
+/**
+ * Resolves with the error `promise` rejects with; fails when it resolves
+ * @param {Promise} promise
+ * @returns {Promise<Error>}
+ */
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+/**
+ * Sends one request to an Express app on a throwaway port
+ * @param {express.Application} app
+ * @param {Object} options
+ * @param {String} [options.method='GET']
+ * @param {String} options.path
+ * @param {Object} [options.headers]
+ * @param {*} [options.body] - Sent as JSON unless it is a string
+ * @returns {Promise<Object>} { status, headers, text, body } where `body`
+ *   is the parsed JSON response, if any
+ */
+function request(app, { method = 'GET', path, headers = {}, body } = {}) {
+  const server = app.listen(0);
+  const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+  const sent = payload !== undefined && typeof body !== 'string'
+    ? { 'Content-Type': 'application/json', ...headers }
+    : headers;
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, method, path, headers: sent }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        const json = (res.headers['content-type'] || '').includes('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, text, body: json ? JSON.parse(text) : undefined });
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(payload);
+  }).finally(() => server.close());
+}
+
+/**
+ * Stands in for process as the CLI's `io`, collecting what it writes to
+ * `out` and `err`
+ * @returns {Object} { stdout, stderr, out, err }
+ */
+function captureIo() {
+  const io = { out: '', err: '' };
+  io.stdout = { write: text => { io.out += text; } };
+  io.stderr = { write: text => { io.err += text; } };
+  return io;
+}
+
+module.exports = {
+  createService,
+  fakeQuery,
+  stubQueries,
+  rejectionOf,
+  request,
+  captureIo
+};
@@ -0,0 +1,217 @@
+// test/keyring.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { Keyring, isEncrypted, generateKey, readKeyFile, addKey, keyringFromEnv } = require('../src/utils/keyring');
+const piiFields = require('../src/models/plugins/piiFields');
+const { withPiiAccess } = require('../src/utils/pii');
+const { EncryptionError, ValidationError } = require('../src/utils/errors');
+const { stubQueries } = require('./helpers');
+
+describe('keyring', () => {
+  let keyring;
+
+  beforeEach(() => {
+    keyring = new Keyring({ activeKeyId: 'k1', keys: { k1: generateKey() } });
+  });
+
+  describe('Keyring', () => {
+    it('round-trips values bound to their context', () => {
+      const ciphertext = keyring.encrypt('ada@example.com', { context: 'email' });
+
+      expect(isEncrypted(ciphertext)).to.equal(true);
+      expect(ciphertext).to.match(/^enc:v1:k1:/);
+      expect(keyring.decrypt(ciphertext, { context: 'email' })).to.equal('ada@example.com');
+    });
+
+    it('gives equal ciphertexts for equal values only in deterministic mode', () => {
+      const deterministic = () => keyring.encrypt('ada@example.com', { context: 'email', deterministic: true });
+      const random = () => keyring.encrypt('ada@example.com', { context: 'email' });
+
+      expect(deterministic()).to.equal(deterministic());
+      expect(random()).not.to.equal(random());
+      expect(keyring.encrypt('ada@example.com', { context: 'phone', deterministic: true }))
+        .not.to.equal(deterministic());
+    });
+
+    it('refuses values decrypted under another context or tampered with', () => {
+      const ciphertext = keyring.encrypt('ada@example.com', { context: 'email' });
+      const tampered = `${ciphertext.slice(0, -2)}${ciphertext.endsWith('AA') ? 'AB' : 'AA'}`;
+
+      expect(() => keyring.decrypt(ciphertext, { context: 'name' })).to.throw(EncryptionError);
+      expect(() => keyring.decrypt(tampered, { context: 'email' })).to.throw(EncryptionError);
+    });
+
+    it('leaves plaintext and ciphertext alone where there is nothing to do', () => {
+      const ciphertext = keyring.encrypt('ada@example.com');
+
+      expect(keyring.encrypt(ciphertext)).to.equal(ciphertext);
+      expect(keyring.decrypt('ada@example.com')).to.equal('ada@example.com');
+    });
+
+    it('is disabled without keys and refuses to encrypt', () => {
+      const empty = new Keyring();
+
+      expect(empty.enabled).to.equal(false);
+      expect(() => empty.encrypt('ada')).to.throw('No encryption key configured');
+    });
+
+    it('refuses unusable keys', () => {
+      expect(() => new Keyring({ activeKeyId: 'k1', keys: { k1: 'c2hvcnQ=' } })).to.throw('32 bytes');
+      expect(() => new Keyring({ activeKeyId: 'k2', keys: { k1: generateKey() } })).to.throw('not in the keyring');
+      expect(() => new Keyring({ activeKeyId: 'a b', keys: { 'a b': generateKey() } })).to.throw('Key ID');
+    });
+  });
+
+  describe('rotation', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+      file = path.join(dir, 'keys.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('creates the key file readable by its owner only', () => {
+      const { keyId, previousKeyId } = addKey(file, '2026-01');
+
+      expect(keyId).to.equal('2026-01');
+      expect(previousKeyId).to.equal(null);
+      expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+      expect(readKeyFile(file).activeKeyId).to.equal('2026-01');
+    });
+
+    it('keeps reading values of older keys after a new key becomes active', () => {
+      addKey(file, '2026-01');
+      const before = keyringFromEnv({ PII_KEYRING_FILE: file });
+      const stored = before.encrypt('ada@example.com', { context: 'email', deterministic: true });
+
+      expect(addKey(file, '2026-10').previousKeyId).to.equal('2026-01');
+      const after = keyringFromEnv({ PII_KEYRING_FILE: file });
+
+      expect(after.keyIds()).to.deep.equal(['2026-10', '2026-01']);
+      expect(after.decrypt(stored, { context: 'email' })).to.equal('ada@example.com');
+      expect(after.isCurrent(stored)).to.equal(false);
+      expect(after.isCurrent(after.encrypt('ada@example.com', { context: 'email' }))).to.equal(true);
+      expect(after.encryptUnderEveryKey('ada@example.com', { context: 'email' })[1]).to.equal(stored);
+    });
+
+    it('refuses to reuse a key ID', () => {
+      addKey(file, '2026-01');
+      expect(() => addKey(file, '2026-01')).to.throw('already exists');
+    });
+
+    it('reports a key missing from the file', () => {
+      addKey(file, '2026-01');
+      const stored = keyringFromEnv({ PII_KEYRING_FILE: file }).encrypt('ada');
+      const other = new Keyring({ activeKeyId: 'k9', keys: { k9: generateKey() } });
+
+      expect(() => other.decrypt(stored)).to.throw(EncryptionError).with.property('code', 'ENCRYPTION_KEY_MISSING');
+    });
+
+    it('is disabled without PII_KEYRING_FILE and fails on an unreadable one', () => {
+      expect(keyringFromEnv({}).enabled).to.equal(false);
+      expect(() => keyringFromEnv({ PII_KEYRING_FILE: path.join(dir, 'missing.json') })).to.throw(EncryptionError);
+    });
+  });
+
+  describe('piiFields plugin', () => {
+    let Contact;
+
+    beforeEach(() => {
+      const schema = new mongoose.Schema({
+        name: String,
+        email: { type: String, lowercase: true, trim: true },
+        note: String
+      });
+      schema.plugin(piiFields, {
+        keyring,
+        fields: {
+          name: { mask: 'name' },
+          email: { encrypt: 'deterministic', mask: 'email' },
+          note: { encrypt: 'random' }
+        }
+      });
+      Contact = mongoose.createConnection().model('Contact', schema);
+    });
+
+    it('stores ciphertext of the normalized value and reads plaintext', () => {
+      const contact = new Contact({ name: 'Ada', email: ' Ada@Example.com ' });
+
+      expect(contact.email).to.equal('ada@example.com');
+      expect(contact.get('email', null, { getters: false })).to.equal(
+        keyring.encrypt('ada@example.com', { context: 'email', deterministic: true })
+      );
+    });
+
+    it('masks personal data in JSON output without PII access', () => {
+      const contact = new Contact({ name: 'Ada Lovelace', email: 'ada@example.com' });
+
+      const masked = contact.toJSON();
+      const plain = withPiiAccess(() => contact.toJSON());
+
+      expect(masked.email).not.to.include('ada@example.com');
+      expect(masked.name).not.to.equal('Ada Lovelace');
+      expect(plain).to.include({ name: 'Ada Lovelace', email: 'ada@example.com' });
+    });
+
+    it('looks deterministic fields up under every key', async () => {
+      let filter;
+      stubQueries(Contact, { findOne: query => { filter = query.getFilter(); return null; } });
+
+      await Contact.findOne({ email: 'Ada@Example.com' });
+
+      expect(filter.email.$in).to.deep.equal(keyring.encryptUnderEveryKey('ada@example.com', { context: 'email' }));
+    });
+
+    it('refuses filters encrypted fields cannot answer', async () => {
+      stubQueries(Contact, { find: () => [] });
+
+      expect(await Contact.find({ email: /ada/ }).catch(error => error)).to.be.instanceOf(ValidationError);
+      expect(await Contact.find({ note: 'x' }).catch(error => error)).to.be.instanceOf(ValidationError);
+    });
+
+    it('decrypts stored records', () => {
+      const stored = { email: keyring.encrypt('ada@example.com', { context: 'email', deterministic: true }) };
+
+      expect(Contact.decryptFields(stored)).to.deep.equal({ email: 'ada@example.com' });
+    });
+
+    it('re-encrypts values of older keys and plaintext with the active key', async () => {
+      const old = new Keyring({ activeKeyId: 'k0', keys: { k0: generateKey() } });
+      keyring.keys.set('k0', old.keys.get('k0'));
+      const docs = [
+        { _id: 1, email: old.encrypt('ada@example.com', { context: 'email', deterministic: true }) },
+        { _id: 2, email: 'Grace@Example.com' },
+        { _id: 3, email: keyring.encrypt('bob@example.com', { context: 'email', deterministic: true }) }
+      ];
+      const writes = [];
+      Contact.find = () => ({
+        select() { return this; },
+        setOptions() { return this; },
+        lean() { return this; },
+        cursor: () => ({
+          [Symbol.asyncIterator]: async function* () { yield* docs; },
+          close: async () => {}
+        })
+      });
+      Contact.collection.bulkWrite = async batch => {
+        writes.push(...batch);
+        return { modifiedCount: batch.length };
+      };
+
+      const result = await Contact.reencryptFields();
+
+      expect(result).to.deep.equal({ scanned: 3, updated: 2, plaintext: 1 });
+      expect(writes.map(write => write.updateOne.filter._id)).to.deep.equal([1, 2]);
+      writes.forEach(({ updateOne }) => expect(keyring.isCurrent(updateOne.update.$set.email)).to.equal(true));
+      expect(keyring.decrypt(writes[1].updateOne.update.$set.email, { context: 'email' })).to.equal('grace@example.com');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// test/logger.test.js
+const { expect } = require('chai');
+const { Logger, configFromEnv } = require('../src/utils/logger');
+
+describe('logger', () => {
+  let records;
+  let lines;
+  let log;
+
+  beforeEach(() => {
+    records = [];
+    lines = [];
+    log = new Logger().configure({
+      level: 'info',
+      format: 'json',
+      redact: ['email'],
+      transport: (record, line) => {
+        records.push(record);
+        lines.push(line);
+      }
+    });
+  });
+
+  it('drops records below the configured level', () => {
+    log.debug('noise');
+    log.info('signal');
+
+    expect(records.map(record => record.msg)).to.deep.equal(['signal']);
+  });
+
+  it('writes one JSON line per record with the child bindings', () => {
+    log.child({ module: 'people' }).warn('Slow query', { durationMs: 1200 });
+
+    const parsed = JSON.parse(lines[0]);
+    expect(parsed).to.include({ level: 'warn', msg: 'Slow query', module: 'people', durationMs: 1200 });
+    expect(parsed.time).to.match(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  it('serializes errors with their code', () => {
+    const error = Object.assign(new Error('boom'), { code: 'E_BOOM' });
+
+    log.error('Failed', error);
+
+    expect(JSON.parse(lines[0]).err).to.include({ name: 'Error', message: 'boom', code: 'E_BOOM' });
+  });
+
+  it('masks the redacted context fields', () => {
+    log.info('Person created', { email: 'ada@example.com' });
+
+    expect(records[0].email).not.to.include('ada@example.com');
+  });
+
+  it('formats pretty lines with the module and context', () => {
+    log.configure({ format: 'pretty' });
+
+    log.child({ module: 'db' }).info('Connected', { attempt: 2 });
+
+    expect(lines[0]).to.match(/ INFO {2}\[db\] Connected attempt=2$/);
+  });
+
+  it('times operations', () => {
+    const op = log.operation('listPeople', { limit: 5 });
+    op.done('People listed', { count: 3 });
+
+    expect(records[0]).to.include({ operation: 'listPeople', limit: 5, count: 3 });
+    expect(records[0].durationMs).to.be.a('number');
+  });
+
+  it('shares settings between a logger and its children', () => {
+    const child = log.child({ module: 'x' });
+    log.configure({ level: 'silent' });
+
+    child.error('hidden');
+
+    expect(records).to.have.length(0);
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => log.configure({ level: 'loud' })).to.throw('Unknown log level');
+  });
+
+  describe('configFromEnv', () => {
+    it('is silent under test and pretty outside production', () => {
+      expect(configFromEnv({ NODE_ENV: 'test' })).to.include({ level: 'silent', format: 'pretty' });
+      expect(configFromEnv({ NODE_ENV: 'production' })).to.include({ level: 'info', format: 'json' });
+    });
+
+    it('reads level, format and redacted fields', () => {
+      const config = configFromEnv({ LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'json', LOG_REDACT: 'name, phone' });
+      expect(config).to.deep.equal({ level: 'debug', format: 'json', redact: ['name', 'phone'] });
+    });
+
+    it('falls back to info on an unknown level', () => {
+      expect(configFromEnv({ LOG_LEVEL: 'chatty' }).level).to.equal('info');
+    });
+  });
+});
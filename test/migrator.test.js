@@ -0,0 +1,220 @@
+// test/migrator.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { Migrator } = require('../src/database/migrator');
+const { ConflictError, MigrationError, ValidationError } = require('../src/utils/errors');
+const { rejectionOf } = require('./helpers');
+
+/**
+ * In-memory stand-in for the `_migrations` collection, down to the
+ * duplicate key error its unique _id index raises
+ */
+function fakeCollection() {
+  const docs = new Map();
+  const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$ne' in condition) return doc[key] !== condition.$ne;
+      if ('$lte' in condition) return doc[key] <= condition.$lte;
+    }
+    return doc[key] === condition;
+  });
+  const findDoc = filter => [...docs.values()].find(doc => matches(doc, filter)) || null;
+
+  return {
+    docs,
+    find: filter => ({
+      sort: () => ({
+        toArray: async () => [...docs.values()].filter(doc => matches(doc, filter)).sort((a, b) => (a._id < b._id ? -1 : 1))
+      })
+    }),
+    findOne: async filter => findDoc(filter),
+    insertOne: async doc => { docs.set(doc._id, { ...doc }); },
+    deleteOne: async filter => {
+      const doc = findDoc(filter);
+      if (doc) docs.delete(doc._id);
+      return { deletedCount: doc ? 1 : 0 };
+    },
+    updateOne: async (filter, update, { upsert } = {}) => {
+      const doc = findDoc(filter);
+      if (doc) {
+        Object.assign(doc, update.$set);
+        return { matchedCount: 1 };
+      }
+      if (!upsert) return { matchedCount: 0 };
+      if (docs.has(filter._id)) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      docs.set(filter._id, { _id: filter._id, ...update.$set });
+      return { matchedCount: 0, upsertedCount: 1 };
+    }
+  };
+}
+
+describe('Migrator', () => {
+  let directory;
+  let collection;
+  let connection;
+  let ran;
+  let runs = 0;
+
+  // Writes a migration that records its runs in `global.migrationRuns`
+  const writeMigration = (name, { fails = false, delayMs = 0 } = {}) => fs.writeFile(path.join(directory, `${name}.js`), `
+    module.exports = {
+      description: '${name}',
+      async up() {
+        await new Promise(resolve => setTimeout(resolve, ${delayMs}));
+        ${fails ? "throw new Error('boom');" : ''}
+        global.migrationRuns.push(['up', '${name}']);
+      },
+      async down() { global.migrationRuns.push(['down', '${name}']); }
+    };
+  `);
+
+  const migrator = () => new Migrator({ connection, directory });
+
+  beforeEach(async () => {
+    // A new directory each time: migration files are cached by require()
+    runs += 1;
+    directory = path.join(os.tmpdir(), `people-migrations-${process.pid}-${runs}`);
+    await fs.mkdir(directory, { recursive: true });
+    await writeMigration('20260101000000-first');
+    await writeMigration('20260102000000-second');
+    await writeMigration('20260103000000-third');
+
+    collection = fakeCollection();
+    connection = mongoose.createConnection();
+    connection.db = { collection: () => collection };
+    ran = [];
+    global.migrationRuns = ran;
+  });
+
+  afterEach(async () => {
+    delete global.migrationRuns;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const appliedNames = () => [...collection.docs.keys()].filter(name => name !== '__lock__').sort();
+
+  describe('up and down', () => {
+    it('applies pending migrations in order and records them', async () => {
+      const applied = await migrator().up();
+
+      expect(applied.map(migration => migration.name)).to.deep.equal([
+        '20260101000000-first', '20260102000000-second', '20260103000000-third'
+      ]);
+      expect(ran.map(([, name]) => name)).to.deep.equal(applied.map(migration => migration.name));
+      expect(appliedNames()).to.have.length(3);
+      expect(collection.docs.has('__lock__')).to.equal(false);
+      expect(await migrator().up()).to.deep.equal([]);
+    });
+
+    it('stops at --to or after --step', async () => {
+      await migrator().up({ to: '20260102000000-second' });
+      expect(appliedNames()).to.deep.equal(['20260101000000-first', '20260102000000-second']);
+
+      await migrator().down();
+      await migrator().up({ step: 1 });
+      expect(appliedNames()).to.deep.equal(['20260101000000-first', '20260102000000-second']);
+    });
+
+    it('reverts newest first, everything after --to', async () => {
+      await migrator().up();
+
+      const reverted = await migrator().down({ to: '20260101000000-first' });
+
+      expect(reverted.map(migration => migration.name)).to.deep.equal(['20260103000000-third', '20260102000000-second']);
+      expect(appliedNames()).to.deep.equal(['20260101000000-first']);
+    });
+
+    it('keeps earlier migrations applied when one fails, and releases the lock', async () => {
+      await writeMigration('20260104000000-broken', { fails: true });
+
+      const error = await rejectionOf(migrator().up());
+
+      expect(error).to.be.instanceOf(MigrationError);
+      expect(error).to.include({ migration: '20260104000000-broken', direction: 'up' });
+      expect(appliedNames()).to.have.length(3);
+      expect(collection.docs.has('__lock__')).to.equal(false);
+    });
+
+    it('reports applied, pending and missing migrations', async () => {
+      await migrator().up({ step: 1 });
+      await collection.insertOne({ _id: '20251231000000-gone', appliedAt: new Date(), durationMs: 1 });
+
+      const rows = await migrator().status();
+
+      expect(rows.map(row => [row.name, row.state])).to.deep.equal([
+        ['20251231000000-gone', 'missing'],
+        ['20260101000000-first', 'applied'],
+        ['20260102000000-second', 'pending'],
+        ['20260103000000-third', 'pending']
+      ]);
+    });
+
+    it('refuses migrations without up() and down()', async () => {
+      await fs.writeFile(path.join(directory, '20260105000000-empty.js'), 'module.exports = {};');
+
+      const error = await rejectionOf(migrator().up());
+
+      expect(error.code).to.equal('INVALID_MIGRATION');
+      expect(ran).to.deep.equal([]);
+    });
+  });
+
+  describe('locking', () => {
+    it('lets only one of two concurrent runs apply migrations', async () => {
+      await writeMigration('20260104000000-slow', { delayMs: 20 });
+
+      const results = await Promise.allSettled([migrator().up(), migrator().up()]);
+
+      const [done, locked] = results[0].status === 'fulfilled' ? results : [...results].reverse();
+      expect(done.value).to.have.length(4);
+      expect(locked.reason).to.be.instanceOf(ConflictError);
+      expect(locked.reason.code).to.equal('MIGRATION_LOCKED');
+      expect(ran).to.have.length(4);
+    });
+
+    it('waits for the lock, then applies only what is still pending', async () => {
+      await writeMigration('20260104000000-slow', { delayMs: 50 });
+
+      const [first, second] = await Promise.all([migrator().up(), migrator().up({ waitMs: 3000 })]);
+
+      expect(first).to.have.length(4);
+      expect(second).to.deep.equal([]);
+      expect(ran).to.have.length(4);
+    });
+
+    it('names the holder of a live lock', async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      await collection.insertOne({ _id: '__lock__', owner: 'deploy-7', acquiredAt: new Date(), expiresAt });
+
+      const error = await rejectionOf(migrator().up());
+
+      expect(error.details).to.include({ owner: 'deploy-7', expiresAt });
+      expect(ran).to.deep.equal([]);
+    });
+
+    it('takes over a lock left expired by a crashed process', async () => {
+      await collection.insertOne({ _id: '__lock__', owner: 'crashed', expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await migrator().up()).to.have.length(3);
+      expect(collection.docs.has('__lock__')).to.equal(false);
+    });
+  });
+
+  describe('create', () => {
+    it('writes a timestamped migration from the template, never overwriting', async () => {
+      const now = new Date('2026-10-19T08:30:15Z');
+
+      const { name, file } = await migrator().create('Add Food Catalog!', { now });
+
+      expect(name).to.equal('20261019083015-add-food-catalog');
+      const migration = require(file);
+      expect(migration.description).to.equal('Add Food Catalog!');
+      expect(migration.up).to.be.a('function');
+      expect(await rejectionOf(migrator().create('add food catalog', { now }))).to.be.instanceOf(ConflictError);
+      expect(await rejectionOf(migrator().create('!!!'))).to.be.instanceOf(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+// test/pagination.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries, rejectionOf } = require('./helpers');
+const { ValidationError } = require('../src/utils/errors');
+const {
+  normalizeSort,
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+} = require('../src/utils/pagination');
+
+const FIELDS = ['name', 'age', 'createdAt', '_id'];
+
+describe('pagination', () => {
+  describe('normalizeSort', () => {
+    it('accepts objects, strings and arrays and appends _id', () => {
+      const expected = [['age', -1], ['name', 1], ['_id', 1]];
+      expect(normalizeSort({ age: -1, name: 1 }, FIELDS)).to.deep.equal(expected);
+      expect(normalizeSort('-age,name', FIELDS)).to.deep.equal(expected);
+      expect(normalizeSort(['-age', '+name'], FIELDS)).to.deep.equal(expected);
+    });
+
+    it('keeps an explicit _id direction', () => {
+      expect(normalizeSort('-_id', FIELDS)).to.deep.equal([['_id', -1]]);
+    });
+
+    it('rejects fields outside the whitelist', () => {
+      expect(() => normalizeSort('password', FIELDS)).to.throw(ValidationError, 'Cannot sort by "password"');
+    });
+
+    it('converts back to a mongoose sort object', () => {
+      expect(toSortObject([['age', -1], ['_id', -1]])).to.deep.equal({ age: -1, _id: -1 });
+    });
+  });
+
+  describe('cursors', () => {
+    const sort = [['createdAt', -1], ['_id', -1]];
+
+    it('round-trips the sort values, keeping dates and ObjectIds typed', () => {
+      const doc = { createdAt: new Date('2026-01-02T03:04:05Z'), _id: new mongoose.Types.ObjectId() };
+
+      const [createdAt, id] = decodeCursor(encodeCursor(doc, sort), sort);
+
+      expect(createdAt).to.be.instanceOf(Date);
+      expect(createdAt.getTime()).to.equal(doc.createdAt.getTime());
+      expect(id.toString()).to.equal(doc._id.toString());
+    });
+
+    it('stores missing values as null', () => {
+      const [createdAt] = decodeCursor(encodeCursor({ _id: 1 }, sort), sort);
+      expect(createdAt).to.equal(null);
+    });
+
+    it('rejects a cursor issued for another sort', () => {
+      const token = encodeCursor({ createdAt: new Date(), _id: 1 }, sort);
+      expect(() => decodeCursor(token, [['_id', 1]])).to.throw(ValidationError, 'does not match');
+    });
+
+    it('rejects garbage', () => {
+      expect(() => decodeCursor('%%%', sort)).to.throw(ValidationError).with.property('code', 'INVALID_CURSOR');
+    });
+  });
+
+  describe('buildKeysetFilter', () => {
+    it('selects everything strictly after the cursor position', () => {
+      const filter = buildKeysetFilter([['age', 1], ['_id', 1]], [30, 7]);
+
+      expect(filter).to.deep.equal({
+        $or: [
+          { age: { $gt: 30 } },
+          { $and: [{ age: 30 }, { _id: { $gt: 7 } }] }
+        ]
+      });
+    });
+
+    it('lets null sort before every value', () => {
+      const ascending = buildKeysetFilter([['age', 1], ['_id', 1]], [null, 7]);
+      expect(ascending.$or[0]).to.deep.equal({ age: { $ne: null } });
+
+      const descending = buildKeysetFilter([['age', -1], ['_id', -1]], [30, 7]);
+      expect(descending.$or[0]).to.deep.equal({ $or: [{ age: { $lt: 30 } }, { age: null }] });
+    });
+  });
+});
+
+describe('PersonService#listPeople', () => {
+  let service;
+  let queries;
+
+  beforeEach(() => {
+    service = createService();
+    queries = [];
+    const people = [30, 31, 32].map(age => new service.Person({ name: `Person ${age}`, age }));
+    stubQueries(service.Person, {
+      find: query => {
+        queries.push(query);
+        return people.slice(0, query.getOptions().limit);
+      },
+      countDocuments: () => people.length
+    });
+  });
+
+  it('fetches one extra person to know whether a next page exists', async () => {
+    const { items, pageInfo } = await service.listPeople({ sort: 'age', limit: 2 });
+
+    expect(items).to.have.length(2);
+    expect(pageInfo.hasNextPage).to.equal(true);
+    expect(queries[0].getOptions().limit).to.equal(3);
+
+    const [age] = decodeCursor(pageInfo.nextCursor, normalizeSort('age', FIELDS));
+    expect(age).to.equal(31);
+  });
+
+  it('continues after the cursor of the previous page', async () => {
+    const { pageInfo } = await service.listPeople({ sort: 'age', limit: 1 });
+    await service.listPeople({ sort: 'age', limit: 1, cursor: pageInfo.nextCursor });
+
+    expect(JSON.stringify(queries[1].getFilter())).to.include('"$gt":30');
+  });
+
+  it('reports totals in page mode', async () => {
+    const { pageInfo } = await service.listPeople({ page: 1, limit: 2 });
+    expect(pageInfo).to.include({ page: 1, totalPages: 2, total: 3 });
+  });
+
+  it('validates limit, page and cursor before querying', async () => {
+    expect(await rejectionOf(service.listPeople({ limit: 500 }))).to.be.instanceOf(ValidationError);
+    expect(await rejectionOf(service.listPeople({ page: 0 }))).to.be.instanceOf(ValidationError);
+    expect(await rejectionOf(service.listPeople({ page: 1, cursor: 'x' }))).to.be.instanceOf(ValidationError);
+    expect(await rejectionOf(service.listPeople({ fields: 'password' }))).to.be.instanceOf(ValidationError);
+    expect(queries).to.have.length(0);
+  });
+});
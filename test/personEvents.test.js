@@ -0,0 +1,335 @@
+// test/personEvents.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries, rejectionOf } = require('./helpers');
+const { EVENT_TYPES, fromChange, fromHistoryEntry, normalizeWatchFilter } = require('../src/services/personEvents');
+const { ValidationError, InvalidIdError } = require('../src/utils/errors');
+
+/**
+ * Stands in for a driver change stream: changes pushed to it are read in
+ * order, close() ends a pending read
+ */
+function fakeChangeStream() {
+  const queued = [];
+  let waiting = null;
+  return {
+    closed: false,
+    push(change) {
+      if (waiting) {
+        waiting.resolve(change);
+        waiting = null;
+      } else {
+        queued.push(change);
+      }
+    },
+    async tryNext() {
+      return queued.shift() || null;
+    },
+    next() {
+      if (queued.length > 0) return Promise.resolve(queued.shift());
+      return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+    },
+    async close() {
+      this.closed = true;
+      if (waiting) waiting.reject(new Error('ChangeStream is closed'));
+    }
+  };
+}
+
+/**
+ * Stands in for the resume token collection
+ */
+function fakeTokenCollection(stored = {}) {
+  return {
+    stored,
+    async findOne({ _id }) { return stored[_id] || null; },
+    async updateOne({ _id }, { $set }) { stored[_id] = { _id, ...$set }; },
+    async deleteOne({ _id }) {
+      const deletedCount = stored[_id] ? 1 : 0;
+      delete stored[_id];
+      return { deletedCount };
+    }
+  };
+}
+
+const change = (operationType, fields = {}) => ({
+  _id: { _data: `token-${Math.random()}` },
+  operationType,
+  documentKey: { _id: fields.id || new mongoose.Types.ObjectId() },
+  wallTime: new Date('2026-10-01T10:00:00Z'),
+  ...fields
+});
+
+// Lets the subscription's read loop catch up
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('person events', () => {
+  describe('fromChange', () => {
+    it('turns inserts into person.created with the document', () => {
+      const event = fromChange(change('insert', { fullDocument: { name: 'Ada' } }));
+
+      expect(event).to.include({ type: EVENT_TYPES.CREATED, source: 'changeStream' });
+      expect(event.document).to.deep.equal({ name: 'Ada' });
+    });
+
+    it('lists the top-level fields an update changed', () => {
+      const event = fromChange(change('update', {
+        updateDescription: {
+          updatedFields: { 'favoriteFoods.2': 'tea', age: 37, updatedAt: new Date() },
+          removedFields: ['email'],
+          truncatedArrays: []
+        }
+      }));
+
+      expect(event.type).to.equal(EVENT_TYPES.UPDATED);
+      expect(event.changedFields).to.have.members(['favoriteFoods', 'age', 'email']);
+    });
+
+    it('skips updates to internal fields only', () => {
+      const event = fromChange(change('update', {
+        updateDescription: { updatedFields: { __v: 2, updatedAt: new Date(), searchTokens: [] } }
+      }));
+
+      expect(event).to.equal(null);
+    });
+
+    it('tells soft deletes from purges', () => {
+      const soft = fromChange(change('update', { updateDescription: { updatedFields: { deletedAt: new Date() } } }));
+      const purge = fromChange(change('delete'));
+
+      expect(soft).to.include({ type: EVENT_TYPES.DELETED, soft: true });
+      expect(purge).to.include({ type: EVENT_TYPES.DELETED, soft: false });
+    });
+
+    it('reports every field of a replaced document', () => {
+      const event = fromChange(change('replace', { fullDocument: { _id: 1, name: 'Ada', age: 36, __v: 1 } }));
+
+      expect(event.changedFields).to.deep.equal(['name', 'age']);
+    });
+  });
+
+  describe('fromHistoryEntry', () => {
+    const personId = new mongoose.Types.ObjectId();
+
+    it('maps audit operations to event types', () => {
+      const created = fromHistoryEntry({ personId, operation: 'create', changes: [], snapshot: { name: 'Ada' } });
+      const purged = fromHistoryEntry({ personId, operation: 'purge', changes: [] });
+      const deleted = fromHistoryEntry({ personId, operation: 'bulkDelete', changes: [] });
+
+      expect(created).to.include({ type: EVENT_TYPES.CREATED, personId: String(personId), source: 'local' });
+      expect(purged).to.include({ type: EVENT_TYPES.DELETED, soft: false });
+      expect(deleted).to.include({ type: EVENT_TYPES.DELETED, soft: true });
+    });
+
+    it('reports a restore as an update of deletedAt', () => {
+      const event = fromHistoryEntry({ personId, operation: 'restore', changes: [{ path: 'deletedAt' }, { path: '__v' }] });
+
+      expect(event).to.include({ type: EVENT_TYPES.UPDATED });
+      expect(event.changedFields).to.deep.equal(['deletedAt']);
+    });
+
+    it('skips unknown operations and internal-only updates', () => {
+      expect(fromHistoryEntry({ personId, operation: 'export', changes: [] })).to.equal(null);
+      expect(fromHistoryEntry({ personId, operation: 'update', changes: [{ path: 'updatedAt' }] })).to.equal(null);
+    });
+  });
+
+  describe('normalizeWatchFilter', () => {
+    it('turns single values into lists', () => {
+      const id = new mongoose.Types.ObjectId().toString();
+
+      expect(normalizeWatchFilter({ types: EVENT_TYPES.CREATED, personIds: id })).to.deep.equal({
+        types: [EVENT_TYPES.CREATED],
+        personIds: [id],
+        fields: null
+      });
+    });
+
+    it('rejects unknown event types and bad IDs', () => {
+      expect(() => normalizeWatchFilter({ types: 'person.renamed' })).to.throw(ValidationError);
+      expect(() => normalizeWatchFilter({ personIds: 'nope' })).to.throw(InvalidIdError);
+      expect(() => normalizeWatchFilter({ fields: [''] })).to.throw(ValidationError);
+    });
+  });
+
+  describe('PersonService#watch', () => {
+    let service;
+    let subscription;
+
+    beforeEach(() => {
+      service = createService();
+      subscription = null;
+    });
+
+    afterEach(async () => {
+      if (subscription) await subscription.close();
+    });
+
+    it('refuses a bad handler, mode or consumer', async () => {
+      expect(await rejectionOf(service.watch({}, null))).to.be.instanceOf(ValidationError);
+      expect(await rejectionOf(service.watch({}, () => {}, { mode: 'polling' }))).to.be.instanceOf(ValidationError);
+      expect(await rejectionOf(service.watch({}, () => {}, { mode: 'local', consumer: ' ' })))
+        .to.be.instanceOf(ValidationError);
+    });
+
+    describe('local mode', () => {
+      const id = new mongoose.Types.ObjectId();
+
+      beforeEach(() => {
+        stubQueries(service.Person, {
+          findOne: () => ({ _id: id, name: 'Ada', age: 36, deletedAt: null, __v: 0 }),
+          findOneAndUpdate: () => new service.Person({ _id: id, name: 'Ada' }),
+          find: () => [{ _id: id, name: 'Ada', age: 36, deletedAt: new Date(), deletedBy: 'admin', __v: 1 }]
+        });
+      });
+
+      it('delivers the audit trail\'s changes as events', async () => {
+        const events = [];
+        subscription = await service.watch({}, async event => { events.push(event); }, { mode: 'local' });
+
+        await service.softDelete(id.toString(), { actor: 'admin' });
+        await subscription.close();
+
+        expect(subscription.mode).to.equal('local');
+        expect(events).to.have.length(1);
+        expect(events[0]).to.include({ type: EVENT_TYPES.DELETED, personId: id.toString(), soft: true });
+      });
+
+      it('leaves out events the filter does not match', async () => {
+        const events = [];
+        subscription = await service.watch({ types: EVENT_TYPES.CREATED }, async event => { events.push(event); }, {
+          mode: 'local'
+        });
+
+        await service.softDelete(id.toString(), { actor: 'admin' });
+        await subscription.close();
+
+        expect(events).to.have.length(0);
+      });
+
+      it('keeps delivering after a handler throws', async () => {
+        let calls = 0;
+        subscription = await service.watch({}, async () => {
+          calls += 1;
+          throw new Error('handler broke');
+        }, { mode: 'local' });
+
+        await service.softDelete(id.toString(), { actor: 'admin' });
+        await service.softDelete(id.toString(), { actor: 'admin' });
+        await subscription.close();
+
+        expect(calls).to.equal(2);
+      });
+    });
+
+    describe('change stream mode', () => {
+      let stream;
+      let tokens;
+      let watched;
+
+      const useReplicaSet = hello => {
+        service.connection.db = {
+          admin: () => ({ command: async () => hello }),
+          collection: () => tokens
+        };
+      };
+
+      beforeEach(() => {
+        stream = fakeChangeStream();
+        tokens = fakeTokenCollection();
+        watched = null;
+        service.Person.collection.watch = (pipeline, options) => {
+          watched = { pipeline, options };
+          return stream;
+        };
+        useReplicaSet({ setName: 'rs0' });
+      });
+
+      it('is used automatically on a replica set', async () => {
+        subscription = await service.watch({}, async () => {});
+
+        expect(subscription.mode).to.equal('changeStream');
+        expect(watched.options).to.deep.equal({ fullDocument: 'updateLookup' });
+      });
+
+      it('falls back to local events on a standalone server', async () => {
+        useReplicaSet({ isWritablePrimary: true });
+
+        subscription = await service.watch({}, async () => {});
+
+        expect(subscription.mode).to.equal('local');
+      });
+
+      it('refuses mode changeStream on a standalone server', async () => {
+        useReplicaSet({ isWritablePrimary: true });
+
+        const error = await rejectionOf(service.watch({}, async () => {}, { mode: 'changeStream' }));
+
+        expect(error).to.be.instanceOf(ValidationError);
+      });
+
+      it('narrows the stream to the watched people', async () => {
+        const id = new mongoose.Types.ObjectId();
+
+        subscription = await service.watch({ personIds: [id.toString()] }, async () => {});
+
+        const [{ $match }] = watched.pipeline;
+        expect($match.$or[0]['documentKey._id'].$in.map(String)).to.deep.equal([id.toString()]);
+      });
+
+      it('delivers matching changes in order and stores the consumer\'s resume token', async () => {
+        const events = [];
+        subscription = await service.watch({ fields: 'age' }, async event => { events.push(event); }, {
+          consumer: 'crm-sync'
+        });
+
+        const created = change('insert', { fullDocument: { name: 'Ada' } });
+        const renamed = change('update', { updateDescription: { updatedFields: { name: 'Ada L.' } } });
+        const aged = change('update', { updateDescription: { updatedFields: { age: 37 } } });
+        [created, renamed, aged].forEach(item => stream.push(item));
+        await settle();
+
+        expect(events.map(event => event.id)).to.deep.equal([created._id._data, aged._id._data]);
+        expect(tokens.stored['crm-sync'].token).to.equal(aged._id);
+        expect(tokens.stored['crm-sync'].eventId).to.equal(aged._id._data);
+      });
+
+      it('resumes after the stored token', async () => {
+        const token = { _data: 'token-42' };
+        tokens = fakeTokenCollection({ 'crm-sync': { _id: 'crm-sync', token } });
+
+        subscription = await service.watch({}, async () => {}, { consumer: 'crm-sync' });
+
+        expect(watched.options.startAfter).to.equal(token);
+      });
+
+      it('does not store tokens without a consumer name', async () => {
+        subscription = await service.watch({}, async () => {});
+
+        stream.push(change('insert', { fullDocument: { name: 'Ada' } }));
+        await settle();
+
+        expect(tokens.stored).to.deep.equal({});
+      });
+
+      it('stops and reports an invalidated stream', async () => {
+        let reported;
+        subscription = await service.watch({}, async () => {}, { onError: error => { reported = error; } });
+
+        stream.push({ _id: { _data: 'end' }, operationType: 'invalidate' });
+        await settle();
+
+        expect(reported.message).to.include('dropped or renamed');
+        expect(subscription.closed).to.equal(true);
+        expect(stream.closed).to.equal(true);
+      });
+
+      it('forgets a consumer\'s position on resetWatchPosition()', async () => {
+        tokens = fakeTokenCollection({ 'crm-sync': { _id: 'crm-sync', token: { _data: 'token-42' } } });
+
+        expect(await service.resetWatchPosition('crm-sync')).to.equal(true);
+        expect(await service.resetWatchPosition('crm-sync')).to.equal(false);
+      });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+// test/policy.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const createApp = require('../src/api/app');
+const { createService, stubQueries, rejectionOf, request } = require('./helpers');
+const { tokenize } = require('../src/utils/search');
+const { PERMISSIONS, permissionsOf, can, authorize, runAs, currentActor, isPermitted } = require('../src/utils/policy');
+const { ForbiddenError, ValidationError } = require('../src/utils/errors');
+
+const viewer = { id: 'vera', roles: ['viewer'] };
+const editor = { id: 'ed', roles: ['editor'] };
+
+describe('policy', () => {
+  describe('permissions', () => {
+    it('combines the permissions of roles with the actor\'s own', () => {
+      expect(permissionsOf({ roles: ['viewer'], permissions: [PERMISSIONS.EXPORT] }))
+        .to.have.members([PERMISSIONS.READ, PERMISSIONS.EXPORT]);
+      expect(permissionsOf('cli')).to.deep.equal([]);
+    });
+
+    it('refuses unknown roles', () => {
+      expect(() => permissionsOf({ roles: ['owner'] })).to.throw(ValidationError).with.property('code', 'UNKNOWN_ROLE');
+    });
+
+    it('grants admins everything', () => {
+      expect(can({ roles: ['admin'] }, PERMISSIONS.PURGE)).to.equal(true);
+      expect(can(editor, PERMISSIONS.PURGE)).to.equal(false);
+    });
+
+    it('throws a ForbiddenError naming the missing permission', () => {
+      expect(() => authorize(viewer, PERMISSIONS.DELETE, 'delete people'))
+        .to.throw(ForbiddenError, 'Not allowed to delete people')
+        .with.property('permission', PERMISSIONS.DELETE);
+    });
+
+    it('carries the actor through the async context', async () => {
+      const seen = await runAs(viewer, async () => {
+        await Promise.resolve();
+        return { actor: currentActor(), email: isPermitted(PERMISSIONS.READ_EMAIL) };
+      });
+
+      expect(seen).to.deep.equal({ actor: viewer, email: false });
+      expect(isPermitted(PERMISSIONS.READ_EMAIL)).to.equal(true); // Code running for nobody
+    });
+  });
+
+  describe('PersonService#as', () => {
+    let service;
+
+    beforeEach(() => {
+      service = createService();
+      stubQueries(service.Person, { find: () => [], updateMany: () => ({ modifiedCount: 0 }) });
+    });
+
+    it('refuses operations the actor lacks the permission for', async () => {
+      const error = await rejectionOf(service.as(viewer).deleteManyByName('Bob'));
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+      expect(error.status).to.equal(403);
+      expect(error.permission).to.equal(PERMISSIONS.DELETE_MANY);
+    });
+
+    it('refuses actors with unknown roles up front', () => {
+      expect(() => service.as({ roles: ['owner'] })).to.throw(ValidationError);
+    });
+  });
+
+  describe('field rules', () => {
+    let service;
+    let person;
+
+    beforeEach(() => {
+      service = createService();
+      person = new service.Person({ name: 'Ada Lovelace', email: 'ada@example.com', isActive: true });
+    });
+
+    it('leaves email out of what viewers see', () => {
+      expect(runAs(viewer, () => person.toJSON())).not.to.have.property('email');
+      expect(runAs(editor, () => person.toJSON())).to.have.property('email');
+    });
+
+    it('only lets admins toggle isActive', async () => {
+      stubQueries(service.Person, {
+        findOneAndUpdate: () => person,
+        findOne: () => person,
+        find: () => [person]
+      });
+      const id = new mongoose.Types.ObjectId().toString();
+
+      const error = await rejectionOf(runAs(editor, () =>
+        service.Person.findOneAndUpdate({ _id: id }, { $set: { isActive: false } }).exec()));
+      await runAs({ roles: ['admin'] }, () =>
+        service.Person.findOneAndUpdate({ _id: id }, { $set: { isActive: false } }).exec());
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+      expect(error.permission).to.equal(PERMISSIONS.TOGGLE_ACTIVE);
+    });
+
+    it('refuses to sort, select or filter by a field the actor may not read', () => {
+      const { Person } = service;
+
+      runAs(viewer, () => {
+        expect(() => Person.assertReadable(['name', 'email'], 'sort by'))
+          .to.throw(ForbiddenError, 'Not allowed to sort by email')
+          .with.property('permission', PERMISSIONS.READ_EMAIL);
+        expect(() => Person.assertReadable(['name', 'age'])).not.to.throw();
+      });
+      runAs(editor, () => expect(() => Person.assertReadable(['email'])).not.to.throw());
+    });
+  });
+
+  describe('hidden fields in listing and filter parameters', () => {
+    let service;
+    let queries;
+
+    beforeEach(() => {
+      service = createService();
+      queries = [];
+      stubQueries(service.Person, {
+        find: query => { queries.push(query); return []; },
+        countDocuments: () => 0
+      });
+    });
+
+    it('refuses viewers sorting by email before querying', async () => {
+      const error = await rejectionOf(runAs(viewer, () => service.listPeople({ sort: 'email' })));
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+      expect(queries).to.have.length(0);
+    });
+
+    it('refuses viewers selecting email', async () => {
+      const error = await rejectionOf(runAs(viewer, () => service.listPeople({ fields: 'name,email' })));
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+    });
+
+    it('lets actors who may read email sort by it', async () => {
+      await runAs(editor, () => service.listPeople({ sort: 'email', fields: 'name,email' }));
+
+      expect(queries).to.have.length(1);
+    });
+
+    it('refuses bulk delete filters on email without the permission to read it', async () => {
+      const actor = { id: 'cleanup', permissions: [PERMISSIONS.DELETE_MANY] };
+
+      const error = await rejectionOf(service.as(actor).bulkDelete({ email: 'ada@example.com' }, { dryRun: true }));
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+      expect(error.permission).to.equal(PERMISSIONS.READ_EMAIL);
+    });
+
+    it('refuses looking a data subject up by email without the permission to read it', async () => {
+      const actor = { id: 'dpo', permissions: [PERMISSIONS.EXPORT] };
+
+      const error = await rejectionOf(service.as(actor).exportPersonData('ada@example.com'));
+
+      expect(error).to.be.instanceOf(ForbiddenError);
+    });
+
+    it('does not let viewers find people by email through search', async () => {
+      const target = new service.Person({ name: 'Ada Lovelace', email: 'secret.target@corp.example' });
+      const tokensOf = person => tokenize(person.name, person.email, person.favoriteFoods);
+      service.Person.aggregate = () => ({ option: async () => tokensOf(target).map(token => ({ _id: token })) });
+      stubQueries(service.Person, {
+        find: query => {
+          const filter = query.getFilter();
+          queries.push(filter);
+          if (filter.$text) return [target];
+          return tokensOf(target).some(token => filter.searchTokens.$in.includes(token)) ? [target] : [];
+        }
+      });
+
+      const hidden = await service.as(viewer).searchPeople('secret.target@corp.example');
+      const byName = await service.as(viewer).searchPeople('lovelace');
+      const visible = await service.as(editor).searchPeople('secret.target@corp.example');
+
+      expect(hidden).to.include({ total: 0 });
+      expect(hidden.items).to.deep.equal([]);
+      expect(byName.items.map(item => item.person.name)).to.deep.equal(['Ada Lovelace']);
+      expect(visible.items).to.have.length(1);
+      expect(queries.filter(filter => filter.$text)).to.have.length(1); // The editor's search only
+    });
+
+    it('answers 403 to a viewer sorting people by email over HTTP', async () => {
+      const app = createApp({ personService: service, actor: () => viewer });
+
+      const res = await request(app, { method: 'GET', path: '/people?sort=email' });
+
+      expect(res.status).to.equal(403);
+      expect(res.body.error.code).to.equal('FORBIDDEN');
+      expect(queries).to.have.length(0);
+    });
+
+    it('still lists people for a viewer sorting by a visible field', async () => {
+      const app = createApp({ personService: service, actor: () => viewer });
+
+      const res = await request(app, { method: 'GET', path: '/people?sort=-age' });
+
+      expect(res.status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+// test/search.test.js
+const { expect } = require('chai');
+const { createService, stubQueries, rejectionOf } = require('./helpers');
+const { foldText, tokenize, editDistance, maxTyposFor, matchQuality, highlight } = require('../src/utils/search');
+const { touchesFields } = require('../src/models/plugins/searchable');
+const { withPiiAccess } = require('../src/utils/pii');
+const { ValidationError } = require('../src/utils/errors');
+
+describe('search', () => {
+  describe('helpers', () => {
+    it('folds case and diacritics', () => {
+      expect(foldText('José ÑANDÚ')).to.equal('jose nandu');
+    });
+
+    it('tokenizes values into unique folded words', () => {
+      expect(tokenize('Mary-Jane O\'Neil', ['tacos', null], 'mary@example.com'))
+        .to.deep.equal(['mary', 'jane', 'o', 'neil', 'tacos', 'example', 'com']);
+    });
+
+    it('counts swapped letters as one edit and gives up past the maximum', () => {
+      expect(editDistance('jonh', 'john')).to.equal(1);
+      expect(editDistance('kitten', 'sitting')).to.equal(3);
+      expect(editDistance('kitten', 'sitting', 1)).to.equal(2);
+    });
+
+    it('tolerates more typos in longer terms', () => {
+      expect(['ab', 'mary', 'lovelace'].map(maxTyposFor)).to.deep.equal([0, 1, 2]);
+    });
+
+    it('ranks exact over prefix over typo matches', () => {
+      const exact = matchQuality('mary', 'mary');
+      const prefix = matchQuality('maryanne', 'mary');
+      const typo = matchQuality('marz', 'mary');
+
+      expect(exact).to.equal(1);
+      expect(prefix).to.equal(0.75);
+      expect(typo).to.be.above(0).and.below(0.5);
+      expect(matchQuality('maryanne', 'mary', { prefix: false, fuzzy: false })).to.equal(0);
+      expect(matchQuality('marz', 'mary', { fuzzy: false })).to.equal(0);
+    });
+
+    it('highlights matching words in the original text', () => {
+      expect(highlight('José Álvarez', ['jose'])).to.deep.equal({
+        value: 'José Álvarez',
+        ranges: [{ start: 0, end: 4 }],
+        highlighted: '<mark>José</mark> Álvarez'
+      });
+      expect(highlight('Ada', ['zed'])).to.equal(null);
+    });
+
+    it('tells which updates touch the searchable fields', () => {
+      expect(touchesFields({ $set: { name: 'Ada' } }, ['name'])).to.equal(true);
+      expect(touchesFields({ $push: { 'favoriteFoods.0': 'tea' } }, ['favoriteFoods'])).to.equal(true);
+      expect(touchesFields({ $rename: { nickname: 'name' } }, ['name'])).to.equal(true);
+      expect(touchesFields({ $inc: { age: 1 } }, ['name'])).to.equal(false);
+    });
+  });
+
+  describe('searchable plugin', () => {
+    it('stores the folded tokens of new people', async () => {
+      const service = createService();
+      const inserted = [];
+      service.Food.canonicalize = async names => names;
+      service.Person.collection.insertOne = async doc => {
+        inserted.push(doc);
+        return { acknowledged: true, insertedId: doc._id };
+      };
+
+      await new service.Person({ name: 'José Núñez', email: 'jose@example.com', favoriteFoods: ['tacos'] }).save();
+
+      expect(inserted[0].searchTokens).to.have.members(['jose', 'nunez', 'example', 'com', 'tacos']);
+    });
+  });
+
+  describe('PersonService.searchPeople', () => {
+    let service;
+    let aggregations;
+    let tokenQueries;
+    let people;
+    let textMatches;
+
+    beforeEach(() => {
+      service = createService();
+      aggregations = [];
+      tokenQueries = [];
+      people = [
+        new service.Person({ name: 'John Smith', email: 'john@example.com', favoriteFoods: ['pizza'] }),
+        new service.Person({ name: 'Mary Johnson', email: 'mary@example.com', favoriteFoods: ['sushi'] }),
+        new service.Person({ name: 'Ada Lovelace', email: 'ada@example.com', favoriteFoods: ['johnnycakes'] })
+      ];
+      textMatches = [];
+
+      service.Person.aggregate = pipeline => {
+        aggregations.push(pipeline);
+        const vocabulary = [...new Set(people.flatMap(person => tokenize(person.name, person.email, person.favoriteFoods)))];
+        return { option: async () => vocabulary.map(token => ({ _id: token })) };
+      };
+      stubQueries(service.Person, {
+        find: query => {
+          const filter = query.getFilter();
+          if (filter.$text) return textMatches;
+          tokenQueries.push(filter);
+          const tokens = filter.searchTokens.$in;
+          return people.filter(person => tokenize(person.name, person.email, person.favoriteFoods)
+            .some(token => tokens.includes(token)));
+        }
+      });
+    });
+
+    it('refuses empty queries and out of range limits', async () => {
+      expect(await rejectionOf(service.searchPeople('  '))).to.be.instanceOf(ValidationError);
+      expect(await rejectionOf(service.searchPeople('!!!'))).to.be.instanceOf(ValidationError);
+      expect(await rejectionOf(service.searchPeople('john', { limit: 101 }))).to.be.instanceOf(ValidationError);
+    });
+
+    it('ranks name matches above email and food matches', async () => {
+      const { items, total, terms } = await service.searchPeople('JOHN');
+
+      expect(terms).to.deep.equal(['john']);
+      expect(total).to.equal(3);
+      expect(items.map(item => item.person.name)).to.deep.equal(['John Smith', 'Mary Johnson', 'Ada Lovelace']);
+      expect(items[0].score).to.equal(1);
+      expect(items[1].score).to.equal(0.75);
+    });
+
+    it('finds people through typos', async () => {
+      const { items } = await service.searchPeople('jonh', { prefix: false });
+
+      expect(items.map(item => item.person.name)).to.deep.equal(['John Smith']);
+      expect(items[0].score).to.be.below(0.5);
+    });
+
+    it('only asks the token index for words starting like the terms', async () => {
+      await service.searchPeople('mar', { fuzzy: false });
+
+      expect(aggregations[0][0]).to.deep.equal({ $match: { searchTokens: { $regex: '^(?:mar)' } } });
+      expect(tokenQueries[0].searchTokens.$in).to.deep.equal(['mary']);
+    });
+
+    it('keeps stemmed text index matches, ranked lowest', async () => {
+      const stemmed = new service.Person({ name: 'Zoe Burrows', favoriteFoods: ['burrito'] });
+      stemmed.set('textScore', 1.1, { strict: false });
+      textMatches = [stemmed];
+
+      const { items } = await service.searchPeople('burritos', { fuzzy: false });
+
+      expect(items).to.have.length(1);
+      expect(items[0].score).to.equal(0.25);
+      expect(items[0].person.get('textScore')).to.equal(undefined);
+    });
+
+    it('highlights matched fields with PII access', async () => {
+      const { items } = await withPiiAccess(() => service.searchPeople('mary', { highlightPre: '[', highlightPost: ']' }));
+
+      expect(items[0].highlights.map(match => match.highlighted)).to.deep.equal(['[Mary] Johnson', '[mary]@example.com']);
+    });
+
+    it('does not reveal masked values through highlights', async () => {
+      const { items } = await service.searchPeople('mary');
+
+      const [name] = items[0].highlights;
+      expect(name.highlighted).not.to.include('Mary');
+      expect(name.ranges).to.deep.equal([]);
+    });
+  });
+});
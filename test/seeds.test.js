@@ -0,0 +1,122 @@
+// test/seeds.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { expect } = require('chai');
+const { seed, loadFixture, registerSeedSet, SEED_SETS } = require('../src/seeds');
+const { generatePeople, createRandom } = require('../src/seeds/fakePeople');
+const { ValidationError } = require('../src/utils/errors');
+const { rejectionOf } = require('./helpers');
+
+/**
+ * A PersonService stand-in recording what seeding imports and deletes
+ */
+function fakeService() {
+  const service = { imported: [], resets: 0 };
+  const collection = { deleteMany: async () => { service.resets++; return { deletedCount: 3 }; } };
+  service.Person = { collection };
+  service.PersonHistory = { collection };
+  service.importPeople = async (stream, options) => {
+    const records = [];
+    for await (const line of stream) records.push(JSON.parse(line));
+    service.imported.push({ records, options });
+    return { processed: records.length, created: records.length, updated: 0, unchanged: 0, failed: 0, errors: [] };
+  };
+  return service;
+}
+
+describe('seeding', () => {
+  describe('generatePeople', () => {
+    it('yields the same people for the same seed', () => {
+      expect(generatePeople(20, { randomSeed: 7 })).to.deep.equal(generatePeople(20, { randomSeed: 7 }));
+      expect(generatePeople(20, { randomSeed: 7 })).not.to.deep.equal(generatePeople(20, { randomSeed: 8 }));
+    });
+
+    it('generates valid people with unique emails', () => {
+      const people = generatePeople(200, { emailDomain: 'test.local' });
+
+      expect(new Set(people.map(person => person.email)).size).to.equal(200);
+      people.forEach(person => {
+        expect(person.email).to.match(/^[a-z]+\.[a-z]+\.\d+@test\.local$/);
+        expect(person.age).to.be.within(18, 80);
+        expect(person.favoriteFoods.length).to.be.within(1, 5);
+      });
+    });
+
+    it('refuses invalid counts', () => {
+      expect(() => generatePeople(-1)).to.throw(TypeError);
+      expect(() => generatePeople(1.5)).to.throw(TypeError);
+    });
+
+    it('draws numbers in [0, 1)', () => {
+      const random = createRandom(1);
+      const draws = Array.from({ length: 1000 }, random);
+      expect(Math.min(...draws)).to.be.at.least(0);
+      expect(Math.max(...draws)).to.be.below(1);
+    });
+  });
+
+  describe('seed', () => {
+    let service;
+    let nodeEnv;
+
+    beforeEach(() => {
+      service = fakeService();
+      nodeEnv = process.env.NODE_ENV;
+    });
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+      delete SEED_SETS.custom;
+    });
+
+    it('upserts every set by email through the import pipeline', async () => {
+      const report = await seed({ sets: ['sample', 'fake'], count: 5, randomSeed: 3, service });
+
+      expect(report.reset).to.equal(null);
+      expect(report.sources.map(source => [source.source, source.created])).to.deep.equal([['sample', 10], ['fake', 5]]);
+      expect(service.imported[0].options).to.deep.equal({ format: 'ndjson', upsert: true, actor: 'seed' });
+      expect(service.imported[1].records).to.deep.equal(generatePeople(5, { randomSeed: 3 }));
+      expect(service.resets).to.equal(0);
+    });
+
+    it('loads fixture files', async () => {
+      const file = path.join(os.tmpdir(), `people-seed-${process.pid}.json`);
+      await fs.writeFile(file, JSON.stringify([{ name: 'Ada', email: 'ada@example.com' }]));
+      try {
+        await seed({ sets: [], files: [file], service });
+      } finally {
+        await fs.unlink(file);
+      }
+
+      expect(service.imported[0].records).to.deep.equal([{ name: 'Ada', email: 'ada@example.com' }]);
+    });
+
+    it('resets only when asked, and never in production', async () => {
+      const report = await seed({ reset: true, service });
+      expect(report.reset).to.deep.equal({ people: 3, history: 3 });
+
+      process.env.NODE_ENV = 'production';
+      const error = await rejectionOf(seed({ reset: true, service }));
+      expect(error.code).to.equal('RESET_FORBIDDEN');
+      expect(service.resets).to.equal(2);
+    });
+
+    it('checks every source before touching the database', async () => {
+      registerSeedSet('custom', { records: async () => [{ name: 'No Email' }] });
+
+      const error = await rejectionOf(seed({ sets: ['sample', 'custom'], reset: true, service }));
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.message).to.include('record 1');
+      expect(service.resets).to.equal(0);
+      expect(service.imported).to.deep.equal([]);
+    });
+
+    it('refuses unknown sets and unreadable fixtures', async () => {
+      expect((await rejectionOf(seed({ sets: ['nope'], service }))).message).to.include('Unknown seed set(s): nope');
+      expect(await rejectionOf(loadFixture('missing.json'))).to.be.instanceOf(ValidationError);
+      expect(() => registerSeedSet('broken', {})).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,3 @@
+// test/setup.js
+// Loaded by mocha before any test file (.mocharc.json)
+process.env.NODE_ENV = 'test';
@@ -0,0 +1,94 @@
+// test/softDelete.test.js
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { createService, stubQueries } = require('./helpers');
+
+describe('soft delete', () => {
+  let service;
+  let queries;
+
+  beforeEach(() => {
+    service = createService();
+    queries = [];
+    const record = query => {
+      queries.push({ op: query.op, filter: query.getFilter(), update: query.getUpdate() });
+      return null;
+    };
+    stubQueries(service.Person, {
+      find: query => record(query) || [],
+      findOne: record,
+      countDocuments: query => record(query) || 0,
+      findOneAndUpdate: record,
+      findOneAndDelete: record
+    });
+  });
+
+  const lastQuery = op => queries.filter(query => query.op === op).pop();
+
+  describe('query filtering', () => {
+    it('hides soft-deleted people by default', async () => {
+      await service.Person.find({ name: 'Ada' });
+      expect(lastQuery('find').filter).to.deep.equal({ name: 'Ada', deletedAt: null });
+    });
+
+    it('includes them with withDeleted()', async () => {
+      await service.Person.find({ name: 'Ada' }).withDeleted();
+      expect(lastQuery('find').filter).to.deep.equal({ name: 'Ada' });
+    });
+
+    it('returns only them with onlyDeleted()', async () => {
+      await service.Person.countDocuments().onlyDeleted();
+      expect(lastQuery('countDocuments').filter).to.deep.equal({ deletedAt: { $ne: null } });
+    });
+
+    it('leaves an explicit deletedAt condition alone', async () => {
+      const since = new Date('2026-01-01');
+      await service.Person.find({ deletedAt: { $gte: since } });
+      expect(lastQuery('find').filter).to.deep.equal({ deletedAt: { $gte: since } });
+    });
+
+    it('keeps the custom options away from the driver', async () => {
+      const query = service.Person.find().withDeleted();
+      await query;
+      expect(query.getOptions()).not.to.have.property('withDeleted');
+    });
+  });
+
+  describe('PersonService', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+
+    it('softDelete() stamps deletedAt and deletedBy on a live person', async () => {
+      const result = await service.softDelete(id, { actor: 'admin' });
+
+      const { filter, update } = lastQuery('findOneAndUpdate');
+      expect(result).to.equal(null);
+      expect(filter).to.deep.equal({ _id: id, deletedAt: null });
+      expect(update.$set.deletedAt).to.be.instanceOf(Date);
+      expect(update.$set.deletedBy).to.equal('admin');
+    });
+
+    it('restore() only matches soft-deleted people', async () => {
+      await service.restore(id);
+
+      const { filter, update } = lastQuery('findOneAndUpdate');
+      expect(filter).to.deep.equal({ _id: id, deletedAt: { $ne: null } });
+      expect(update.$set).to.include({ deletedAt: null, deletedBy: null });
+    });
+
+    it('purge() refuses live people unless forced', async () => {
+      await service.purge(id);
+      expect(lastQuery('findOneAndDelete').filter).to.deep.equal({ _id: id, deletedAt: { $ne: null } });
+
+      await service.purge(id, { force: true });
+      expect(lastQuery('findOneAndDelete').filter).to.deep.equal({ _id: id });
+    });
+  });
+
+  describe('Person', () => {
+    it('reports isDeleted from deletedAt', () => {
+      const { Person } = service;
+      expect(new Person({ name: 'Ada' }).isDeleted).to.equal(false);
+      expect(new Person({ name: 'Ada', deletedAt: new Date() }).isDeleted).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// test/tenants.test.js
+const { expect } = require('chai');
+const createApp = require('../src/api/app');
+const { ConnectionRegistry, tenantIdsFromEnv } = require('../src/database/registry');
+const { PersonService } = require('../src/services/personService');
+const { NotFoundError, ValidationError } = require('../src/utils/errors');
+const { createService, fakeQuery, request } = require('./helpers');
+
+describe('tenants', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ConnectionRegistry({ tenants: ['acme', 'globex'] });
+  });
+
+  describe('ConnectionRegistry', () => {
+    it('reads the known tenants from TENANT_IDS', () => {
+      expect(tenantIdsFromEnv({ TENANT_IDS: 'acme, globex,,' })).to.deep.equal(['acme', 'globex']);
+      expect(tenantIdsFromEnv({})).to.deep.equal([]);
+    });
+
+    it('serves a known tenant from its own database', () => {
+      const connection = registry.forTenant('acme');
+      expect(connection.name).to.equal('tenant_acme');
+      expect(registry.forTenant('acme')).to.equal(connection);
+    });
+
+    it('refuses unknown tenants without opening a database', () => {
+      expect(() => registry.forTenant('initech')).to.throw(NotFoundError)
+        .with.property('code', 'UNKNOWN_TENANT');
+    });
+
+    it('refuses invalid tenant IDs', () => {
+      expect(() => registry.forTenant('../admin')).to.throw(ValidationError)
+        .with.property('code', 'INVALID_TENANT');
+      expect(() => registry.addTenant('a b')).to.throw(ValidationError);
+    });
+
+    it('serves tenants added later', () => {
+      registry.addTenant('initech');
+      expect(registry.hasTenant('initech')).to.equal(true);
+      expect(registry.tenantIds()).to.deep.equal(['acme', 'globex', 'initech']);
+    });
+
+    it('leaves index builds and collection creation to the migrations', () => {
+      const { config } = registry.forTenant('globex');
+      expect(config).to.include({ autoIndex: false, autoCreate: false });
+    });
+  });
+
+  describe('PersonService.forTenant', () => {
+    it('gives every tenant its own cached service and models', () => {
+      const acme = PersonService.forTenant('acme', { connections: registry });
+      const globex = PersonService.forTenant('globex', { connections: registry });
+
+      expect(PersonService.forTenant('acme', { connections: registry })).to.equal(acme);
+      expect(acme.tenantId).to.equal('acme');
+      expect(acme.Person).not.to.equal(globex.Person);
+      expect(acme.Person.db.name).to.equal('tenant_acme');
+    });
+  });
+
+  describe('API', () => {
+    let resolved;
+    let service;
+
+    // Stands in for JWT verification: "acme-token" is limited to acme,
+    // "any-token" to no tenant
+    const tokenTenants = { 'acme-token': 'acme', 'any-token': undefined };
+    const jwt = {
+      enabled: true,
+      verify: token => ({ sub: token, roles: ['admin'], tenant: tokenTenants[token] })
+    };
+
+    const app = () => createApp({
+      personService: service,
+      authentication: { jwt },
+      multiTenant: {
+        resolveService: tenantId => {
+          resolved.push(tenantId);
+          return PersonService.forTenant(tenantId, { connections: registry });
+        }
+      },
+      piiAccess: true
+    });
+
+    beforeEach(() => {
+      resolved = [];
+      service = createService();
+    });
+
+    it('authenticates before resolving the tenant', async () => {
+      const res = await request(app(), { path: '/people', headers: { 'X-Tenant-ID': 'initech' } });
+
+      expect(res.status).to.equal(401);
+      expect(resolved).to.deep.equal([]);
+    });
+
+    it('answers 404 UNKNOWN_TENANT to authenticated requests for unknown tenants', async () => {
+      const res = await request(app(), {
+        path: '/people',
+        headers: { 'X-Tenant-ID': 'initech', Authorization: 'Bearer any-token' }
+      });
+
+      expect(res.status).to.equal(404);
+      expect(res.body.error.code).to.equal('UNKNOWN_TENANT');
+    });
+
+    it('refuses credentials limited to another tenant', async () => {
+      const res = await request(app(), {
+        path: '/people',
+        headers: { 'X-Tenant-ID': 'globex', Authorization: 'Bearer acme-token' }
+      });
+
+      expect(res.status).to.equal(403);
+      expect(resolved).to.deep.equal(['globex']);
+    });
+
+    it('serves the tenant of the credentials', async () => {
+      const acme = PersonService.forTenant('acme', { connections: registry });
+      acme.Person.findById = () => fakeQuery(null);
+
+      const res = await request(app(), {
+        path: '/people/5f8d0d55b54764421b7156c3',
+        headers: { 'X-Tenant-ID': 'acme', Authorization: 'Bearer acme-token' }
+      });
+
+      expect(res.status).to.equal(404);
+      expect(res.body.error.code).to.equal('NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+// test/transactions.test.js
+const { expect } = require('chai');
+const { createService, rejectionOf } = require('./helpers');
+const { runTransaction, runInSession, currentSession, afterCommit } = require('../src/database/transactions');
+const { DatabaseConnection } = require('../src/database/connection');
+const { DatabaseError, ValidationError } = require('../src/utils/errors');
+
+/**
+ * Stands in for a client session
+ */
+function fakeSession() {
+  let active = false;
+  return {
+    inTransaction: () => active,
+    start() { active = true; },
+    end() { active = false; }
+  };
+}
+
+/**
+ * Stands in for connection.transaction(): runs `fn` in a fresh session,
+ * again after a transient failure, and records what became of each attempt
+ */
+function fakeTransactions(connection) {
+  const attempts = [];
+  connection.transaction = async fn => {
+    for (;;) {
+      const session = fakeSession();
+      session.start();
+      try {
+        const result = await runInSession(session, () => fn(session));
+        attempts.push('committed');
+        return result;
+      } catch (error) {
+        attempts.push('aborted');
+        if (typeof error.hasErrorLabel !== 'function' || !error.hasErrorLabel('TransientTransactionError')) {
+          throw error;
+        }
+      } finally {
+        session.end();
+      }
+    }
+  };
+  return attempts;
+}
+
+const transientError = () => Object.assign(new Error('WriteConflict'), {
+  hasErrorLabel: label => label === 'TransientTransactionError'
+});
+
+describe('transactions', () => {
+  describe('runTransaction', () => {
+    let connection;
+    let attempts;
+
+    beforeEach(() => {
+      connection = {};
+      attempts = fakeTransactions(connection);
+    });
+
+    it('resolves with what the unit of work returns', async () => {
+      expect(await runTransaction(connection, async () => 42)).to.equal(42);
+      expect(attempts).to.deep.equal(['committed']);
+    });
+
+    it('runs after-commit callbacks only once committed', async () => {
+      const calls = [];
+
+      await runTransaction(connection, async session => {
+        afterCommit(session, () => calls.push('after commit'));
+        calls.push('in transaction');
+      });
+
+      expect(calls).to.deep.equal(['in transaction', 'after commit']);
+    });
+
+    it('drops after-commit callbacks when the transaction aborts', async () => {
+      const calls = [];
+
+      const error = await rejectionOf(runTransaction(connection, async session => {
+        afterCommit(session, () => calls.push('after commit'));
+        throw new Error('boom');
+      }));
+
+      expect(error.message).to.equal('boom');
+      expect(attempts).to.deep.equal(['aborted']);
+      expect(calls).to.deep.equal([]);
+    });
+
+    it('runs after-commit callbacks right away outside a transaction', () => {
+      const calls = [];
+      afterCommit(null, () => calls.push('now'));
+      expect(calls).to.deep.equal(['now']);
+    });
+
+    it('retries transient failures hidden behind a translated error', async () => {
+      let runs = 0;
+
+      await runTransaction(connection, async () => {
+        runs += 1;
+        if (runs === 1) throw new DatabaseError('Write conflict', { cause: transientError() });
+      });
+
+      expect(runs).to.equal(2);
+      expect(attempts).to.deep.equal(['aborted', 'committed']);
+    });
+
+    it('joins the transaction it is called in', async () => {
+      let inner;
+
+      await runTransaction(connection, async outer => {
+        await runTransaction(connection, async session => { inner = session; });
+        expect(inner).to.equal(outer);
+      });
+
+      expect(attempts).to.deep.equal(['committed']);
+    });
+
+    it('reports standalone servers as TRANSACTIONS_UNSUPPORTED', async () => {
+      connection.transaction = async () => {
+        throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+      };
+
+      const error = await rejectionOf(runTransaction(connection, async () => {}));
+
+      expect(error).to.be.instanceOf(DatabaseError);
+      expect(error.code).to.equal('TRANSACTIONS_UNSUPPORTED');
+    });
+  });
+
+  describe('DatabaseConnection#withTransaction', () => {
+    it('refuses to start before connecting', async () => {
+      const database = new DatabaseConnection({ name: 'test', uri: 'mongodb://localhost:27017/people' });
+
+      const error = await rejectionOf(database.withTransaction(async () => {}));
+
+      expect(error).to.be.instanceOf(DatabaseError);
+    });
+  });
+
+  describe('PersonService', () => {
+    let service;
+    let attempts;
+    let inserted;
+
+    beforeEach(() => {
+      service = createService();
+      attempts = fakeTransactions(service.connection);
+      inserted = [];
+      service.Food.canonicalize = async names => names;
+      service.Person.collection.insertOne = async doc => {
+        inserted.push(doc);
+        return { acknowledged: true, insertedId: doc._id };
+      };
+    });
+
+    describe('withTransaction', () => {
+      it('runs the service methods it is handed in the transaction\'s session', async () => {
+        let outer;
+        let seen;
+        service.sessionCheck = () => currentSession();
+
+        await service.withTransaction(async tx => {
+          outer = currentSession();
+          seen = tx.sessionCheck();
+        });
+
+        expect(seen).to.equal(outer);
+        expect(attempts).to.deep.equal(['committed']);
+      });
+
+      it('refuses anything but a function', async () => {
+        expect(await rejectionOf(service.withTransaction('nope'))).to.be.instanceOf(ValidationError);
+      });
+    });
+
+    describe('inSession', () => {
+      it('needs a session', () => {
+        expect(() => service.inSession(null)).to.throw(ValidationError);
+      });
+    });
+
+    describe('createManyPeople', () => {
+      const people = [{ name: 'Ada' }, { age: 36 }, { name: 'Grace' }];
+
+      it('stops at the first failure and names its index', async () => {
+        const error = await rejectionOf(service.createManyPeople(people));
+
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.match(/^arrayOfPeople\[1\]: /);
+        expect(inserted.map(doc => doc.name)).to.deep.equal(['Ada']);
+      });
+
+      it('creates nobody in atomic mode when one person fails', async () => {
+        const error = await rejectionOf(service.createManyPeople(people, { atomic: true }));
+
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(attempts).to.deep.equal(['aborted']);
+      });
+
+      it('commits everyone together in atomic mode', async () => {
+        const created = await service.createManyPeople([{ name: 'Ada' }, { name: 'Grace' }], { atomic: true });
+
+        expect(created.map(person => person.name)).to.deep.equal(['Ada', 'Grace']);
+        expect(attempts).to.deep.equal(['committed']);
+      });
+
+      it('carries on past failures with ordered: false and reports them', async () => {
+        const { created, failed } = await service.createManyPeople(people, { ordered: false });
+
+        expect(created.map(person => person.name)).to.deep.equal(['Ada', 'Grace']);
+        expect(failed).to.have.length(1);
+        expect(failed[0]).to.include({ index: 1, code: 'VALIDATION_ERROR' });
+      });
+
+      it('refuses atomic and ordered: false together', async () => {
+        const error = await rejectionOf(service.createManyPeople(people, { atomic: true, ordered: false }));
+
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(inserted).to.have.length(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// test/validation.test.js
+const { expect } = require('chai');
+const validation = require('../src/utils/validation');
+const { createService } = require('./helpers');
+
+const { checkName, checkEmail, normalizeName, normalizeEmail, configure, configFromEnv, getRules } = validation;
+
+describe('validation rules', () => {
+  let defaults;
+
+  beforeEach(() => {
+    defaults = getRules();
+  });
+
+  afterEach(() => {
+    configure(defaults);
+  });
+
+  describe('names', () => {
+    it('accepts letters of any script with hyphens and apostrophes between them', () => {
+      ['José', 'O\'Brien', 'O’Brien', 'Anne-Marie', '李小龍', 'Ørjan Skjæveland', 'Ἀριστοτέλης']
+        .forEach(name => expect(checkName(name), name).to.equal(null));
+    });
+
+    it('counts decomposed letters as one character', () => {
+      configure({ name: { minLength: 4 } });
+      expect(checkName('José')).to.equal(null);
+      expect(checkName('Jó')).to.include('at least 4');
+    });
+
+    it('rejects digits, symbols and stray separators', () => {
+      expect(checkName('R2D2')).to.equal('Name cannot contain "2"');
+      expect(checkName('Ada!')).to.equal('Name cannot contain "!"');
+      expect(checkName('-Ada')).to.include('between letters');
+      expect(checkName('Ada--Lovelace')).to.include('between letters');
+      expect(checkName('A')).to.include('at least 2');
+    });
+
+    it('can turn hyphens and apostrophes off', () => {
+      configure({ name: { allowHyphens: false, allowApostrophes: false } });
+
+      expect(checkName('Anne-Marie')).to.equal('Name cannot contain hyphens');
+      expect(checkName('O\'Brien')).to.equal('Name cannot contain apostrophes');
+    });
+
+    it('can restrict names to scripts', () => {
+      configure({ name: { scripts: ['Latin'] } });
+
+      expect(checkName('José Núñez')).to.equal(null);
+      expect(checkName('李小龍')).to.equal('Name must be written in Latin script');
+    });
+
+    it('refuses unknown scripts and leaves the rules as they were', () => {
+      expect(() => configure({ name: { scripts: ['Klingon'] } })).to.throw('Unknown script');
+      expect(getRules()).to.deep.equal(defaults);
+    });
+
+    it('normalizes to NFC with single spaces', () => {
+      expect(normalizeName('  José   Núñez ')).to.equal('José Núñez');
+    });
+  });
+
+  describe('emails', () => {
+    it('accepts long top-level domains, quoted local parts and IDNs', () => {
+      ['ada@example.online', 'ada+tag@mail.example.co.uk', '"ada lovelace"@example.com',
+        'josé@bücher.de', 'user@xn--bcher-kva.de']
+        .forEach(email => expect(checkEmail(email), email).to.equal(null));
+    });
+
+    it('rejects malformed addresses', () => {
+      expect(checkEmail('ada.example.com')).to.include('name@example.com');
+      expect(checkEmail('ada..lovelace@example.com')).to.include('not a valid mailbox name');
+      expect(checkEmail('ada@localhost')).to.include('not a valid domain');
+      expect(checkEmail('ada@127.0.0.1')).to.include('not a valid domain');
+      expect(checkEmail(`${'a'.repeat(65)}@example.com`)).to.include('64 bytes');
+    });
+
+    it('can be limited to ASCII addresses', () => {
+      configure({ email: { allowUnicode: false } });
+
+      expect(checkEmail('josé@example.com')).to.equal('Email must only contain ASCII characters');
+      expect(checkEmail('jose@bücher.de')).to.equal('Email must only contain ASCII characters');
+    });
+
+    it('stores domains in the configured form', () => {
+      expect(normalizeEmail(' José@Bücher.DE ')).to.equal('josé@bücher.de');
+
+      configure({ email: { domainForm: 'ascii' } });
+      expect(normalizeEmail('José@Bücher.DE')).to.equal('josé@xn--bcher-kva.de');
+    });
+
+    it('refuses an unknown domain form', () => {
+      expect(() => configure({ email: { domainForm: 'latin1' } })).to.throw('domain form');
+    });
+  });
+
+  describe('configFromEnv', () => {
+    it('reads the rules from environment variables', () => {
+      const rules = configFromEnv({
+        NAME_MIN_LENGTH: '3',
+        NAME_SCRIPTS: 'Latin, Greek',
+        NAME_ALLOW_HYPHENS: 'false',
+        EMAIL_DOMAIN_FORM: 'ASCII'
+      });
+
+      expect(rules.name).to.include({ minLength: 3, maxLength: 100, allowHyphens: false, allowApostrophes: true });
+      expect(rules.name.scripts).to.deep.equal(['Latin', 'Greek']);
+      expect(rules.email).to.deep.equal({ allowUnicode: true, domainForm: 'ascii' });
+    });
+  });
+
+  describe('Person schema', () => {
+    it('validates and normalizes with the rules in effect', async () => {
+      const service = createService();
+      service.Food.canonicalize = async names => names;
+
+      const person = new service.Person({ name: ' Anne-Marie  O’Brien ', email: 'Anne@Example.ONLINE' });
+      await person.validate();
+
+      expect(person.name).to.equal('Anne-Marie O’Brien');
+      expect(person.email).to.equal('anne@example.online');
+
+      configure({ name: { allowApostrophes: false } });
+      const error = await person.validate().catch(caught => caught);
+      expect(error.errors.name.message).to.equal('Name cannot contain apostrophes');
+    });
+  });
+});